@@ -1,19 +1,32 @@
 /**
  * Animation Mode Controls
  * UI for selecting different animation patterns
+ *
+ * The dropdown and parameter controls are built from the animation mode
+ * registry, so modes registered at runtime appear automatically.
  */
 
+import { resolveParamValue } from './animationModes.js';
+
 export class AnimationModeControls {
     constructor(lightAnimation, container = null) {
         this.lightAnimation = lightAnimation;
         this.container = container;
         this.createUI();
         this.setupEventListeners();
+
+        // Rebuild the dropdown when modes are registered or removed
+        this.lightAnimation.modes.onChange(() => this.populateModes());
+
+        // Follow mode changes, status lines and parameter changes made elsewhere (URL, schedule, shows)
+        this.lightAnimation.on('modeChanged', () => this.refresh());
+        this.lightAnimation.on('modeStatus', ({ text }) => this.updateModeDescription(text));
+        this.lightAnimation.on('modeParamsChanged', ({ mode }) => this.renderParams(mode));
     }
 
     /**
      * Update the mode description text dynamically
-     * Called by animation when cycle changes
+     * Called when the mode reports a new status (e.g. a burst cycle change)
      */
     updateModeDescription(text) {
         const description = document.getElementById('mode-description');
@@ -46,6 +59,32 @@ export class AnimationModeControls {
         const select = document.createElement('select');
         select.id = 'mode-selector';
         select.className = 'mode-selector';
+        this.select = select;
+
+        selectContainer.appendChild(select);
+        container.appendChild(selectContainer);
+
+        // Mode description
+        const description = document.createElement('div');
+        description.id = 'mode-description';
+        description.className = 'mode-description';
+        container.appendChild(description);
+
+        // Parameter controls for the active mode (built from its schema)
+        const paramsContainer = document.createElement('div');
+        paramsContainer.id = 'mode-params-container';
+        paramsContainer.className = 'mode-params-container hidden';
+        this.paramsContainer = paramsContainer;
+        container.appendChild(paramsContainer);
+
+        this.populateModes();
+    }
+
+    /**
+     * Fill the dropdown from the mode registry
+     */
+    populateModes() {
+        this.select.innerHTML = '';
 
         const modes = this.lightAnimation.getAvailableModes();
         modes.forEach(mode => {
@@ -56,220 +95,175 @@ export class AnimationModeControls {
             if (mode.id === this.lightAnimation.animationMode) {
                 option.selected = true;
             }
-            select.appendChild(option);
+            this.select.appendChild(option);
         });
 
-        selectContainer.appendChild(select);
-        container.appendChild(selectContainer);
+        this.refresh();
+    }
 
-        // Mode description
-        const description = document.createElement('div');
-        description.id = 'mode-description';
-        description.className = 'mode-description';
-        description.textContent = this.getModeDescription(this.lightAnimation.animationMode);
-        container.appendChild(description);
+    /**
+     * Sync the selector, description and parameter controls with the animation
+     * Call after changing the mode or its parameters programmatically
+     */
+    refresh() {
+        const modeId = this.lightAnimation.animationMode;
+        this.select.value = modeId;
+        this.updateModeDescription(this.lightAnimation.modeStatus || this.getModeDescription(modeId));
+        this.renderParams(modeId);
+    }
 
-        // Point selector (for converge-point and diverge-point modes)
-        const pointContainer = document.createElement('div');
-        pointContainer.id = 'point-selector-container';
-        pointContainer.className = 'point-selector-container hidden';
-
-        const pointLabel = document.createElement('label');
-        pointLabel.textContent = 'Point: ';
-        pointLabel.htmlFor = 'point-selector';
-
-        const pointInput = document.createElement('input');
-        pointInput.type = 'range';
-        pointInput.id = 'point-selector';
-        pointInput.min = '0';
-        pointInput.max = '29';
-        pointInput.value = '15';
-        pointInput.className = 'point-selector';
-
-        const pointValue = document.createElement('span');
-        pointValue.id = 'point-value';
-        pointValue.className = 'point-value';
-        pointValue.textContent = '15';
-
-        pointContainer.appendChild(pointLabel);
-        pointContainer.appendChild(pointInput);
-        pointContainer.appendChild(pointValue);
-        container.appendChild(pointContainer);
-
-        // Brightness burst controls (for brightness-burst and brightness-burst-realtime modes)
-        const brightnessContainer = document.createElement('div');
-        brightnessContainer.id = 'brightness-controls-container';
-        brightnessContainer.className = 'brightness-controls-container hidden';
-
-        // Low brightness slider
-        const lowBrightnessDiv = document.createElement('div');
-        lowBrightnessDiv.className = 'brightness-control';
-
-        const lowBrightnessLabel = document.createElement('label');
-        lowBrightnessLabel.textContent = 'Low Brightness: ';
-        lowBrightnessLabel.htmlFor = 'low-brightness-slider';
-
-        const lowBrightnessInput = document.createElement('input');
-        lowBrightnessInput.type = 'range';
-        lowBrightnessInput.id = 'low-brightness-slider';
-        lowBrightnessInput.min = '0';
-        lowBrightnessInput.max = '100000';
-        lowBrightnessInput.step = '1000';
-        lowBrightnessInput.value = '6000';
-        lowBrightnessInput.className = 'brightness-slider';
-
-        const lowBrightnessValue = document.createElement('span');
-        lowBrightnessValue.id = 'low-brightness-value';
-        lowBrightnessValue.className = 'brightness-value';
-        lowBrightnessValue.textContent = '6000';
-
-        lowBrightnessDiv.appendChild(lowBrightnessLabel);
-        lowBrightnessDiv.appendChild(lowBrightnessInput);
-        lowBrightnessDiv.appendChild(lowBrightnessValue);
-
-        // High brightness slider
-        const highBrightnessDiv = document.createElement('div');
-        highBrightnessDiv.className = 'brightness-control';
-
-        const highBrightnessLabel = document.createElement('label');
-        highBrightnessLabel.textContent = 'High Brightness: ';
-        highBrightnessLabel.htmlFor = 'high-brightness-slider';
-
-        const highBrightnessInput = document.createElement('input');
-        highBrightnessInput.type = 'range';
-        highBrightnessInput.id = 'high-brightness-slider';
-        highBrightnessInput.min = '0';
-        highBrightnessInput.max = '500000';
-        highBrightnessInput.step = '1000';
-        highBrightnessInput.value = '200000';
-        highBrightnessInput.className = 'brightness-slider';
-
-        const highBrightnessValue = document.createElement('span');
-        highBrightnessValue.id = 'high-brightness-value';
-        highBrightnessValue.className = 'brightness-value';
-        highBrightnessValue.textContent = '200000';
-
-        highBrightnessDiv.appendChild(highBrightnessLabel);
-        highBrightnessDiv.appendChild(highBrightnessInput);
-        highBrightnessDiv.appendChild(highBrightnessValue);
-
-        brightnessContainer.appendChild(lowBrightnessDiv);
-        brightnessContainer.appendChild(highBrightnessDiv);
+    /**
+     * Build the parameter controls for a mode from its schema
+     */
+    renderParams(modeId) {
+        const mode = this.lightAnimation.modes.get(modeId);
+        const params = mode ? mode.params : [];
+
+        this.paramsContainer.innerHTML = '';
+        this.rangeControls = []; // { param, input, value } for each slider (see syncRangeParams)
+        this.paramsContainer.classList.toggle('hidden', params.length === 0);
+        if (params.length === 0) return;
+
+        params.forEach(param => {
+            if (param.type === 'toggle') {
+                this.paramsContainer.appendChild(this.createToggleParam(param));
+            } else if (param.type === 'text') {
+                this.paramsContainer.appendChild(this.createTextParam(param));
+            } else {
+                this.paramsContainer.appendChild(this.createRangeParam(param));
+            }
+        });
 
         // Reset button
         const resetButton = document.createElement('button');
-        resetButton.id = 'reset-brightness-btn';
-        resetButton.textContent = 'Reset to Defaults (6k / 200k)';
-        resetButton.className = 'reset-brightness-btn';
-        resetButton.style.cssText = `
-            width: 100%;
-            padding: 8px;
-            margin-top: 8px;
-            background: rgba(76, 175, 80, 0.2);
-            border: 1px solid rgba(76, 175, 80, 0.5);
-            border-radius: 4px;
-            color: #4CAF50;
-            font-size: 12px;
-            cursor: pointer;
-            transition: all 0.2s;
-        `;
-        resetButton.addEventListener('mouseover', () => {
-            resetButton.style.background = 'rgba(76, 175, 80, 0.3)';
+        resetButton.className = 'reset-params-btn';
+        resetButton.textContent = 'Reset to Defaults';
+        resetButton.addEventListener('click', () => {
+            this.lightAnimation.setModeParams(Object.fromEntries(params.map(param =>
+                [param.id, resolveParamValue(param.default, this.lightAnimation)]
+            )));
+            console.log(`🔄 Reset ${mode.name} parameters to defaults`);
         });
-        resetButton.addEventListener('mouseout', () => {
-            resetButton.style.background = 'rgba(76, 175, 80, 0.2)';
+        this.paramsContainer.appendChild(resetButton);
+    }
+
+    /**
+     * Slider for a 'range' parameter
+     */
+    createRangeParam(param) {
+        const row = document.createElement('div');
+        row.className = 'mode-param';
+
+        const label = document.createElement('label');
+        label.textContent = `${param.label}: `;
+        label.htmlFor = `mode-param-${param.id}`;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `mode-param-${param.id}`;
+        input.className = 'mode-param-slider';
+        input.min = resolveParamValue(param.min, this.lightAnimation);
+        input.max = resolveParamValue(param.max, this.lightAnimation);
+        input.step = param.step || 1;
+        input.value = param.get(this.lightAnimation);
+
+        const value = document.createElement('span');
+        value.className = 'mode-param-value';
+        value.textContent = input.value;
+
+        input.addEventListener('input', (e) => {
+            param.set(this.lightAnimation, parseFloat(e.target.value));
+            // Show what took effect, since setting one parameter can clamp it or another
+            this.syncRangeParams();
         });
+        this.rangeControls.push({ param, input, value });
 
-        brightnessContainer.appendChild(resetButton);
-        container.appendChild(brightnessContainer);
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(value);
+        return row;
     }
 
-    getModeDescription(modeId) {
-        const modes = this.lightAnimation.getAvailableModes();
-        const mode = modes.find(m => m.id === modeId);
-        return mode ? mode.description : '';
+    /**
+     * Move every slider and its value to the parameter's current setting
+     * (without rebuilding them, so a slider being dragged keeps the pointer)
+     */
+    syncRangeParams() {
+        this.rangeControls.forEach(({ param, input, value }) => {
+            input.value = param.get(this.lightAnimation);
+            value.textContent = input.value;
+        });
     }
 
-    setupEventListeners() {
-        // Mode selector change
-        const select = document.getElementById('mode-selector');
-        select.addEventListener('change', (e) => {
-            const mode = e.target.value;
-            this.lightAnimation.setAnimationMode(mode);
-
-            // Update description
-            const description = document.getElementById('mode-description');
-            description.textContent = this.getModeDescription(mode);
-
-            // Show/hide point selector
-            const pointContainer = document.getElementById('point-selector-container');
-            if (mode === 'converge-point' || mode === 'diverge-point') {
-                pointContainer.classList.remove('hidden');
-            } else {
-                pointContainer.classList.add('hidden');
-            }
-
-            // Show/hide brightness controls
-            const brightnessContainer = document.getElementById('brightness-controls-container');
-            if (mode === 'brightness-burst' || mode === 'brightness-burst-realtime') {
-                brightnessContainer.classList.remove('hidden');
-            } else {
-                brightnessContainer.classList.add('hidden');
-            }
+    /**
+     * Checkbox for a 'toggle' parameter
+     */
+    createToggleParam(param) {
+        const row = document.createElement('div');
+        row.className = 'display-option';
+        row.innerHTML = `
+            <label class="checkbox-label">
+                <input type="checkbox" id="mode-param-${param.id}" class="display-checkbox">
+                <span>${param.label}</span>
+            </label>
+        `;
 
-            console.log(`Animation mode: ${mode}`);
+        const input = row.querySelector('input');
+        input.checked = param.get(this.lightAnimation);
+        input.addEventListener('change', () => {
+            // Re-renders the controls, since other parameters may be clamped to fit
+            this.lightAnimation.setModeParams({ [param.id]: input.checked });
         });
+        return row;
+    }
 
-        // Point selector change
-        const pointInput = document.getElementById('point-selector');
-        const pointValue = document.getElementById('point-value');
-
-        pointInput.addEventListener('input', (e) => {
-            const point = parseInt(e.target.value);
-            pointValue.textContent = point;
-
-            const currentMode = this.lightAnimation.animationMode;
-            if (currentMode === 'converge-point') {
-                this.lightAnimation.setConvergencePoint(point);
-            } else if (currentMode === 'diverge-point') {
-                this.lightAnimation.setDivergencePoint(point);
+    /**
+     * Text box for a 'text' parameter, applied when it parses
+     */
+    createTextParam(param) {
+        const row = document.createElement('div');
+        row.className = 'mode-param';
+
+        const label = document.createElement('label');
+        label.textContent = `${param.label}: `;
+        label.htmlFor = `mode-param-${param.id}`;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = `mode-param-${param.id}`;
+        input.className = 'curve-points-input';
+        input.spellcheck = false;
+        input.placeholder = param.placeholder || '';
+        input.value = param.format(param.get(this.lightAnimation));
+
+        input.addEventListener('change', () => {
+            const value = param.parse(input.value);
+            if (value === null) {
+                input.classList.add('error');
+                console.warn(`⚠️ Invalid ${param.label} "${input.value}" (e.g. ${param.placeholder})`);
+                return;
             }
+            // Re-renders the controls, since other parameters may be clamped to fit
+            this.lightAnimation.setModeParams({ [param.id]: value });
         });
 
-        // Brightness sliders
-        const lowBrightnessInput = document.getElementById('low-brightness-slider');
-        const lowBrightnessValue = document.getElementById('low-brightness-value');
-        const highBrightnessInput = document.getElementById('high-brightness-slider');
-        const highBrightnessValue = document.getElementById('high-brightness-value');
+        row.appendChild(label);
+        row.appendChild(input);
+        return row;
+    }
 
-        lowBrightnessInput.addEventListener('input', (e) => {
-            const brightness = parseInt(e.target.value);
-            lowBrightnessValue.textContent = brightness;
-            this.lightAnimation.setLowBrightness(brightness);
-        });
+    getModeDescription(modeId) {
+        const mode = this.lightAnimation.modes.get(modeId);
+        return mode ? mode.description : '';
+    }
 
-        highBrightnessInput.addEventListener('input', (e) => {
-            const brightness = parseInt(e.target.value);
-            highBrightnessValue.textContent = brightness;
-            this.lightAnimation.setHighBrightness(brightness);
-        });
+    setupEventListeners() {
+        // Mode selector change
+        this.select.addEventListener('change', (e) => {
+            const mode = e.target.value;
+            this.lightAnimation.setAnimationMode(mode); // The controls follow through 'modeChanged'
 
-        // Reset button
-        const resetButton = document.getElementById('reset-brightness-btn');
-        if (resetButton) {
-            resetButton.addEventListener('click', () => {
-                // Reset low brightness to 6000
-                lowBrightnessInput.value = '6000';
-                lowBrightnessValue.textContent = '6000';
-                this.lightAnimation.setLowBrightness(6000);
-
-                // Reset high brightness to 200000
-                highBrightnessInput.value = '200000';
-                highBrightnessValue.textContent = '200000';
-                this.lightAnimation.setHighBrightness(200000);
-
-                console.log('🔄 Reset brightness to defaults: Low=6000, High=200000');
-            });
-        }
+            console.log(`Animation mode: ${mode}`);
+        });
     }
 }
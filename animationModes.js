@@ -0,0 +1,641 @@
+/**
+ * Animation Mode Registry
+ * Self-contained light patterns that LightAnimation can run
+ *
+ * A mode is a plain object:
+ *   id          - Unique identifier (used by the dropdown and the ?mode= URL parameter)
+ *   name        - Display name
+ *   description - Short description shown under the dropdown
+ *   params      - Optional parameter schema (see below)
+ *   init(animation, state)     - Optional, called on the first frame after the mode becomes active
+ *   update(animation, state)   - Required, called every frame while the animation runs
+ *   period(animation)          - Optional, length of the full pattern in seconds (defaults to
+ *                                cycleDuration); the transport scrubber spans one period
+ *   teardown(animation, state) - Optional, called when switching to another mode
+ *
+ * `state` is a fresh object per activation for mode-specific bookkeeping. Modes report progress
+ * with animation.setModeStatus(text), shown under the dropdown in place of the description.
+ *
+ * Parameter schema entries drive the mode controls and URL parsing:
+ *   { id, label, type: 'range', min, max, step, default, get(animation), set(animation, value) }
+ * min, max and default may be functions of the animation (e.g. to follow the light count).
+ * Two other types are supported:
+ *   { type: 'toggle', ... }                  - A checkbox; get/set use true or false
+ *   { type: 'text', parse(text), format(value), placeholder, ... }
+ *                                           - A text box; parse returns the value or null if invalid
+ *
+ * New patterns can be shipped as separate modules:
+ *   import { registerAnimationMode } from './animationModes.js';
+ *   registerAnimationMode({ id: 'my-mode', name: 'My Mode', description: '...', update(animation, state) { ... } });
+ */
+
+import { FULL_BRIGHTNESS } from './brightnessLayers.js';
+import { BURST_LIMITS, DEFAULT_BURST_CADENCE, describeBurstTiming, findBurstStarts, parseMinuteMarks } from './burstCadence.js';
+import { createRandom, shuffle } from './random.js';
+
+export class AnimationModeRegistry {
+    constructor() {
+        this.modes = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Register a mode, replacing any existing mode with the same id
+     * @param {object} mode - Mode definition
+     * @returns {object} The registered mode
+     */
+    register(mode) {
+        if (!mode || typeof mode.id !== 'string' || !mode.id) {
+            throw new Error('Animation mode requires a string id');
+        }
+        if (typeof mode.update !== 'function') {
+            throw new Error(`Animation mode "${mode.id}" requires an update(animation, state) function`);
+        }
+
+        this.modes.set(mode.id, {
+            name: mode.id,
+            description: '',
+            params: [],
+            ...mode
+        });
+        this.notify();
+        return this.modes.get(mode.id);
+    }
+
+    /**
+     * Remove a mode from the registry
+     * @param {string} id - Mode id
+     */
+    unregister(id) {
+        if (this.modes.delete(id)) {
+            this.notify();
+        }
+    }
+
+    get(id) {
+        return this.modes.get(id);
+    }
+
+    has(id) {
+        return this.modes.has(id);
+    }
+
+    /**
+     * Get all registered modes in registration order
+     * @returns {Array} Mode definitions
+     */
+    list() {
+        return Array.from(this.modes.values());
+    }
+
+    /**
+     * Subscribe to registry changes (mode added, replaced or removed)
+     * @param {Function} callback - Called with the registry
+     * @returns {Function} Call to unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            const index = this.listeners.indexOf(callback);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        [...this.listeners].forEach(callback => callback(this));
+    }
+}
+
+/**
+ * Resolve a schema value that may be a function of the animation
+ */
+export function resolveParamValue(value, animation) {
+    return typeof value === 'function' ? value(animation) : value;
+}
+
+/**
+ * Read a parameter value written as text (URL or text box)
+ * @param {object} param - Schema entry
+ * @param {string} text - Raw value
+ * @param {LightAnimation} animation - Animation the schema limits follow
+ * @returns {*} Value for param.set, or null if invalid
+ */
+export function parseParamValue(param, text, animation) {
+    if (param.type === 'toggle') {
+        const lower = text.trim().toLowerCase();
+        if (['1', 'on', 'true', 'yes'].includes(lower)) return true;
+        if (['0', 'off', 'false', 'no'].includes(lower)) return false;
+        return null;
+    }
+    if (param.type === 'text') {
+        return param.parse(text);
+    }
+    const value = parseFloat(text);
+    const min = resolveParamValue(param.min, animation);
+    const max = resolveParamValue(param.max, animation);
+    return !isNaN(value) && value >= min && value <= max ? value : null;
+}
+
+/**
+ * Describe what a parameter accepts, for warnings
+ */
+export function describeParamValues(param, animation) {
+    if (param.type === 'toggle') return 'on or off';
+    if (param.type === 'text') return param.placeholder ? `e.g. ${param.placeholder}` : 'text';
+    return `${resolveParamValue(param.min, animation)}-${resolveParamValue(param.max, animation)}`;
+}
+
+// Shared registry used by LightAnimation and the UI
+export const animationModes = new AnimationModeRegistry();
+
+export function registerAnimationMode(mode) {
+    return animationModes.register(mode);
+}
+
+/**
+ * Flash every light in order as the wave reaches it
+ * @param {number} timeScale - Fraction of real travel time (e.g. 1/5 for a 5x faster run)
+ */
+function runSequence(animation, cycleTime, period, timeScale = 1) {
+    for (let i = 0; i < animation.lights.length; i++) {
+        animation.flashLight(i, cycleTime - animation.lightTimes[i] * timeScale, period);
+    }
+}
+
+// Shared parameter definitions
+const convergencePointParam = {
+    id: 'point',
+    label: 'Point',
+    type: 'range',
+    min: 0,
+    max: animation => animation.lights.length - 1,
+    step: 1,
+    default: animation => Math.floor(animation.lights.length / 2),
+    get: animation => animation.convergencePoint,
+    set: (animation, value) => animation.setConvergencePoint(value)
+};
+
+const divergencePointParam = {
+    ...convergencePointParam,
+    get: animation => animation.divergencePoint,
+    set: (animation, value) => animation.setDivergencePoint(value)
+};
+
+const burstBrightnessParams = [
+    {
+        id: 'lowBrightness',
+        label: 'Low Brightness',
+        type: 'range',
+        min: 0,
+        max: 100000,
+        step: 1000,
+        default: 6000,
+        get: animation => animation.lowBrightness,
+        set: (animation, value) => animation.setLowBrightness(value)
+    },
+    {
+        id: 'highBrightness',
+        label: 'High Brightness',
+        type: 'range',
+        min: 0,
+        max: 500000,
+        step: 1000,
+        default: 200000,
+        get: animation => animation.highBrightness,
+        set: (animation, value) => animation.setHighBrightness(value)
+    }
+];
+
+/**
+ * Schema entry for one number in the animation's burst cadence (see burstCadence.js)
+ */
+function burstCadenceParam(id, label, step = 1) {
+    return {
+        id,
+        label,
+        type: 'range',
+        min: BURST_LIMITS[id].min,
+        max: BURST_LIMITS[id].max,
+        step,
+        default: DEFAULT_BURST_CADENCE[id],
+        get: animation => animation.burstCadence[id],
+        set: (animation, value) => animation.setBurstCadence({ [id]: value })
+    };
+}
+
+const burstCycleParams = [
+    ...burstBrightnessParams,
+    burstCadenceParam('dimCycles', 'Dim Cycles'),
+    burstCadenceParam('brightCycles', 'Bright Cycles')
+];
+
+const burstRealtimeParams = [
+    ...burstBrightnessParams,
+    burstCadenceParam('interval', 'Every (min)'),
+    burstCadenceParam('window', 'Burst Window (s)', 5),
+    burstCadenceParam('burstCycles', 'Bright Cycles'),
+    {
+        id: 'onTheHour',
+        label: 'On the Hour Only',
+        type: 'toggle',
+        default: DEFAULT_BURST_CADENCE.onTheHour,
+        get: animation => animation.burstCadence.onTheHour,
+        set: (animation, value) => animation.setBurstCadence({ onTheHour: value })
+    },
+    {
+        id: 'minuteMarks',
+        label: 'Minute Marks',
+        type: 'text',
+        placeholder: '0,20,45',
+        parse: parseMinuteMarks,
+        format: minutes => minutes.join(','),
+        default: DEFAULT_BURST_CADENCE.minuteMarks,
+        get: animation => animation.burstCadence.minuteMarks,
+        set: (animation, value) => animation.setBurstCadence({ minuteMarks: value })
+    }
+];
+
+/**
+ * Modulate the brightness for a burst phase
+ * Low and high brightness are on the slider scale, so at a full master setting they show as set
+ * and a lower master setting dims both (see brightnessLayers.js)
+ */
+function setBurstBrightness(animation, bright) {
+    animation.setModeBrightness((bright ? animation.highBrightness : animation.lowBrightness) / FULL_BRIGHTNESS);
+}
+
+/**
+ * Record a burst phase and emit 'burstStart' or 'burstEnd' when it changes
+ * (starting dim isn't the end of a burst)
+ */
+function setBurstPhase(animation, state, bright) {
+    const wasBright = state.bright === true;
+    state.bright = bright;
+    if (bright === wasBright) return;
+    animation.emit(bright ? 'burstStart' : 'burstEnd', {
+        mode: animation.animationMode,
+        brightness: bright ? animation.highBrightness : animation.lowBrightness
+    });
+}
+
+/**
+ * Set time to night for the brightness burst modes
+ */
+function applyNightPreset(animation) {
+    if (animation.timeOfDayController) {
+        animation.timeOfDayController.applyPreset('night');
+    }
+}
+
+registerAnimationMode({
+    id: 'sequential',
+    name: 'Sequential',
+    description: 'Lights flash in order (default)',
+    // While comparison rows are shown, the run starts again only once the slowest row's wave has finished
+    period: animation => Math.max(animation.cycleDuration, animation.racePeriod ?? 0),
+    update(animation) {
+        const period = this.period(animation);
+        const cycleTime = animation.currentTime % period;
+        runSequence(animation, cycleTime, period);
+    }
+});
+
+registerAnimationMode({
+    id: 'blink-all',
+    name: 'Blink All',
+    description: 'Run once, then blink all 3 times',
+    period: animation => animation.cycleDuration + (3 * 0.3), // 3 blinks, 0.3s each
+    update(animation) {
+        const fullCycleDuration = this.period(animation);
+        const cycleTime = animation.currentTime % fullCycleDuration;
+
+        if (cycleTime < animation.cycleDuration) {
+            // Normal sequential run
+            runSequence(animation, cycleTime, animation.cycleDuration);
+        } else {
+            // Blink all lights
+            const blinkTime = cycleTime - animation.cycleDuration;
+            const blinkCycle = blinkTime % 0.3;
+            const intensity = (blinkCycle < 0.15) ? animation.PEAK_INTENSITY : 0;
+            animation.setAllLightsIntensity(intensity);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'fast-runs',
+    name: 'Fast Runs',
+    description: 'Run once, then 3 fast runs',
+    period: animation => animation.cycleDuration + (3 * (animation.cycleDuration / 5)),
+    update(animation) {
+        const fastCycleDuration = animation.cycleDuration / 5; // 5x faster
+        const fullCycleDuration = this.period(animation);
+        const cycleTime = animation.currentTime % fullCycleDuration;
+
+        if (cycleTime < animation.cycleDuration) {
+            runSequence(animation, cycleTime, animation.cycleDuration);
+        } else {
+            const fastCycleTime = (cycleTime - animation.cycleDuration) % fastCycleDuration;
+            runSequence(animation, fastCycleTime, fastCycleDuration, 1 / 5);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'ping-pong',
+    name: 'Ping Pong',
+    description: 'Run forward then backward',
+    period: animation => animation.cycleDuration * 2,
+    update(animation) {
+        const fullCycleDuration = this.period(animation);
+        const cycleTime = animation.currentTime % fullCycleDuration;
+        const isReverse = cycleTime >= animation.cycleDuration;
+        const effectiveCycleTime = isReverse ? (fullCycleDuration - cycleTime) : cycleTime;
+
+        runSequence(animation, effectiveCycleTime, animation.cycleDuration);
+    }
+});
+
+registerAnimationMode({
+    id: 'ping-pong-fast',
+    name: 'Ping Pong Fast',
+    description: 'Run forward then backward (fast)',
+    period: animation => animation.cycleDuration / 5 * 2,
+    update(animation) {
+        const fastCycleDuration = animation.cycleDuration / 5;
+        const fullCycleDuration = this.period(animation);
+        const cycleTime = animation.currentTime % fullCycleDuration;
+        const isReverse = cycleTime >= fastCycleDuration;
+        const effectiveCycleTime = isReverse ? (fullCycleDuration - cycleTime) : cycleTime;
+
+        runSequence(animation, effectiveCycleTime, fastCycleDuration, 1 / 5);
+    }
+});
+
+registerAnimationMode({
+    id: 'random',
+    name: 'Random',
+    description: 'Flash lights in random order',
+    params: [{
+        id: 'seed',
+        label: 'Order Seed',
+        type: 'range',
+        min: 1,
+        max: 999,
+        step: 1,
+        default: 1,
+        get: animation => animation.randomOrderSeed,
+        set: (animation, value) => animation.setRandomOrderSeed(value)
+    }],
+    update(animation, state) {
+        // Seeded, so phase-locked machines flash the same light at the same moment
+        if (state.seed !== animation.randomOrderSeed || state.randomSequence.length !== animation.lights.length) {
+            state.seed = animation.randomOrderSeed;
+            state.randomSequence = shuffle(Array.from({ length: animation.lights.length }, (_, i) => i), createRandom(state.seed));
+        }
+
+        const cycleTime = animation.currentTime % animation.cycleDuration;
+
+        for (let seqIndex = 0; seqIndex < state.randomSequence.length; seqIndex++) {
+            const lightIndex = state.randomSequence[seqIndex];
+            const lightFlashTime = seqIndex * animation.timeBetweenLights;
+            animation.flashLight(lightIndex, cycleTime - lightFlashTime, animation.cycleDuration);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'converge-center',
+    name: 'Converge Center',
+    description: 'Both ends to middle',
+    period: animation => animation.cycleDuration / 2,
+    update(animation) {
+        const halfCycle = this.period(animation);
+        const cycleTime = animation.currentTime % halfCycle;
+        const mid = Math.floor(animation.lights.length / 2);
+        const last = animation.lights.length - 1;
+
+        for (let i = 0; i < animation.lights.length; i++) {
+            const timeFromEnd = i <= mid ? animation.getTravelTime(0, i) : animation.getTravelTime(i, last);
+            animation.flashLight(i, cycleTime - timeFromEnd, halfCycle);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'converge-point',
+    name: 'Converge Point',
+    description: 'Both ends to specific point',
+    params: [convergencePointParam],
+    period: animation => animation.cycleDuration / 2,
+    update(animation) {
+        const halfCycle = this.period(animation);
+        const cycleTime = animation.currentTime % halfCycle;
+        const last = animation.lights.length - 1;
+
+        for (let i = 0; i < animation.lights.length; i++) {
+            const timeFromEnd = i <= animation.convergencePoint ?
+                animation.getTravelTime(0, i) : animation.getTravelTime(i, last);
+            animation.flashLight(i, cycleTime - timeFromEnd, halfCycle);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'diverge-center',
+    name: 'Diverge Center',
+    description: 'Middle outward',
+    period: animation => animation.cycleDuration / 2,
+    update(animation) {
+        const halfCycle = this.period(animation);
+        const cycleTime = animation.currentTime % halfCycle;
+        const mid = Math.floor(animation.lights.length / 2);
+
+        for (let i = 0; i < animation.lights.length; i++) {
+            const timeFromCenter = animation.getTravelTime(mid, i);
+            animation.flashLight(i, cycleTime - timeFromCenter, halfCycle);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'diverge-point',
+    name: 'Diverge Point',
+    description: 'Specific point outward',
+    params: [divergencePointParam],
+    period: animation => animation.cycleDuration / 2,
+    update(animation) {
+        const halfCycle = this.period(animation);
+        const cycleTime = animation.currentTime % halfCycle;
+
+        for (let i = 0; i < animation.lights.length; i++) {
+            const timeFromPoint = animation.getTravelTime(animation.divergencePoint, i);
+            animation.flashLight(i, cycleTime - timeFromPoint, halfCycle);
+        }
+    }
+});
+
+registerAnimationMode({
+    id: 'brightness-burst',
+    name: 'Brightness Burst',
+    description: 'Dim cycles (low brightness) followed by bright cycles (high brightness), repeating continuously',
+    params: burstCycleParams,
+    init(animation, state) {
+        applyNightPreset(animation);
+
+        const { dimCycles, brightCycles } = animation.burstCadence;
+        state.cycleCount = 0;
+        // Set initial brightness (dim unless there are no dim cycles)
+        const bright = dimCycles === 0;
+        setBurstPhase(animation, state, bright);
+        setBurstBrightness(animation, bright);
+        const statusText = `Cycle 1/${dimCycles + brightCycles} - ${bright ? `BRIGHT (${animation.highBrightness})` : `DIM (${animation.lowBrightness})`}`;
+        console.log(`🌙 Brightness Burst: Started - ${statusText}`);
+        animation.setModeStatus(statusText);
+    },
+    period: animation => animation.cycleDuration * (animation.burstCadence.dimCycles + animation.burstCadence.brightCycles),
+    update(animation, state) {
+        const cycleTime = animation.currentTime % animation.cycleDuration;
+        const { dimCycles, brightCycles } = animation.burstCadence;
+        const totalCycles = dimCycles + brightCycles;
+
+        // Dim cycles then bright cycles, counted from the animation time so seeking lands on the right cycle
+        const cycleCount = Math.floor(animation.currentTime / animation.cycleDuration) % totalCycles;
+
+        // Detect cycle change and update brightness
+        if (cycleCount !== state.cycleCount || totalCycles !== state.totalCycles) {
+            if (cycleCount === 0 && state.totalCycles === totalCycles) {
+                console.log('🔄 Brightness Burst: Resetting cycle count to 0');
+            }
+            state.cycleCount = cycleCount;
+            state.totalCycles = totalCycles;
+
+            // Set brightness based on cycle count
+            const cycleNum = state.cycleCount + 1;
+            let statusText = '';
+
+            if (state.cycleCount < dimCycles) {
+                setBurstPhase(animation, state, false);
+                setBurstBrightness(animation, false);
+                statusText = `Cycle ${cycleNum}/${totalCycles} - DIM (${animation.lowBrightness})`;
+                console.log(`🌙 Brightness Burst: ${statusText}`);
+            } else {
+                setBurstPhase(animation, state, true);
+                setBurstBrightness(animation, true);
+                statusText = `Cycle ${cycleNum}/${totalCycles} - BRIGHT (${animation.highBrightness})`;
+                console.log(`☀️ Brightness Burst: ${statusText}`);
+            }
+
+            animation.setModeStatus(statusText);
+        }
+
+        // Follow the low/high brightness parameters as they're adjusted
+        setBurstBrightness(animation, state.cycleCount >= dimCycles);
+
+        // Run sequential animation with current brightness
+        runSequence(animation, cycleTime, animation.cycleDuration);
+    },
+    teardown(animation, state) {
+        setBurstPhase(animation, state, false);
+    }
+});
+
+/**
+ * Seconds since local midnight by the animation's clock (the system clock unless exporting video)
+ */
+function getClockSeconds(animation) {
+    const now = new Date(animation.now());
+    return now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000;
+}
+
+/**
+ * Format seconds since midnight as H:MM (past midnight wraps to the next day)
+ */
+function formatBurstTime(seconds) {
+    const minutes = Math.floor(seconds / 60) % (24 * 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+registerAnimationMode({
+    id: 'brightness-burst-realtime',
+    name: 'Brightness Burst (Realtime)',
+    description: 'Bright bursts on the clock, 3 cycles every 15 minutes by default (night mode)',
+    params: burstRealtimeParams,
+    init(animation, state) {
+        applyNightPreset(animation);
+
+        state.lastBurstCycleCount = 0;
+        state.lastCycleTime = 0;
+        state.lastBurstStart = null; // Start of the burst period we were last in
+
+        // Set initial brightness based on current clock time
+        const time = getClockSeconds(animation);
+        const { previous } = findBurstStarts(animation.burstCadence, time);
+
+        setBurstPhase(animation, state, time - previous < animation.burstCadence.window);
+        setBurstBrightness(animation, state.bright);
+        console.log(`⏰ Brightness Burst (Realtime): Started ${describeBurstTiming(animation.burstCadence)} - ${state.bright ? `BRIGHT (${animation.highBrightness})` : `DIM (${animation.lowBrightness})`}`);
+    },
+    update(animation, state) {
+        const cadence = animation.burstCadence;
+
+        // Get current time from system clock, and the bursts either side of it
+        const time = getClockSeconds(animation);
+        const { previous, next } = findBurstStarts(cadence, time);
+        const secondsIntoBurst = time - previous;
+        const secondsUntilNextBurst = next - time;
+
+        // Format countdown as MM:SS (H:MM:SS for long gaps)
+        const countdownHours = Math.floor(secondsUntilNextBurst / 3600);
+        const countdownMinutes = Math.floor(secondsUntilNextBurst / 60) % 60;
+        const countdownSeconds = Math.floor(secondsUntilNextBurst % 60);
+        const countdownText = `${countdownHours > 0 ? `${countdownHours}:` : ''}${String(countdownMinutes).padStart(2, '0')}:${String(countdownSeconds).padStart(2, '0')}`;
+
+        // Detect a new burst period starting
+        if (state.lastBurstStart !== null && previous !== state.lastBurstStart) {
+            console.log(`⏰ Burst time ${formatBurstTime(previous)} reached - Starting burst sequence`);
+            state.lastBurstCycleCount = 0;
+        }
+        state.lastBurstStart = previous;
+
+        // Track animation cycle completions
+        const cycleTime = animation.currentTime % animation.cycleDuration;
+        if (cycleTime < state.lastCycleTime) {
+            // Cycle completed
+            if (secondsIntoBurst < cadence.window) {
+                // We're in the burst window
+                state.lastBurstCycleCount++;
+            } else {
+                // Reset burst count when we're outside the burst period
+                state.lastBurstCycleCount = 0;
+            }
+        }
+        state.lastCycleTime = cycleTime;
+
+        // Determine brightness: bright for the first cycles of each burst window, dim otherwise
+        const bright = secondsIntoBurst < cadence.window && state.lastBurstCycleCount < cadence.burstCycles;
+
+        // Update brightness if it changed
+        if (state.bright !== bright) {
+            setBurstPhase(animation, state, bright);
+            setBurstBrightness(animation, bright);
+            const statusText = bright ?
+                `☀️ BRIGHT (${animation.highBrightness})` : `🌙 DIM (${animation.lowBrightness})`;
+            console.log(`⏰ Brightness Burst (Realtime): ${statusText} - Cycle ${state.lastBurstCycleCount + 1}/${cadence.burstCycles}`);
+        }
+
+        // Follow the low/high brightness parameters as they're adjusted
+        setBurstBrightness(animation, state.bright);
+
+        // Update countdown timer in mode description
+        animation.setModeStatus(state.bright ?
+            `BRIGHT - Next burst in: ${countdownText} (${formatBurstTime(next)})` :
+            `DIM - Next burst in: ${countdownText} (${formatBurstTime(next)})`);
+
+        // Run sequential animation with current brightness
+        runSequence(animation, cycleTime, animation.cycleDuration);
+    },
+    teardown(animation, state) {
+        setBurstPhase(animation, state, false);
+    }
+});
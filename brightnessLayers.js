@@ -0,0 +1,80 @@
+/**
+ * Brightness Layers
+ * How the lights' brightness is built up, so no layer overwrites another
+ *
+ * Every light's peak brightness is, in order:
+ *   master      - The Lighting tab slider, on the 0-500000 slider scale
+ *   × schedule  - The night schedule's level for the time of night, relative to full (1 when not following one)
+ *   × mode      - The active mode's modulation, e.g. a brightness burst's dim and bright phases (1 = as set)
+ *   × auto-dim  - Time-of-day auto dimmer, when switched on (1 in daylight, lower at night)
+ *   × trim      - Per-light trim, e.g. to even out a fixture that runs hot (1 = as set)
+ *
+ * Modes and the night schedule only ever change their own layers (a mode's resets to 1 when
+ * the mode changes, the schedule's when it stops), so the user's master setting is never lost.
+ */
+
+export const FULL_BRIGHTNESS = 200000; // slider value for full (1000 internal) intensity
+export const MAX_BRIGHTNESS = 500000;
+export const BRIGHTNESS_TO_INTENSITY = 1 / 200; // slider scale to PointLight intensity (200000 → 1000)
+
+export const MAX_LIGHT_TRIM = 2;
+
+// Auto dimmer level per time-of-day preset: full in daylight so the flashes stay visible,
+// dimmer as it gets dark so they don't glare
+export const AUTO_DIMMER_LEVELS = {
+    day: 1,
+    'golden-hour': 0.8,
+    dawn: 0.6,
+    dusk: 0.6,
+    night: 0.35
+};
+
+export const BRIGHTNESS_LAYERS = [
+    { id: 'master', name: 'Master', description: 'Your brightness setting' },
+    { id: 'schedule', name: 'Schedule', description: 'Set by the night schedule' },
+    { id: 'mode', name: 'Mode', description: 'Set by the active animation mode' },
+    { id: 'autoDimmer', name: 'Auto Dimmer', description: 'Follows the time of day' },
+    { id: 'trim', name: 'Light Trim', description: 'Per-light adjustment' }
+];
+
+/**
+ * Clamp a per-light trim
+ * @param {number} trim - Multiplier (1 = unchanged)
+ * @returns {number}
+ */
+export function normalizeLightTrim(trim) {
+    return Number.isFinite(trim) ? Math.max(0, Math.min(MAX_LIGHT_TRIM, trim)) : 1;
+}
+
+/**
+ * Parse per-light trims written as "light:trim,..." with 1-based light numbers, e.g. "3:0.5,12:1.2"
+ * @param {string} text - Trim list
+ * @param {number} lightCount - Number of lights
+ * @returns {Array<Array<number>>|null} [index, trim] pairs (0-based), or null if invalid
+ */
+export function parseLightTrims(text, lightCount) {
+    const pairs = text.split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair.length > 0)
+        .map(pair => pair.split(':').map(value => Number(value)));
+
+    const valid = pairs.length > 0 && pairs.every(pair =>
+        pair.length === 2 &&
+        Number.isInteger(pair[0]) && pair[0] >= 1 && pair[0] <= lightCount &&
+        pair[1] >= 0 && pair[1] <= MAX_LIGHT_TRIM
+    );
+    return valid ? pairs.map(([light, trim]) => [light - 1, trim]) : null;
+}
+
+/**
+ * Format per-light trims for the URL, as parseLightTrims reads them (lights left at 1 are skipped)
+ * @param {Array<number>} trims - Trim per light index (missing means 1)
+ * @returns {string} e.g. "3:0.5,12:1.2", or '' if no light is trimmed
+ */
+export function formatLightTrims(trims) {
+    return trims
+        .map((trim, index) => [index + 1, trim])
+        .filter(([, trim]) => trim !== undefined && trim !== 1)
+        .map(([light, trim]) => `${light}:${trim}`)
+        .join(',');
+}
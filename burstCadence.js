@@ -0,0 +1,134 @@
+/**
+ * Brightness Burst Cadence
+ * When the brightness-burst modes go bright
+ *
+ * A cadence is a plain object:
+ *   { dimCycles, brightCycles, interval, window, burstCycles, onTheHour, minuteMarks }
+ *   dimCycles, brightCycles - Cycles of each in the Brightness Burst mode's repeating pattern
+ *   interval    - Minutes between realtime bursts, counted from midnight (15 = on the quarter hour)
+ *   window      - Seconds after each burst starts during which bright cycles may run
+ *   burstCycles - Bright cycles per realtime burst (cut short if the window closes first)
+ *   onTheHour   - Burst only at the top of each hour (overrides interval)
+ *   minuteMarks - Minutes past every hour to burst at, e.g. [0, 20, 45] (overrides both)
+ */
+
+const DAY_SECONDS = 24 * 3600;
+
+export const NIGHT_END = 6.5 * 3600; // 06:30, when the upcoming-bursts list stops (as the default night schedule)
+
+export const BURST_LIMITS = {
+    dimCycles: { min: 0, max: 20 },
+    brightCycles: { min: 1, max: 20 },
+    interval: { min: 1, max: 240 },  // minutes
+    window: { min: 5, max: 600 },    // seconds
+    burstCycles: { min: 1, max: 20 }
+};
+
+export const DEFAULT_BURST_CADENCE = {
+    dimCycles: 5,
+    brightCycles: 3,
+    interval: 15,
+    window: 30,
+    burstCycles: 3,
+    onTheHour: false,
+    minuteMarks: []
+};
+
+/**
+ * Parse minute marks written as "0,20,45" (minutes past the hour)
+ * @param {string} text - Minute list (empty for none)
+ * @returns {Array<number>|null} Sorted unique minutes, or null if invalid
+ */
+export function parseMinuteMarks(text) {
+    const values = text.split(',')
+        .map(value => value.trim())
+        .filter(value => value.length > 0);
+    const minutes = values.map(value => Number(value));
+    const valid = minutes.every(minute => Number.isInteger(minute) && minute >= 0 && minute <= 59);
+    return valid ? [...new Set(minutes)].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Fill in defaults and clamp a cadence
+ * @param {object} cadence - Partial cadence
+ * @returns {object} Complete cadence
+ */
+export function normalizeBurstCadence(cadence) {
+    const normalized = {};
+    Object.entries(BURST_LIMITS).forEach(([key, { min, max }]) => {
+        const value = cadence[key];
+        normalized[key] = Number.isFinite(value) ? Math.round(Math.max(min, Math.min(max, value))) : DEFAULT_BURST_CADENCE[key];
+    });
+    normalized.onTheHour = typeof cadence.onTheHour === 'boolean' ? cadence.onTheHour : DEFAULT_BURST_CADENCE.onTheHour;
+    normalized.minuteMarks = Array.isArray(cadence.minuteMarks) ?
+        parseMinuteMarks(cadence.minuteMarks.join(',')) || [] : [];
+
+    // A burst can't outlast the gap before the next one
+    const gap = getBurstStarts(normalized).reduce((shortest, start, i, starts) => {
+        const next = i + 1 < starts.length ? starts[i + 1] : starts[0] + DAY_SECONDS;
+        return Math.min(shortest, next - start);
+    }, Infinity);
+    normalized.window = Math.min(normalized.window, gap);
+
+    return normalized;
+}
+
+/**
+ * Burst start times through one day
+ * @param {object} cadence - Cadence (interval, onTheHour and minuteMarks are used)
+ * @returns {Array<number>} Seconds since midnight, in order
+ */
+export function getBurstStarts(cadence) {
+    if (cadence.minuteMarks.length > 0) {
+        return Array.from({ length: 24 }, (_, hour) => cadence.minuteMarks.map(minute => hour * 3600 + minute * 60)).flat();
+    }
+    const every = (cadence.onTheHour ? 60 : cadence.interval) * 60;
+    return Array.from({ length: Math.ceil(DAY_SECONDS / every) }, (_, i) => i * every);
+}
+
+/**
+ * Describe a cadence's timing, e.g. "every 15 min", "on the hour", "at :00, :20, :45"
+ */
+export function describeBurstTiming(cadence) {
+    if (cadence.minuteMarks.length > 0) {
+        return `at ${cadence.minuteMarks.map(minute => `:${String(minute).padStart(2, '0')}`).join(', ')}`;
+    }
+    if (cadence.onTheHour) return 'on the hour';
+    return `every ${cadence.interval} min`;
+}
+
+/**
+ * Most recent burst start at or before a clock time, and the next one after it
+ * @param {object} cadence - Normalized cadence
+ * @param {number} time - Seconds since local midnight
+ * @returns {object} { previous, next } in seconds since the same midnight (previous may be negative, next past a day)
+ */
+export function findBurstStarts(cadence, time) {
+    const starts = getBurstStarts(cadence);
+    const day = Math.floor(time / DAY_SECONDS) * DAY_SECONDS;
+    const ofDay = time - day;
+    const nextIndex = starts.findIndex(start => start > ofDay);
+    const previous = nextIndex === 0 ? starts[starts.length - 1] - DAY_SECONDS :
+        nextIndex === -1 ? starts[starts.length - 1] : starts[nextIndex - 1];
+    const next = nextIndex === -1 ? starts[0] + DAY_SECONDS : starts[nextIndex];
+    return { previous: day + previous, next: day + next };
+}
+
+/**
+ * Burst starts from a clock time until the end of the night
+ * @param {object} cadence - Normalized cadence
+ * @param {number} time - Seconds since local midnight
+ * @param {number} until - Clock time the night ends (the next one after `time`)
+ * @returns {Array<number>} Seconds since the same midnight, in order (past a day after midnight)
+ */
+export function getUpcomingBursts(cadence, time, until = NIGHT_END) {
+    const end = time + (((until - time) % DAY_SECONDS + DAY_SECONDS) % DAY_SECONDS || DAY_SECONDS);
+    const starts = getBurstStarts(cadence);
+    const bursts = [];
+    for (let day = Math.floor(time / DAY_SECONDS) * DAY_SECONDS; day < end; day += DAY_SECONDS) {
+        starts.forEach(start => {
+            if (day + start > time && day + start < end) bursts.push(day + start);
+        });
+    }
+    return bursts;
+}
@@ -0,0 +1,83 @@
+/**
+ * Burst Controls
+ * Clock times of the realtime brightness bursts still to come tonight
+ */
+
+import { NIGHT_END, describeBurstTiming, getUpcomingBursts } from './burstCadence.js';
+import { formatClockTime } from './nightSchedule.js';
+
+const READOUT_INTERVAL = 0.5; // seconds between list refreshes (follows the clock and cadence changes)
+const MAX_LISTED_BURSTS = 16;
+const BURST_MODE_ID = 'brightness-burst-realtime';
+
+export class BurstControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.listText = '';
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Upcoming Bursts</div>
+            <div id="burst-summary" class="mode-description"></div>
+            <div id="burst-list" class="speed-readout"></div>
+            <div class="controls-info">
+                <small>Bursts by the local clock until ${formatClockTime(NIGHT_END)}. Set the cadence with the mode parameters above.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+    }
+
+    /**
+     * Follow the clock, mode changes and cadence edits
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateUI();
+    }
+
+    /**
+     * Show the list while the realtime burst mode runs
+     */
+    updateUI() {
+        const visible = this.lightAnimation.animationMode === BURST_MODE_ID;
+        this.section.style.display = visible ? '' : 'none';
+        if (!visible) return;
+
+        const cadence = this.lightAnimation.burstCadence;
+        const now = new Date(this.lightAnimation.now()); // The clock the realtime mode runs on
+        const time = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+        const bursts = getUpcomingBursts(cadence, time);
+
+        const lines = bursts.slice(0, MAX_LISTED_BURSTS).map(start => {
+            const minutesAway = Math.round((start - time) / 60);
+            const away = minutesAway >= 60 ? `${Math.floor(minutesAway / 60)} h ${minutesAway % 60} min` : `${minutesAway} min`;
+            return `<strong>${formatClockTime(start, true)}</strong>–${formatClockTime(start + cadence.window, true)} · in ${away}`;
+        });
+        if (bursts.length > MAX_LISTED_BURSTS) {
+            lines.push(`…and ${bursts.length - MAX_LISTED_BURSTS} more`);
+        }
+        if (bursts.length === 0) {
+            lines.push('No more bursts tonight');
+        }
+
+        // Only touch the DOM on change (the list moves once a minute at most)
+        const text = lines.join('<br>');
+        if (text !== this.listText) {
+            this.listText = text;
+            this.section.querySelector('#burst-list').innerHTML = text;
+        }
+        this.section.querySelector('#burst-summary').textContent =
+            `${cadence.burstCycles} bright cycles ${describeBurstTiming(cadence)}, within ${cadence.window} s · ${bursts.length} left tonight`;
+    }
+}
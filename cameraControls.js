@@ -1,9 +1,20 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { getCameraPathDuration, sampleCameraPath } from './cameraPath.js';
+
+/**
+ * Walking-mode look angles that face from one point toward another
+ * @returns {object} { yaw, pitch } in radians (the camera's YXZ euler y and x)
+ */
+export function getLookAngles(from, to) {
+    const lookDirection = new THREE.Vector3().subVectors(to, from).normalize();
+    return { yaw: Math.atan2(lookDirection.x, -lookDirection.z), pitch: Math.asin(lookDirection.y) };
+}
 
 // Camera preset positions and targets
 // Scale: 1 THREE.js unit = 1 foot
-// Installation is ~5104 feet long, centered at origin (from -2552 to 2552)
+// Defaults are for the 2024 installation: ~5104 feet long, centered at origin (from -2552 to 2552)
+// fitPresetsToLayout() moves them to follow the actual layout
 export const CameraPresets = {
     WALKING: {
         name: 'Walking Mode',
@@ -60,7 +71,7 @@ export class CameraController {
         this.isTransitioning = false;
         this.transitionProgress = 0;
         this.transitionDuration = 1.5; // seconds
-        this.transitionStart = null;
+        this.transitionElapsed = 0; // seconds, counted from the frame times passed to update (so exports step it too)
         this.transitionFromPos = new THREE.Vector3();
         this.transitionFromTarget = new THREE.Vector3();
         this.transitionToPos = new THREE.Vector3();
@@ -68,7 +79,8 @@ export class CameraController {
         this.transitionFromFov = 75;
         this.transitionToFov = 75;
         this.isFollowingWave = false;
-        this.wavePosition = 0;
+        this.wavePosition = new THREE.Vector3(0, 4, 0);
+        this.waveDirection = new THREE.Vector3(0, 0, 1);
 
         // Walking mode state
         this.isWalkingMode = false;
@@ -88,6 +100,12 @@ export class CameraController {
         this.gravity = 60; // feet per second squared
         this.groundLevel = 6;
 
+        // Camera path playback (see cameraPath.js)
+        this.path = null;
+        this.pathTime = 0; // seconds into the path
+        this.isPlayingPath = false; // The path drives the camera, playing or held on one moment
+        this.pathPaused = false;
+
         this.initControls();
         this.createUI();
         this.setupWalkingControls();
@@ -147,6 +165,47 @@ export class CameraController {
         if (walkingBtn) walkingBtn.classList.add('active');
     }
 
+    /**
+     * Move the camera presets to match an installation layout
+     * The offsets reproduce the original presets for the default straight 30-light line
+     * @param {InstallationLayout} layout - Current installation layout
+     */
+    fitPresetsToLayout(layout) {
+        const { center, extent } = layout.getBounds();
+        const scale = Math.max(0.2, extent / 5104); // Relative to the 2024 installation length
+        const height = layout.config.height;
+
+        const first = layout.positions[0];
+        const last = layout.positions[layout.positions.length - 1];
+        const startDirection = layout.getDirectionAt(0);
+        const endDirection = layout.getDirectionAt(layout.distances[layout.distances.length - 1]);
+        const startRight = new THREE.Vector3(startDirection.z, 0, -startDirection.x);
+
+        // 38 ft before and 40 ft beside the first light, looking ~150 ft down the line
+        CameraPresets.WALKING.position.copy(first).addScaledVector(startDirection, -38).addScaledVector(startRight, 40).setY(6);
+        CameraPresets.WALKING.target.copy(first).addScaledVector(startDirection, 152).setY(height);
+
+        // 50 ft before the start, looking at the far end
+        CameraPresets.GROUND.position.copy(first).addScaledVector(startDirection, -50).setY(6);
+        CameraPresets.GROUND.target.copy(last).setY(height);
+
+        // Beyond the far end, looking back at the start
+        CameraPresets.GROUND_END.position.copy(last).addScaledVector(endDirection, 48).setY(8);
+        CameraPresets.GROUND_END.target.copy(first).setY(height);
+
+        CameraPresets.ELEVATED.position.set(1200, 600, 1200).multiplyScalar(scale).add(center);
+        CameraPresets.ELEVATED.target.set(0, 0, -500).multiplyScalar(scale).add(center);
+
+        CameraPresets.AERIAL.position.set(0, 4000 * scale, 0).add(center);
+        CameraPresets.AERIAL.target.copy(center);
+
+        CameraPresets.SIDE.position.set(2000, 400, 0).multiplyScalar(scale).add(center);
+        CameraPresets.SIDE.target.copy(center);
+
+        CameraPresets.FOLLOW.position.copy(first).setY(50);
+        CameraPresets.FOLLOW.target.copy(first).setY(height);
+    }
+
     setupWalkingControls() {
         // Keyboard controls for WASD, jump, and run
         document.addEventListener('keydown', (e) => {
@@ -212,26 +271,14 @@ export class CameraController {
         if (!preset) return;
 
         this.currentPreset = presetKey;
-        this.isFollowingWave = preset.isFollowing || false;
-        this.isWalkingMode = preset.isWalking || false;
-
-        // Enable/disable orbit controls based on mode
-        if (this.isWalkingMode) {
-            this.controls.enabled = false;
-            document.exitPointerLock();
-            console.log('Walking mode: Use WASD to move, click to enable mouse look');
-            this.minimapControls?.show();
-        } else {
-            this.controls.enabled = true;
-            document.exitPointerLock();
-            this.minimapControls?.hide();
-        }
+        this.isPlayingPath = false;
+        this.enterPresetMode(preset);
 
         if (animate && !this.isTransitioning) {
             // Start transition
             this.isTransitioning = true;
             this.transitionProgress = 0;
-            this.transitionStart = performance.now();
+            this.transitionElapsed = 0;
 
             // Store current position and target
             this.transitionFromPos.copy(this.camera.position);
@@ -252,19 +299,100 @@ export class CameraController {
 
             // If entering walking mode, set initial look direction
             if (this.isWalkingMode) {
-                const lookDirection = new THREE.Vector3();
-                lookDirection.subVectors(preset.target, preset.position).normalize();
-
-                // Calculate euler angles from look direction
-                this.euler.y = Math.atan2(lookDirection.x, -lookDirection.z);
-                this.euler.x = Math.asin(lookDirection.y);
-                this.euler.z = 0;
+                const { yaw, pitch } = getLookAngles(preset.position, preset.target);
+                this.euler.set(pitch, yaw, 0);
 
                 this.camera.quaternion.setFromEuler(this.euler);
             }
         }
     }
 
+    /**
+     * Switch to a preset's kind of control: walking, following the wave or orbiting
+     */
+    enterPresetMode(preset) {
+        this.isFollowingWave = preset.isFollowing || false;
+        this.isWalkingMode = preset.isWalking || false;
+
+        // Enable/disable orbit controls based on mode
+        if (this.isWalkingMode) {
+            this.controls.enabled = false;
+            document.exitPointerLock();
+            console.log('Walking mode: Use WASD to move, click to enable mouse look');
+            this.minimapControls?.show();
+        } else {
+            this.controls.enabled = true;
+            document.exitPointerLock();
+            this.minimapControls?.hide();
+        }
+    }
+
+    /**
+     * Let a camera path drive the camera
+     * @param {object} path - From cameraPath.js (edits to it show up straight away)
+     * @param {number} time - Seconds into the path to start from
+     * @param {boolean} paused - Hold on that moment instead of playing (e.g. while scrubbing)
+     */
+    playPath(path, time = 0, paused = false) {
+        if (!this.isPlayingPath) {
+            this.isPlayingPath = true;
+            this.isTransitioning = false;
+            this.isFollowingWave = false;
+            this.isWalkingMode = false;
+            this.controls.enabled = false;
+            document.exitPointerLock();
+            this.minimapControls?.hide();
+        }
+        this.path = path;
+        this.pathTime = time;
+        this.pathPaused = paused;
+        this.showPathFrame();
+    }
+
+    /**
+     * Give the camera back to the current preset's controls, from wherever the path left it
+     */
+    stopPath() {
+        if (!this.isPlayingPath) return;
+        this.isPlayingPath = false;
+
+        const preset = CameraPresets[this.currentPreset];
+        this.enterPresetMode(preset);
+        // The view's own field of view (URLs and scenarios don't record a path's)
+        this.camera.fov = preset.fov;
+        this.camera.updateProjectionMatrix();
+        if (this.isWalkingMode) {
+            const { yaw, pitch } = getLookAngles(this.camera.position, this.controls.target);
+            this.euler.set(pitch, yaw, 0);
+            this.camera.quaternion.setFromEuler(this.euler);
+        }
+    }
+
+    /**
+     * Move the camera to the path's current moment
+     */
+    showPathFrame() {
+        const view = sampleCameraPath(this.path, this.pathTime, { position: this.wavePosition, direction: this.waveDirection });
+        if (!view) return;
+
+        this.camera.position.copy(view.position);
+        this.controls.target.copy(view.target);
+        this.camera.fov = view.fov;
+        this.camera.updateProjectionMatrix();
+        this.camera.lookAt(view.target);
+    }
+
+    /**
+     * What the camera shows now, for recording keyframes
+     * @returns {object} { position, target, fov } (in walking mode the target is 100 ft ahead)
+     */
+    getView() {
+        const target = this.isWalkingMode ?
+            this.camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(100).add(this.camera.position) :
+            this.controls.target.clone();
+        return { position: this.camera.position.clone(), target, fov: this.camera.fov };
+    }
+
     teleportToPosition(position, euler, duration = 1.0) {
         if (!this.isWalkingMode) {
             this.setPreset('WALKING', false);
@@ -279,7 +407,7 @@ export class CameraController {
 
         this.isTransitioning = true;
         this.transitionProgress = 0;
-        this.transitionStart = performance.now();
+        this.transitionElapsed = 0;
         this.transitionDuration = duration;
 
         this.transitionFromPos.copy(this.camera.position);
@@ -291,16 +419,36 @@ export class CameraController {
         this.transitionToFov = 75;
     }
 
-    update(deltaTime, wavePosition) {
-        // Update wave position for following camera
-        if (wavePosition !== undefined) {
-            this.wavePosition = wavePosition;
+    update(deltaTime, wavePosition, waveDirection) {
+        // Update wave position and direction for following camera
+        if (wavePosition) {
+            this.wavePosition.copy(wavePosition);
+        }
+        if (waveDirection) {
+            this.waveDirection.copy(waveDirection);
+        }
+
+        // Play a camera path; nothing else moves the camera meanwhile
+        if (this.isPlayingPath) {
+            if (!this.pathPaused) {
+                this.pathTime += deltaTime;
+                const duration = getCameraPathDuration(this.path);
+                if (this.path.loop && duration > 0) {
+                    this.pathTime %= duration;
+                } else if (this.pathTime >= duration) {
+                    // Hold on the last keyframe until stopped
+                    this.pathTime = duration;
+                    this.pathPaused = true;
+                }
+            }
+            this.showPathFrame();
+            return;
         }
 
         // Handle camera transitions
         if (this.isTransitioning) {
-            const elapsed = (performance.now() - this.transitionStart) / 1000;
-            this.transitionProgress = Math.min(elapsed / this.transitionDuration, 1);
+            this.transitionElapsed += deltaTime;
+            this.transitionProgress = Math.min(this.transitionElapsed / this.transitionDuration, 1);
 
             // Smooth easing function (ease-in-out)
             const t = this.transitionProgress < 0.5
@@ -349,13 +497,8 @@ export class CameraController {
                         this.transitionFromEuler = null;
                     } else {
                         // Standard preset transition
-                        const lookDirection = new THREE.Vector3();
-                        lookDirection.subVectors(this.transitionToTarget, this.camera.position).normalize();
-
-                        // Calculate euler angles from look direction
-                        this.euler.y = Math.atan2(lookDirection.x, -lookDirection.z);
-                        this.euler.x = Math.asin(lookDirection.y);
-                        this.euler.z = 0;
+                        const { yaw, pitch } = getLookAngles(this.camera.position, this.transitionToTarget);
+                        this.euler.set(pitch, yaw, 0);
 
                         this.camera.quaternion.setFromEuler(this.euler);
                     }
@@ -366,15 +509,11 @@ export class CameraController {
         // Handle following wave mode
         if (this.isFollowingWave && !this.isTransitioning) {
             // Update camera to follow the wave
-            // Offset: 50 feet high, 100 feet behind the current light
-            const offset = new THREE.Vector3(0, 50, 100);
-            this.camera.position.set(
-                offset.x,
-                offset.y,
-                this.wavePosition + offset.z
-            );
+            // Offset: 50 feet high, 100 feet ahead of the wave along its direction of travel
+            this.camera.position.copy(this.wavePosition).addScaledVector(this.waveDirection, 100);
+            this.camera.position.y = 50;
             // Look at the current wave position
-            this.controls.target.set(0, 4, this.wavePosition);
+            this.controls.target.copy(this.wavePosition);
         }
 
         // Handle walking mode
@@ -427,8 +566,12 @@ export class CameraController {
         }
     }
 
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+    /**
+     * @param {number} width - Canvas width in pixels (defaults to the window's)
+     * @param {number} height - Canvas height in pixels
+     */
+    onWindowResize(width = window.innerWidth, height = window.innerHeight) {
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
     }
 }
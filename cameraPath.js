@@ -0,0 +1,294 @@
+/**
+ * Camera Paths
+ * Keyframed flythroughs: camera position, target and field of view over time, played
+ * back along smooth splines
+ *
+ * File format (version 1):
+ * {
+ *   "version": 1,
+ *   "name": "Opening Flythrough",
+ *   "loop": false,              // start again after the last keyframe (default false)
+ *   "keyframes": [
+ *     { "time": 0, "position": [40, 6, -2590], "target": [0, 4, -2400], "fov": 75 },
+ *     { "time": 6, "position": [1200, 600, 1200], "target": [0, 0, -500], "fov": 60, "easing": "ease-in-out" },
+ *     { "time": 12, "position": [0, 50, 100], "target": [0, 4, 0], "fov": 70, "lockToWave": true }
+ *   ]
+ * }
+ *
+ * Times are in seconds from the start of the path. Positions are in feet (+X east, +Z north).
+ * A keyframe's easing shapes the move from it to the next keyframe (default "ease-in-out").
+ * Keyframes locked to the wave are relative to the wave front, as in the Following Wave view:
+ * x is to the right of the wave, z ahead of it along its direction of travel, and y the
+ * height above the ground, so the camera keeps up with the wave wherever it is.
+ */
+
+import * as THREE from 'three';
+
+export const CAMERA_PATH_STORAGE_KEY = 'speed-of-earth-camera-path';
+export const CAMERA_PATH_FILE_NAME = 'camera-path.json';
+export const MIN_PATH_FOV = 10; // degrees
+export const MAX_PATH_FOV = 120;
+
+export const CAMERA_EASINGS = {
+    linear: {
+        name: 'Linear',
+        evaluate: p => p
+    },
+    'ease-in': {
+        name: 'Ease In',
+        evaluate: p => p * p
+    },
+    'ease-out': {
+        name: 'Ease Out',
+        evaluate: p => 1 - (1 - p) * (1 - p)
+    },
+    'ease-in-out': {
+        name: 'Ease In/Out',
+        // Same curve as the preset transitions
+        evaluate: p => p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2
+    }
+};
+
+const DEFAULT_EASING = 'ease-in-out';
+
+/**
+ * A new keyframe with defaults filled in
+ * @param {object} keyframe - { time, position, target, fov, easing, lockToWave } (vectors are copied)
+ * @returns {object} Keyframe
+ */
+export function createKeyframe({ time = 0, position, target, fov = 75, easing = DEFAULT_EASING, lockToWave = false }) {
+    return {
+        time,
+        position: position.clone(),
+        target: target.clone(),
+        fov,
+        easing,
+        lockToWave
+    };
+}
+
+/**
+ * Validate and normalize a parsed camera path file
+ * @param {object} data - Parsed JSON
+ * @returns {object} Path as { name, loop, keyframes } with keyframes in time order
+ * @throws {Error} With a message describing the first problem
+ */
+export function parseCameraPath(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Camera path file must be a JSON object');
+    }
+    if (data.version !== undefined && data.version !== 1) {
+        throw new Error(`Unsupported camera path version ${data.version} (expected 1)`);
+    }
+    if (!Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+        throw new Error('Camera path file needs a non-empty "keyframes" array');
+    }
+
+    const keyframes = data.keyframes.map((keyframe, index) => {
+        const path = `keyframes[${index}]`;
+        if (!keyframe || typeof keyframe !== 'object') {
+            throw new Error(`${path}: keyframe must be an object`);
+        }
+        const easing = keyframe.easing ?? DEFAULT_EASING;
+        if (!CAMERA_EASINGS[easing]) {
+            throw new Error(`${path}.easing: expected one of ${Object.keys(CAMERA_EASINGS).join(', ')}`);
+        }
+        const fov = keyframe.fov ?? 75;
+        if (typeof fov !== 'number' || !(fov >= MIN_PATH_FOV && fov <= MAX_PATH_FOV)) {
+            throw new Error(`${path}.fov: expected a number from ${MIN_PATH_FOV} to ${MAX_PATH_FOV}`);
+        }
+        return createKeyframe({
+            time: requireNumber(keyframe.time, `${path}.time`, 0),
+            position: requireVector(keyframe.position, `${path}.position`),
+            target: requireVector(keyframe.target, `${path}.target`),
+            fov,
+            easing,
+            lockToWave: keyframe.lockToWave === true
+        });
+    });
+
+    keyframes.sort((a, b) => a.time - b.time);
+    keyframes.forEach((keyframe, index) => {
+        if (index > 0 && keyframe.time === keyframes[index - 1].time) {
+            throw new Error(`Two keyframes at ${keyframe.time} s (each needs its own time)`);
+        }
+    });
+
+    return {
+        name: typeof data.name === 'string' && data.name ? data.name : 'Untitled Path',
+        loop: data.loop === true,
+        keyframes
+    };
+}
+
+function requireNumber(value, path, min = -Infinity) {
+    if (typeof value !== 'number' || !isFinite(value) || value < min) {
+        throw new Error(`${path}: expected a number${min > -Infinity ? ` >= ${min}` : ''}`);
+    }
+    return value;
+}
+
+function requireVector(value, path) {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(v => typeof v === 'number' && isFinite(v))) {
+        throw new Error(`${path}: expected [x, y, z] in feet`);
+    }
+    return new THREE.Vector3(...value);
+}
+
+/**
+ * Parse camera path JSON text
+ * @param {string} text - File contents
+ * @returns {object} Normalized path
+ * @throws {Error} If the text isn't valid JSON or a valid camera path
+ */
+export function loadCameraPathFromText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return parseCameraPath(data);
+}
+
+/**
+ * Write a path as a camera path file
+ * @returns {string} JSON text
+ */
+export function formatCameraPath(path) {
+    const round = vector => vector.toArray().map(value => Number(value.toFixed(2)));
+    return JSON.stringify({
+        version: 1,
+        name: path.name,
+        loop: path.loop,
+        keyframes: path.keyframes.map(keyframe => ({
+            time: Number(keyframe.time.toFixed(3)),
+            position: round(keyframe.position),
+            target: round(keyframe.target),
+            fov: Number(keyframe.fov.toFixed(1)),
+            easing: keyframe.easing,
+            ...(keyframe.lockToWave ? { lockToWave: true } : {})
+        }))
+    }, null, 2);
+}
+
+/**
+ * The path kept in this browser between visits
+ * @returns {object|null} Path, or null if none was kept (or it can't be read)
+ */
+export function loadStoredCameraPath() {
+    try {
+        const text = window.localStorage.getItem(CAMERA_PATH_STORAGE_KEY);
+        return text ? loadCameraPathFromText(text) : null;
+    } catch (error) {
+        console.warn(`⚠️ Saved camera path could not be read: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Keep a path in this browser (an empty path clears it)
+ * @returns {boolean} False if the browser refused (private mode, storage full)
+ */
+export function storeCameraPath(path) {
+    try {
+        if (path.keyframes.length > 0) {
+            window.localStorage.setItem(CAMERA_PATH_STORAGE_KEY, formatCameraPath(path));
+        } else {
+            window.localStorage.removeItem(CAMERA_PATH_STORAGE_KEY);
+        }
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Camera path could not be saved: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * @returns {number} Seconds from the start of the path to the last keyframe
+ */
+export function getCameraPathDuration(path) {
+    const { keyframes } = path;
+    return keyframes.length > 0 ? keyframes[keyframes.length - 1].time : 0;
+}
+
+/**
+ * Directions of the wave's frame: right of the wave and ahead along its travel (both level)
+ * @param {object} wave - { position, direction } of the wave front
+ */
+function waveAxes(wave) {
+    const ahead = new THREE.Vector3(wave.direction.x, 0, wave.direction.z).normalize();
+    const right = new THREE.Vector3(ahead.z, 0, -ahead.x);
+    return { ahead, right };
+}
+
+/**
+ * Convert a point relative to the wave (x right, y height, z ahead) to world coordinates
+ * @param {THREE.Vector3} point - In the wave's frame
+ * @param {object} wave - { position, direction } of the wave front
+ * @param {THREE.Vector3} out - Receives the world point
+ */
+export function fromWaveFrame(point, wave, out = new THREE.Vector3()) {
+    const { ahead, right } = waveAxes(wave);
+    return out.copy(wave.position).addScaledVector(right, point.x).addScaledVector(ahead, point.z).setY(point.y);
+}
+
+/**
+ * Convert a world point to the wave's frame (the reverse of fromWaveFrame)
+ */
+export function toWaveFrame(point, wave, out = new THREE.Vector3()) {
+    const { ahead, right } = waveAxes(wave);
+    const offset = new THREE.Vector3().subVectors(point, wave.position);
+    return out.set(offset.dot(right), point.y, offset.dot(ahead));
+}
+
+/**
+ * Catmull-Rom spline through p1 and p2 (p0 and p3 shape the tangents)
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * ((2 * p1) + (-p0 + p2) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+}
+
+/**
+ * Where the camera is at a time on the path
+ * @param {object} path - { keyframes, loop }
+ * @param {number} time - Seconds (wrapped when the path loops, held at the ends otherwise)
+ * @param {object} wave - { position, direction } of the wave front, for keyframes locked to it
+ * @returns {object|null} { position, target, fov }, or null for a path without keyframes
+ */
+export function sampleCameraPath(path, time, wave) {
+    const { keyframes } = path;
+    if (keyframes.length === 0) return null;
+
+    const duration = getCameraPathDuration(path);
+    const t = path.loop && duration > 0 ? ((time % duration) + duration) % duration : Math.max(0, Math.min(duration, time));
+
+    // Segment from keyframe i to i + 1 (the ends hold the first and last keyframes)
+    let i = 0;
+    while (i < keyframes.length - 2 && t >= keyframes[i + 1].time) i++;
+    const from = keyframes[i];
+    const to = keyframes[Math.min(i + 1, keyframes.length - 1)];
+    const span = to.time - from.time;
+    const progress = span > 0 ? Math.max(0, Math.min(1, (t - from.time) / span)) : 0;
+    const eased = CAMERA_EASINGS[from.easing].evaluate(progress);
+
+    // Neighbours shape the curve through the segment (repeated at the ends)
+    const points = [keyframes[Math.max(i - 1, 0)], from, to, keyframes[Math.min(i + 2, keyframes.length - 1)]];
+    const resolve = (keyframe, field) => keyframe.lockToWave ? fromWaveFrame(keyframe[field], wave) : keyframe[field];
+    const spline = field => {
+        const [p0, p1, p2, p3] = points.map(keyframe => resolve(keyframe, field));
+        return new THREE.Vector3(
+            catmullRom(p0.x, p1.x, p2.x, p3.x, eased),
+            catmullRom(p0.y, p1.y, p2.y, p3.y, eased),
+            catmullRom(p0.z, p1.z, p2.z, p3.z, eased)
+        );
+    };
+
+    return {
+        position: spline('position'),
+        target: spline('target'),
+        fov: Math.max(MIN_PATH_FOV, Math.min(MAX_PATH_FOV, catmullRom(...points.map(keyframe => keyframe.fov), eased)))
+    };
+}
@@ -0,0 +1,432 @@
+/**
+ * Camera Path Controls
+ * Record camera keyframes, edit their timing, easing and field of view, and play them
+ * back as a repeatable flythrough
+ */
+
+import {
+    CAMERA_EASINGS, CAMERA_PATH_FILE_NAME, MAX_PATH_FOV, MIN_PATH_FOV, createKeyframe, formatCameraPath,
+    fromWaveFrame, getCameraPathDuration, loadCameraPathFromText, loadStoredCameraPath, storeCameraPath, toWaveFrame
+} from './cameraPath.js';
+
+const KEYFRAME_GAP = 3; // seconds after the last keyframe for an added one
+const RECORD_INTERVAL = 1; // seconds between keyframes while recording
+
+export class CameraPathControls {
+    /**
+     * @param {CameraController} cameraController - Camera the path drives
+     * @param {HTMLElement} container - Camera tab
+     */
+    constructor(cameraController, container) {
+        this.cameraController = cameraController;
+        this.container = container;
+        this.path = loadStoredCameraPath() || { name: 'Untitled Path', loop: false, keyframes: [] };
+        this.recording = false;
+        this.sinceKeyframe = 0; // seconds since the last recorded keyframe
+        this.scrubbing = false; // While dragging, the scrubber isn't moved by playback
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Camera Path</div>
+            <input type="text" id="camera-path-name" class="curve-points-input" placeholder="Path name" maxlength="60">
+
+            <div class="mode-param">
+                <label>Time (s): </label>
+                <input type="range" id="camera-path-scrubber" class="mode-param-slider" min="0" step="any" value="0">
+                <span id="camera-path-time" class="mode-param-value">0.0</span>
+            </div>
+            <div class="wave-buttons">
+                <button id="camera-path-play-btn" class="reset-params-btn">▶ Play</button>
+                <button id="camera-path-stop-btn" class="reset-params-btn">■ Stop</button>
+            </div>
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="camera-path-loop" class="display-checkbox">
+                    <span>Loop</span>
+                </label>
+            </div>
+
+            <div id="camera-keyframe-list" class="keyframe-list"></div>
+
+            <div class="wave-buttons">
+                <button id="camera-keyframe-add-btn" class="reset-params-btn">Add Keyframe</button>
+                <button id="camera-path-record-btn" class="reset-params-btn">● Record</button>
+            </div>
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="camera-keyframe-lock" class="display-checkbox">
+                    <span>Lock new keyframes to the wave</span>
+                </label>
+            </div>
+
+            <div class="wave-buttons">
+                <button id="camera-path-save-btn" class="reset-params-btn">Save Path (.json)</button>
+                <button id="camera-path-clear-btn" class="reset-params-btn">Clear</button>
+            </div>
+            <label class="file-button">
+                <input type="file" id="camera-path-file-input" accept=".json,application/json">
+                <span>Load Path File (.json)</span>
+            </label>
+            <div id="camera-path-status" class="show-status"></div>
+
+            <div class="controls-info">
+                <small>Add Keyframe captures the current view; Record captures one every second while you move the camera. The camera follows a smooth curve through the keyframes.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        const nameInput = section.querySelector('#camera-path-name');
+        nameInput.addEventListener('change', () => {
+            this.path.name = nameInput.value.trim() || 'Untitled Path';
+            this.persist();
+        });
+
+        const scrubber = section.querySelector('#camera-path-scrubber');
+        scrubber.addEventListener('pointerdown', () => this.scrubbing = true);
+        scrubber.addEventListener('pointerup', () => this.scrubbing = false);
+        scrubber.addEventListener('change', () => this.scrubbing = false);
+        scrubber.addEventListener('input', () => this.seek(parseFloat(scrubber.value)));
+
+        section.querySelector('#camera-path-play-btn').addEventListener('click', () => this.togglePlay());
+        section.querySelector('#camera-path-stop-btn').addEventListener('click', () => this.stop());
+
+        section.querySelector('#camera-path-loop').addEventListener('change', (e) => {
+            this.path.loop = e.target.checked;
+            this.persist();
+        });
+
+        section.querySelector('#camera-keyframe-add-btn').addEventListener('click', () => {
+            const { keyframes } = this.path;
+            this.addKeyframe(keyframes.length > 0 ? keyframes[keyframes.length - 1].time + KEYFRAME_GAP : 0);
+        });
+        section.querySelector('#camera-path-record-btn').addEventListener('click', () => this.setRecording(!this.recording));
+
+        section.querySelector('#camera-path-save-btn').addEventListener('click', () => this.save());
+        section.querySelector('#camera-path-clear-btn').addEventListener('click', () => {
+            if (this.path.keyframes.length === 0 || !window.confirm('Remove every keyframe from the camera path?')) return;
+            this.stop();
+            this.path.keyframes = [];
+            this.persist();
+            this.renderKeyframes();
+            this.setStatus('Path cleared');
+        });
+
+        const fileInput = section.querySelector('#camera-path-file-input');
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                this.load(loadCameraPathFromText(await file.text()), file.name);
+            } catch (error) {
+                this.setStatus(`⚠️ ${file.name}: ${error.message}`, true);
+                console.warn(`⚠️ Camera path file "${file.name}": ${error.message}`);
+            }
+
+            // Allow re-loading the same file after editing it
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * The wave front, for keyframes locked to it
+     */
+    getWave() {
+        return { position: this.cameraController.wavePosition, direction: this.cameraController.waveDirection };
+    }
+
+    /**
+     * Keyframe fields for the current view
+     * @param {boolean} lockToWave - Relative to the wave front instead of the ground
+     */
+    captureView(lockToWave) {
+        const view = this.cameraController.getView();
+        if (lockToWave) {
+            toWaveFrame(view.position, this.getWave(), view.position);
+            toWaveFrame(view.target, this.getWave(), view.target);
+        }
+        return {
+            position: view.position,
+            target: view.target,
+            fov: Math.max(MIN_PATH_FOV, Math.min(MAX_PATH_FOV, view.fov)),
+            lockToWave
+        };
+    }
+
+    /**
+     * Add a keyframe showing the current view
+     * @param {number} time - Seconds into the path
+     */
+    addKeyframe(time) {
+        const lockToWave = this.section.querySelector('#camera-keyframe-lock').checked;
+        this.path.keyframes.push(createKeyframe({ time, ...this.captureView(lockToWave) }));
+        this.persist();
+        this.renderKeyframes();
+    }
+
+    /**
+     * Start or stop adding a keyframe every RECORD_INTERVAL seconds
+     */
+    setRecording(recording) {
+        if (recording) {
+            this.stop();
+            const { keyframes } = this.path;
+            this.recordTime = keyframes.length > 0 ? keyframes[keyframes.length - 1].time + RECORD_INTERVAL : 0;
+            this.sinceKeyframe = 0;
+            this.addKeyframe(this.recordTime);
+            this.setStatus('Recording: move the camera, then stop recording');
+            console.log('🎥 Recording camera path');
+        } else if (this.recording) {
+            this.setStatus(`Recorded up to ${this.recordTime.toFixed(1)} s`);
+            console.log(`🎥 Camera path recorded: ${this.path.keyframes.length} keyframes`);
+        }
+        this.recording = recording;
+        this.updateButtons();
+    }
+
+    togglePlay() {
+        const controller = this.cameraController;
+        if (this.path.keyframes.length < 2) {
+            this.setStatus('Add at least two keyframes to play the path', true);
+            return;
+        }
+        this.setRecording(false);
+
+        if (controller.isPlayingPath && !controller.pathPaused) {
+            controller.pathPaused = true;
+        } else {
+            // From the end, play again from the start
+            const atEnd = controller.pathTime >= getCameraPathDuration(this.path);
+            controller.playPath(this.path, controller.isPlayingPath && !atEnd ? controller.pathTime : 0);
+            console.log(`🎥 Playing camera path "${this.path.name}" (${getCameraPathDuration(this.path).toFixed(1)} s)`);
+        }
+        this.updateButtons();
+    }
+
+    /**
+     * Hand the camera back to the selected view
+     */
+    stop() {
+        this.cameraController.stopPath();
+        this.cameraController.pathTime = 0;
+        this.updateButtons();
+    }
+
+    /**
+     * Show the path at a moment without playing it
+     * @param {number} time - Seconds into the path
+     */
+    seek(time) {
+        if (this.path.keyframes.length === 0) return;
+        this.setRecording(false);
+        this.cameraController.playPath(this.path, time, true);
+        this.updateButtons();
+    }
+
+    /**
+     * Replace the path with one from a file
+     * @param {object} path - Parsed path
+     * @param {string} source - File name for the status line
+     */
+    load(path, source) {
+        this.setRecording(false);
+        this.stop();
+        this.path = path;
+        this.persist();
+        this.updateUI();
+        this.setStatus(`Loaded "${path.name}" from ${source}`);
+        console.log(`🎥 Camera path loaded: "${path.name}" (${path.keyframes.length} keyframes, ${getCameraPathDuration(path).toFixed(1)}s)`);
+    }
+
+    /**
+     * Download the path as a JSON file
+     */
+    save() {
+        if (this.path.keyframes.length === 0) {
+            this.setStatus('No keyframes to save yet', true);
+            return;
+        }
+        const blob = new Blob([formatCameraPath(this.path)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = CAMERA_PATH_FILE_NAME;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.setStatus(`Saved "${this.path.name}"`);
+    }
+
+    /**
+     * Keep the path in this browser after every edit
+     */
+    persist() {
+        if (!storeCameraPath(this.path)) {
+            this.setStatus('⚠️ This browser won\'t keep the path: save it to a file', true);
+        }
+    }
+
+    setStatus(text, isError = false) {
+        const status = this.section.querySelector('#camera-path-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * One editable block per keyframe, in time order
+     */
+    renderKeyframes() {
+        const { keyframes } = this.path;
+        keyframes.sort((a, b) => a.time - b.time);
+        const list = this.section.querySelector('#camera-keyframe-list');
+        list.innerHTML = '';
+
+        keyframes.forEach((keyframe, index) => {
+            const item = document.createElement('div');
+            item.className = 'keyframe-item';
+            item.innerHTML = `
+                <div class="keyframe-header">
+                    <span>Keyframe ${index + 1}</span>
+                    <span>
+                        <button class="keyframe-btn" data-action="view" title="Show this keyframe">👁</button>
+                        <button class="keyframe-btn" data-action="capture" title="Replace with the current view">📍</button>
+                        <button class="keyframe-btn keyframe-remove-btn" data-action="remove" title="Remove keyframe">✕</button>
+                    </span>
+                </div>
+                <div class="keyframe-fields">
+                    <label>Time (s) <input type="number" class="keyframe-input" data-field="time" min="0" step="0.1" value="${keyframe.time}"></label>
+                    <label>FOV (°) <input type="number" class="keyframe-input" data-field="fov"
+                        min="${MIN_PATH_FOV}" max="${MAX_PATH_FOV}" step="1" value="${Math.round(keyframe.fov)}"></label>
+                </div>
+                <div class="keyframe-fields">
+                    <select class="mode-selector" data-field="easing" title="Easing on the way to the next keyframe">
+                        ${Object.entries(CAMERA_EASINGS).map(([key, easing]) => `
+                            <option value="${key}">${easing.name}</option>
+                        `).join('')}
+                    </select>
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="display-checkbox" data-field="lockToWave">
+                        <span>Lock to wave</span>
+                    </label>
+                </div>
+            `;
+
+            const timeInput = item.querySelector('[data-field="time"]');
+            timeInput.addEventListener('change', () => {
+                const time = parseFloat(timeInput.value);
+                const taken = keyframes.some(other => other !== keyframe && other.time === time);
+                if (!(time >= 0) || taken) {
+                    timeInput.classList.add('error');
+                    return;
+                }
+                keyframe.time = time;
+                this.persist();
+                this.renderKeyframes();
+            });
+
+            const fovInput = item.querySelector('[data-field="fov"]');
+            fovInput.addEventListener('change', () => {
+                const fov = parseFloat(fovInput.value);
+                if (!(fov >= MIN_PATH_FOV && fov <= MAX_PATH_FOV)) {
+                    fovInput.classList.add('error');
+                    return;
+                }
+                fovInput.classList.remove('error');
+                keyframe.fov = fov;
+                this.persist();
+            });
+
+            const easing = item.querySelector('[data-field="easing"]');
+            easing.value = keyframe.easing;
+            easing.addEventListener('change', () => {
+                keyframe.easing = easing.value;
+                this.persist();
+            });
+
+            // Switching frames keeps the keyframe where it is now, relative to where the wave is now
+            const lock = item.querySelector('[data-field="lockToWave"]');
+            lock.checked = keyframe.lockToWave;
+            lock.addEventListener('change', () => {
+                const convert = lock.checked ? toWaveFrame : fromWaveFrame;
+                convert(keyframe.position, this.getWave(), keyframe.position);
+                convert(keyframe.target, this.getWave(), keyframe.target);
+                keyframe.lockToWave = lock.checked;
+                this.persist();
+            });
+
+            item.querySelectorAll('.keyframe-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    switch (button.dataset.action) {
+                        case 'view':
+                            this.seek(keyframe.time);
+                            break;
+                        case 'capture':
+                            Object.assign(keyframe, this.captureView(keyframe.lockToWave));
+                            this.persist();
+                            this.renderKeyframes();
+                            break;
+                        case 'remove':
+                            keyframes.splice(keyframes.indexOf(keyframe), 1);
+                            if (keyframes.length === 0) this.stop();
+                            this.persist();
+                            this.renderKeyframes();
+                            break;
+                    }
+                });
+            });
+
+            list.appendChild(item);
+        });
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        const controller = this.cameraController;
+        const playing = controller.isPlayingPath && !controller.pathPaused;
+        this.section.querySelector('#camera-path-play-btn').textContent = playing ? '⏸ Pause' : '▶ Play';
+        this.section.querySelector('#camera-path-play-btn').disabled = this.path.keyframes.length < 2;
+        this.section.querySelector('#camera-path-stop-btn').disabled = !controller.isPlayingPath;
+        this.section.querySelector('#camera-path-record-btn').textContent = this.recording ? '■ Stop Recording' : '● Record';
+        this.section.querySelector('#camera-path-record-btn').classList.toggle('active', this.recording);
+        this.section.querySelector('#camera-path-scrubber').max = getCameraPathDuration(this.path);
+    }
+
+    /**
+     * Sync the controls with the path
+     */
+    updateUI() {
+        this.section.querySelector('#camera-path-name').value = this.path.name;
+        this.section.querySelector('#camera-path-loop').checked = this.path.loop;
+        this.renderKeyframes();
+    }
+
+    /**
+     * Record keyframes and follow playback
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        const controller = this.cameraController;
+        if (this.recording) {
+            this.sinceKeyframe += deltaTime;
+            if (this.sinceKeyframe >= RECORD_INTERVAL) {
+                this.sinceKeyframe -= RECORD_INTERVAL;
+                this.recordTime += RECORD_INTERVAL;
+                this.addKeyframe(this.recordTime);
+            }
+        }
+
+        const time = controller.isPlayingPath ? controller.pathTime : 0;
+        if (!this.scrubbing) {
+            this.section.querySelector('#camera-path-scrubber').value = time;
+        }
+        this.section.querySelector('#camera-path-time').textContent = time.toFixed(1);
+
+        // Playback holds at the end by itself, and preset buttons take the camera back
+        this.updateButtons();
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Clock Controls
+ * Controller clock presets, per-light clock editing and a readout of drift over playback
+ */
+
+import { CLOCK_LIMITS, CLOCK_PRESETS, clockSpread, timeUntilOutOfOrder } from './clockDrift.js';
+
+const READOUT_INTERVAL = 0.5; // seconds between readout refreshes
+const PROJECTION_HOURS = [1, 8, 24];
+
+/**
+ * Format seconds as h:mm:ss
+ */
+function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * Format a time error in the most readable unit
+ */
+function formatError(seconds) {
+    const abs = Math.abs(seconds);
+    if (abs >= 1) return `${seconds.toFixed(2)} s`;
+    if (abs >= 0.001) return `${(seconds * 1000).toFixed(1)} ms`;
+    return `${(seconds * 1e6).toFixed(0)} µs`;
+}
+
+export class ClockControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.selectedLight = 0;
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Controller Clocks</div>
+
+            <div class="mode-select-container">
+                <select id="clock-preset-selector" class="mode-selector">
+                    ${Object.entries(CLOCK_PRESETS).map(([key, preset]) => `
+                        <option value="${key}">${preset.name}</option>
+                    `).join('')}
+                    <option value="custom" disabled>Custom</option>
+                </select>
+                <div id="clock-preset-description" class="mode-description"></div>
+            </div>
+            <button id="clock-reroll-btn" class="reset-params-btn">Re-roll Clocks</button>
+
+            <div class="mode-param">
+                <label for="clock-light-slider">Light: </label>
+                <input type="range" id="clock-light-slider" class="mode-param-slider" min="0" step="1">
+                <span id="clock-light-value" class="mode-param-value"></span>
+            </div>
+            <div class="mode-param">
+                <label for="clock-offset-slider">Offset (ms): </label>
+                <input type="range" id="clock-offset-slider" class="mode-param-slider" data-field="offset" data-scale="1000"
+                    min="${CLOCK_LIMITS.offset.min * 1000}" max="${CLOCK_LIMITS.offset.max * 1000}" step="0.1">
+                <span class="mode-param-value" data-value-for="offset"></span>
+            </div>
+            <div class="mode-param">
+                <label for="clock-drift-slider">Drift (ppm): </label>
+                <input type="range" id="clock-drift-slider" class="mode-param-slider" data-field="drift" data-scale="1"
+                    min="${CLOCK_LIMITS.drift.min}" max="${CLOCK_LIMITS.drift.max}" step="0.1">
+                <span class="mode-param-value" data-value-for="drift"></span>
+            </div>
+            <div class="mode-param">
+                <label for="clock-jitter-slider">Jitter (ms): </label>
+                <input type="range" id="clock-jitter-slider" class="mode-param-slider" data-field="jitter" data-scale="1000"
+                    min="${CLOCK_LIMITS.jitter.min * 1000}" max="${CLOCK_LIMITS.jitter.max * 1000}" step="0.01">
+                <span class="mode-param-value" data-value-for="jitter"></span>
+            </div>
+
+            <canvas id="clock-error-chart" class="flash-preview" width="240" height="80"></canvas>
+            <div id="clock-readout" class="speed-readout"></div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+        this.canvas = section.querySelector('#clock-error-chart');
+
+        section.querySelector('#clock-preset-selector').addEventListener('change', (e) => {
+            this.lightAnimation.setClockPreset(e.target.value);
+            this.updateUI();
+        });
+
+        section.querySelector('#clock-reroll-btn').addEventListener('click', () => {
+            const preset = CLOCK_PRESETS[this.lightAnimation.clockPreset] ? this.lightAnimation.clockPreset : 'ntp';
+            this.lightAnimation.setClockPreset(preset, Math.floor(Math.random() * 1000000));
+            this.updateUI();
+        });
+
+        section.querySelector('#clock-light-slider').addEventListener('input', (e) => {
+            this.selectedLight = parseInt(e.target.value, 10);
+            this.updateUI();
+        });
+
+        section.querySelectorAll('input[data-field]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                const value = parseFloat(slider.value) / parseFloat(slider.dataset.scale);
+                this.lightAnimation.setLightClock(this.selectedLight, { [slider.dataset.field]: value });
+                this.updateUI();
+            });
+        });
+    }
+
+    /**
+     * Refresh the drift readout a couple of times a second
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateReadout();
+    }
+
+    /**
+     * Sync the preset, light editor and readout with the animation's clocks
+     */
+    updateUI() {
+        const animation = this.lightAnimation;
+        this.selectedLight = Math.min(this.selectedLight, animation.lights.length - 1);
+
+        const preset = CLOCK_PRESETS[animation.clockPreset];
+        this.section.querySelector('#clock-preset-selector').value = animation.clockPreset;
+        this.section.querySelector('#clock-preset-description').textContent = preset ?
+            preset.description : 'Clocks edited by hand';
+
+        const lightSlider = this.section.querySelector('#clock-light-slider');
+        lightSlider.max = animation.lights.length - 1;
+        lightSlider.value = this.selectedLight;
+        this.section.querySelector('#clock-light-value').textContent = this.selectedLight;
+
+        const clock = animation.getLightClock(this.selectedLight);
+        this.section.querySelectorAll('input[data-field]').forEach(slider => {
+            const field = slider.dataset.field;
+            const value = clock[field] * parseFloat(slider.dataset.scale);
+            slider.value = value;
+            this.section.querySelector(`[data-value-for="${field}"]`).textContent =
+                field === 'drift' ? value.toFixed(1) : value.toFixed(2);
+        });
+
+        this.updateReadout();
+    }
+
+    /**
+     * Current error per light, spread now and projected, and when the wave breaks up
+     */
+    updateReadout() {
+        const animation = this.lightAnimation;
+        const elapsed = animation.elapsedTime;
+        const clocks = animation.lights.map((_, i) => animation.getLightClock(i));
+        const errors = clocks.map((_, i) => animation.getClockError(i));
+
+        this.drawChart(errors);
+
+        const projections = PROJECTION_HOURS
+            .map(hours => `${hours}h: ${formatError(clockSpread(clocks, hours * 3600))}`)
+            .join(' · ');
+        const breakTime = timeUntilOutOfOrder(clocks, animation.timeBetweenLights);
+        const breakText = breakTime === Infinity ? 'never' :
+            breakTime <= elapsed ? 'already' : `after ${formatDuration(breakTime)}`;
+
+        this.section.querySelector('#clock-readout').innerHTML = `
+            <strong>${formatError(clockSpread(clocks, elapsed))}</strong> spread after ${formatDuration(elapsed)} of playback<br>
+            Projected spread: ${projections}<br>
+            Neighbours flash out of order: ${breakText}
+        `;
+    }
+
+    /**
+     * Bar per light: above the line = early, below = late
+     */
+    drawChart(errors) {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const middle = height / 2;
+        const scale = Math.max(1e-6, ...errors.map(Math.abs));
+        const barWidth = width / Math.max(1, errors.length);
+
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, middle + 0.5);
+        ctx.lineTo(width, middle + 0.5);
+        ctx.stroke();
+
+        errors.forEach((error, i) => {
+            const barHeight = (error / scale) * (middle - 12);
+            ctx.fillStyle = i === this.selectedLight ? '#FFC107' : '#4CAF50';
+            ctx.fillRect(i * barWidth + 1, middle - Math.max(0, barHeight), Math.max(1, barWidth - 2), Math.abs(barHeight));
+        });
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`early · scale ${formatError(scale)}`, 2, 10);
+        ctx.fillText('late', 2, height - 2);
+    }
+}
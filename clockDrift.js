@@ -0,0 +1,131 @@
+/**
+ * Controller Clock Model
+ * Each light has its own controller clock that disagrees slightly with true time
+ *
+ * A clock is a plain object:
+ *   { offset, drift, jitter }
+ *   offset - Seconds the clock is ahead of true time at the start of playback
+ *   drift  - Rate error in parts per million (20 ppm gains 72 ms per hour)
+ *   jitter - Standard deviation of the random trigger delay for each flash, in seconds
+ *
+ * A clock that is ahead reaches each scheduled flash time early, so the light flashes early.
+ */
+
+import { createRandom, gaussian, hashRandom } from './random.js';
+
+// Presets describe the spread across controllers (standard deviations)
+export const CLOCK_PRESETS = {
+    ideal: {
+        name: 'Ideal (perfect sync)',
+        description: 'Every controller agrees exactly',
+        offset: 0, drift: 0, jitter: 0
+    },
+    gps: {
+        name: 'GPS-disciplined',
+        description: 'Locked to GPS time: sub-millisecond agreement that never drifts',
+        offset: 0.00005, drift: 0, jitter: 0.00005
+    },
+    ntp: {
+        name: 'NTP over mesh',
+        description: 'Synced over a wireless mesh: milliseconds of offset and residual drift between corrections',
+        offset: 0.005, drift: 0.5, jitter: 0.002
+    },
+    crystal: {
+        name: 'Free-running crystal',
+        description: 'Synced once at startup, then each crystal runs at its own rate (±20 ppm)',
+        offset: 0.0005, drift: 20, jitter: 0.00002
+    }
+};
+
+export const CLOCK_LIMITS = {
+    offset: { min: -0.5, max: 0.5 }, // seconds
+    drift: { min: -200, max: 200 },  // ppm
+    jitter: { min: 0, max: 0.1 }     // seconds
+};
+
+/**
+ * Clamp a clock to supported values, filling in zeros
+ */
+export function normalizeClock(clock) {
+    const clamp = (value, { min, max }) => Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : 0;
+    return {
+        offset: clamp(clock.offset, CLOCK_LIMITS.offset),
+        drift: clamp(clock.drift, CLOCK_LIMITS.drift),
+        jitter: clamp(clock.jitter, CLOCK_LIMITS.jitter)
+    };
+}
+
+/**
+ * Draw a clock for every light from a preset's spread
+ * @param {number} lightCount - Number of lights
+ * @param {string} presetId - Key of CLOCK_PRESETS
+ * @param {number} seed - Same seed gives the same clocks
+ * @returns {Array<object>} Clock per light
+ */
+export function generateClocks(lightCount, presetId, seed) {
+    const preset = CLOCK_PRESETS[presetId] || CLOCK_PRESETS.ideal;
+    const random = createRandom(seed);
+
+    return Array.from({ length: lightCount }, () => normalizeClock({
+        offset: preset.offset * gaussian(random(), random()),
+        drift: preset.drift * gaussian(random(), random()),
+        jitter: preset.jitter
+    }));
+}
+
+/**
+ * How far ahead of true time a clock is (excluding jitter)
+ * @param {object} clock - Normalized clock
+ * @param {number} time - Seconds since playback started
+ * @returns {number} Seconds (positive = ahead, flashes early)
+ */
+export function clockError(clock, time) {
+    return clock.offset + clock.drift * 1e-6 * time;
+}
+
+/**
+ * Random trigger delay for one flash, the same every frame of that flash
+ * @param {object} clock - Normalized clock
+ * @param {number} seed - Clock seed
+ * @param {number} index - Light index
+ * @param {number} flashTime - Scheduled time of the flash, identifying it
+ * @returns {number} Seconds (positive = late)
+ */
+export function triggerJitter(clock, seed, index, flashTime) {
+    if (clock.jitter === 0) return 0;
+    const flashId = Math.round(flashTime * 1000);
+    return clock.jitter * gaussian(hashRandom(seed, index, flashId, 1), hashRandom(seed, index, flashId, 2));
+}
+
+/**
+ * Spread between the earliest and latest clock at a time
+ * @param {Array<object>} clocks - Clock per light
+ * @param {number} time - Seconds since playback started
+ * @returns {number} Seconds
+ */
+export function clockSpread(clocks, time) {
+    if (clocks.length === 0) return 0;
+    const errors = clocks.map(clock => clockError(clock, time));
+    return Math.max(...errors) - Math.min(...errors);
+}
+
+/**
+ * When neighbouring lights first disagree by a full light interval, so the
+ * later light flashes before the earlier one and the wave visibly stutters
+ * @param {Array<object>} clocks - Clock per light
+ * @param {number} interval - Time between lights in seconds
+ * @returns {number} Seconds since playback started (0 if already broken, Infinity if never)
+ */
+export function timeUntilOutOfOrder(clocks, interval) {
+    let earliest = Infinity;
+    for (let i = 1; i < clocks.length; i++) {
+        // The later light runs ahead of the earlier one by (offset difference) + (drift difference) × t
+        const offsetGap = clocks[i].offset - clocks[i - 1].offset;
+        const driftGap = (clocks[i].drift - clocks[i - 1].drift) * 1e-6;
+        if (offsetGap >= interval) return 0;
+        if (driftGap > 0) {
+            earliest = Math.min(earliest, (interval - offsetGap) / driftGap);
+        }
+    }
+    return earliest;
+}
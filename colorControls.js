@@ -0,0 +1,121 @@
+/**
+ * Color Controls
+ * Pick the lights' static colour or a colour scheme, with a strip showing every light's colour
+ */
+
+import { COLOR_SCHEMES, rgbToHex } from './lightColor.js';
+
+const READOUT_INTERVAL = 0.1; // seconds between strip redraws
+
+export class ColorControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Light Colour</div>
+
+            <div class="mode-select-container">
+                <select id="color-scheme-selector" class="mode-selector">
+                    ${Object.entries(COLOR_SCHEMES).map(([key, scheme]) => `
+                        <option value="${key}">${scheme.name}</option>
+                    `).join('')}
+                </select>
+                <div id="color-scheme-description" class="mode-description"></div>
+            </div>
+
+            <div id="color-scheme-params"></div>
+
+            <canvas id="color-strip" class="color-strip" width="240" height="16"></canvas>
+
+            <div class="controls-info">
+                <small>White keeps the fixtures' own warm bulb colour. Modes can also recolour single lights.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+        this.canvas = section.querySelector('#color-strip');
+
+        section.querySelector('#color-scheme-selector').addEventListener('change', (e) => {
+            this.lightAnimation.setColorScheme({ scheme: e.target.value });
+            console.log(`🎨 Colour scheme: ${COLOR_SCHEMES[e.target.value].name}`);
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Colour pickers and sliders for the selected scheme's parameters
+     */
+    renderSchemeParams() {
+        const scheme = this.lightAnimation.colorScheme;
+        const container = this.section.querySelector('#color-scheme-params');
+        container.innerHTML = '';
+
+        COLOR_SCHEMES[scheme.scheme].params.forEach(param => {
+            const row = document.createElement('div');
+            row.className = 'mode-param';
+            row.innerHTML = param.type === 'color' ? `
+                <label for="color-param-${param.id}">${param.label}: </label>
+                <input type="color" id="color-param-${param.id}" class="color-picker" value="${scheme[param.id]}">
+                <span class="mode-param-value">${scheme[param.id]}</span>
+            ` : `
+                <label for="color-param-${param.id}">${param.label}: </label>
+                <input type="range" id="color-param-${param.id}" class="mode-param-slider"
+                    min="${param.min}" max="${param.max}" step="${param.step}" value="${scheme[param.id]}">
+                <span class="mode-param-value">${scheme[param.id]}</span>
+            `;
+            const input = row.querySelector('input');
+            const value = row.querySelector('.mode-param-value');
+            input.addEventListener('input', () => {
+                const setting = param.type === 'color' ? input.value : parseFloat(input.value);
+                this.lightAnimation.setColorScheme({ [param.id]: setting });
+                value.textContent = this.lightAnimation.colorScheme[param.id];
+            });
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Keep the strip in step with animated schemes (hue shifts) and modes
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.drawStrip();
+    }
+
+    /**
+     * Sync the selector and parameters with the animation's colour scheme
+     */
+    updateUI() {
+        const scheme = this.lightAnimation.colorScheme;
+        this.section.querySelector('#color-scheme-selector').value = scheme.scheme;
+        this.section.querySelector('#color-scheme-description').textContent = COLOR_SCHEMES[scheme.scheme].description;
+        this.renderSchemeParams();
+        this.drawStrip();
+    }
+
+    /**
+     * One swatch per light, first light on the left
+     */
+    drawStrip() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const count = this.lightAnimation.lights.length;
+
+        ctx.clearRect(0, 0, width, height);
+        for (let i = 0; i < count; i++) {
+            ctx.fillStyle = rgbToHex(this.lightAnimation.getLightColor(i));
+            ctx.fillRect(Math.floor(i * width / count), 0, Math.ceil(width / count), height);
+        }
+    }
+}
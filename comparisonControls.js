@@ -0,0 +1,180 @@
+/**
+ * Comparison Controls
+ * Add rows of lights beside the installation that run the wave at other speeds
+ */
+
+import {
+    CUSTOM_SPEED_LIMITS,
+    DEFAULT_COMPARISON_ROWS,
+    MAX_COMPARISON_ROWS,
+    ROW_TYPES,
+    getRowSpeed
+} from './comparisonRows.js';
+import { MAX_LATITUDE } from './earthSpeedControls.js';
+
+const READOUT_INTERVAL = 0.5; // seconds between readout refreshes (follows wave speed changes)
+
+export class ComparisonControls {
+    constructor(comparisonRows, container) {
+        this.comparisonRows = comparisonRows;
+        this.container = container;
+        this.hiddenRows = DEFAULT_COMPARISON_ROWS; // Rows to bring back when switched on again
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Speed Comparison</div>
+
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="comparison-toggle" class="display-checkbox">
+                    <span>Show comparison rows</span>
+                </label>
+            </div>
+
+            <div id="comparison-list"></div>
+            <button id="comparison-add-btn" class="reset-params-btn">Add Row</button>
+
+            <div id="comparison-readout" class="speed-readout"></div>
+
+            <div class="controls-info">
+                <small>Each row copies the installation's lights and spacing and starts its wave at the same moment, so faster waves pull ahead. Rows add lights to the scene and may slow rendering.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        section.querySelector('#comparison-toggle').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.comparisonRows.setRows(this.hiddenRows);
+            } else {
+                this.hiddenRows = this.comparisonRows.getRows();
+                this.comparisonRows.setRows([]);
+            }
+            console.log(`Speed comparison rows ${e.target.checked ? 'ON' : 'OFF'}`);
+            this.updateUI();
+        });
+
+        section.querySelector('#comparison-add-btn').addEventListener('click', () => {
+            this.comparisonRows.addRow({ type: 'custom' });
+            this.updateUI();
+        });
+    }
+
+    /**
+     * One block per row: what it compares and its setting
+     */
+    renderRows() {
+        const list = this.section.querySelector('#comparison-list');
+        list.innerHTML = '';
+
+        this.comparisonRows.getRows().forEach((row, index) => {
+            const item = document.createElement('div');
+            item.className = 'comparison-item';
+            item.innerHTML = `
+                <div class="comparison-header">
+                    <span>Row ${index + 1}</span>
+                    <button class="comparison-remove-btn" title="Remove row">✕</button>
+                </div>
+                <select class="mode-selector comparison-type">
+                    ${Object.entries(ROW_TYPES).map(([key, type]) => `
+                        <option value="${key}">${type.name}</option>
+                    `).join('')}
+                </select>
+                <div class="mode-param" data-for="latitude">
+                    <label>Latitude: </label>
+                    <input type="range" class="mode-param-slider" data-field="latitude"
+                        min="${-MAX_LATITUDE}" max="${MAX_LATITUDE}" step="0.1" value="${row.latitude}">
+                    <span class="mode-param-value">${row.latitude.toFixed(1)}°</span>
+                </div>
+                <div class="mode-param" data-for="custom">
+                    <label>Speed (ft/s): </label>
+                    <input type="range" class="mode-param-slider" data-field="speed"
+                        min="${CUSTOM_SPEED_LIMITS.min}" max="${CUSTOM_SPEED_LIMITS.max}" step="1" value="${row.speed}">
+                    <span class="mode-param-value">${row.speed.toFixed(0)}</span>
+                </div>
+            `;
+
+            const typeSelect = item.querySelector('.comparison-type');
+            typeSelect.value = row.type;
+            typeSelect.addEventListener('change', () => {
+                this.comparisonRows.updateRow(index, { type: typeSelect.value });
+                this.updateUI();
+            });
+
+            item.querySelectorAll('[data-for]').forEach(param => {
+                param.style.display = param.dataset.for === row.type ? '' : 'none';
+            });
+
+            item.querySelectorAll('input[data-field]').forEach(slider => {
+                slider.addEventListener('input', () => {
+                    this.comparisonRows.updateRow(index, { [slider.dataset.field]: parseFloat(slider.value) });
+                    const value = this.comparisonRows.getRows()[index][slider.dataset.field];
+                    slider.nextElementSibling.textContent = slider.dataset.field === 'latitude' ?
+                        `${value.toFixed(1)}°` : value.toFixed(0);
+                    this.updateReadout();
+                });
+            });
+
+            item.querySelector('.comparison-remove-btn').addEventListener('click', () => {
+                this.comparisonRows.removeRow(index);
+                this.updateUI();
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Keep the crossing times in step with the main wave speed
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateReadout();
+    }
+
+    /**
+     * Sync the controls with the rows in the scene
+     */
+    updateUI() {
+        const count = this.comparisonRows.getRows().length;
+        this.section.querySelector('#comparison-toggle').checked = count > 0;
+        this.section.querySelector('#comparison-add-btn').style.display = count > 0 ? '' : 'none';
+        this.section.querySelector('#comparison-add-btn').disabled = count >= MAX_COMPARISON_ROWS;
+        this.renderRows();
+        this.updateReadout();
+    }
+
+    /**
+     * How long each wave takes to cross the installation, next to the main one
+     */
+    updateReadout() {
+        const readout = this.section.querySelector('#comparison-readout');
+        const main = this.comparisonRows.lightAnimation;
+        const rows = this.comparisonRows.getRows();
+        if (rows.length === 0) {
+            readout.textContent = '';
+            return;
+        }
+
+        const last = main.lightTimes.length - 1;
+        const pathLength = main.layout ? main.layout.distances[last] : last * main.LIGHT_SPACING;
+        const crossing = speed => `${(pathLength / speed).toFixed(2)} s`;
+        // The main wave may follow a speed profile, so its crossing time comes from its own timing
+        const lines = [`This installation: ${Math.round(main.EARTH_ROTATION_SPEED).toLocaleString()} ft/s, first to last light in ${main.lightTimes[last].toFixed(2)} s`];
+        rows.forEach((row, index) => {
+            const speed = getRowSpeed(row);
+            lines.push(`Row ${index + 1} (${ROW_TYPES[row.type].label(row)}): ${Math.round(speed).toLocaleString()} ft/s, ` +
+                `<strong>${crossing(speed)}</strong>`);
+        });
+        readout.innerHTML = lines.join('<br>');
+    }
+}
@@ -0,0 +1,377 @@
+import * as THREE from 'three';
+import { createLightFixture } from './installationLayout.js';
+import { LightAnimation } from './lightAnimation.js';
+import { LATITUDE_PRESETS, calculateRotationSpeed } from './earthRotation.js';
+import { MAX_LATITUDE } from './earthSpeedControls.js';
+import { SPEED_OF_SOUND } from './flashAudio.js';
+import { SPEED_PRESETS } from './speedPresets.js';
+
+/**
+ * Comparison Rows
+ * Extra rows of lights beside the installation, each with its own LightAnimation
+ * running the wave at a different speed (another latitude, the speed of sound, ...)
+ *
+ * A row is a plain object:
+ *   { type, latitude, speed }
+ *   type     - 'latitude', 'sound' or 'custom'
+ *   latitude - Degrees, for latitude rows
+ *   speed    - Feet per second, for custom rows
+ *
+ * Rows copy the main layout's shape, offset to one side, and run on the main animation's clock.
+ * While there are rows, the sequential pattern (the main one's and every row's) repeats only
+ * once the slowest wave has reached its last light (LightAnimation.racePeriod), so a faster wave
+ * waits dark for the others and every wave leaves its first light at the same moment on every pass.
+ */
+
+export const ROW_SPACING = 150; // feet between neighbouring rows
+export const MAX_COMPARISON_ROWS = 3; // each row adds a light per fixture to the scene
+export const CUSTOM_SPEED_LIMITS = { min: 10, max: 5000 }; // ft/s
+
+export const ROW_TYPES = {
+    latitude: {
+        name: 'Earth at a latitude',
+        speed: row => calculateRotationSpeed(row.latitude),
+        label: row => {
+            const preset = LATITUDE_PRESETS.find(({ latitude }) => Math.abs(latitude - row.latitude) < 0.05);
+            return preset ? preset.name : `Earth at ${Math.abs(row.latitude).toFixed(1)}° ${row.latitude < 0 ? 'S' : 'N'}`;
+        }
+    },
+    sound: {
+        name: 'Speed of sound',
+        speed: () => SPEED_OF_SOUND,
+        label: () => 'Speed of sound'
+    },
+    custom: {
+        name: 'Custom speed',
+        speed: row => row.speed,
+        label: () => 'Custom'
+    }
+};
+
+export const DEFAULT_COMPARISON_ROWS = [
+    { type: 'latitude', latitude: 0 },
+    { type: 'sound' }
+];
+
+/**
+ * Fill in defaults and clamp a row
+ * @param {object} row - Partial row
+ * @returns {object} Complete row
+ */
+export function normalizeComparisonRow(row) {
+    const clamp = (value, min, max, fallback) => Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+    return {
+        type: ROW_TYPES[row.type] ? row.type : 'latitude',
+        latitude: clamp(row.latitude, -MAX_LATITUDE, MAX_LATITUDE, 0),
+        speed: clamp(row.speed, CUSTOM_SPEED_LIMITS.min, CUSTOM_SPEED_LIMITS.max, 1000)
+    };
+}
+
+/**
+ * Wave speed of a row
+ * @param {object} row - Normalized row
+ * @returns {number} Feet per second
+ */
+export function getRowSpeed(row) {
+    return ROW_TYPES[row.type].speed(row);
+}
+
+/**
+ * Parse rows written as "equator;sound;lat:64.1;1500" (a plain number is a custom speed in ft/s)
+ * @param {string} text - Row list
+ * @returns {Array<object>|null} Partial rows, or null if invalid
+ */
+export function parseComparisonRows(text) {
+    const entries = text.split(';').map(entry => entry.trim().toLowerCase()).filter(entry => entry.length > 0);
+    if (entries.length < 1 || entries.length > MAX_COMPARISON_ROWS) return null;
+
+    const rows = entries.map(entry => {
+        if (entry === 'equator') return { type: 'latitude', latitude: 0 };
+        if (entry === 'sound') return { type: 'sound' };
+        if (entry.startsWith('lat:')) {
+            const latitude = Number(entry.slice(4));
+            return Math.abs(latitude) <= MAX_LATITUDE ? { type: 'latitude', latitude } : null;
+        }
+        const speed = Number(entry);
+        return speed >= CUSTOM_SPEED_LIMITS.min && speed <= CUSTOM_SPEED_LIMITS.max ? { type: 'custom', speed } : null;
+    });
+    return rows.every(row => row) ? rows : null;
+}
+
+/**
+ * Format rows for the URL, as parseComparisonRows reads them
+ */
+export function formatComparisonRows(rows) {
+    return rows.map(row => {
+        if (row.type === 'sound') return 'sound';
+        if (row.type === 'custom') return String(row.speed);
+        return row.latitude === 0 ? 'equator' : `lat:${row.latitude}`;
+    }).join(';');
+}
+
+/**
+ * Floating text label facing the camera
+ * @returns {THREE.Sprite}
+ */
+function createLabelSprite() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 96;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+    sprite.scale.set(240, 45, 1); // feet, readable from the overview
+    sprite.userData.canvas = canvas;
+    sprite.userData.text = '';
+    return sprite;
+}
+
+/**
+ * Redraw a label's text (skipped when unchanged)
+ */
+function setLabelText(sprite, title, detail) {
+    const text = `${title}\n${detail}`;
+    if (sprite.userData.text === text) return;
+    sprite.userData.text = text;
+
+    const canvas = sprite.userData.canvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 36px sans-serif';
+    ctx.fillText(title, canvas.width / 2, 40);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.font = '28px sans-serif';
+    ctx.fillText(detail, canvas.width / 2, 80);
+    sprite.material.map.needsUpdate = true;
+}
+
+export class ComparisonRows {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the rows to
+     * @param {InstallationLayout} layout - Main layout the rows copy
+     * @param {LightAnimation} lightAnimation - Main animation the rows follow
+     */
+    constructor(scene, layout, lightAnimation) {
+        this.scene = scene;
+        this.layout = layout;
+        this.lightAnimation = lightAnimation;
+        this.rows = []; // { spec, animation, objects, label }
+        this.mainLabel = null; // Label on the main installation while rows are shown
+    }
+
+    /**
+     * Replace every row
+     * @param {Array<object>} specs - Partial rows, up to MAX_COMPARISON_ROWS
+     */
+    setRows(specs) {
+        this.dispose();
+        specs.slice(0, MAX_COMPARISON_ROWS).forEach(spec => this.buildRow(normalizeComparisonRow(spec)));
+        this.updateMainLabel();
+        this.syncRacePeriod();
+    }
+
+    /**
+     * Current row settings
+     * @returns {Array<object>} Normalized rows
+     */
+    getRows() {
+        return this.rows.map(row => row.spec);
+    }
+
+    /**
+     * Add a row beyond the last one
+     * @param {object} spec - Partial row
+     * @returns {boolean} False if there are already MAX_COMPARISON_ROWS
+     */
+    addRow(spec) {
+        if (this.rows.length >= MAX_COMPARISON_ROWS) return false;
+        this.setRows([...this.getRows(), spec]);
+        return true;
+    }
+
+    /**
+     * Change one row's settings
+     * @param {number} index - Row index
+     * @param {object} changes - Fields to change, e.g. { latitude: 64.1 }
+     */
+    updateRow(index, changes) {
+        const row = this.rows[index];
+        if (!row) return;
+        row.spec = normalizeComparisonRow({ ...row.spec, ...changes });
+        row.animation.setWaveSpeed(getRowSpeed(row.spec));
+        this.syncRacePeriod();
+    }
+
+    /**
+     * Remove one row (rows beyond it move in)
+     * @param {number} index - Row index
+     */
+    removeRow(index) {
+        this.setRows(this.getRows().filter((_, i) => i !== index));
+    }
+
+    /**
+     * Follow a rebuilt main layout
+     */
+    rebuild() {
+        this.setRows(this.getRows());
+    }
+
+    /**
+     * Build one row of fixtures beside the installation
+     * @param {object} spec - Normalized row
+     */
+    buildRow(spec) {
+        const layout = this.layout;
+        const offset = ROW_SPACING * (this.rows.length + 1);
+        const objects = [];
+        const lights = [];
+        const glowSpheres = [];
+
+        // Offset every light sideways from the path (to the right of the direction of travel)
+        layout.positions.forEach((position, i) => {
+            const direction = layout.getDirectionAt(layout.distances[i]);
+            const side = new THREE.Vector3(direction.z, 0, -direction.x);
+            const fixture = createLightFixture(this.scene, position.clone().addScaledVector(side, offset), layout.config.height);
+            // The ground spot light is left out to keep the scene's light count down
+            fixture.light.userData.spotLight.visible = false;
+            lights.push(fixture.light);
+            glowSpheres.push(fixture.glowSphere);
+            objects.push(...fixture.objects);
+        });
+
+        // Same path distances as the main installation, different wave speed
+        const animation = new LightAnimation(lights, glowSpheres);
+        animation.setLayout(layout);
+        animation.setWaveSpeed(getRowSpeed(spec));
+
+        const label = this.createLabel(offset);
+        objects.push(label);
+
+        this.rows.push({ spec, animation, objects, label });
+    }
+
+    /**
+     * Label floating before the first light of a row
+     * @param {number} offset - Feet to the side of the main installation
+     */
+    createLabel(offset) {
+        const layout = this.layout;
+        const direction = layout.getDirectionAt(0);
+        const side = new THREE.Vector3(direction.z, 0, -direction.x);
+        const label = createLabelSprite();
+        label.position.copy(layout.positions[0])
+            .addScaledVector(side, offset)
+            .addScaledVector(direction, -160);
+        label.position.y = layout.config.height + 30;
+        this.scene.add(label);
+        return label;
+    }
+
+    /**
+     * Show a label on the main installation while there are rows to compare with
+     */
+    updateMainLabel() {
+        if (this.rows.length > 0 && !this.mainLabel) {
+            this.mainLabel = this.createLabel(0);
+        } else if (this.rows.length === 0 && this.mainLabel) {
+            this.disposeObject(this.mainLabel);
+            this.mainLabel = null;
+        }
+    }
+
+    /**
+     * Length of one pass of the race: until the slowest wave (the main one included) has
+     * reached its last light
+     * @returns {number} Seconds
+     */
+    getRacePeriod() {
+        return Math.max(this.lightAnimation.cycleDuration, ...this.rows.map(row => row.animation.cycleDuration));
+    }
+
+    /**
+     * Make the main animation's sequential pattern (and the rows') wait for the slowest wave,
+     * or run on its own cycle again when there are no rows
+     */
+    syncRacePeriod() {
+        const period = this.rows.length > 0 ? this.getRacePeriod() : null;
+        this.lightAnimation.racePeriod = period;
+        this.rows.forEach(row => row.animation.racePeriod = period);
+    }
+
+    /**
+     * Run every row in step with the main animation
+     * Called after the main animation updates each frame
+     */
+    update() {
+        const main = this.lightAnimation;
+        // Follows speed changes (the main wave's or a row's) from the next frame
+        this.syncRacePeriod();
+
+        this.rows.forEach(row => {
+            const animation = row.animation;
+
+            // Shared clock (so restarts, mode changes and phase lock carry over), flash shape,
+            // brightness layers and colour
+            animation.currentTime = main.currentTime;
+            animation.elapsedTime = main.elapsedTime;
+            animation.flashEnvelope = main.flashEnvelope;
+            animation.FLASH_DURATION = main.FLASH_DURATION;
+            animation.masterBrightness = main.masterBrightness;
+            animation.scheduleBrightness = main.scheduleBrightness;
+            animation.modeBrightness = main.modeBrightness;
+            animation.autoDimmer = main.autoDimmer;
+            animation.timeOfDayController = main.timeOfDayController;
+            animation.colorScheme = main.colorScheme;
+            animation.allLightsOn = main.allLightsOn;
+            if (animation.enabled !== main.enabled) {
+                animation.setEnabled(main.enabled);
+            }
+            animation.update(0);
+
+            setLabelText(row.label, ROW_TYPES[row.spec.type].label(row.spec), this.describeSpeed(animation));
+        });
+
+        if (this.mainLabel) {
+            const title = main.speedPreset === 'earth' ? 'This installation' : SPEED_PRESETS[main.speedPreset].name;
+            setLabelText(this.mainLabel, title, this.describeSpeed(main));
+        }
+    }
+
+    /**
+     * Speed and relation to the main installation, e.g. "1,526 ft/s · 1.32×"
+     */
+    describeSpeed(animation) {
+        const speed = animation.EARTH_ROTATION_SPEED;
+        const ratio = speed / this.lightAnimation.EARTH_ROTATION_SPEED;
+        const speedText = `${Math.round(speed).toLocaleString()} ft/s`;
+        return animation === this.lightAnimation ? speedText : `${speedText} · ${ratio.toFixed(2)}×`;
+    }
+
+    disposeObject(object) {
+        this.scene.remove(object);
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+            if (object.material.map) object.material.map.dispose();
+            object.material.dispose();
+        }
+        if (object.isLight) object.dispose();
+    }
+
+    /**
+     * Remove every row and label from the scene
+     */
+    dispose() {
+        this.rows.forEach(row => {
+            row.objects.forEach(object => this.disposeObject(object));
+            row.animation.dispose();
+        });
+        this.rows = [];
+        this.updateMainLabel();
+        this.syncRacePeriod();
+    }
+}
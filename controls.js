@@ -2,6 +2,8 @@
  * Keyboard controls for animation demonstration
  */
 
+import { SPEED_PRESETS } from './speedPresets.js';
+
 export class AnimationControls {
     constructor(lightAnimation) {
         this.lightAnimation = lightAnimation;
@@ -12,6 +14,9 @@ export class AnimationControls {
 
     setupKeyboardListeners() {
         window.addEventListener('keydown', (event) => {
+            // Typing in a text or number field (e.g. the transport time) isn't a shortcut
+            if (event.target.matches && event.target.matches('input[type="text"], input[type="number"], textarea')) return;
+
             switch(event.key.toLowerCase()) {
                 case ' ':
                     // Spacebar: toggle animation on/off
@@ -42,7 +47,7 @@ export class AnimationControls {
                 case '_':
                     // Decrease speed
                     const curSpeed = this.lightAnimation.getStatus().speedMultiplier;
-                    const slower = Math.max(0.1, curSpeed - 0.5);
+                    const slower = Math.max(Math.min(0.1, curSpeed), curSpeed - 0.5);
                     this.lightAnimation.setSpeedMultiplier(slower);
                     console.log(`Speed: ${slower.toFixed(1)}x`);
                     event.preventDefault();
@@ -60,6 +65,26 @@ export class AnimationControls {
                     console.log('Speed: 0.1x (slow motion)');
                     break;
 
+                case 'p':
+                    // P: pause/resume, holding the current frame
+                    this.lightAnimation.setPaused(!this.lightAnimation.paused);
+                    console.log(`Playback ${this.lightAnimation.paused ? 'paused' : 'resumed'}`);
+                    break;
+
+                case ',':
+                case '.':
+                    // Step one frame back/forward (pauses playback)
+                    this.lightAnimation.setPaused(true);
+                    this.lightAnimation.stepFrames(event.key === ',' ? -1 : 1);
+                    break;
+
+                case '<':
+                case '>':
+                    // Step one light interval back/forward (pauses playback)
+                    this.lightAnimation.setPaused(true);
+                    this.lightAnimation.stepLights(event.key === '<' ? -1 : 1);
+                    break;
+
                 case 'i':
                     // Display info
                     this.displayInfo();
@@ -88,6 +113,9 @@ export class AnimationControls {
         console.log('Arrow Down / -: Decrease speed');
         console.log('1: Real-time speed (1.0x)');
         console.log('0: Slow motion (0.1x)');
+        console.log('P: Pause/resume (hold the current frame)');
+        console.log(', / .: Step one frame back/forward');
+        console.log('< / >: Step one light interval back/forward');
         console.log('L: Toggle all lights ON (for observation)');
         console.log('I: Display animation info');
         console.log('?: Show keyboard shortcuts menu');
@@ -97,9 +125,9 @@ export class AnimationControls {
     displayInfo() {
         const status = this.lightAnimation.getStatus();
         console.log('=== Animation Status ===');
-        console.log(`Enabled: ${status.enabled}`);
-        console.log(`Speed: ${status.speedMultiplier.toFixed(1)}x`);
-        console.log(`Earth rotation speed: ${status.earthRotationSpeed} ft/s`);
+        console.log(`Enabled: ${status.enabled}${status.paused ? ' (paused)' : ''}`);
+        console.log(`Speed: ${status.speedMultiplier}x`);
+        console.log(`Wave speed: ${status.earthRotationSpeed} ft/s (${SPEED_PRESETS[status.speedPreset].name})`);
         console.log(`Time between lights: ${status.timeBetweenLights.toFixed(3)}s`);
         console.log(`Flash duration: ${status.flashDuration.toFixed(3)}s`);
         console.log(`Cycle duration: ${status.cycleDuration.toFixed(2)}s`);
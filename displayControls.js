@@ -48,13 +48,30 @@ export class DisplayControls {
         });
     }
 
+    /**
+     * Show or hide the scale circles, e.g. from the URL
+     */
+    setScaleCirclesVisible(visible) {
+        this.scaleCirclesVisible = visible;
+        this.container.querySelector('#scale-circles-toggle').checked = visible;
+        this.applyScaleCircles();
+    }
+
     toggleScaleCircles() {
+        this.applyScaleCircles();
+
+        console.log(`Scale circles ${this.scaleCirclesVisible ? 'ON' : 'OFF'} (50ft radius)`);
+    }
+
+    /**
+     * Apply the current visibility to every light's scale circle
+     * Called after the installation layout is rebuilt
+     */
+    applyScaleCircles() {
         this.lights.forEach(light => {
             if (light.userData.scaleCircle) {
                 light.userData.scaleCircle.visible = this.scaleCirclesVisible;
             }
         });
-
-        console.log(`Scale circles ${this.scaleCirclesVisible ? 'ON' : 'OFF'} (50ft radius)`);
     }
 }
@@ -0,0 +1,69 @@
+/**
+ * Earth Rotation Speed
+ * Surface speed due to Earth's rotation at a given latitude
+ *
+ * speed = 2π × (distance from Earth's axis) / (length of one rotation)
+ */
+
+export const FEET_PER_METER = 3.28084;
+
+// Black Rock City, where the installation ran in 2024
+export const BLACK_ROCK_CITY_LATITUDE = 40.7864;
+
+// WGS84 reference ellipsoid
+export const WGS84_EQUATORIAL_RADIUS = 6378137; // meters
+export const WGS84_FLATTENING = 1 / 298.257223563;
+export const WGS84_ECCENTRICITY_SQUARED = WGS84_FLATTENING * (2 - WGS84_FLATTENING);
+
+// Length of one rotation
+export const DAY_LENGTHS = {
+    sidereal: { name: 'Sidereal day (23h 56m 4s)', seconds: 86164.0905 }, // Rotation relative to the stars
+    solar: { name: 'Solar day (24h)', seconds: 86400 }                    // Noon to noon
+};
+
+// Distance from Earth's axis at a latitude, in meters
+export const EARTH_RADIUS_MODELS = {
+    wgs84: {
+        name: 'WGS84 ellipsoid',
+        radiusOfParallel(latitudeRad) {
+            const sinLat = Math.sin(latitudeRad);
+            const primeVertical = WGS84_EQUATORIAL_RADIUS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQUARED * sinLat * sinLat);
+            return primeVertical * Math.cos(latitudeRad);
+        }
+    },
+    sphere: {
+        name: 'Mean sphere (6,371 km)',
+        radiusOfParallel: latitudeRad => 6371008.8 * Math.cos(latitudeRad)
+    },
+    equatorial: {
+        name: 'Equatorial sphere (6,378 km)',
+        radiusOfParallel: latitudeRad => WGS84_EQUATORIAL_RADIUS * Math.cos(latitudeRad)
+    }
+};
+
+// Named latitudes for quick comparison
+export const LATITUDE_PRESETS = [
+    { name: 'Equator', latitude: 0 },
+    { name: 'Black Rock City', latitude: BLACK_ROCK_CITY_LATITUDE },
+    { name: 'London', latitude: 51.5072 },
+    { name: 'Reykjavík', latitude: 64.1466 },
+    { name: 'Near North Pole', latitude: 85 }
+];
+
+/**
+ * Calculate the rotational surface speed at a latitude
+ * @param {number} latitude - Degrees (-90 to 90)
+ * @param {string} day - Key of DAY_LENGTHS
+ * @param {string} radiusModel - Key of EARTH_RADIUS_MODELS
+ * @returns {number} Speed in feet per second
+ */
+export function calculateRotationSpeed(latitude, day = 'sidereal', radiusModel = 'wgs84') {
+    const dayLength = DAY_LENGTHS[day] || DAY_LENGTHS.sidereal;
+    const model = EARTH_RADIUS_MODELS[radiusModel] || EARTH_RADIUS_MODELS.wgs84;
+
+    const clampedLatitude = Math.max(-90, Math.min(90, latitude));
+    const radius = model.radiusOfParallel(clampedLatitude * Math.PI / 180);
+    const metersPerSecond = 2 * Math.PI * radius / dayLength.seconds;
+
+    return metersPerSecond * FEET_PER_METER;
+}
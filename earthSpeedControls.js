@@ -0,0 +1,138 @@
+/**
+ * Earth Speed Controls
+ * Choose a latitude, day length and Earth model to set the wave speed
+ */
+
+import {
+    BLACK_ROCK_CITY_LATITUDE,
+    DAY_LENGTHS,
+    EARTH_RADIUS_MODELS,
+    LATITUDE_PRESETS,
+    calculateRotationSpeed
+} from './earthRotation.js';
+
+export const MAX_LATITUDE = 89.9; // Speed drops to zero at the poles
+
+export class EarthSpeedControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+
+        // Default location: Black Rock City
+        this.latitude = BLACK_ROCK_CITY_LATITUDE;
+        this.day = 'sidereal';
+        this.radiusModel = 'wgs84';
+
+        this.createUI();
+        this.applySpeed();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Earth Rotation</div>
+
+            <div class="mode-param">
+                <label for="latitude-slider">Latitude: </label>
+                <input type="range" id="latitude-slider" class="mode-param-slider"
+                    min="${-MAX_LATITUDE}" max="${MAX_LATITUDE}" step="0.1" value="${this.latitude}">
+                <span id="latitude-value" class="mode-param-value"></span>
+            </div>
+
+            <div class="speed-presets">
+                ${LATITUDE_PRESETS.map(preset => `
+                    <button class="speed-preset-btn" data-latitude="${preset.latitude}">${preset.name}</button>
+                `).join('')}
+            </div>
+
+            <div class="mode-select-container">
+                <select id="day-length-selector" class="mode-selector">
+                    ${Object.entries(DAY_LENGTHS).map(([key, day]) => `
+                        <option value="${key}">${day.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="mode-select-container">
+                <select id="radius-model-selector" class="mode-selector">
+                    ${Object.entries(EARTH_RADIUS_MODELS).map(([key, model]) => `
+                        <option value="${key}">${model.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div id="speed-readout" class="speed-readout"></div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        const latitudeSlider = section.querySelector('#latitude-slider');
+        const daySelector = section.querySelector('#day-length-selector');
+        const radiusSelector = section.querySelector('#radius-model-selector');
+
+        latitudeSlider.addEventListener('input', (e) => {
+            this.latitude = parseFloat(e.target.value);
+            this.applySpeed();
+        });
+
+        section.querySelectorAll('.speed-preset-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setLocation({ latitude: parseFloat(btn.dataset.latitude) });
+            });
+        });
+
+        daySelector.addEventListener('change', (e) => {
+            this.day = e.target.value;
+            this.applySpeed();
+        });
+
+        radiusSelector.addEventListener('change', (e) => {
+            this.radiusModel = e.target.value;
+            this.applySpeed();
+        });
+    }
+
+    /**
+     * Set any of latitude, day length and radius model, then update the animation
+     * @param {object} location - { latitude, day, radiusModel }
+     */
+    setLocation({ latitude = this.latitude, day = this.day, radiusModel = this.radiusModel }) {
+        this.latitude = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+        this.day = DAY_LENGTHS[day] ? day : this.day;
+        this.radiusModel = EARTH_RADIUS_MODELS[radiusModel] ? radiusModel : this.radiusModel;
+        this.applySpeed();
+    }
+
+    applySpeed() {
+        this.speed = calculateRotationSpeed(this.latitude, this.day, this.radiusModel);
+        this.lightAnimation.setSpeedPreset('earth');
+        this.lightAnimation.setWaveSpeed(this.speed);
+        this.updateUI();
+    }
+
+    updateUI() {
+        const latitudeSlider = this.section.querySelector('#latitude-slider');
+        const latitudeValue = this.section.querySelector('#latitude-value');
+        const daySelector = this.section.querySelector('#day-length-selector');
+        const radiusSelector = this.section.querySelector('#radius-model-selector');
+        const readout = this.section.querySelector('#speed-readout');
+
+        const hemisphere = this.latitude >= 0 ? 'N' : 'S';
+        latitudeSlider.value = this.latitude;
+        latitudeValue.textContent = `${Math.abs(this.latitude).toFixed(1)}° ${hemisphere}`;
+        daySelector.value = this.day;
+        radiusSelector.value = this.radiusModel;
+
+        const mph = this.speed * 3600 / 5280;
+        // A speed preset (see speedPresetControls.js) replaces the rotation speed until the latitude changes
+        const timing = this.lightAnimation.speedPreset === 'earth' ?
+            `${this.lightAnimation.timeBetweenLights.toFixed(3)}s between lights ·
+            ${this.lightAnimation.cycleDuration.toFixed(2)}s per cycle` :
+            'Not in use: a Speed Of... preset sets the wave speed';
+        readout.innerHTML = `
+            <strong>${Math.round(this.speed).toLocaleString()} ft/s</strong> (${Math.round(mph).toLocaleString()} mph)<br>
+            ${timing}
+        `;
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Embed Messages
+ * Script a simulator embedded in an iframe from the parent page with postMessage
+ *
+ * Every message is a plain object tagged with type: 'speed-of-earth'.
+ * Parent → simulator:
+ *   { type, id, command: 'setMode', args: ['converge-point', { point: 12 }] }
+ *   { type, id, command: 'on', args: ['flash'] }  - forward an animation event ('off' stops it)
+ * Simulator → parent:
+ *   { type, id, ok: true, result }                - reply to a command (result from getStatus)
+ *   { type, id, ok: false, error }                - the command failed; error is the message
+ *   { type, event, data }                         - a subscribed event, or 'ready' with the status once loaded
+ */
+
+export const MESSAGE_TYPE = 'speed-of-earth';
+
+// Handle methods a parent may call (see createSimulator)
+export const EMBED_COMMANDS = [
+    'setMode',
+    'setModeParams',
+    'setSpeed',
+    'setSpeedPreset',
+    'setCamera',
+    'setTimeOfDay',
+    'setBrightness',
+    'setPaused',
+    'seek',
+    'setControlsVisible',
+    'getStatus'
+];
+
+/**
+ * Answer postMessage commands from the parent window
+ * @param {object} simulator - Handle from createSimulator
+ * @param {string|null} allowedOrigin - Only obey this origin (e.g. 'https://museum.example'); null for any
+ * @returns {Function} Call to disconnect
+ */
+export function connectToParent(simulator, allowedOrigin = null) {
+    const parent = window.parent;
+    const targetOrigin = allowedOrigin || '*';
+    const subscriptions = {}; // Event name → unsubscribe function
+
+    const post = message => parent.postMessage({ type: MESSAGE_TYPE, ...message }, targetOrigin);
+
+    const run = (command, args) => {
+        if (command === 'on') {
+            const [event] = args;
+            if (!subscriptions[event]) {
+                subscriptions[event] = simulator.on(event, data => post({ event, data }));
+            }
+            return undefined;
+        }
+        if (command === 'off') {
+            const [event] = args;
+            if (subscriptions[event]) {
+                subscriptions[event]();
+                delete subscriptions[event];
+            }
+            return undefined;
+        }
+        if (!EMBED_COMMANDS.includes(command)) {
+            throw new Error(`Unknown command "${command}". Valid: ${[...EMBED_COMMANDS, 'on', 'off'].join(', ')}`);
+        }
+        return simulator[command](...args);
+    };
+
+    const onMessage = (e) => {
+        if (e.source !== parent || !e.data || e.data.type !== MESSAGE_TYPE || !e.data.command) return;
+        if (allowedOrigin && e.origin !== allowedOrigin) {
+            console.warn(`⚠️ Embed: Ignored message from ${e.origin} (allowed: ${allowedOrigin})`);
+            return;
+        }
+
+        const { id, command, args = [] } = e.data;
+        try {
+            post({ id, ok: true, result: run(command, Array.isArray(args) ? args : [args]) });
+        } catch (error) {
+            console.warn(`⚠️ Embed: ${command} failed: ${error.message}`);
+            post({ id, ok: false, error: error.message });
+        }
+    };
+
+    window.addEventListener('message', onMessage);
+    post({ event: 'ready', data: simulator.getStatus() });
+    console.log(`🖼️ Embed: Listening for commands from ${allowedOrigin || 'any origin'}`);
+
+    return () => {
+        window.removeEventListener('message', onMessage);
+        Object.values(subscriptions).forEach(unsubscribe => unsubscribe());
+    };
+}
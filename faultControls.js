@@ -0,0 +1,178 @@
+/**
+ * Fault Controls
+ * Mark individual fixtures as dead, stuck on, dim or flickering, or fail a random share of them
+ */
+
+import { DEFAULT_DIM_LEVEL, DEFAULT_FLICKER_RATE, FAULT_TYPES } from './lightFaults.js';
+
+export class FaultControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+
+        // What clicking a light applies ('ok' repairs it)
+        this.markType = 'dead';
+        this.dimLevel = DEFAULT_DIM_LEVEL;
+        this.flickerRate = DEFAULT_FLICKER_RATE;
+
+        // Random failure rates (fraction of lights per fault type)
+        this.rates = {};
+        Object.keys(FAULT_TYPES).forEach(type => this.rates[type] = 0);
+
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Fixture Faults</div>
+
+            <div class="mode-select-container">
+                <select id="fault-type-selector" class="mode-selector">
+                    ${Object.entries(FAULT_TYPES).map(([key, fault]) => `
+                        <option value="${key}">Click to mark: ${fault.name}</option>
+                    `).join('')}
+                    <option value="ok">Click to repair</option>
+                </select>
+            </div>
+
+            <div class="mode-param">
+                <label for="fault-dim-slider">Dim Level: </label>
+                <input type="range" id="fault-dim-slider" class="mode-param-slider" min="0" max="0.95" step="0.05" value="${this.dimLevel}">
+                <span id="fault-dim-value" class="mode-param-value"></span>
+            </div>
+
+            <div class="mode-param">
+                <label for="fault-flicker-slider">Flicker Dropout: </label>
+                <input type="range" id="fault-flicker-slider" class="mode-param-slider" min="0.05" max="0.95" step="0.05" value="${this.flickerRate}">
+                <span id="fault-flicker-value" class="mode-param-value"></span>
+            </div>
+
+            <div id="fault-grid" class="fault-grid"></div>
+
+            <div class="controls-header">Random Failures</div>
+            ${Object.entries(FAULT_TYPES).map(([key, fault]) => `
+                <div class="mode-param">
+                    <label for="fault-rate-${key}">${fault.name}: </label>
+                    <input type="range" id="fault-rate-${key}" class="mode-param-slider" data-type="${key}"
+                        min="0" max="0.5" step="0.01" value="0">
+                    <span class="mode-param-value" data-rate-for="${key}">0%</span>
+                </div>
+            `).join('')}
+
+            <div class="fault-buttons">
+                <button id="fault-randomize-btn" class="reset-params-btn">Randomize</button>
+                <button id="fault-clear-btn" class="reset-params-btn">Repair All</button>
+            </div>
+
+            <div id="fault-summary" class="speed-readout"></div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        section.querySelector('#fault-type-selector').addEventListener('change', (e) => {
+            this.markType = e.target.value;
+        });
+
+        section.querySelector('#fault-dim-slider').addEventListener('input', (e) => {
+            this.dimLevel = parseFloat(e.target.value);
+            this.updateUI();
+        });
+
+        section.querySelector('#fault-flicker-slider').addEventListener('input', (e) => {
+            this.flickerRate = parseFloat(e.target.value);
+            this.updateUI();
+        });
+
+        section.querySelectorAll('input[data-type]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.rates[slider.dataset.type] = parseFloat(slider.value);
+                this.updateUI();
+            });
+        });
+
+        section.querySelector('#fault-randomize-btn').addEventListener('click', () => {
+            const seed = Math.floor(Math.random() * 1000000);
+            this.lightAnimation.setRandomFaults(this.rates, seed, { level: this.dimLevel, rate: this.flickerRate });
+            this.updateUI();
+            console.log(`🎲 Random faults (seed ${seed}): ${this.describeCounts()}`);
+        });
+
+        section.querySelector('#fault-clear-btn').addEventListener('click', () => {
+            this.lightAnimation.clearFaults();
+            this.updateUI();
+        });
+    }
+
+    /**
+     * One button per light, colored by its fault
+     * Rebuilt on every update so it follows layout changes
+     */
+    renderGrid() {
+        const grid = this.section.querySelector('#fault-grid');
+        grid.innerHTML = '';
+
+        this.lightAnimation.lights.forEach((_, index) => {
+            const fault = this.lightAnimation.faults[index];
+            const button = document.createElement('button');
+            button.className = 'fault-light-btn';
+            button.textContent = index;
+            if (fault) {
+                button.style.background = FAULT_TYPES[fault.type].color;
+                button.title = `Light ${index}: ${this.describeFault(fault)}`;
+            } else {
+                button.title = `Light ${index}: OK`;
+            }
+
+            button.addEventListener('click', () => {
+                const fault = this.markType === 'ok' ? null :
+                    { type: this.markType, level: this.dimLevel, rate: this.flickerRate };
+                this.lightAnimation.setLightFault(index, fault);
+                this.updateUI();
+            });
+            grid.appendChild(button);
+        });
+    }
+
+    describeFault(fault) {
+        switch (fault.type) {
+            case 'dim':
+                return `Dim (${Math.round(fault.level * 100)}%)`;
+            case 'flicker':
+                return `Flicker (out ${Math.round(fault.rate * 100)}% of the time)`;
+            default:
+                return FAULT_TYPES[fault.type].name;
+        }
+    }
+
+    describeCounts() {
+        const counts = this.lightAnimation.getFaultCounts();
+        if (counts.total === 0) return 'All lights working';
+
+        const parts = Object.entries(FAULT_TYPES)
+            .filter(([key]) => counts[key] > 0)
+            .map(([key, fault]) => `${counts[key]} ${fault.name.toLowerCase()}`);
+        return `${parts.join(', ')} (${counts.total}/${this.lightAnimation.lights.length} faulty)`;
+    }
+
+    /**
+     * Sync the sliders, grid and summary with the animation's faults
+     */
+    updateUI() {
+        this.section.querySelector('#fault-type-selector').value = this.markType;
+        this.section.querySelector('#fault-dim-value').textContent = `${Math.round(this.dimLevel * 100)}%`;
+        this.section.querySelector('#fault-flicker-value').textContent = `${Math.round(this.flickerRate * 100)}%`;
+
+        const lightCount = this.lightAnimation.lights.length;
+        Object.entries(this.rates).forEach(([type, rate]) => {
+            this.section.querySelector(`#fault-rate-${type}`).value = rate;
+            this.section.querySelector(`[data-rate-for="${type}"]`).textContent =
+                `${Math.round(rate * 100)}% (${Math.round(rate * lightCount)})`;
+        });
+
+        this.renderGrid();
+        this.section.querySelector('#fault-summary').textContent = this.describeCounts();
+    }
+}
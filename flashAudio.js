@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+
+/**
+ * Flash Audio
+ * A synthesized click or tone at each light for every flash, heard from the camera
+ *
+ * Each light has a THREE.PositionalAudio source, so sounds are panned and attenuated
+ * by distance. Sound also takes time to arrive: a flash 1125 feet away is heard a
+ * second after it is seen, so walking along the line the clicks drift out of step
+ * with the lights. The delay is in simulation time, so it stretches in slow motion.
+ */
+
+export const SPEED_OF_SOUND = 1125; // feet per second in air at 20 °C
+export const DEFAULT_VOLUME = 0.5;
+
+const REF_DISTANCE = 50;     // feet at which a source plays at full volume
+const MAX_DELAY = 30;        // seconds; sounds further away than this are dropped
+
+// Shared noise buffer per audio context (for the click timbre)
+const noiseBuffers = new WeakMap();
+
+function getNoiseBuffer(context) {
+    if (!noiseBuffers.has(context)) {
+        const buffer = context.createBuffer(1, Math.floor(context.sampleRate * 0.05), context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        noiseBuffers.set(context, buffer);
+    }
+    return noiseBuffers.get(context);
+}
+
+/**
+ * Gain node that ramps up and then decays exponentially, connected to a destination
+ */
+function createPercussiveGain(context, destination, time, peak, attack, decay) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(peak, time + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + attack + decay);
+    gain.connect(destination);
+    return gain;
+}
+
+/**
+ * Oscillator that plays through a percussive gain and stops itself
+ */
+function playOscillator(context, destination, time, { type, frequency, peak, attack, decay }) {
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, time);
+    oscillator.connect(createPercussiveGain(context, destination, time, peak, attack, decay));
+    oscillator.start(time);
+    oscillator.stop(time + attack + decay + 0.01);
+}
+
+// Each timbre plays one flash sound into a destination node at a context time
+export const FLASH_TIMBRES = {
+    click: {
+        name: 'Click',
+        description: 'Short burst of filtered noise, like a relay closing',
+        play(context, destination, time) {
+            const source = context.createBufferSource();
+            source.buffer = getNoiseBuffer(context);
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 2500;
+            filter.Q.value = 1.5;
+            source.connect(filter);
+            filter.connect(createPercussiveGain(context, destination, time, 1.0, 0.001, 0.03));
+            source.start(time);
+        }
+    },
+    tick: {
+        name: 'Tick',
+        description: 'Very short square-wave blip',
+        play(context, destination, time) {
+            playOscillator(context, destination, time,
+                { type: 'square', frequency: 1500, peak: 0.3, attack: 0.001, decay: 0.015 });
+        }
+    },
+    tone: {
+        name: 'Tone',
+        description: 'Pure sine beep',
+        play(context, destination, time) {
+            playOscillator(context, destination, time,
+                { type: 'sine', frequency: 880, peak: 0.6, attack: 0.005, decay: 0.15 });
+        }
+    },
+    chime: {
+        name: 'Chime',
+        description: 'Bell-like partials with a long ring (overlaps between lights)',
+        play(context, destination, time) {
+            [[660, 0.4, 1.2], [1822, 0.2, 0.6], [3564, 0.1, 0.3]].forEach(([frequency, peak, decay]) => {
+                playOscillator(context, destination, time,
+                    { type: 'sine', frequency, peak, attack: 0.002, decay });
+            });
+        }
+    }
+};
+
+export class FlashAudio {
+    /**
+     * @param {THREE.Camera} camera - The listener rides on the camera
+     * @param {THREE.Scene} scene - Sound sources are added at each light
+     * @param {LightAnimation} lightAnimation - Plays a sound on each of its 'flash' events
+     */
+    constructor(camera, scene, lightAnimation) {
+        this.camera = camera;
+        this.scene = scene;
+        this.lightAnimation = lightAnimation;
+
+        this.muted = true; // Silent until switched on (browsers need a click before playing audio)
+        this.volume = DEFAULT_VOLUME;
+        this.timbre = 'click';
+
+        this.listener = null; // Created when first unmuted
+        this.sources = [];    // { audio, input } per light
+        this.listenerPosition = new THREE.Vector3();
+
+        this.lightAnimation.on('flash', ({ index }) => this.playFlash(index));
+    }
+
+    /**
+     * Create the audio listener and a source per light
+     * Must first be called from a user gesture so the browser lets the context start
+     */
+    enable() {
+        if (!this.listener) {
+            this.listener = new THREE.AudioListener();
+            this.camera.add(this.listener);
+            this.rebuildSources();
+        }
+
+        const context = this.listener.context;
+        if (context.state === 'suspended') {
+            context.resume();
+
+            // Without a user gesture the browser holds the context until the next click or key press
+            const resume = () => context.resume();
+            window.addEventListener('pointerdown', resume, { once: true });
+            window.addEventListener('keydown', resume, { once: true });
+        }
+        this.applyVolume();
+    }
+
+    /**
+     * Replace the sound sources after the installation layout is rebuilt
+     */
+    rebuildSources() {
+        this.sources.forEach(({ audio }) => {
+            audio.disconnect();
+            audio.gain.disconnect();
+            this.scene.remove(audio);
+        });
+        this.sources = [];
+        if (!this.listener) return;
+
+        this.sources = this.lightAnimation.lights.map(light => {
+            const audio = new THREE.PositionalAudio(this.listener);
+            const input = this.listener.context.createGain();
+            audio.setNodeSource(input);
+            audio.setDistanceModel('inverse');
+            audio.setRefDistance(REF_DISTANCE);
+            audio.setRolloffFactor(1);
+            audio.position.copy(light.position);
+            this.scene.add(audio);
+            return { audio, input };
+        });
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        if (!muted) {
+            this.enable();
+        }
+        this.applyVolume();
+    }
+
+    /**
+     * @param {number} volume - Master volume (0-1)
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyVolume();
+    }
+
+    /**
+     * @param {string} timbre - Key of FLASH_TIMBRES
+     */
+    setTimbre(timbre) {
+        if (!FLASH_TIMBRES[timbre]) {
+            console.warn(`⚠️ Unknown flash timbre "${timbre}"`);
+            return;
+        }
+        this.timbre = timbre;
+    }
+
+    applyVolume() {
+        if (this.listener) {
+            this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+        }
+    }
+
+    /**
+     * Distance from the camera to a light
+     * @param {number} index - Light index
+     * @returns {number} Feet
+     */
+    getDistance(index) {
+        this.camera.getWorldPosition(this.listenerPosition);
+        return this.listenerPosition.distanceTo(this.lightAnimation.lights[index].position);
+    }
+
+    /**
+     * How long after a light flashes its sound reaches the camera
+     * @param {number} index - Light index
+     * @returns {number} Seconds of simulation time
+     */
+    getSoundDelay(index) {
+        return this.getDistance(index) / SPEED_OF_SOUND;
+    }
+
+    /**
+     * Play one light's flash sound, delayed by the time sound takes to reach the camera
+     * @param {number} index - Light index
+     */
+    playFlash(index) {
+        if (this.muted || !this.listener || !this.sources[index]) return;
+
+        const context = this.listener.context;
+        if (context.state !== 'running') return;
+
+        // Sound travels in simulation time, so slow motion stretches the delay too
+        const delay = this.getSoundDelay(index) / this.lightAnimation.speedMultiplier;
+        if (delay > MAX_DELAY) return;
+
+        FLASH_TIMBRES[this.timbre].play(context, this.sources[index].input, context.currentTime + delay);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Flash Envelopes
+ * Brightness curve of a single flash, as a fraction of peak brightness over the flash duration
+ *
+ * An envelope is a plain object:
+ *   { shape, duration, ...shape parameters }
+ * Shape parameters are fractions of the duration (or levels 0-1), so changing the
+ * duration stretches the curve without changing its shape.
+ */
+
+export const MIN_FLASH_DURATION = 0.005; // seconds
+export const MAX_FLASH_DURATION = 1.0;
+
+// Parameter schema entries: { id, label, min, max, step, default }
+export const FLASH_SHAPES = {
+    sine: {
+        name: 'Half Sine',
+        description: 'Smooth rise and fall (the original 50 ms strobe)',
+        params: [],
+        evaluate: p => Math.sin(p * Math.PI)
+    },
+    square: {
+        name: 'Square',
+        description: 'Hard on/off strobe',
+        params: [],
+        evaluate: () => 1
+    },
+    adsr: {
+        name: 'ADSR',
+        description: 'Attack, decay, sustain and release ramps (e.g. ramp-limited LED drivers)',
+        params: [
+            { id: 'attack', label: 'Attack', min: 0, max: 1, step: 0.01, default: 0.1 },
+            { id: 'decay', label: 'Decay', min: 0, max: 1, step: 0.01, default: 0.2 },
+            { id: 'sustain', label: 'Sustain Level', min: 0, max: 1, step: 0.01, default: 0.6 },
+            { id: 'release', label: 'Release', min: 0, max: 1, step: 0.01, default: 0.3 }
+        ],
+        evaluate(p, envelope) {
+            const { attack, decay, sustain, release } = fitADSR(envelope);
+            if (p < attack) return p / attack;
+            if (p < attack + decay) return 1 - (1 - sustain) * (p - attack) / decay;
+            if (p < 1 - release || release === 0) return sustain;
+            return sustain * (1 - p) / release;
+        }
+    },
+    exponential: {
+        name: 'Exponential Decay',
+        description: 'Fast attack, then exponential decay (incandescent or xenon style)',
+        params: [
+            { id: 'rise', label: 'Attack', min: 0, max: 0.5, step: 0.01, default: 0.05 },
+            { id: 'decayRate', label: 'Decay Rate', min: 1, max: 10, step: 0.5, default: 5 }
+        ],
+        evaluate(p, envelope) {
+            if (p < envelope.rise) return p / envelope.rise;
+            const decayProgress = (p - envelope.rise) / (1 - envelope.rise);
+            return Math.exp(-envelope.decayRate * decayProgress);
+        }
+    },
+    custom: {
+        name: 'Custom Curve',
+        description: 'Straight lines between your own points (time, level)',
+        params: [],
+        evaluate: (p, envelope) => interpolatePoints(envelope.points, p)
+    }
+};
+
+export const DEFAULT_CUSTOM_POINTS = [[0, 0], [0.1, 1], [0.3, 0.4], [0.6, 0.8], [1, 0]];
+
+export const DEFAULT_FLASH_ENVELOPE = {
+    shape: 'sine',
+    duration: 0.05, // seconds (50ms strobe effect)
+    points: DEFAULT_CUSTOM_POINTS
+};
+
+/**
+ * Scale ADSR stage lengths down if together they exceed the flash duration
+ */
+function fitADSR({ attack, decay, sustain, release }) {
+    const total = attack + decay + release;
+    const scale = total > 1 ? 1 / total : 1;
+    return { attack: attack * scale, decay: decay * scale, sustain, release: release * scale };
+}
+
+/**
+ * Linear interpolation through [time, level] points sorted by time (0-1)
+ */
+function interpolatePoints(points, p) {
+    if (p <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+        const [t1, v1] = points[i];
+        if (p <= t1) {
+            const [t0, v0] = points[i - 1];
+            return t1 > t0 ? v0 + (v1 - v0) * (p - t0) / (t1 - t0) : v1;
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Check custom curve points: at least two [time, level] pairs within 0-1
+ */
+export function isValidCurvePoints(points) {
+    return Array.isArray(points) && points.length >= 2 && points.every(point =>
+        Array.isArray(point) && point.length === 2 &&
+        point.every(value => typeof value === 'number' && value >= 0 && value <= 1)
+    );
+}
+
+/**
+ * Fill in defaults and clamp an envelope to supported values
+ * @param {object} envelope - Partial envelope
+ * @returns {object} Complete envelope
+ */
+export function normalizeFlashEnvelope(envelope) {
+    const shape = FLASH_SHAPES[envelope.shape] ? envelope.shape : DEFAULT_FLASH_ENVELOPE.shape;
+    const duration = Number.isFinite(envelope.duration) ? envelope.duration : DEFAULT_FLASH_ENVELOPE.duration;
+    const normalized = {
+        shape,
+        duration: Math.max(MIN_FLASH_DURATION, Math.min(MAX_FLASH_DURATION, duration)),
+        points: isValidCurvePoints(envelope.points) ?
+            [...envelope.points].sort((a, b) => a[0] - b[0]) : DEFAULT_CUSTOM_POINTS
+    };
+
+    // Keep every shape's parameters so switching shapes doesn't lose settings
+    Object.values(FLASH_SHAPES).forEach(definition => {
+        definition.params.forEach(param => {
+            const value = envelope[param.id];
+            normalized[param.id] = Number.isFinite(value) ?
+                Math.max(param.min, Math.min(param.max, value)) : param.default;
+        });
+    });
+
+    return normalized;
+}
+
+/**
+ * Envelope level at a time since the flash started
+ * @param {object} envelope - Normalized envelope
+ * @param {number} t - Seconds since the flash started
+ * @returns {number} Level 0-1 (0 outside the flash)
+ */
+export function evaluateFlashEnvelope(envelope, t) {
+    if (t < 0 || t > envelope.duration) return 0;
+    const level = FLASH_SHAPES[envelope.shape].evaluate(t / envelope.duration, envelope);
+    return Math.max(0, Math.min(1, level));
+}
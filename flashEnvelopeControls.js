@@ -0,0 +1,202 @@
+/**
+ * Flash Envelope Controls
+ * Choose the shape and duration of every flash, with a preview of the curve
+ */
+
+import { FLASH_SHAPES, MAX_FLASH_DURATION, MIN_FLASH_DURATION, evaluateFlashEnvelope } from './flashEnvelope.js';
+
+/**
+ * Parse custom curve points written as "time,level;time,level;..." (fractions 0-1)
+ * @param {string} text - Point list
+ * @returns {Array<Array<number>>|null} Points, or null if invalid
+ */
+export function parseCurvePoints(text) {
+    const points = text.split(';')
+        .map(pair => pair.trim())
+        .filter(pair => pair.length > 0)
+        .map(pair => pair.split(',').map(value => parseFloat(value)));
+
+    const valid = points.length >= 2 && points.every(point =>
+        point.length === 2 && point.every(value => value >= 0 && value <= 1)
+    );
+    return valid ? points : null;
+}
+
+/**
+ * Format custom curve points for the text input and URL
+ */
+export function formatCurvePoints(points) {
+    return points.map(([t, level]) => `${t},${level}`).join(';');
+}
+
+export class FlashEnvelopeControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Flash Envelope</div>
+
+            <div class="mode-select-container">
+                <select id="flash-shape-selector" class="mode-selector">
+                    ${Object.entries(FLASH_SHAPES).map(([key, shape]) => `
+                        <option value="${key}">${shape.name}</option>
+                    `).join('')}
+                </select>
+                <div id="flash-shape-description" class="mode-description"></div>
+            </div>
+
+            <canvas id="flash-preview" class="flash-preview" width="240" height="80"></canvas>
+
+            <div class="mode-param">
+                <label for="flash-duration-slider">Duration: </label>
+                <input type="range" id="flash-duration-slider" class="mode-param-slider"
+                    min="${MIN_FLASH_DURATION * 1000}" max="${MAX_FLASH_DURATION * 1000}" step="5">
+                <span id="flash-duration-value" class="mode-param-value"></span>
+            </div>
+
+            <div id="flash-shape-params"></div>
+
+            <div class="mode-param" id="flash-points-row">
+                <label for="flash-points">Curve Points (time,level;...): </label>
+                <input type="text" id="flash-points" class="curve-points-input" spellcheck="false">
+            </div>
+
+            <div class="controls-info">
+                <small>Applies to every flash in every mode. Times are fractions of the duration.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+        this.canvas = section.querySelector('#flash-preview');
+
+        section.querySelector('#flash-shape-selector').addEventListener('change', (e) => {
+            this.lightAnimation.setFlashEnvelope({ shape: e.target.value });
+            this.updateUI();
+        });
+
+        section.querySelector('#flash-duration-slider').addEventListener('input', (e) => {
+            this.lightAnimation.setFlashEnvelope({ duration: parseFloat(e.target.value) / 1000 });
+            this.updateUI();
+        });
+
+        const pointsInput = section.querySelector('#flash-points');
+        pointsInput.addEventListener('change', () => {
+            const points = parseCurvePoints(pointsInput.value);
+            if (points) {
+                pointsInput.classList.remove('error');
+                this.lightAnimation.setFlashEnvelope({ points });
+                this.updateUI();
+            } else {
+                pointsInput.classList.add('error');
+                console.warn(`⚠️ Invalid curve points "${pointsInput.value}" (expected time,level;... with values 0-1)`);
+            }
+        });
+    }
+
+    /**
+     * Sliders for the selected shape's parameters
+     */
+    renderShapeParams() {
+        const envelope = this.lightAnimation.flashEnvelope;
+        const container = this.section.querySelector('#flash-shape-params');
+        container.innerHTML = '';
+
+        FLASH_SHAPES[envelope.shape].params.forEach(param => {
+            const row = document.createElement('div');
+            row.className = 'mode-param';
+            row.innerHTML = `
+                <label for="flash-param-${param.id}">${param.label}: </label>
+                <input type="range" id="flash-param-${param.id}" class="mode-param-slider"
+                    min="${param.min}" max="${param.max}" step="${param.step}" value="${envelope[param.id]}">
+                <span class="mode-param-value">${this.formatParam(param, envelope[param.id])}</span>
+            `;
+            const input = row.querySelector('input');
+            const value = row.querySelector('.mode-param-value');
+            input.addEventListener('input', () => {
+                this.lightAnimation.setFlashEnvelope({ [param.id]: parseFloat(input.value) });
+                value.textContent = this.formatParam(param, this.lightAnimation.flashEnvelope[param.id]);
+                this.drawPreview();
+            });
+            container.appendChild(row);
+        });
+    }
+
+    formatParam(param, value) {
+        // Rates are plain numbers; stage lengths and levels are percentages
+        return param.max > 1 ? value.toString() : `${Math.round(value * 100)}%`;
+    }
+
+    /**
+     * Sync the inputs and preview with the animation's envelope
+     */
+    updateUI() {
+        const envelope = this.lightAnimation.flashEnvelope;
+
+        this.section.querySelector('#flash-shape-selector').value = envelope.shape;
+        this.section.querySelector('#flash-shape-description').textContent = FLASH_SHAPES[envelope.shape].description;
+        this.section.querySelector('#flash-duration-slider').value = envelope.duration * 1000;
+        this.section.querySelector('#flash-duration-value').textContent = `${Math.round(envelope.duration * 1000)} ms`;
+
+        const pointsInput = this.section.querySelector('#flash-points');
+        pointsInput.value = formatCurvePoints(envelope.points);
+        pointsInput.classList.remove('error');
+        this.section.querySelector('#flash-points-row').style.display = envelope.shape === 'custom' ? '' : 'none';
+
+        this.renderShapeParams();
+        this.drawPreview();
+    }
+
+    /**
+     * Draw brightness over the flash duration
+     */
+    drawPreview() {
+        const envelope = this.lightAnimation.flashEnvelope;
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const padding = 6;
+        const plotWidth = width - padding * 2;
+        const plotHeight = height - padding * 2 - 10; // Room for the time label
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Baseline and peak guides
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding + 0.5);
+        ctx.lineTo(width - padding, padding + 0.5);
+        ctx.moveTo(padding, padding + plotHeight + 0.5);
+        ctx.lineTo(width - padding, padding + plotHeight + 0.5);
+        ctx.stroke();
+
+        // Curve
+        ctx.strokeStyle = '#4CAF50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x <= plotWidth; x++) {
+            const level = evaluateFlashEnvelope(envelope, (x / plotWidth) * envelope.duration);
+            const y = padding + plotHeight * (1 - level);
+            if (x === 0) {
+                ctx.moveTo(padding + x, y);
+            } else {
+                ctx.lineTo(padding + x, y);
+            }
+        }
+        ctx.stroke();
+
+        // Time axis labels
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText('0', padding, height - 2);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${Math.round(envelope.duration * 1000)} ms`, width - padding, height - 2);
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * GPS Survey Import
+ * Load surveyed light locations (GeoJSON or CSV of lat/lon) and project them
+ * into the scene's local frame: 1 unit = 1 foot, +X = east, +Z = north
+ *
+ * GeoJSON: a FeatureCollection of Point features, or a LineString / MultiPoint,
+ * with [longitude, latitude] coordinates. Lights are taken in file order.
+ *
+ * CSV: one light per row, in order. A header row naming `lat`/`latitude` and
+ * `lon`/`lng`/`longitude` columns is recommended; without one, the first two
+ * columns are read as latitude, longitude. Blank lines and lines starting with # are ignored.
+ */
+
+import {
+    FEET_PER_METER,
+    WGS84_EQUATORIAL_RADIUS,
+    WGS84_ECCENTRICITY_SQUARED
+} from './earthRotation.js';
+import { LAYOUT_LIMITS } from './installationLayout.js';
+
+/**
+ * Validate and normalize a parsed GeoJSON object
+ * @param {object} data - Parsed GeoJSON
+ * @returns {Array<object>} Points as { latitude, longitude }
+ */
+export function parseSurveyGeoJSON(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('GeoJSON must be an object');
+    }
+
+    const coordinates = [];
+    const collect = (geometry, path) => {
+        if (!geometry || typeof geometry !== 'object') {
+            throw new Error(`${path}: missing geometry`);
+        }
+        switch (geometry.type) {
+            case 'Point':
+                coordinates.push({ coordinate: geometry.coordinates, path });
+                break;
+            case 'MultiPoint':
+            case 'LineString':
+                if (!Array.isArray(geometry.coordinates)) {
+                    throw new Error(`${path}: expected a coordinates array`);
+                }
+                geometry.coordinates.forEach((coordinate, i) => {
+                    coordinates.push({ coordinate, path: `${path}.coordinates[${i}]` });
+                });
+                break;
+            default:
+                throw new Error(`${path}: unsupported geometry "${geometry.type}" (use Point, MultiPoint or LineString)`);
+        }
+    };
+
+    if (data.type === 'FeatureCollection') {
+        if (!Array.isArray(data.features)) {
+            throw new Error('FeatureCollection needs a "features" array');
+        }
+        data.features.forEach((feature, i) => collect(feature && feature.geometry, `features[${i}]`));
+    } else if (data.type === 'Feature') {
+        collect(data.geometry, 'feature');
+    } else {
+        collect(data, 'geometry');
+    }
+
+    return coordinates.map(({ coordinate, path }) => {
+        if (!Array.isArray(coordinate) || coordinate.length < 2) {
+            throw new Error(`${path}: expected [longitude, latitude]`);
+        }
+        return requireLatLon(coordinate[1], coordinate[0], path);
+    });
+}
+
+/**
+ * Parse CSV text with one light per row
+ * @param {string} text - CSV contents
+ * @returns {Array<object>} Points as { latitude, longitude }
+ */
+export function parseSurveyCSV(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+
+    if (rows.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+
+    // Columns from the header row, or latitude, longitude by default
+    let latColumn = 0;
+    let lonColumn = 1;
+    let firstRow = 0;
+    if (rows[0].some(cell => cell !== '' && isNaN(parseFloat(cell)))) {
+        const header = rows[0].map(cell => cell.toLowerCase());
+        latColumn = header.findIndex(cell => /^lat(itude)?$/.test(cell));
+        lonColumn = header.findIndex(cell => /^(lon|lng|long|longitude)$/.test(cell));
+        if (latColumn < 0 || lonColumn < 0) {
+            throw new Error('CSV header needs "lat" and "lon" columns');
+        }
+        firstRow = 1;
+    }
+
+    return rows.slice(firstRow).map((row, i) => {
+        const line = `row ${firstRow + i + 1}`;
+        return requireLatLon(parseFloat(row[latColumn]), parseFloat(row[lonColumn]), line);
+    });
+}
+
+function requireLatLon(latitude, longitude, path) {
+    if (typeof latitude !== 'number' || !isFinite(latitude) || Math.abs(latitude) > 90) {
+        throw new Error(`${path}: invalid latitude`);
+    }
+    if (typeof longitude !== 'number' || !isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw new Error(`${path}: invalid longitude`);
+    }
+    return { latitude, longitude };
+}
+
+/**
+ * Project lat/lon points onto a local tangent plane centered on the survey
+ * Uses the WGS84 radii of curvature at the survey's mean latitude, which is
+ * accurate to well under an inch over an installation a few miles long
+ * @param {Array<object>} points - { latitude, longitude }
+ * @returns {Array<Array<number>>} [x, z] in feet (x = east, z = north)
+ */
+export function projectSurvey(points) {
+    const originLat = points.reduce((sum, point) => sum + point.latitude, 0) / points.length;
+    const originLon = points.reduce((sum, point) => sum + point.longitude, 0) / points.length;
+
+    const latRad = originLat * Math.PI / 180;
+    const sinLat = Math.sin(latRad);
+    const w = 1 - WGS84_ECCENTRICITY_SQUARED * sinLat * sinLat;
+    const meridionalRadius = WGS84_EQUATORIAL_RADIUS * (1 - WGS84_ECCENTRICITY_SQUARED) / Math.pow(w, 1.5);
+    const primeVerticalRadius = WGS84_EQUATORIAL_RADIUS / Math.sqrt(w);
+
+    const feetPerDegreeNorth = meridionalRadius * Math.PI / 180 * FEET_PER_METER;
+    const feetPerDegreeEast = primeVerticalRadius * Math.cos(latRad) * Math.PI / 180 * FEET_PER_METER;
+
+    return points.map(point => {
+        // Wrap longitude differences across the antimeridian
+        const deltaLon = ((point.longitude - originLon + 540) % 360) - 180;
+        return [
+            deltaLon * feetPerDegreeEast,
+            (point.latitude - originLat) * feetPerDegreeNorth
+        ];
+    });
+}
+
+/**
+ * Compare surveyed spacing with the ideal spacing
+ * The simulation times each light by its true distance along the path, so a gap that is
+ * too long takes longer to cross: a viewer assuming the ideal spacing would judge the wave
+ * slower over that segment by the same ratio
+ * @param {Array<number>} distances - Cumulative path distance of each light (feet)
+ * @param {number} idealSpacing - Intended spacing (feet)
+ * @returns {object} { gaps, mean, min, max, worstIndex, minRatio, maxRatio }
+ */
+export function analyzeSurveySpacing(distances, idealSpacing) {
+    const gaps = distances.slice(1).map((distance, i) => distance - distances[i]);
+    const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const min = Math.min(...gaps);
+    const max = Math.max(...gaps);
+
+    let worstIndex = 0;
+    gaps.forEach((gap, i) => {
+        if (Math.abs(gap - idealSpacing) > Math.abs(gaps[worstIndex] - idealSpacing)) worstIndex = i;
+    });
+
+    return {
+        gaps,
+        mean,
+        min,
+        max,
+        worstIndex, // Gap between light worstIndex and worstIndex + 1
+        minRatio: idealSpacing / max, // Apparent speed / true speed, judged by the ideal spacing
+        maxRatio: idealSpacing / min
+    };
+}
+
+/**
+ * Parse a survey file by extension (or content) and project it
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to pick the format and name the survey
+ * @returns {object} { name, points: [{ latitude, longitude }], positions: [[x, z]] }
+ */
+export function loadSurveyFromText(text, fileName) {
+    const isCSV = /\.(csv|txt)$/i.test(fileName) || !/^\s*[{[]/.test(text);
+
+    let points;
+    let name = fileName.replace(/^.*\//, '');
+    if (isCSV) {
+        points = parseSurveyCSV(text);
+    } else {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        points = parseSurveyGeoJSON(data);
+        if (data.name || (data.properties && data.properties.name)) {
+            name = data.name || data.properties.name;
+        }
+    }
+
+    const { min, max } = LAYOUT_LIMITS.count;
+    if (points.length < min || points.length > max) {
+        throw new Error(`Survey has ${points.length} lights (expected ${min}-${max})`);
+    }
+
+    return { name, points, positions: projectSurvey(points) };
+}
+
+/**
+ * Fetch a survey file from a path relative to the page
+ * Only same-origin relative paths are accepted (e.g. ?survey=surveys/2024.geojson)
+ * @param {string} path - Relative path or URL
+ * @returns {Promise<object>} Survey as returned by loadSurveyFromText
+ */
+export async function loadSurveyFromURL(path) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('//')) {
+        throw new Error(`Survey path must be relative to this page: "${path}"`);
+    }
+    const url = new URL(path, window.location.href);
+    if (url.origin !== window.location.origin) {
+        throw new Error(`Survey path must be relative to this page: "${path}"`);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load survey "${path}" (HTTP ${response.status})`);
+    }
+    return loadSurveyFromText(await response.text(), url.pathname);
+}
@@ -0,0 +1,393 @@
+import * as THREE from 'three';
+
+/**
+ * Installation Layout
+ * Builds the light fixtures along a configurable path and rebuilds them at runtime
+ *
+ * Scale: 1 THREE.js unit = 1 foot. Layouts are centered on the origin and
+ * the wave travels from the first light to the last.
+ */
+
+export const LAYOUT_SHAPES = {
+    straight: { name: 'Straight Line' },
+    arc: { name: 'Arc' },
+    circle: { name: 'Circle' },
+    polyline: { name: 'Polyline' },
+    surveyed: { name: 'Surveyed (GPS)' } // Positions from an imported survey; count and spacing follow the survey
+};
+
+export const LAYOUT_LIMITS = {
+    count: { min: 2, max: 50 },
+    spacing: { min: 10, max: 500 },
+    height: { min: 4, max: 10 },
+    arcAngle: { min: 10, max: 300 }
+};
+
+// The 2024 installation: 30 lights, 176 feet apart, in a straight line
+export const DEFAULT_LAYOUT = {
+    count: 30,
+    spacing: 176, // feet between lights
+    height: 4,    // feet (adjustable 4-10)
+    shape: 'straight',
+    arcAngle: 90, // degrees of curvature for the arc shape
+    points: [[0, 0], [600, 1700], [-600, 3400], [0, 5100]], // polyline vertices (x, z in feet), scaled to fit
+    survey: null  // surveyed light positions (x, z in feet), see gpsSurvey.js
+};
+
+/**
+ * Create one light fixture: pole, point + spot light, glow sphere, bulb and scale circle
+ * @param {THREE.Scene} scene - Scene to add the fixture to
+ * @param {THREE.Vector3} position - Ground position of the pole
+ * @param {number} height - Pole height in feet
+ * @returns {object} { light, glowSphere, marker, objects } - objects lists everything added to the scene
+ */
+export function createLightFixture(scene, position, height) {
+    const { x, z } = position;
+    const objects = [];
+
+    // Create visual marker (thin pole)
+    const markerGeometry = new THREE.CylinderGeometry(0.3, 0.3, height, 8);
+    const markerMaterial = new THREE.MeshStandardMaterial({
+        color: 0x666666,
+        roughness: 0.7,
+        metalness: 0.3,
+        emissive: 0x222222,
+        emissiveIntensity: 0.2
+    });
+    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    marker.position.set(x, height / 2, z);
+    marker.castShadow = true;  // Markers cast shadows
+    marker.receiveShadow = true; // Markers can receive shadows from other objects
+    objects.push(marker);
+
+    // Hybrid lighting system for realistic soft diffuse light:
+    // 1. PointLight for omnidirectional spread (main light)
+    const pointLight = new THREE.PointLight(
+        0xffffff,  // color
+        0,         // intensity (initially off, controlled by animation)
+        250,       // distance - how far the light reaches
+        1.5        // decay - gentler falloff for wider spread
+    );
+    pointLight.position.set(x, height + 2, z); // Slightly higher for better spread
+    objects.push(pointLight);
+
+    // 2. SpotLight pointing down for ground focus (subtle accent)
+    const spotLight = new THREE.SpotLight(
+        0xffffff,  // color
+        0,         // intensity (initially off, will be 30% of point light)
+        300,       // distance (increased)
+        1.2,       // angle (wider cone ~68° for softer coverage)
+        0.9,       // penumbra (very soft edges)
+        1.0        // decay (light spreads further)
+    );
+    spotLight.position.set(x, height, z);
+    spotLight.target.position.set(x, 0, z); // Point straight down
+    objects.push(spotLight, spotLight.target);
+
+    // Store both lights - point light is primary, spot is accent
+    const light = pointLight; // Primary light for animation control
+    light.userData.spotLight = spotLight; // Store accent light
+
+    // Create small glow sphere for subtle corona effect (much smaller)
+    const glowGeometry = new THREE.SphereGeometry(8, 16, 16); // 8 foot radius
+    const glowMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0,
+        side: THREE.BackSide
+    });
+    const glowSphere = new THREE.Mesh(glowGeometry, glowMaterial);
+    glowSphere.position.set(x, height, z);
+    objects.push(glowSphere);
+
+    // Add small light bulb sphere at fixture position
+    const lightBulbGeometry = new THREE.SphereGeometry(0.8, 16, 16);
+    const lightBulbMaterial = new THREE.MeshStandardMaterial({
+        color: 0xffddaa,
+        emissive: 0xffaa44,
+        emissiveIntensity: 0.3,
+        roughness: 0.3,
+        metalness: 0.1
+    });
+    const lightBulb = new THREE.Mesh(lightBulbGeometry, lightBulbMaterial);
+    lightBulb.position.set(x, height, z);
+    objects.push(lightBulb);
+    light.userData.bulb = lightBulb;
+
+    // Create scale indicator circle (50-foot radius) on the ground
+    const circleGeometry = new THREE.RingGeometry(49.5, 50.5, 64); // Thin ring
+    const circleMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00ff00,  // Green for visibility
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.6
+    });
+    const scaleCircle = new THREE.Mesh(circleGeometry, circleMaterial);
+    scaleCircle.rotation.x = -Math.PI / 2; // Lay flat on ground
+    scaleCircle.position.set(x, 0.1, z); // Slightly above ground to prevent z-fighting
+    scaleCircle.visible = false; // Hidden by default
+    objects.push(scaleCircle);
+    light.userData.scaleCircle = scaleCircle; // Store reference for toggling
+
+    objects.forEach(object => scene.add(object));
+
+    return { light, glowSphere, marker, objects };
+}
+
+/**
+ * Ground positions for a layout, centered on the origin
+ * Consecutive lights are exactly `spacing` apart (straight line distance) except
+ * around polyline corners, where lights are spaced along the path
+ * @param {object} config - Layout configuration
+ * @returns {Array<THREE.Vector3>} Positions at ground level (y = 0)
+ */
+export function computeLayoutPositions(config) {
+    const { count, spacing } = config;
+    const positions = [];
+
+    switch (config.shape) {
+        case 'arc': {
+            // Bow toward +X, running from -Z to +Z
+            const totalAngle = config.arcAngle * Math.PI / 180;
+            const step = totalAngle / (count - 1);
+            const radius = spacing / (2 * Math.sin(step / 2));
+            for (let i = 0; i < count; i++) {
+                const angle = -totalAngle / 2 + i * step;
+                positions.push(new THREE.Vector3(radius * (1 - Math.cos(angle)), 0, radius * Math.sin(angle)));
+            }
+            break;
+        }
+        case 'circle': {
+            // Closed loop starting at -Z, heading toward +X
+            const step = 2 * Math.PI / count;
+            const radius = spacing / (2 * Math.sin(step / 2));
+            for (let i = 0; i < count; i++) {
+                const angle = i * step;
+                positions.push(new THREE.Vector3(radius * Math.sin(angle), 0, -radius * Math.cos(angle)));
+            }
+            break;
+        }
+        case 'polyline': {
+            positions.push(...samplePolyline(config.points, count, spacing));
+            break;
+        }
+        case 'surveyed': {
+            // Used as-is: spacing errors are what the survey is for
+            config.survey.forEach(([x, z]) => positions.push(new THREE.Vector3(x, 0, z)));
+            break;
+        }
+        default: {
+            // Straight line along Z
+            for (let i = 0; i < count; i++) {
+                positions.push(new THREE.Vector3(0, 0, i * spacing));
+            }
+        }
+    }
+
+    // Center the installation on the origin
+    const box = new THREE.Box3().setFromPoints(positions);
+    const center = box.getCenter(new THREE.Vector3());
+    center.y = 0;
+    positions.forEach(position => position.sub(center));
+
+    return positions;
+}
+
+/**
+ * Place lights evenly along a polyline scaled to the installation length
+ */
+function samplePolyline(points, count, spacing) {
+    const vertices = points
+        .map(([x, z]) => new THREE.Vector3(x, 0, z))
+        .filter((vertex, i, all) => i === 0 || !vertex.equals(all[i - 1])); // Skip zero-length segments
+    const segmentLengths = vertices.slice(1).map((vertex, i) => vertex.distanceTo(vertices[i]));
+    const polylineLength = segmentLengths.reduce((sum, length) => sum + length, 0);
+    const scale = ((count - 1) * spacing) / polylineLength;
+
+    const positions = [];
+    let segment = 0;
+    let segmentStart = 0;
+    for (let i = 0; i < count; i++) {
+        const distance = (i * spacing) / scale; // Distance along the unscaled polyline
+        while (segment < segmentLengths.length - 1 && distance > segmentStart + segmentLengths[segment]) {
+            segmentStart += segmentLengths[segment];
+            segment++;
+        }
+        const t = Math.min(1, (distance - segmentStart) / segmentLengths[segment]);
+        positions.push(new THREE.Vector3().lerpVectors(vertices[segment], vertices[segment + 1], t).multiplyScalar(scale));
+    }
+    return positions;
+}
+
+/**
+ * Check a polyline has at least two distinct points
+ */
+export function isValidPolyline(points) {
+    if (!Array.isArray(points) || points.length < 2) return false;
+    if (!points.every(point => Array.isArray(point) && point.length === 2 && point.every(isFinite))) return false;
+    return points.some((point, i) => i > 0 && (point[0] !== points[0][0] || point[1] !== points[0][1]));
+}
+
+export class InstallationLayout {
+    constructor(scene, config = {}) {
+        this.scene = scene;
+
+        // Shared arrays: rebuilt in place so other modules keep valid references
+        this.lights = [];
+        this.glowSpheres = [];
+        this.markers = [];
+
+        this.objects = []; // Everything this layout added to the scene
+        this.positions = []; // Ground positions of each light
+        this.distances = []; // Cumulative path distance from the first light
+        this.pathLength = 0; // Distance from first to last light (plus the closing segment if closed)
+        this.closed = false; // Whether the path loops back to the first light
+
+        this.build({ ...DEFAULT_LAYOUT, ...config });
+    }
+
+    /**
+     * Replace the installation with a new configuration
+     * @param {object} config - Partial layout configuration merged over the current one
+     */
+    rebuild(config) {
+        this.dispose();
+        this.build({ ...this.config, ...config });
+    }
+
+    build(config) {
+        this.config = normalizeLayoutConfig(config);
+        this.positions = computeLayoutPositions(this.config);
+        this.closed = this.config.shape === 'circle';
+
+        this.positions.forEach(position => {
+            const fixture = createLightFixture(this.scene, position, this.config.height);
+            this.lights.push(fixture.light);
+            this.glowSpheres.push(fixture.glowSphere);
+            this.markers.push(fixture.marker);
+            this.objects.push(...fixture.objects);
+        });
+
+        // Path distances between consecutive lights
+        this.distances = [0];
+        for (let i = 1; i < this.positions.length; i++) {
+            this.distances.push(this.distances[i - 1] + this.positions[i].distanceTo(this.positions[i - 1]));
+        }
+        this.pathLength = this.distances[this.distances.length - 1];
+        if (this.closed) {
+            this.pathLength += this.positions[this.positions.length - 1].distanceTo(this.positions[0]);
+        }
+
+        console.log(`💡 Layout: ${this.lights.length} lights, ${this.config.spacing} ft apart, ${LAYOUT_SHAPES[this.config.shape].name}`);
+    }
+
+    /**
+     * Remove all fixtures from the scene and free their GPU resources
+     */
+    dispose() {
+        this.objects.forEach(object => {
+            this.scene.remove(object);
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+            if (object.isLight) object.dispose();
+        });
+
+        this.objects = [];
+        this.lights.length = 0;
+        this.glowSpheres.length = 0;
+        this.markers.length = 0;
+    }
+
+    /**
+     * Point on the path at a distance from the first light
+     * Closed paths wrap; open paths extend straight beyond either end
+     * @param {number} distance - Feet along the path
+     * @param {number} height - Height above ground
+     * @returns {THREE.Vector3}
+     */
+    getPointAt(distance, height = 0) {
+        const { start, end, t } = this.locateSegment(distance);
+        const point = new THREE.Vector3().lerpVectors(start, end, t);
+        point.y = height;
+        return point;
+    }
+
+    /**
+     * Unit direction of travel at a distance along the path
+     * @param {number} distance - Feet along the path
+     * @returns {THREE.Vector3}
+     */
+    getDirectionAt(distance) {
+        const { start, end } = this.locateSegment(distance);
+        return new THREE.Vector3().subVectors(end, start).normalize();
+    }
+
+    /**
+     * Find the pair of lights surrounding a path distance
+     * t is the fraction between them (outside 0-1 when extrapolating an open path)
+     */
+    locateSegment(distance) {
+        const count = this.positions.length;
+
+        if (this.closed) {
+            const wrapped = ((distance % this.pathLength) + this.pathLength) % this.pathLength;
+            let i = count - 1;
+            while (i > 0 && this.distances[i] > wrapped) i--;
+            const next = (i + 1) % count;
+            const segmentEnd = next === 0 ? this.pathLength : this.distances[next];
+            const t = (wrapped - this.distances[i]) / (segmentEnd - this.distances[i]);
+            return { start: this.positions[i], end: this.positions[next], t };
+        }
+
+        let i = 0;
+        while (i < count - 2 && this.distances[i + 1] < distance) i++;
+        const segmentLength = this.distances[i + 1] - this.distances[i];
+        const t = segmentLength > 0 ? (distance - this.distances[i]) / segmentLength : 0;
+        return { start: this.positions[i], end: this.positions[i + 1], t };
+    }
+
+    /**
+     * Axis-aligned bounds of the light positions with center and largest extent
+     */
+    getBounds() {
+        const box = new THREE.Box3().setFromPoints(this.positions);
+        const size = box.getSize(new THREE.Vector3());
+        return {
+            box,
+            center: box.getCenter(new THREE.Vector3()),
+            extent: Math.max(size.x, size.z)
+        };
+    }
+}
+
+/**
+ * Clamp a layout configuration to supported values
+ */
+export function normalizeLayoutConfig(config) {
+    const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+    const survey = isValidPolyline(config.survey) && config.survey.length <= LAYOUT_LIMITS.count.max ? config.survey : null;
+
+    // A surveyed layout takes its light count and (mean) spacing from the survey
+    if (config.shape === 'surveyed' && survey) {
+        const length = survey.slice(1).reduce((sum, [x, z], i) => sum + Math.hypot(x - survey[i][0], z - survey[i][1]), 0);
+        return {
+            count: survey.length,
+            spacing: length / (survey.length - 1),
+            height: clamp(config.height, LAYOUT_LIMITS.height),
+            shape: 'surveyed',
+            arcAngle: clamp(config.arcAngle, LAYOUT_LIMITS.arcAngle),
+            points: isValidPolyline(config.points) ? config.points : DEFAULT_LAYOUT.points,
+            survey
+        };
+    }
+
+    return {
+        count: Math.round(clamp(config.count, LAYOUT_LIMITS.count)),
+        spacing: clamp(config.spacing, LAYOUT_LIMITS.spacing),
+        height: clamp(config.height, LAYOUT_LIMITS.height),
+        shape: LAYOUT_SHAPES[config.shape] && config.shape !== 'surveyed' ? config.shape : 'straight',
+        arcAngle: clamp(config.arcAngle, LAYOUT_LIMITS.arcAngle),
+        points: isValidPolyline(config.points) ? config.points : DEFAULT_LAYOUT.points,
+        survey // Kept so the surveyed shape can be selected again
+    };
+}
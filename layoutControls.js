@@ -0,0 +1,167 @@
+/**
+ * Layout Controls
+ * UI for the installation geometry: light count, spacing, pole height and path shape
+ */
+
+import { DEFAULT_LAYOUT, LAYOUT_LIMITS, LAYOUT_SHAPES, isValidPolyline } from './installationLayout.js';
+
+/**
+ * Parse polyline vertices written as "x,z;x,z;..." (feet)
+ * @param {string} text - Vertex list
+ * @returns {Array<Array<number>>|null} Vertices, or null if the text is not a valid polyline
+ */
+export function parseLayoutPoints(text) {
+    const points = text.split(';')
+        .map(pair => pair.trim())
+        .filter(pair => pair.length > 0)
+        .map(pair => pair.split(',').map(value => parseFloat(value)));
+
+    return isValidPolyline(points) ? points : null;
+}
+
+/**
+ * Format polyline vertices for the text input and URL
+ */
+export function formatLayoutPoints(points) {
+    return points.map(([x, z]) => `${x},${z}`).join(';');
+}
+
+export class LayoutControls {
+    /**
+     * @param {InstallationLayout} layout - Installation to control
+     * @param {HTMLElement} container - Tab container
+     * @param {Function} onChange - Called with a partial layout config to rebuild the installation
+     */
+    constructor(layout, container, onChange) {
+        this.layout = layout;
+        this.container = container;
+        this.onChange = onChange;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Installation Layout</div>
+
+            <div class="mode-param" id="layout-count-row">
+                <label for="layout-count">Lights: </label>
+                <input type="range" id="layout-count" class="mode-param-slider" data-key="count"
+                    min="${LAYOUT_LIMITS.count.min}" max="${LAYOUT_LIMITS.count.max}" step="1">
+                <span class="mode-param-value" data-value-for="count"></span>
+            </div>
+
+            <div class="mode-param" id="layout-spacing-row">
+                <label for="layout-spacing">Spacing (ft): </label>
+                <input type="range" id="layout-spacing" class="mode-param-slider" data-key="spacing"
+                    min="${LAYOUT_LIMITS.spacing.min}" max="${LAYOUT_LIMITS.spacing.max}" step="1">
+                <span class="mode-param-value" data-value-for="spacing"></span>
+            </div>
+
+            <div class="mode-param">
+                <label for="layout-height">Pole Height (ft): </label>
+                <input type="range" id="layout-height" class="mode-param-slider" data-key="height"
+                    min="${LAYOUT_LIMITS.height.min}" max="${LAYOUT_LIMITS.height.max}" step="0.5">
+                <span class="mode-param-value" data-value-for="height"></span>
+            </div>
+
+            <div class="mode-select-container">
+                <select id="layout-shape" class="mode-selector">
+                    ${Object.entries(LAYOUT_SHAPES).map(([key, shape]) => `
+                        <option value="${key}">${shape.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="mode-param" id="layout-arc-row">
+                <label for="layout-arc">Arc Angle (°): </label>
+                <input type="range" id="layout-arc" class="mode-param-slider" data-key="arcAngle"
+                    min="${LAYOUT_LIMITS.arcAngle.min}" max="${LAYOUT_LIMITS.arcAngle.max}" step="1">
+                <span class="mode-param-value" data-value-for="arcAngle"></span>
+            </div>
+
+            <div class="mode-param" id="layout-points-row">
+                <label for="layout-points">Path Points (x,z;x,z;...): </label>
+                <input type="text" id="layout-points" class="layout-points-input" spellcheck="false">
+            </div>
+
+            <button class="reset-params-btn" id="layout-reset">Reset to 2024 Layout</button>
+
+            <div class="controls-info">
+                <small>Changing the layout rebuilds all lights</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        // Sliders: update the label while dragging, rebuild on release
+        section.querySelectorAll('input[type="range"]').forEach(slider => {
+            const key = slider.dataset.key;
+            slider.addEventListener('input', () => {
+                this.setValueLabel(key, parseFloat(slider.value));
+            });
+            slider.addEventListener('change', () => {
+                this.onChange({ [key]: parseFloat(slider.value) });
+            });
+        });
+
+        section.querySelector('#layout-shape').addEventListener('change', (e) => {
+            this.onChange({ shape: e.target.value });
+        });
+
+        const pointsInput = section.querySelector('#layout-points');
+        pointsInput.addEventListener('change', () => {
+            const points = parseLayoutPoints(pointsInput.value);
+            if (points) {
+                pointsInput.classList.remove('error');
+                this.onChange({ points });
+            } else {
+                pointsInput.classList.add('error');
+                console.warn(`⚠️ Invalid path points "${pointsInput.value}" (expected x,z;x,z;...)`);
+            }
+        });
+
+        section.querySelector('#layout-reset').addEventListener('click', () => {
+            // Keep any imported survey so it can be selected again
+            this.onChange({ ...DEFAULT_LAYOUT, survey: this.layout.config.survey });
+        });
+    }
+
+    setValueLabel(key, value) {
+        const label = this.section.querySelector(`[data-value-for="${key}"]`);
+        if (label) {
+            label.textContent = key === 'count' ? value : value.toLocaleString();
+        }
+    }
+
+    /**
+     * Sync all inputs with the current layout configuration
+     */
+    updateUI() {
+        const config = this.layout.config;
+
+        this.section.querySelectorAll('input[type="range"]').forEach(slider => {
+            const key = slider.dataset.key;
+            slider.value = config[key];
+            this.setValueLabel(key, config[key]);
+        });
+
+        const shapeSelect = this.section.querySelector('#layout-shape');
+        shapeSelect.querySelector('option[value="surveyed"]').disabled = !config.survey;
+        shapeSelect.value = config.shape;
+
+        const pointsInput = this.section.querySelector('#layout-points');
+        pointsInput.value = formatLayoutPoints(config.points);
+        pointsInput.classList.remove('error');
+
+        // Only show the inputs that apply to the selected shape
+        // (a surveyed layout takes its count and spacing from the survey)
+        const surveyed = config.shape === 'surveyed';
+        this.section.querySelector('#layout-count-row').style.display = surveyed ? 'none' : '';
+        this.section.querySelector('#layout-spacing-row').style.display = surveyed ? 'none' : '';
+        this.section.querySelector('#layout-arc-row').style.display = config.shape === 'arc' ? '' : 'none';
+        this.section.querySelector('#layout-points-row').style.display = config.shape === 'polyline' ? '' : 'none';
+    }
+}
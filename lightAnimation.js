@@ -2,48 +2,144 @@
  * Light Animation System for Speed of the Earth Simulator
  *
  * Animates 30 lights in sequence to represent Earth's rotational speed
- * at Burning Man latitude (1156 feet per second)
+ * (1156 feet per second at Burning Man latitude by default; see setWaveSpeed)
  */
 
+import { animationModes } from './animationModes.js';
+import { DEFAULT_FLASH_ENVELOPE, evaluateFlashEnvelope, normalizeFlashEnvelope } from './flashEnvelope.js';
+import { FAULT_TYPES, applyLightFault, generateRandomFaults, normalizeFault } from './lightFaults.js';
+import { CLOCK_PRESETS, clockError, generateClocks, normalizeClock, triggerJitter } from './clockDrift.js';
+import {
+    DEFAULT_COLOR_SCHEME,
+    applyLightColor,
+    evaluateColorScheme,
+    mixLightColor,
+    normalizeColorScheme
+} from './lightColor.js';
+import { SPEED_PRESETS, getPresetWaveSpeed } from './speedPresets.js';
+import { DEFAULT_BURST_CADENCE, normalizeBurstCadence } from './burstCadence.js';
+import {
+    AUTO_DIMMER_LEVELS,
+    BRIGHTNESS_TO_INTENSITY,
+    FULL_BRIGHTNESS,
+    MAX_BRIGHTNESS,
+    normalizeLightTrim
+} from './brightnessLayers.js';
+import {
+    DEFAULT_SPEED_PROFILE,
+    getArrivalTime,
+    getDistanceAtTime,
+    getSpeedFactor,
+    integrateSpeedProfile,
+    normalizeSpeedProfile
+} from './speedProfiles.js';
+import { DEFAULT_WAVE_PRESET, MAX_WAVES, WAVE_BLENDS, WAVE_PRESETS, normalizeWave } from './waveFronts.js';
+
+export const ANIMATION_EVENTS = [
+    'flash',             // { index, time, intensity } - a light starts a flash
+    'cycleComplete',     // { mode, cycle } - the active mode's pattern wrapped round (cycle counts from 0)
+    'modeChanged',       // { mode, previous } - setAnimationMode switched modes
+    'modeStatus',        // { mode, text } - the mode's status line changed (e.g. a burst countdown)
+    'modeParamsChanged', // { mode, values } - mode parameters set with setModeParams
+    'brightnessChanged', // { master, schedule, mode, autoDimmer, peak } - a brightness layer moved
+    'burstStart',        // { mode, brightness } - a brightness burst went bright
+    'burstEnd'           // { mode, brightness } - and back to dim
+];
+
+const FLASH_ONSET_LEVEL = 0.25; // fraction of peak brightness that counts as the start of a flash
+
+export const MIN_SPEED_MULTIPLIER = 0.001; // slow enough to watch a single 50 ms flash ramp up and down
+export const MAX_SPEED_MULTIPLIER = 10.0;
+
 export class LightAnimation {
     constructor(lights, glowSpheres, timeOfDayController = null) {
         this.lights = lights;
         this.glowSpheres = glowSpheres;
         this.timeOfDayController = timeOfDayController;
-        this.lightControls = null; // Will be set from main.js
-        this.animationModeControls = null; // Will be set from main.js
+        this.listeners = {}; // Event name → callbacks (see on)
+        this.flashLevels = []; // Intensity per light last frame, to detect flash onsets
+        this.modes = animationModes; // Registry of available animation modes
+        this.stopFollowingModes = this.modes.onChange(() => this.checkActiveMode()); // See dispose()
+        this.layout = null; // InstallationLayout, set with setLayout()
 
         // Physical constants
-        this.EARTH_ROTATION_SPEED = 1156; // feet per second at Burning Man latitude
-        this.LIGHT_SPACING = 176; // feet between lights
-        this.FLASH_DURATION = 0.05; // seconds (50ms strobe effect)
+        this.EARTH_ROTATION_SPEED = 1156; // feet per second at Burning Man latitude (see setWaveSpeed)
+        this.speedPreset = 'earth'; // What the wave speed represents (key of SPEED_PRESETS, see setSpeedPreset)
+        this.LIGHT_SPACING = 176; // feet between lights (taken from the layout in setLayout)
+        this.speedProfile = normalizeSpeedProfile(DEFAULT_SPEED_PROFILE); // Speed changes along the line (see setSpeedProfile)
+        this.timingTable = null; // Integrated arrival times for non-constant profiles (see speedProfiles.js)
+        this.flashEnvelope = normalizeFlashEnvelope(DEFAULT_FLASH_ENVELOPE); // Shape of every flash (see setFlashEnvelope)
+        this.FLASH_DURATION = this.flashEnvelope.duration; // seconds (50ms strobe effect by default)
 
         // Animation state
         this.currentTime = 0;
         this.enabled = true;
         this.speedMultiplier = 1.0; // For demonstration purposes
+        this.paused = false; // Hold the current frame (time stands still, modes keep redrawing it)
+        this.frameStep = 1 / 60; // Seconds of real time in one display frame (see stepFrames)
+
+        // Wall-clock phase lock (see setWallClockSync): every machine shows the same frame at the same moment
+        this.wallClockSync = false;
+        this.syncEpoch = 0;  // Unix time in seconds at which pattern 0 starts
+        this.syncOffset = 0; // Seconds added to the system clock (to line up with another machine or the installation)
+        this.clockOverride = null; // Unix time in ms used instead of the system clock (video export steps it frame by frame)
         this.allLightsOn = false; // Mode where all lights stay on
+        this.elapsedTime = 0; // Seconds of playback, including all-lights-on (drives flickering faults)
+
+        // Fixture faults (see lightFaults.js)
+        this.faults = []; // Fault per light index, or null
+        this.faultSeed = 1; // Seed for random faults and flicker patterns
+
+        // Controller clocks (see clockDrift.js); empty means every light keeps perfect time
+        this.clocks = []; // Clock per light index
+        this.clockPreset = 'ideal'; // Preset the clocks were drawn from, or 'custom' after editing
+        this.clockSeed = 1;
+
+        // Light colour (see lightColor.js): the scheme fills each light's channels every frame,
+        // then modes may override them with setLightColor / setLightTemperature
+        this.colorScheme = normalizeColorScheme(DEFAULT_COLOR_SCHEME);
+        this.lightColors = []; // [r, g, b] per light index
+        this.lightKelvins = []; // Colour temperature per light index, or null
+        this.appliedColors = []; // Hex last shown per light, so unchanged lights are skipped
 
         // Animation mode
-        this.animationMode = 'sequential'; // Default mode
+        this.animationMode = null; // Set to the default mode below
         this.modeState = {}; // State specific to current animation mode
+        this.modeInitialized = false; // Whether the active mode's init() has run
+        this.modeStatus = ''; // Status line set by the mode (see setModeStatus)
+        this.cycleNumber = null; // Pattern repeats so far, to detect cycleComplete (null until the first frame)
         this.convergencePoint = Math.floor(this.lights.length / 2); // Default to middle
         this.divergencePoint = Math.floor(this.lights.length / 2); // Default to middle
+        this.randomOrderSeed = 1; // Seed for the random mode's order, so every machine shuffles alike
+        this.racePeriod = null; // Set by ComparisonRows: the sequential pattern waits for the slowest row (null = its own cycle)
 
         // Calculate timing
-        // Time for wave to travel between adjacent lights
-        this.timeBetweenLights = this.LIGHT_SPACING / this.EARTH_ROTATION_SPEED;
-        // Total cycle time for full sequence
-        this.cycleDuration = this.timeBetweenLights * this.lights.length;
+        this.updateTiming();
+
+        // Concurrent wave fronts for the multi-wave mode (see waveFronts.js)
+        this.waves = [];
+        this.wavePreset = DEFAULT_WAVE_PRESET; // Preset the waves came from, or 'custom' after editing
+        this.waveBlend = 'max'; // How overlapping waves combine (key of WAVE_BLENDS)
+        this.setWavePreset(DEFAULT_WAVE_PRESET);
+
+        // Brightness layers (see brightnessLayers.js), combined into PEAK_INTENSITY every frame
+        this.masterBrightness = FULL_BRIGHTNESS; // Slider scale (see setMasterBrightness)
+        this.scheduleBrightness = 1; // Night schedule's level (see setScheduleBrightness)
+        this.modeBrightness = 1; // Active mode's modulation (see setModeBrightness)
+        this.autoDimmer = false; // Dim with the time of day (see setAutoDimmer)
+        this.lightTrims = []; // Trim per light index (missing means 1)
 
         // Light intensity settings
-        this.PEAK_INTENSITY = 1000; // Maximum light intensity (increased for fuller coverage)
+        this.PEAK_INTENSITY = 1000; // Maximum light intensity, from the brightness layers (see updateBrightness)
         this.PEAK_OPACITY = 0.8; // Maximum glow sphere opacity
         this.PEAK_BULB_OPACITY = 1.0; // Maximum bulb opacity
 
         // Brightness burst settings (default values)
         this.lowBrightness = 6000;
         this.highBrightness = 200000;
+        this.burstCadence = normalizeBurstCadence(DEFAULT_BURST_CADENCE); // When bursts go bright (see setBurstCadence)
+
+        this.setAnimationMode('sequential');
     }
 
     /**
@@ -51,58 +147,148 @@ export class LightAnimation {
      * @param {number} deltaTime - Time elapsed since last frame in seconds
      */
     update(deltaTime) {
+        if (this.paused) deltaTime = 0;
+
+        // Phase-locked playback always runs in real time
+        const speed = this.wallClockSync ? 1 : this.speedMultiplier;
+        this.elapsedTime += deltaTime * speed;
+        this.updateBrightness();
+
         // If allLightsOn mode is active, keep all lights at full brightness
         if (this.allLightsOn) {
+            this.updateColorChannels();
             this.setAllLightsIntensity(this.PEAK_INTENSITY);
+            this.applyLightColors();
+            this.detectFlashes();
             return;
         }
 
-        if (!this.enabled) return;
-
-        // Update animation time with speed multiplier
-        this.currentTime += deltaTime * this.speedMultiplier;
-
-        // Delegate to mode-specific update method
-        switch (this.animationMode) {
-            case 'sequential':
-                this.updateSequential();
-                break;
-            case 'blink-all':
-                this.updateBlinkAll();
-                break;
-            case 'fast-runs':
-                this.updateFastRuns();
-                break;
-            case 'ping-pong':
-                this.updatePingPong();
-                break;
-            case 'ping-pong-fast':
-                this.updatePingPongFast();
-                break;
-            case 'random':
-                this.updateRandom();
-                break;
-            case 'converge-center':
-                this.updateConvergeCenter();
-                break;
-            case 'converge-point':
-                this.updateConvergePoint();
-                break;
-            case 'diverge-center':
-                this.updateDivergeCenter();
-                break;
-            case 'diverge-point':
-                this.updateDivergePoint();
-                break;
-            case 'brightness-burst':
-                this.updateBrightnessBurst();
-                break;
-            case 'brightness-burst-realtime':
-                this.updateBrightnessBurstRealtime();
-                break;
-            default:
-                this.updateSequential();
+        if (!this.enabled) {
+            this.detectFlashes();
+            return;
+        }
+
+        // Update animation time with speed multiplier, or follow the wall clock when phase locked
+        // (paused frames stay put so they can still be stepped through)
+        if (this.wallClockSync && !this.paused) {
+            this.currentTime = this.getSyncedTime();
+        } else {
+            this.currentTime += deltaTime * speed;
+        }
+
+        // Delegate to the active mode from the registry
+        const mode = this.modes.get(this.animationMode) || this.modes.get('sequential');
+
+        // Modes initialize on their first frame so UI status text set by init isn't overwritten
+        if (!this.modeInitialized) {
+            this.modeInitialized = true;
+            if (mode.init) {
+                mode.init(this, this.modeState);
+            }
+        }
+
+        this.updateColorChannels();
+        mode.update(this, this.modeState);
+        this.applyLightColors();
+
+        this.detectFlashes();
+        if (!this.paused) {
+            this.detectCycle();
+        }
+    }
+
+    /**
+     * Subscribe to an animation event (see ANIMATION_EVENTS)
+     * @param {string} event - Event name, e.g. 'flash'
+     * @param {Function} callback - Called with the event's data object
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, callback) {
+        if (!ANIMATION_EVENTS.includes(event)) {
+            console.warn(`⚠️ Unknown animation event "${event}". Valid: ${ANIMATION_EVENTS.join(', ')}`);
+        }
+        (this.listeners[event] ||= []).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Remove a callback added with on()
+     */
+    off(event, callback) {
+        const callbacks = this.listeners[event];
+        if (!callbacks) return;
+        const index = callbacks.indexOf(callback);
+        if (index !== -1) callbacks.splice(index, 1);
+    }
+
+    /**
+     * Call every subscriber to an event
+     * A failing subscriber is logged and skipped, so it can't stop the animation
+     * @param {string} event - Event name
+     * @param {object} data - Event data
+     */
+    emit(event, data) {
+        const callbacks = this.listeners[event];
+        if (!callbacks || callbacks.length === 0) return;
+        [...callbacks].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`⚠️ "${event}" listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Emit 'flash' for every light that rose through the onset level this frame
+     * (after faults, so a dead fixture never reports a flash; the onset level follows
+     * each light's trim and dim fault, so a dimmed light still reports its flashes)
+     */
+    detectFlashes() {
+        const detect = this.listeners.flash && this.listeners.flash.length > 0;
+
+        for (let i = 0; i < this.lights.length; i++) {
+            const level = this.lights[i].intensity;
+            const previous = this.flashLevels[i] ?? level;
+            this.flashLevels[i] = level;
+
+            const threshold = this.PEAK_INTENSITY * this.getLightBrightnessFactor(i) * FLASH_ONSET_LEVEL;
+            if (detect && level > threshold && previous <= threshold) {
+                this.emit('flash', { index: i, time: this.currentTime, intensity: level });
+            }
+        }
+        this.flashLevels.length = this.lights.length;
+    }
+
+    /**
+     * How far a light's trim and any dim fault scale its flashes below the peak
+     * @param {number} index - Light index
+     * @returns {number} Multiplier (1 = full peak)
+     */
+    getLightBrightnessFactor(index) {
+        const fault = this.faults[index];
+        const dim = fault && fault.type === 'dim' ? fault.level : 1;
+        return (this.lightTrims[index] ?? 1) * dim;
+    }
+
+    /**
+     * Emit 'cycleComplete' when the active mode's pattern wraps round
+     */
+    detectCycle() {
+        const cycle = this.getCycleNumber();
+        if (this.cycleNumber !== null && cycle > this.cycleNumber) {
+            this.emit('cycleComplete', { mode: this.animationMode, cycle });
         }
+        this.cycleNumber = cycle;
+    }
+
+    /**
+     * Whole patterns played since the mode started (or since the sync epoch when phase locked)
+     * @returns {number}
+     */
+    getCycleNumber() {
+        const time = this.wallClockSync ? this.getTimeSinceEpoch() : this.currentTime;
+        return Math.floor(time / this.getModePeriod());
     }
 
     /**
@@ -113,18 +299,7 @@ export class LightAnimation {
         const bulbOpacity = intensity > 0 ? this.PEAK_BULB_OPACITY : 0;
 
         for (let i = 0; i < this.lights.length; i++) {
-            // Set main light (PointLight)
-            this.lights[i].intensity = intensity;
-
-            // Set accent spotlight (30% of main)
-            if (this.lights[i].userData.spotLight) {
-                this.lights[i].userData.spotLight.intensity = intensity * 0.3;
-            }
-
-            this.glowSpheres[i].material.opacity = opacity;
-            if (this.lights[i].userData.bulb) {
-                this.lights[i].userData.bulb.material.opacity = bulbOpacity;
-            }
+            this.setLightIntensity(i, intensity, opacity, bulbOpacity);
         }
     }
 
@@ -134,6 +309,22 @@ export class LightAnimation {
     setLightIntensity(index, intensity, glowOpacity, bulbOpacity) {
         if (index < 0 || index >= this.lights.length) return;
 
+        // Per-light trim, the last brightness layer
+        const trim = this.lightTrims[index];
+        if (trim !== undefined && trim !== 1) {
+            intensity *= trim;
+            glowOpacity = Math.min(1, glowOpacity * trim);
+            bulbOpacity = Math.min(1, bulbOpacity * trim);
+        }
+
+        // Faulty fixtures override what the mode asked for
+        const fault = this.faults[index];
+        if (fault) {
+            ({ intensity, glowOpacity, bulbOpacity } = applyLightFault(
+                fault, { intensity, glowOpacity, bulbOpacity }, this, index
+            ));
+        }
+
         // Set main light (PointLight) intensity
         this.lights[index].intensity = intensity;
 
@@ -156,8 +347,7 @@ export class LightAnimation {
             return { intensity: 0, glowOpacity: 0, bulbOpacity: 0 };
         }
 
-        const flashProgress = timeDiff / this.FLASH_DURATION;
-        const curve = Math.sin(flashProgress * Math.PI);
+        const curve = this.getFlashLevel(timeDiff);
 
         return {
             intensity: curve * this.PEAK_INTENSITY,
@@ -167,420 +357,512 @@ export class LightAnimation {
     }
 
     /**
-     * Sequential mode: lights flash in order from start to end
+     * Level of the flash envelope at a time since the flash started
+     * @param {number} timeDiff - Seconds since the flash started
+     * @returns {number} Fraction of peak brightness (0-1)
      */
-    updateSequential() {
-        const cycleTime = this.currentTime % this.cycleDuration;
-
-        for (let i = 0; i < this.lights.length; i++) {
-            const lightFlashTime = i * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
-
-            if (timeDiff < 0) {
-                timeDiff += this.cycleDuration;
-            }
-
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+    getFlashLevel(timeDiff) {
+        return evaluateFlashEnvelope(this.flashEnvelope, timeDiff);
     }
 
     /**
-     * Blink all: Flash all lights 3 times after each cycle
+     * Set the shape and duration of every flash
+     * @param {object} envelope - Partial envelope merged over the current one (see flashEnvelope.js)
      */
-    updateBlinkAll() {
-        const fullCycleDuration = this.cycleDuration + (3 * 0.3); // 3 blinks, 0.3s each
-        const cycleTime = this.currentTime % fullCycleDuration;
-
-        if (cycleTime < this.cycleDuration) {
-            // Normal sequential run
-            for (let i = 0; i < this.lights.length; i++) {
-                const lightFlashTime = i * this.timeBetweenLights;
-                let timeDiff = cycleTime - lightFlashTime;
-
-                if (timeDiff < 0) timeDiff += this.cycleDuration;
-
-                const flash = this.calculateFlashIntensity(timeDiff);
-                this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-            }
-        } else {
-            // Blink all lights
-            const blinkTime = cycleTime - this.cycleDuration;
-            const blinkCycle = blinkTime % 0.3;
-            const intensity = (blinkCycle < 0.15) ? this.PEAK_INTENSITY : 0;
-            this.setAllLightsIntensity(intensity);
-        }
+    setFlashEnvelope(envelope) {
+        this.flashEnvelope = normalizeFlashEnvelope({ ...this.flashEnvelope, ...envelope });
+        this.FLASH_DURATION = this.flashEnvelope.duration;
     }
 
     /**
-     * Fast runs: 3 fast runs after each normal cycle
+     * Flash a light given the time since its scheduled flash
+     * @param {number} index - Light index
+     * @param {number} timeDiff - Seconds since the light's flash time (negative wraps into the previous period)
+     * @param {number} period - Length of the mode's repeating cycle in seconds
      */
-    updateFastRuns() {
-        const fastCycleDuration = this.cycleDuration / 5; // 5x faster
-        const fullCycleDuration = this.cycleDuration + (3 * fastCycleDuration);
-        const cycleTime = this.currentTime % fullCycleDuration;
+    flashLight(index, timeDiff, period = this.cycleDuration) {
+        const flash = this.calculateFlashIntensity(this.getLocalTimeDiff(index, timeDiff, period));
+        this.setLightIntensity(index, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
+    }
 
-        let effectiveCycleTime;
-        if (cycleTime < this.cycleDuration) {
-            effectiveCycleTime = cycleTime;
-        } else {
-            effectiveCycleTime = ((cycleTime - this.cycleDuration) % fastCycleDuration);
+    /**
+     * Time since a light's scheduled flash as the light's own clock sees it
+     * @param {number} index - Light index
+     * @param {number} timeDiff - Seconds since the light's flash time (negative wraps into the previous period)
+     * @param {number} period - Length of the repeating cycle in seconds
+     * @returns {number} Seconds since the flash fired, wrapped into one period
+     */
+    getLocalTimeDiff(index, timeDiff, period) {
+        // The light's own clock decides when it fires
+        const clock = this.clocks[index];
+        if (clock) {
+            const flashTime = this.currentTime - timeDiff;
+            timeDiff += clockError(clock, this.elapsedTime) - triggerJitter(clock, this.clockSeed, index, flashTime);
+            timeDiff %= period;
         }
 
-        const duration = (cycleTime < this.cycleDuration) ? this.cycleDuration : fastCycleDuration;
-
-        for (let i = 0; i < this.lights.length; i++) {
-            const lightFlashTime = i * (this.timeBetweenLights / (duration === this.cycleDuration ? 1 : 5));
-            let timeDiff = effectiveCycleTime - lightFlashTime;
-
-            if (timeDiff < 0) timeDiff += duration;
-
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+        if (timeDiff < 0) timeDiff += period;
+        return timeDiff;
     }
 
     /**
-     * Ping pong: Run forward then backward at normal speed
+     * Set how lights are coloured
+     * @param {object} scheme - Partial scheme merged over the current one (see lightColor.js)
      */
-    updatePingPong() {
-        const fullCycleDuration = this.cycleDuration * 2;
-        const cycleTime = this.currentTime % fullCycleDuration;
-        const isReverse = cycleTime >= this.cycleDuration;
-        const effectiveCycleTime = isReverse ? (fullCycleDuration - cycleTime) : cycleTime;
+    setColorScheme(scheme) {
+        this.colorScheme = normalizeColorScheme({ ...this.colorScheme, ...scheme });
+    }
 
+    /**
+     * Fill every light's colour channels from the colour scheme
+     * Runs each frame before the mode, so modes can override single lights
+     */
+    updateColorChannels() {
         for (let i = 0; i < this.lights.length; i++) {
-            const lightFlashTime = i * this.timeBetweenLights;
-            let timeDiff = effectiveCycleTime - lightFlashTime;
+            const { color, kelvin } = evaluateColorScheme(this.colorScheme, this, i);
+            this.lightColors[i] = color;
+            this.lightKelvins[i] = kelvin;
+        }
+        this.lightColors.length = this.lights.length;
+        this.lightKelvins.length = this.lights.length;
+    }
 
-            if (timeDiff < 0) timeDiff += this.cycleDuration;
+    /**
+     * Tint one light this frame (for use in a mode's update)
+     * @param {number} index - Light index
+     * @param {Array<number>} color - [r, g, b] (0-1)
+     */
+    setLightColor(index, color) {
+        if (index < 0 || index >= this.lights.length) return;
+        this.lightColors[index] = color;
+    }
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+    /**
+     * Set one light's colour temperature this frame (for use in a mode's update)
+     * @param {number} index - Light index
+     * @param {number|null} kelvin - Colour temperature, or null for none
+     */
+    setLightTemperature(index, kelvin) {
+        if (index < 0 || index >= this.lights.length) return;
+        this.lightKelvins[index] = kelvin;
     }
 
     /**
-     * Ping pong fast: Run forward then backward at fast speed
+     * Colour a light is showing: its tint times its colour temperature
+     * @param {number} index - Light index
+     * @returns {Array<number>} [r, g, b] (0-1)
      */
-    updatePingPongFast() {
-        const fastCycleDuration = this.cycleDuration / 5;
-        const fullCycleDuration = fastCycleDuration * 2;
-        const cycleTime = this.currentTime % fullCycleDuration;
-        const isReverse = cycleTime >= fastCycleDuration;
-        const effectiveCycleTime = isReverse ? (fullCycleDuration - cycleTime) : cycleTime;
+    getLightColor(index) {
+        return mixLightColor(this.lightColors[index] || [1, 1, 1], this.lightKelvins[index]);
+    }
 
+    /**
+     * Show each light's colour channels on its fixture
+     */
+    applyLightColors() {
         for (let i = 0; i < this.lights.length; i++) {
-            const lightFlashTime = i * (this.timeBetweenLights / 5);
-            let timeDiff = effectiveCycleTime - lightFlashTime;
-
-            if (timeDiff < 0) timeDiff += fastCycleDuration;
+            const rgb = this.getLightColor(i);
+            const key = rgb.map(channel => channel.toFixed(3)).join();
+            if (this.appliedColors[i] === key) continue;
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
+            this.appliedColors[i] = key;
+            applyLightColor(this.lights[i], this.glowSpheres[i], rgb);
         }
     }
 
     /**
-     * Random: Flash lights in random order
+     * Recalculate wave timing from the current speed, spacing and speed profile
+     * Each light flashes when the wave reaches it, using the true path distance
+     * from the first light (so surveyed spacing errors show up in the timing)
      */
-    updateRandom() {
-        // Initialize random sequence if not exists
-        if (!this.modeState.randomSequence) {
-            this.modeState.randomSequence = Array.from({length: this.lights.length}, (_, i) => i);
-            // Fisher-Yates shuffle
-            for (let i = this.modeState.randomSequence.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [this.modeState.randomSequence[i], this.modeState.randomSequence[j]] =
-                [this.modeState.randomSequence[j], this.modeState.randomSequence[i]];
-            }
-        }
+    updateTiming() {
+        const distances = this.lights.map((_, i) => this.layout ? this.layout.distances[i] : i * this.LIGHT_SPACING);
+        const pathLength = distances.length > 0 ? distances[distances.length - 1] : 0;
 
-        const cycleTime = this.currentTime % this.cycleDuration;
+        // A constant speed divides directly; other profiles integrate the time over the path
+        this.timingTable = this.speedProfile.profile === 'constant' ? null :
+            integrateSpeedProfile(this.speedProfile, this.EARTH_ROTATION_SPEED, pathLength);
 
-        for (let seqIndex = 0; seqIndex < this.modeState.randomSequence.length; seqIndex++) {
-            const lightIndex = this.modeState.randomSequence[seqIndex];
-            const lightFlashTime = seqIndex * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
+        // Time for the wave to reach each light from the first one
+        this.lightTimes = distances.map(distance => this.timingTable ?
+            getArrivalTime(this.timingTable, distance) : distance / this.EARTH_ROTATION_SPEED);
 
-            if (timeDiff < 0) timeDiff += this.cycleDuration;
+        // Time for wave to travel between adjacent lights (average for surveyed layouts)
+        this.timeBetweenLights = this.LIGHT_SPACING / this.EARTH_ROTATION_SPEED;
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(lightIndex, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
+        // Total cycle time for full sequence (one more interval after the last light)
+        const lastTime = this.lights.length > 0 ? this.lightTimes[this.lightTimes.length - 1] : 0;
+        if (!this.timingTable || this.lights.length === 0) {
+            this.cycleDuration = this.lights.length > 0 ? lastTime + this.timeBetweenLights : 0;
+        } else {
+            this.cycleDuration = lastTime + this.LIGHT_SPACING / this.timingTable.endSpeed;
+            this.timeBetweenLights = this.cycleDuration / this.lights.length; // Average over the varying speed
         }
     }
 
     /**
-     * Converge center: Start from both ends, converge on middle
+     * Change how the wave's speed varies along the line
+     * Keeps the wave at the same point in its cycle, like setWaveSpeed
+     * @param {object} profile - Profile fields to change, e.g. { profile: 'sine', speedSwing: 0.3 }
      */
-    updateConvergeCenter() {
-        const cycleTime = this.currentTime % (this.cycleDuration / 2);
-        const mid = Math.floor(this.lights.length / 2);
+    setSpeedProfile(profile) {
+        const previousCycleDuration = this.cycleDuration;
 
-        for (let i = 0; i < this.lights.length; i++) {
-            const distanceFromEnd = i <= mid ? i : this.lights.length - 1 - i;
-            const lightFlashTime = distanceFromEnd * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
+        this.speedProfile = normalizeSpeedProfile({ ...this.speedProfile, ...profile });
+        this.updateTiming();
 
-            if (timeDiff < 0) timeDiff += (this.cycleDuration / 2);
-
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+        this.currentTime *= this.cycleDuration / previousCycleDuration;
     }
 
     /**
-     * Converge point: Start from both ends, converge on specific point
+     * Wave speed at a point along the path, including the speed profile
+     * @param {number} distance - Feet from the first light
+     * @returns {number} Feet per second
      */
-    updateConvergePoint() {
-        const cycleTime = this.currentTime % (this.cycleDuration / 2);
-
-        for (let i = 0; i < this.lights.length; i++) {
-            const distanceFromEnd = i <= this.convergencePoint ?
-                i : this.lights.length - 1 - i;
-            const lightFlashTime = distanceFromEnd * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
-
-            if (timeDiff < 0) timeDiff += (this.cycleDuration / 2);
+    getSpeedAt(distance) {
+        const pathLength = this.timingTable ? this.timingTable.distances[this.timingTable.distances.length - 1] : 0;
+        if (pathLength === 0) return this.EARTH_ROTATION_SPEED;
+        return this.EARTH_ROTATION_SPEED * getSpeedFactor(this.speedProfile, distance / pathLength);
+    }
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+    /**
+     * Time for the wave to travel along the path between two lights
+     * @param {number} from - Light index
+     * @param {number} to - Light index
+     * @returns {number} Seconds
+     */
+    getTravelTime(from, to) {
+        return Math.abs(this.lightTimes[to] - this.lightTimes[from]);
     }
 
     /**
-     * Diverge center: Start from middle, move outward
+     * Set the speed the wave travels along the installation
+     * Keeps the wave at the same point in its cycle so the change is seamless
+     * @param {number} feetPerSecond - Wave speed (e.g. Earth's rotation speed at a latitude)
      */
-    updateDivergeCenter() {
-        const cycleTime = this.currentTime % (this.cycleDuration / 2);
-        const mid = Math.floor(this.lights.length / 2);
+    setWaveSpeed(feetPerSecond) {
+        const previousCycleDuration = this.cycleDuration;
 
-        for (let i = 0; i < this.lights.length; i++) {
-            const distanceFromCenter = Math.abs(i - mid);
-            const lightFlashTime = distanceFromCenter * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
+        this.EARTH_ROTATION_SPEED = Math.max(0.01, feetPerSecond);
+        this.updateTiming();
 
-            if (timeDiff < 0) timeDiff += (this.cycleDuration / 2);
+        this.currentTime *= this.cycleDuration / previousCycleDuration;
+    }
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
+    /**
+     * Run the wave at a real-world speed from the preset library
+     * 'earth' only records the choice; the Earth Rotation controls set that speed
+     * @param {string} presetId - Key of SPEED_PRESETS
+     */
+    setSpeedPreset(presetId) {
+        const preset = SPEED_PRESETS[presetId];
+        if (!preset) {
+            console.warn(`⚠️ Unknown speed preset "${presetId}"`);
+            return;
+        }
+        this.speedPreset = presetId;
+        if (preset.speed !== null) {
+            this.setWaveSpeed(getPresetWaveSpeed(preset));
         }
     }
 
     /**
-     * Diverge point: Start from specific point, move outward
+     * Follow a new or rebuilt installation layout
+     * Restarts the active mode so per-light state matches the new lights
+     * @param {InstallationLayout} layout - Layout whose lights this animation drives
      */
-    updateDivergePoint() {
-        const cycleTime = this.currentTime % (this.cycleDuration / 2);
+    setLayout(layout) {
+        this.layout = layout;
+        this.LIGHT_SPACING = layout.config.spacing;
+        this.faults.length = Math.min(this.faults.length, this.lights.length); // Drop faults on removed lights
+        this.lightTrims.length = Math.min(this.lightTrims.length, this.lights.length);
+        this.fitClocksToLights();
+        this.appliedColors = []; // Rebuilt fixtures start untinted
+        this.flashLevels = []; // New fixtures, so no flash in progress
+        this.setConvergencePoint(this.convergencePoint);
+        this.setDivergencePoint(this.divergencePoint);
+
+        const previousCycleDuration = this.cycleDuration;
+        this.updateTiming();
+        this.currentTime *= this.cycleDuration / previousCycleDuration;
+
+        const mode = this.modes.get(this.animationMode);
+        if (mode && mode.teardown && this.modeInitialized) {
+            mode.teardown(this, this.modeState);
+        }
+        this.modeState = {};
+        this.modeInitialized = false;
+    }
 
-        for (let i = 0; i < this.lights.length; i++) {
-            const distanceFromPoint = Math.abs(i - this.divergencePoint);
-            const lightFlashTime = distanceFromPoint * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
+    /**
+     * Mark a light as faulty, or repair it
+     * @param {number} index - Light index
+     * @param {object|null} fault - { type: 'dead' | 'stuck' | 'dim' | 'flicker', level, rate } or null to repair
+     */
+    setLightFault(index, fault) {
+        if (index < 0 || index >= this.lights.length) return;
+        this.faults[index] = normalizeFault(fault);
+    }
 
-            if (timeDiff < 0) timeDiff += (this.cycleDuration / 2);
+    /**
+     * Repair every light
+     */
+    clearFaults() {
+        this.faults = [];
+    }
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+    /**
+     * Replace all faults with randomly chosen failures
+     * @param {object} rates - Fraction of lights per fault type, e.g. { dead: 0.1, flicker: 0.05 }
+     * @param {number} seed - Same seed and rates fail the same lights
+     * @param {object} details - Dim level and flicker rate, e.g. { level: 0.3, rate: 0.5 }
+     */
+    setRandomFaults(rates, seed = this.faultSeed, details = {}) {
+        this.faultSeed = seed;
+        this.faults = generateRandomFaults(this.lights.length, rates, seed, details);
     }
 
     /**
-     * Brightness Burst: 5 dim cycles (lowBrightness) followed by 3 bright cycles (highBrightness)
+     * Count faulty lights by type
+     * @returns {object} { dead, stuck, dim, flicker, total }
      */
-    updateBrightnessBurst() {
-        // Initialize mode state
-        if (this.modeState.cycleCount === undefined) {
-            this.modeState.cycleCount = 0;
-            this.modeState.lastCycleTime = 0;
-            // Set initial brightness (dim for first 5 cycles)
-            this.PEAK_INTENSITY = this.lowBrightness / 200; // Convert UI value to internal
-            console.log(`🌙 Brightness Burst: Started - Cycle 1/8 - DIM (${this.lowBrightness})`);
-            if (this.lightControls) {
-                this.lightControls.updateUIFromAnimation();
+    getFaultCounts() {
+        const counts = { total: 0 };
+        Object.keys(FAULT_TYPES).forEach(type => counts[type] = 0);
+        this.faults.forEach(fault => {
+            if (fault) {
+                counts[fault.type]++;
+                counts.total++;
             }
-            if (this.animationModeControls) {
-                this.animationModeControls.updateModeDescription(`Cycle 1/8 - DIM (${this.lowBrightness})`);
-            }
-        }
+        });
+        return counts;
+    }
 
-        const cycleTime = this.currentTime % this.cycleDuration;
+    /**
+     * Draw every light's clock from a preset
+     * @param {string} presetId - Key of CLOCK_PRESETS
+     * @param {number} seed - Same preset and seed give the same clocks
+     */
+    setClockPreset(presetId, seed = this.clockSeed) {
+        if (!CLOCK_PRESETS[presetId]) {
+            console.warn(`⚠️ Unknown clock preset "${presetId}"`);
+            return;
+        }
+        this.clockPreset = presetId;
+        this.clockSeed = seed;
+        this.clocks = presetId === 'ideal' ? [] : generateClocks(this.lights.length, presetId, seed);
+    }
 
-        // Detect cycle completion and update brightness
-        if (cycleTime < this.modeState.lastCycleTime) {
-            // Cycle just completed
-            this.modeState.cycleCount++;
+    /**
+     * Set one light's clock
+     * @param {number} index - Light index
+     * @param {object} clock - { offset (s), drift (ppm), jitter (s) }
+     */
+    setLightClock(index, clock) {
+        if (index < 0 || index >= this.lights.length) return;
+        this.fitClocksToLights();
+        this.clocks[index] = normalizeClock({ ...this.getLightClock(index), ...clock });
+        this.clockPreset = 'custom';
+    }
 
-            // After 5 dim cycles + 3 bright cycles = 8 total, reset to 0
-            if (this.modeState.cycleCount >= 8) {
-                console.log('🔄 Brightness Burst: Resetting cycle count to 0');
-                this.modeState.cycleCount = 0;
-            }
+    /**
+     * Get one light's clock (a perfect clock if none is set)
+     * @param {number} index - Light index
+     * @returns {object} { offset, drift, jitter }
+     */
+    getLightClock(index) {
+        return this.clocks[index] || { offset: 0, drift: 0, jitter: 0 };
+    }
 
-            // Set brightness based on cycle count
-            const cycleNum = this.modeState.cycleCount + 1;
-            let statusText = '';
+    /**
+     * How far ahead of true time a light's clock is right now (excluding jitter)
+     * @param {number} index - Light index
+     * @returns {number} Seconds (positive = flashing early)
+     */
+    getClockError(index) {
+        return clockError(this.getLightClock(index), this.elapsedTime);
+    }
 
-            if (this.modeState.cycleCount < 5) {
-                // First 5 cycles: dim
-                this.PEAK_INTENSITY = this.lowBrightness / 200;
-                statusText = `Cycle ${cycleNum}/8 - DIM (${this.lowBrightness})`;
-                console.log(`🌙 Brightness Burst: ${statusText}`);
-            } else {
-                // Next 3 cycles: bright
-                this.PEAK_INTENSITY = this.highBrightness / 200;
-                statusText = `Cycle ${cycleNum}/8 - BRIGHT (${this.highBrightness})`;
-                console.log(`☀️ Brightness Burst: ${statusText}`);
-            }
+    /**
+     * Give every light a clock after the light count changes
+     * Preset clocks are redrawn; edited clocks are kept and new lights get perfect clocks
+     */
+    fitClocksToLights() {
+        if (this.clocks.length === 0 && this.clockPreset === 'ideal') return;
+        if (this.clocks.length === this.lights.length) return;
 
-            // Update UI to reflect new brightness and status
-            if (this.lightControls) {
-                this.lightControls.updateUIFromAnimation();
-            }
-            if (this.animationModeControls) {
-                this.animationModeControls.updateModeDescription(statusText);
-            }
+        if (CLOCK_PRESETS[this.clockPreset]) {
+            this.setClockPreset(this.clockPreset);
+        } else {
+            this.clocks = this.lights.map((_, i) => this.clocks[i] || normalizeClock({}));
         }
+    }
 
-        this.modeState.lastCycleTime = cycleTime;
-
-        // Run sequential animation with current brightness
-        for (let i = 0; i < this.lights.length; i++) {
-            const lightFlashTime = i * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
+    /**
+     * Replace every wave with a preset's waves
+     * @param {string} presetId - Key of WAVE_PRESETS
+     */
+    setWavePreset(presetId) {
+        const preset = WAVE_PRESETS[presetId];
+        if (!preset) {
+            console.warn(`⚠️ Unknown wave preset "${presetId}"`);
+            return;
+        }
+        this.waves = preset.waves(this).map(wave => normalizeWave(wave, this.EARTH_ROTATION_SPEED));
+        this.wavePreset = presetId;
+    }
 
-            if (timeDiff < 0) {
-                timeDiff += this.cycleDuration;
-            }
+    /**
+     * Replace every wave
+     * @param {Array<object>} waves - Partial waves (see waveFronts.js), up to MAX_WAVES
+     */
+    setWaves(waves) {
+        this.waves = waves.slice(0, MAX_WAVES).map(wave => normalizeWave(wave, this.EARTH_ROTATION_SPEED));
+        this.wavePreset = 'custom';
+    }
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+    /**
+     * Change one wave
+     * @param {number} index - Wave index
+     * @param {object} changes - Fields to change, e.g. { speed: 1500 }
+     */
+    setWave(index, changes) {
+        if (index < 0 || index >= this.waves.length) return;
+        this.waves[index] = normalizeWave({ ...this.waves[index], ...changes }, this.EARTH_ROTATION_SPEED);
+        this.wavePreset = 'custom';
     }
 
     /**
-     * Brightness Burst (Realtime): Every 15 minutes, do 3 bright bursts, otherwise dim
-     * Synchronized to system clock at :00, :15, :30, :45 minutes past each hour
+     * Launch another wave (at the current wave speed unless given)
+     * @param {object} wave - Partial wave
+     * @returns {boolean} False if there are already MAX_WAVES
      */
-    updateBrightnessBurstRealtime() {
-        // Initialize mode state
-        if (this.modeState.lastBurstCycleCount === undefined) {
-            this.modeState.lastBurstCycleCount = 0;
-            this.modeState.lastCycleTime = 0;
-            this.modeState.lastQuarterHour = -1; // Track which quarter hour we were in
+    addWave(wave = {}) {
+        if (this.waves.length >= MAX_WAVES) return false;
+        this.waves.push(normalizeWave({ label: `Wave ${this.waves.length + 1}`, ...wave }, this.EARTH_ROTATION_SPEED));
+        this.wavePreset = 'custom';
+        return true;
+    }
 
-            // Set initial brightness based on current clock time
-            const now = new Date();
-            const minutes = now.getMinutes();
-            const seconds = now.getSeconds();
-            const totalSeconds = minutes * 60 + seconds;
-            const secondsIntoQuarterHour = totalSeconds % 900; // 900 seconds = 15 minutes
+    /**
+     * Remove one wave
+     * @param {number} index - Wave index
+     */
+    removeWave(index) {
+        if (index < 0 || index >= this.waves.length) return;
+        this.waves.splice(index, 1);
+        this.wavePreset = 'custom';
+    }
 
-            this.PEAK_INTENSITY = (secondsIntoQuarterHour < 30) ? this.highBrightness / 200 : this.lowBrightness / 200;
-            console.log(`⏰ Brightness Burst (Realtime): Started - ${this.PEAK_INTENSITY === this.highBrightness / 200 ? `BRIGHT (${this.highBrightness})` : `DIM (${this.lowBrightness})`}`);
-            if (this.lightControls) {
-                this.lightControls.updateUIFromAnimation();
-            }
+    /**
+     * Set how overlapping waves combine
+     * @param {string} blend - Key of WAVE_BLENDS ('max' or 'add')
+     */
+    setWaveBlend(blend) {
+        if (!WAVE_BLENDS[blend]) {
+            console.warn(`⚠️ Unknown wave blend "${blend}"`);
+            return;
         }
+        this.waveBlend = blend;
+    }
 
-        // Get current time from system clock
-        const now = new Date();
-        const minutes = now.getMinutes();
-        const seconds = now.getSeconds();
-        const totalSeconds = minutes * 60 + seconds;
-
-        // Calculate which quarter-hour period we're in (0-3)
-        const currentQuarterHour = Math.floor(totalSeconds / 900); // 0, 1, 2, or 3
+    /**
+     * Set the animation speed multiplier
+     * @param {number} multiplier - Speed multiplier (1.0 = real-time, 0.5 = half speed, 2.0 = double speed)
+     */
+    setSpeedMultiplier(multiplier) {
+        this.speedMultiplier = Math.max(MIN_SPEED_MULTIPLIER, Math.min(MAX_SPEED_MULTIPLIER, multiplier));
+    }
 
-        // Calculate seconds into the current quarter hour
-        const secondsIntoQuarterHour = totalSeconds % 900;
+    /**
+     * Pause or resume playback
+     * While paused the lights hold their current state, so seeking and stepping show single frames
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
 
-        // Calculate seconds until next quarter hour
-        const secondsUntilNextQuarterHour = 900 - secondsIntoQuarterHour;
+    /**
+     * Jump to a point in the animation
+     * Playback time (faults, clock drift) moves by the same amount so everything stays in step
+     * @param {number} time - Animation time in seconds (currentTime)
+     */
+    seek(time) {
+        const delta = Math.max(0, time) - this.currentTime;
+        this.currentTime += delta;
+        this.elapsedTime = Math.max(0, this.elapsedTime + delta);
+        this.cycleNumber = null; // A jump isn't a completed cycle
+    }
 
-        // Calculate next quarter hour full time (hour:minutes)
-        // currentQuarterHour: 0 → next is :15, 1 → :30, 2 → :45, 3 → :00
-        const nextQuarterMinutes = ((currentQuarterHour + 1) % 4) * 15;
-        let nextQuarterHour = now.getHours();
-        // If next quarter is :00 (top of hour), increment hour
-        if (nextQuarterMinutes === 0 && currentQuarterHour === 3) {
-            nextQuarterHour = (nextQuarterHour + 1) % 24; // Handle 23 → 0 wraparound
-        }
-        const nextQuarterText = `${nextQuarterHour}:${String(nextQuarterMinutes).padStart(2, '0')}`;
-
-        // Format countdown as MM:SS
-        const countdownMinutes = Math.floor(secondsUntilNextQuarterHour / 60);
-        const countdownSeconds = Math.floor(secondsUntilNextQuarterHour % 60);
-        const countdownText = `${String(countdownMinutes).padStart(2, '0')}:${String(countdownSeconds).padStart(2, '0')}`;
-
-        // Detect quarter-hour boundary crossing
-        if (this.modeState.lastQuarterHour !== -1 && currentQuarterHour !== this.modeState.lastQuarterHour) {
-            // Quarter hour just changed - reset burst count
-            console.log(`⏰ Quarter hour boundary crossed! Now at :${String(Math.floor(totalSeconds / 60)).padStart(2, '0')} - Starting burst sequence`);
-            this.modeState.lastBurstCycleCount = 0;
-        }
-        this.modeState.lastQuarterHour = currentQuarterHour;
+    /**
+     * Move forward or back by single display frames at the current speed
+     * (at 0.01x one frame is 0.17 ms of animation time, fine enough to trace a flash envelope)
+     * @param {number} count - Frames (negative steps back)
+     */
+    stepFrames(count) {
+        this.seek(this.currentTime + count * this.frameStep * this.speedMultiplier);
+    }
 
-        // Track animation cycle completions
-        const cycleTime = this.currentTime % this.cycleDuration;
-        if (cycleTime < this.modeState.lastCycleTime) {
-            // Cycle completed
-            if (secondsIntoQuarterHour < 30) {
-                // We're in the first 30 seconds of the quarter hour (burst period)
-                this.modeState.lastBurstCycleCount++;
-            } else {
-                // Reset burst count when we're outside the burst period
-                this.modeState.lastBurstCycleCount = 0;
-            }
-        }
-        this.modeState.lastCycleTime = cycleTime;
-
-        // Determine brightness: bright for first 3 cycles after quarter hour, dim otherwise
-        // First 30 seconds of each quarter hour = burst time
-        const newIntensity = (secondsIntoQuarterHour < 30 && this.modeState.lastBurstCycleCount < 3) ?
-            this.highBrightness / 200 : this.lowBrightness / 200;
-
-        // Update brightness if it changed
-        if (this.PEAK_INTENSITY !== newIntensity) {
-            this.PEAK_INTENSITY = newIntensity;
-            const statusText = this.PEAK_INTENSITY === this.highBrightness / 200 ?
-                `☀️ BRIGHT (${this.highBrightness})` : `🌙 DIM (${this.lowBrightness})`;
-            console.log(`⏰ Brightness Burst (Realtime): ${statusText} - Cycle ${this.modeState.lastBurstCycleCount + 1}/3`);
-
-            // Update UI to reflect new brightness
-            if (this.lightControls) {
-                this.lightControls.updateUIFromAnimation();
-            }
-        }
+    /**
+     * Move forward or back by whole light intervals, so the wave moves one light per step
+     * @param {number} count - Light intervals (negative steps back)
+     */
+    stepLights(count) {
+        this.seek(this.currentTime + count * this.timeBetweenLights);
+    }
 
-        // Update countdown timer in mode description
-        if (this.animationModeControls) {
-            const statusText = this.PEAK_INTENSITY === this.highBrightness / 200 ?
-                `BRIGHT - Next burst in: ${countdownText} (${nextQuarterText})` :
-                `DIM - Next burst in: ${countdownText} (${nextQuarterText})`;
-            this.animationModeControls.updateModeDescription(statusText);
+    /**
+     * Lock the animation's phase to absolute time
+     * Pattern N starts at epoch + N × the mode's period, so any two machines with
+     * synchronized clocks flash the same light at the same moment
+     * @param {boolean} enabled
+     * @param {object} options - { epoch: Unix seconds, offset: seconds added to the system clock }
+     */
+    setWallClockSync(enabled, { epoch = this.syncEpoch, offset = this.syncOffset } = {}) {
+        this.wallClockSync = enabled;
+        this.syncEpoch = epoch;
+        this.syncOffset = offset;
+        if (enabled) {
+            this.currentTime = this.getSyncedTime();
         }
+        this.cycleNumber = null;
+    }
 
-        // Run sequential animation with current brightness
-        for (let i = 0; i < this.lights.length; i++) {
-            const lightFlashTime = i * this.timeBetweenLights;
-            let timeDiff = cycleTime - lightFlashTime;
+    /**
+     * The system clock, or the clock a video export is stepping
+     * @returns {number} Unix time in milliseconds
+     */
+    now() {
+        return this.clockOverride ?? Date.now();
+    }
 
-            if (timeDiff < 0) {
-                timeDiff += this.cycleDuration;
-            }
+    /**
+     * Seconds since the sync epoch by the (offset-corrected) system clock
+     * @returns {number}
+     */
+    getTimeSinceEpoch() {
+        return this.now() / 1000 + this.syncOffset - this.syncEpoch;
+    }
 
-            const flash = this.calculateFlashIntensity(timeDiff);
-            this.setLightIntensity(i, flash.intensity, flash.glowOpacity, flash.bulbOpacity);
-        }
+    /**
+     * Animation time the wall clock puts us at: the position within the current pattern
+     * @returns {number} Seconds (0 to the mode period)
+     */
+    getSyncedTime() {
+        const period = this.getModePeriod();
+        const time = this.getTimeSinceEpoch() % period;
+        return time < 0 ? time + period : time;
     }
 
     /**
-     * Set the animation speed multiplier
-     * @param {number} multiplier - Speed multiplier (1.0 = real-time, 0.5 = half speed, 2.0 = double speed)
+     * Length of the active mode's full pattern before it repeats
+     * (e.g. a sequential run plus the blink-all tail)
+     * @returns {number} Seconds
      */
-    setSpeedMultiplier(multiplier) {
-        this.speedMultiplier = Math.max(0.1, Math.min(10.0, multiplier));
+    getModePeriod() {
+        const mode = this.modes.get(this.animationMode);
+        return mode && mode.period ? mode.period(this) : this.cycleDuration;
     }
 
     /**
@@ -607,6 +889,7 @@ export class LightAnimation {
      */
     reset() {
         this.currentTime = 0;
+        this.cycleNumber = null;
     }
 
     /**
@@ -624,19 +907,78 @@ export class LightAnimation {
 
     /**
      * Set the animation mode
-     * @param {string} mode - Animation mode name
+     * @param {string} mode - Registered animation mode id
      */
     setAnimationMode(mode) {
+        const definition = this.modes.get(mode);
+        if (!definition) {
+            console.warn(`⚠️ Unknown animation mode "${mode}"`);
+            return;
+        }
+
+        // Let the previous mode clean up after itself
+        const previousId = this.animationMode;
+        const previous = this.modes.get(previousId);
+        if (previous && previous.teardown && this.modeInitialized) {
+            previous.teardown(this, this.modeState);
+        }
+
         this.animationMode = mode;
         this.currentTime = 0; // Reset time when changing modes
+        this.cycleNumber = null;
+        this.modeStatus = definition.description;
+        this.setModeBrightness(1); // A mode's modulation doesn't outlive it
         this.modeState = {}; // Clear mode-specific state
+        this.modeInitialized = false; // init() runs on the next update
+        this.emit('modeChanged', { mode, previous: previousId });
+    }
+
+    /**
+     * Set the active mode's status line (shown under the mode selector), e.g. a burst countdown
+     * Modes may call this every frame; 'modeStatus' is only emitted when the text changes
+     * @param {string} text - Status text
+     */
+    setModeStatus(text) {
+        if (text === this.modeStatus) return;
+        this.modeStatus = text;
+        this.emit('modeStatus', { mode: this.animationMode, text });
+    }
 
-        // Set time to night for brightness-burst modes
-        if ((mode === 'brightness-burst' || mode === 'brightness-burst-realtime') && this.timeOfDayController) {
-            this.timeOfDayController.applyPreset('night');
+    /**
+     * Fall back to sequential when the active mode is removed from the registry
+     * (e.g. a plugin unregistering itself), so nothing is left pointing at a missing mode
+     */
+    checkActiveMode() {
+        if (this.animationMode && !this.modes.has(this.animationMode) && this.modes.has('sequential')) {
+            console.warn(`⚠️ Animation mode "${this.animationMode}" was removed; switching to sequential`);
+            this.setAnimationMode('sequential');
         }
     }
 
+    /**
+     * Stop following the mode registry, for an animation that is being thrown away
+     */
+    dispose() {
+        this.stopFollowingModes();
+    }
+
+    /**
+     * Set parameters of the active mode through its schema and let the UI know
+     * @param {object} values - Parameter id → value (already parsed), e.g. { point: 12 }
+     */
+    setModeParams(values) {
+        const mode = this.modes.get(this.animationMode);
+        Object.entries(values).forEach(([id, value]) => {
+            const param = mode.params.find(entry => entry.id === id);
+            if (param) {
+                param.set(this, value);
+            } else {
+                console.warn(`⚠️ ${mode.name} has no parameter "${id}"`);
+            }
+        });
+        this.emit('modeParamsChanged', { mode: this.animationMode, values });
+    }
+
     /**
      * Set convergence point for converge-point mode
      * @param {number} point - Light index (0-29)
@@ -653,6 +995,14 @@ export class LightAnimation {
         this.divergencePoint = Math.max(0, Math.min(this.lights.length - 1, point));
     }
 
+    /**
+     * Set the seed the random mode shuffles the lights with
+     * @param {number} seed - Integer (the same seed always gives the same order)
+     */
+    setRandomOrderSeed(seed) {
+        this.randomOrderSeed = Math.round(seed);
+    }
+
     /**
      * Set low brightness value for brightness burst modes
      * @param {number} brightness - Brightness value (0-100000)
@@ -663,10 +1013,96 @@ export class LightAnimation {
 
     /**
      * Set high brightness value for brightness burst modes
-     * @param {number} brightness - Brightness value (0-300000)
+     * @param {number} brightness - Brightness value (0-500000)
      */
     setHighBrightness(brightness) {
-        this.highBrightness = Math.max(0, Math.min(300000, brightness));
+        this.highBrightness = Math.max(0, Math.min(500000, brightness));
+    }
+
+    /**
+     * Combine the brightness layers into PEAK_INTENSITY (per-light trims apply in setLightIntensity)
+     * Master × schedule × mode × auto dimmer; emits 'brightnessChanged' when the result moves
+     */
+    updateBrightness() {
+        const autoDimmer = this.getAutoDimmerLevel();
+        const peak = this.masterBrightness * BRIGHTNESS_TO_INTENSITY * this.scheduleBrightness * this.modeBrightness * autoDimmer;
+        if (peak === this.PEAK_INTENSITY) return;
+
+        this.PEAK_INTENSITY = peak;
+        this.emit('brightnessChanged', {
+            master: this.masterBrightness, schedule: this.scheduleBrightness, mode: this.modeBrightness, autoDimmer, peak
+        });
+    }
+
+    /**
+     * Set the user's brightness (the Lighting tab slider)
+     * @param {number} brightness - Slider scale, 0-500000 (200000 = full)
+     */
+    setMasterBrightness(brightness) {
+        this.masterBrightness = Math.max(0, Math.min(MAX_BRIGHTNESS, brightness));
+        this.updateBrightness();
+    }
+
+    /**
+     * Set the night schedule's brightness level (1 when no schedule is followed)
+     * @param {number} level - Multiplier of the master brightness (1 = as set)
+     */
+    setScheduleBrightness(level) {
+        this.scheduleBrightness = Math.max(0, level);
+        this.updateBrightness();
+    }
+
+    /**
+     * Set the active mode's brightness modulation (reset to 1 whenever the mode changes)
+     * @param {number} level - Multiplier of the master brightness (1 = as set)
+     */
+    setModeBrightness(level) {
+        this.modeBrightness = Math.max(0, level);
+        this.updateBrightness();
+    }
+
+    /**
+     * Dim the lights with the time of day
+     * @param {boolean} enabled - Whether the auto dimmer is on
+     */
+    setAutoDimmer(enabled) {
+        this.autoDimmer = enabled;
+        this.updateBrightness();
+    }
+
+    /**
+     * Auto dimmer level for the current time of day
+     * @returns {number} Multiplier (1 when off or without a time-of-day controller)
+     */
+    getAutoDimmerLevel() {
+        if (!this.autoDimmer || !this.timeOfDayController) return 1;
+        const level = AUTO_DIMMER_LEVELS[this.timeOfDayController.currentPreset];
+        return level === undefined ? 1 : level;
+    }
+
+    /**
+     * Trim one light's brightness
+     * @param {number} index - Light index
+     * @param {number} trim - Multiplier, 0-2 (1 = unchanged)
+     */
+    setLightTrim(index, trim) {
+        if (index < 0 || index >= this.lights.length) return;
+        this.lightTrims[index] = normalizeLightTrim(trim);
+    }
+
+    /**
+     * Put every light back to its untrimmed brightness
+     */
+    clearLightTrims() {
+        this.lightTrims = [];
+    }
+
+    /**
+     * Change when the brightness burst modes go bright
+     * @param {object} cadence - Cadence fields to change, e.g. { interval: 30 } or { minuteMarks: [0, 30] }
+     */
+    setBurstCadence(cadence) {
+        this.burstCadence = normalizeBurstCadence({ ...this.burstCadence, ...cadence });
     }
 
     /**
@@ -676,6 +1112,8 @@ export class LightAnimation {
     getStatus() {
         return {
             enabled: this.enabled,
+            paused: this.paused,
+            wallClockSync: this.wallClockSync,
             allLightsOn: this.allLightsOn,
             animationMode: this.animationMode,
             speedMultiplier: this.speedMultiplier,
@@ -683,6 +1121,8 @@ export class LightAnimation {
             cycleDuration: this.cycleDuration,
             cycleProgress: (this.currentTime % this.cycleDuration) / this.cycleDuration,
             earthRotationSpeed: this.EARTH_ROTATION_SPEED,
+            speedPreset: this.speedPreset,
+            speedProfile: this.speedProfile.profile,
             timeBetweenLights: this.timeBetweenLights,
             flashDuration: this.FLASH_DURATION,
             convergencePoint: this.convergencePoint,
@@ -692,42 +1132,38 @@ export class LightAnimation {
 
     /**
      * Get list of available animation modes
-     * @returns {Array} List of mode objects with name and description
+     * @returns {Array} Registered mode definitions (id, name, description, params)
      */
     getAvailableModes() {
-        return [
-            { id: 'sequential', name: 'Sequential', description: 'Lights flash in order (default)' },
-            { id: 'blink-all', name: 'Blink All', description: 'Run once, then blink all 3 times' },
-            { id: 'fast-runs', name: 'Fast Runs', description: 'Run once, then 3 fast runs' },
-            { id: 'ping-pong', name: 'Ping Pong', description: 'Run forward then backward' },
-            { id: 'ping-pong-fast', name: 'Ping Pong Fast', description: 'Run forward then backward (fast)' },
-            { id: 'random', name: 'Random', description: 'Flash lights in random order' },
-            { id: 'converge-center', name: 'Converge Center', description: 'Both ends to middle' },
-            { id: 'converge-point', name: 'Converge Point', description: 'Both ends to specific point' },
-            { id: 'diverge-center', name: 'Diverge Center', description: 'Middle outward' },
-            { id: 'diverge-point', name: 'Diverge Point', description: 'Specific point outward' },
-            { id: 'brightness-burst', name: 'Brightness Burst', description: '5 dim cycles (low brightness) followed by 3 bright cycles (high brightness), repeating continuously' },
-            { id: 'brightness-burst-realtime', name: 'Brightness Burst (Realtime)', description: '3 bright bursts every 15 minutes (night mode)' }
-        ];
-    }
-
-    /**
-     * Get the current Z position of the wave front
-     * @returns {number} Z position in THREE.js units (feet)
+        return this.modes.list();
+    }
+
+    /**
+     * Get the distance of the wave front along the installation path
+     * @returns {number} Feet from the first light
      */
-    getCurrentWavePosition() {
-        if (!this.enabled) return 0;
+    getCurrentWaveDistance() {
+        if (!this.enabled) return this.layout.pathLength / 2;
 
         const cycleTime = this.currentTime % this.cycleDuration;
+        return this.timingTable ? getDistanceAtTime(this.timingTable, cycleTime) : cycleTime * this.EARTH_ROTATION_SPEED;
+    }
 
-        // Calculate which light index the wave is at (can be fractional)
-        const currentLightIndex = cycleTime / this.timeBetweenLights;
-
-        // Convert to position along the installation
-        // Installation starts at -TOTAL_LENGTH/2
-        const TOTAL_LENGTH = (this.lights.length - 1) * this.LIGHT_SPACING;
-        const wavePosition = -TOTAL_LENGTH / 2 + (currentLightIndex * this.LIGHT_SPACING);
+    /**
+     * Get the current position of the wave front
+     * @returns {THREE.Vector3|null} Position in THREE.js units (feet) at light height, or null without a layout
+     */
+    getCurrentWavePosition() {
+        if (!this.layout) return null;
+        return this.layout.getPointAt(this.getCurrentWaveDistance(), this.layout.config.height);
+    }
 
-        return wavePosition;
+    /**
+     * Get the direction the wave front is travelling
+     * @returns {THREE.Vector3|null} Unit vector along the installation path, or null without a layout
+     */
+    getCurrentWaveDirection() {
+        if (!this.layout) return null;
+        return this.layout.getDirectionAt(this.getCurrentWaveDistance());
     }
 }
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+
+/**
+ * Light Colour
+ * Per-light colour and colour temperature, as channels the animation can change every frame
+ *
+ * Each light has two channels:
+ *   color  - [r, g, b] tint (0-1, sRGB)
+ *   kelvin - Colour temperature, or null for none
+ * The light shows color × the blackbody colour of kelvin, so either channel can be
+ * animated on its own. A colour scheme fills both channels every frame; animation
+ * modes can then override single lights with LightAnimation.setLightColor/setLightTemperature.
+ *
+ * A scheme is a plain object like the flash envelope:
+ *   { scheme, color, colorB, kelvin, warmKelvin, coolKelvin, hueStep }
+ */
+
+export const MIN_KELVIN = 1000;
+export const MAX_KELVIN = 12000;
+
+// Parameter schema entries: { id, label, type: 'color' } or { id, label, type: 'range', min, max, step }
+const kelvinParam = (id, label) => ({ id, label, type: 'range', min: MIN_KELVIN, max: MAX_KELVIN, step: 100 });
+
+export const COLOR_SCHEMES = {
+    static: {
+        name: 'Static Colour',
+        description: 'Every light the same colour',
+        params: [{ id: 'color', label: 'Colour', type: 'color' }],
+        evaluate: (scheme) => ({ color: hexToRGB(scheme.color), kelvin: null })
+    },
+    temperature: {
+        name: 'Colour Temperature',
+        description: 'Every light at a blackbody colour temperature (2700 K warm white, 6500 K daylight)',
+        params: [kelvinParam('kelvin', 'Temperature (K)')],
+        evaluate: (scheme) => ({ color: [1, 1, 1], kelvin: scheme.kelvin })
+    },
+    gradient: {
+        name: 'Gradient Along Line',
+        description: 'Blend from the first light\'s colour to the last light\'s along the path',
+        params: [
+            { id: 'color', label: 'First Light', type: 'color' },
+            { id: 'colorB', label: 'Last Light', type: 'color' }
+        ],
+        evaluate(scheme, animation, index) {
+            const [a, b] = [hexToRGB(scheme.color), hexToRGB(scheme.colorB)];
+            const last = animation.lightTimes.length - 1;
+            const t = last > 0 && animation.lightTimes[last] > 0 ? animation.lightTimes[index] / animation.lightTimes[last] : 0;
+            return { color: a.map((value, i) => value + (b[i] - value) * t), kelvin: null };
+        }
+    },
+    'hue-cycle': {
+        name: 'Hue Shift Per Cycle',
+        description: 'Every light changes hue each time the pattern repeats',
+        params: [{ id: 'hueStep', label: 'Hue Step (°)', type: 'range', min: 5, max: 180, step: 5 }],
+        evaluate(scheme, animation) {
+            const cycle = animation.getCycleNumber(); // Counted from the sync epoch when phase locked
+            return { color: hslToRGB((cycle * scheme.hueStep) % 360, 1, 0.5), kelvin: null };
+        }
+    },
+    'warm-cool': {
+        name: 'Warm vs Cool',
+        description: 'First half of the line warm, second half cool, for side-by-side comparison',
+        params: [kelvinParam('warmKelvin', 'Warm (K)'), kelvinParam('coolKelvin', 'Cool (K)')],
+        evaluate(scheme, animation, index) {
+            const warm = index < animation.lights.length / 2;
+            return { color: [1, 1, 1], kelvin: warm ? scheme.warmKelvin : scheme.coolKelvin };
+        }
+    }
+};
+
+export const DEFAULT_COLOR_SCHEME = {
+    scheme: 'static',
+    color: '#ffffff',
+    colorB: '#3366ff',
+    kelvin: 3000,
+    warmKelvin: 2700,
+    coolKelvin: 6500,
+    hueStep: 45
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Parse a #rrggbb colour
+ * @returns {Array<number>} [r, g, b] (0-1)
+ */
+export function hexToRGB(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+}
+
+/**
+ * Format [r, g, b] (0-1) as #rrggbb
+ */
+export function rgbToHex(rgb) {
+    return `#${rgb.map(channel => Math.round(Math.max(0, Math.min(1, channel)) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Hue (degrees), saturation and lightness (0-1) to [r, g, b]
+ */
+export function hslToRGB(hue, saturation, lightness) {
+    const color = new THREE.Color().setHSL(hue / 360, saturation, lightness, THREE.SRGBColorSpace);
+    const rgb = color.getRGB({}, THREE.SRGBColorSpace);
+    return [rgb.r, rgb.g, rgb.b];
+}
+
+/**
+ * Approximate blackbody colour of a colour temperature (Tanner Helland's fit)
+ * 6600 K is white; lower is warmer (orange), higher is cooler (blue)
+ * @param {number} kelvin - Colour temperature
+ * @returns {Array<number>} [r, g, b] (0-1)
+ */
+export function kelvinToRGB(kelvin) {
+    const t = Math.max(MIN_KELVIN, Math.min(MAX_KELVIN, kelvin)) / 100;
+    const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const green = t <= 66 ?
+        99.4708025861 * Math.log(t) - 161.1195681661 :
+        288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    return [red, green, blue].map(channel => Math.max(0, Math.min(255, channel)) / 255);
+}
+
+/**
+ * Fill in defaults and clamp a colour scheme
+ * @param {object} scheme - Partial scheme
+ * @returns {object} Complete scheme
+ */
+export function normalizeColorScheme(scheme) {
+    const normalized = { scheme: COLOR_SCHEMES[scheme.scheme] ? scheme.scheme : DEFAULT_COLOR_SCHEME.scheme };
+
+    // Keep every scheme's settings so switching schemes doesn't lose them
+    Object.values(COLOR_SCHEMES).forEach(definition => {
+        definition.params.forEach(param => {
+            const value = scheme[param.id];
+            if (param.type === 'color') {
+                normalized[param.id] = typeof value === 'string' && HEX_COLOR.test(value) ?
+                    value.toLowerCase() : DEFAULT_COLOR_SCHEME[param.id];
+            } else {
+                normalized[param.id] = Number.isFinite(value) ?
+                    Math.max(param.min, Math.min(param.max, value)) : DEFAULT_COLOR_SCHEME[param.id];
+            }
+        });
+    });
+
+    return normalized;
+}
+
+/**
+ * Colour channels a scheme gives one light
+ * @param {object} scheme - Normalized scheme
+ * @param {LightAnimation} animation - For light positions and cycle count
+ * @param {number} index - Light index
+ * @returns {object} { color: [r, g, b], kelvin }
+ */
+export function evaluateColorScheme(scheme, animation, index) {
+    return COLOR_SCHEMES[scheme.scheme].evaluate(scheme, animation, index);
+}
+
+/**
+ * Combine a light's channels into the colour it shows
+ * @param {Array<number>} color - [r, g, b] tint
+ * @param {number|null} kelvin - Colour temperature
+ * @returns {Array<number>} [r, g, b] (0-1)
+ */
+export function mixLightColor(color, kelvin) {
+    if (kelvin === null || kelvin === undefined) return color;
+    const blackbody = kelvinToRGB(kelvin);
+    return color.map((value, i) => value * blackbody[i]);
+}
+
+const tint = new THREE.Color();
+
+/**
+ * Tint a colour object, keeping the colour it was built with as the white point
+ * (so the warm bulb stays warm under a white tint)
+ */
+function tintColor(owner, key, color) {
+    owner.userData.baseColors = owner.userData.baseColors || {};
+    if (!owner.userData.baseColors[key]) {
+        owner.userData.baseColors[key] = owner[key].clone();
+    }
+    owner[key].copy(owner.userData.baseColors[key]).multiply(color);
+}
+
+/**
+ * Show a colour on every part of one fixture: point light, spot light, glow sphere and bulb
+ * @param {THREE.PointLight} light - Primary light (spot light and bulb in userData)
+ * @param {THREE.Mesh} glowSphere - The light's glow sphere
+ * @param {Array<number>} rgb - [r, g, b] (0-1, sRGB)
+ */
+export function applyLightColor(light, glowSphere, rgb) {
+    tint.setRGB(rgb[0], rgb[1], rgb[2], THREE.SRGBColorSpace);
+
+    tintColor(light, 'color', tint);
+    if (light.userData.spotLight) {
+        tintColor(light.userData.spotLight, 'color', tint);
+    }
+    tintColor(glowSphere.material, 'color', tint);
+    if (light.userData.bulb) {
+        tintColor(light.userData.bulb.material, 'color', tint);
+        tintColor(light.userData.bulb.material, 'emissive', tint);
+    }
+}
@@ -1,8 +1,11 @@
 /**
  * Light Brightness Controls
- * Allows interactive control of the installation light brightness and distance
+ * Allows interactive control of the installation light brightness and distance,
+ * and shows every brightness layer between the slider and the lights (see brightnessLayers.js)
  */
 
+import { AUTO_DIMMER_LEVELS, BRIGHTNESS_LAYERS, BRIGHTNESS_TO_INTENSITY, MAX_LIGHT_TRIM } from './brightnessLayers.js';
+
 export class LightControls {
     constructor(lights, lightAnimation, container) {
         this.lights = lights;
@@ -12,9 +15,15 @@ export class LightControls {
         // Default values
         this.brightness = 200000;
         this.distance = 200; // feet - how far light reaches
+        this.trimLight = 0; // Light the trim slider edits
+        this.layersText = '';
 
         this.createUI();
         this.updateLightProperties();
+
+        // Follow the schedule, modes and the auto dimmer as they move their layers
+        this.lightAnimation.on('brightnessChanged', () => this.updateUIFromAnimation());
+        this.lightAnimation.on('modeChanged', () => this.updateLayers());
     }
 
     createUI() {
@@ -69,6 +78,29 @@ export class LightControls {
                 </button>
             </div>
 
+            <div id="brightness-layers" style="font-size: 11px; line-height: 1.6; margin-bottom: 12px; padding: 6px 8px; background: rgba(0, 0, 0, 0.3); border-radius: 4px;"></div>
+
+            <label style="display: flex; align-items: center; gap: 6px; font-size: 12px; margin-bottom: 12px; cursor: pointer;">
+                <input type="checkbox" id="auto-dimmer-toggle">
+                <span>Auto-dim with time of day</span>
+            </label>
+
+            <div style="margin-bottom: 12px;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                    <label style="font-size: 12px;">Trim Light</label>
+                    <span id="trim-light-value" style="font-size: 12px; color: #4CAF50;">#1</span>
+                </div>
+                <input type="range" id="trim-light-slider" min="1" max="${this.lights.length}" value="1" step="1"
+                    style="width: 100%; cursor: pointer;">
+                <div style="display: flex; justify-content: space-between; margin: 4px 0;">
+                    <label style="font-size: 12px;">Trim</label>
+                    <span id="trim-value" style="font-size: 12px; color: #4CAF50;">100%</span>
+                </div>
+                <input type="range" id="trim-slider" min="0" max="${MAX_LIGHT_TRIM * 100}" value="100" step="5"
+                    style="width: 100%; cursor: pointer;">
+                <button id="trim-reset-btn" class="reset-params-btn">Reset All Trims</button>
+            </div>
+
             <div style="margin-bottom: 8px;">
                 <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
                     <label style="font-size: 12px;">Light Distance</label>
@@ -97,6 +129,29 @@ export class LightControls {
         const brightnessValue = document.getElementById('brightness-value');
         const distanceValue = document.getElementById('distance-value');
 
+        document.getElementById('auto-dimmer-toggle').addEventListener('change', (e) => {
+            this.lightAnimation.setAutoDimmer(e.target.checked);
+            console.log(`Auto dimmer ${e.target.checked ? 'ON' : 'OFF'}`);
+            this.updateLayers();
+        });
+
+        document.getElementById('trim-light-slider').addEventListener('input', (e) => {
+            this.trimLight = parseInt(e.target.value, 10) - 1;
+            this.updateTrimUI();
+        });
+
+        document.getElementById('trim-slider').addEventListener('input', (e) => {
+            this.lightAnimation.setLightTrim(this.trimLight, parseFloat(e.target.value) / 100);
+            document.getElementById('trim-value').textContent = `${e.target.value}%`;
+            this.updateLayers();
+        });
+
+        document.getElementById('trim-reset-btn').addEventListener('click', () => {
+            this.lightAnimation.clearLightTrims();
+            this.updateTrimUI();
+            this.updateLayers();
+        });
+
         brightnessSlider.addEventListener('input', (e) => {
             this.brightness = parseFloat(e.target.value);
             brightnessValue.textContent = this.brightness.toLocaleString();
@@ -125,12 +180,29 @@ export class LightControls {
     }
 
     updateLightProperties() {
-        // Update the peak intensity in the animation system
-        // Convert UI brightness (0-300000) to internal intensity
-        // Mapping: 200000 (UI) = 1000 (internal), so multiply by 0.005
-        const internalIntensity = this.brightness * 0.005;
-        this.lightAnimation.PEAK_INTENSITY = internalIntensity;
+        // The slider is the master layer; modes, the auto dimmer and trims scale it from there
+        this.lightAnimation.setMasterBrightness(this.brightness);
 
+        this.applyDistance();
+        this.updateLayers();
+    }
+
+    /**
+     * Set how far the light reaches, e.g. from the URL
+     * @param {number} distance - Feet
+     */
+    setDistance(distance) {
+        this.distance = distance;
+        document.getElementById('distance-slider').value = distance;
+        document.getElementById('distance-value').textContent = `${distance} ft`;
+        this.applyDistance();
+    }
+
+    /**
+     * Apply the light distance to every light
+     * Called after the installation layout is rebuilt
+     */
+    applyDistance() {
         // Update distance for all lights (both point and spot)
         this.lights.forEach(light => {
             light.distance = this.distance;
@@ -143,16 +215,14 @@ export class LightControls {
 
     /**
      * Update UI to reflect current brightness from animation system
-     * Called by animation when brightness changes programmatically
+     * Called when any brightness layer changes (e.g. the night schedule or a burst) and after layout rebuilds
      */
     updateUIFromAnimation() {
-        // Convert internal intensity back to UI brightness
-        // Mapping: internal * 200 = UI (1000 * 200 = 200000)
-        const uiBrightness = Math.round(this.lightAnimation.PEAK_INTENSITY * 200);
+        const master = Math.round(this.lightAnimation.masterBrightness);
 
         // Only update if brightness has changed
-        if (uiBrightness !== this.brightness) {
-            this.brightness = uiBrightness;
+        if (master !== this.brightness) {
+            this.brightness = master;
 
             // Update slider and display
             const brightnessSlider = document.getElementById('brightness-slider');
@@ -161,5 +231,69 @@ export class LightControls {
             if (brightnessSlider) brightnessSlider.value = this.brightness;
             if (brightnessValue) brightnessValue.textContent = this.brightness.toLocaleString();
         }
+
+        this.updateTrimUI();
+        this.updateLayers();
+    }
+
+    /**
+     * Show the trim of the light being edited (follows layout changes in light count)
+     */
+    updateTrimUI() {
+        const animation = this.lightAnimation;
+        const lightSlider = document.getElementById('trim-light-slider');
+        if (!lightSlider) return;
+
+        this.trimLight = Math.min(this.trimLight, animation.lights.length - 1);
+        lightSlider.max = animation.lights.length;
+        lightSlider.value = this.trimLight + 1;
+        document.getElementById('trim-light-value').textContent = `#${this.trimLight + 1}`;
+
+        const trim = Math.round((animation.lightTrims[this.trimLight] ?? 1) * 100);
+        document.getElementById('trim-slider').value = trim;
+        document.getElementById('trim-value').textContent = `${trim}%`;
+        document.getElementById('auto-dimmer-toggle').checked = animation.autoDimmer;
+    }
+
+    /**
+     * Each brightness layer and what they add up to
+     */
+    updateLayers() {
+        const element = document.getElementById('brightness-layers');
+        if (!element) return;
+
+        const animation = this.lightAnimation;
+        const mode = animation.modes.get(animation.animationMode);
+        const trimmed = animation.lightTrims.filter(trim => trim !== undefined && trim !== 1).length;
+        const timeOfDay = animation.timeOfDayController ? animation.timeOfDayController.currentPreset : null;
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        const values = {
+            master: Math.round(animation.masterBrightness).toLocaleString(),
+            schedule: animation.scheduleBrightness === 1 ? '<span style="color: #888;">100%</span>' : percent(animation.scheduleBrightness),
+            mode: animation.modeBrightness === 1 ? `100% <span style="color: #888;">(${mode ? mode.name : 'none'})</span>` :
+                `${percent(animation.modeBrightness)} <span style="color: #888;">(${mode.name})</span>`,
+            autoDimmer: !animation.autoDimmer ? '<span style="color: #888;">off</span>' :
+                `${percent(animation.getAutoDimmerLevel())} <span style="color: #888;">(${timeOfDay in AUTO_DIMMER_LEVELS ? timeOfDay : 'no time of day'})</span>`,
+            trim: trimmed === 0 ? '<span style="color: #888;">none</span>' : `${trimmed} light${trimmed === 1 ? '' : 's'}`
+        };
+        const rows = BRIGHTNESS_LAYERS.map((layer, index) => `
+            <div style="display: flex; justify-content: space-between;" title="${layer.description}">
+                <span>${index === 0 ? '' : '× '}${layer.name}</span><span>${values[layer.id]}</span>
+            </div>
+        `);
+        const output = Math.round(animation.PEAK_INTENSITY / BRIGHTNESS_TO_INTENSITY);
+        rows.push(`
+            <div style="display: flex; justify-content: space-between; border-top: 1px solid rgba(255,255,255,0.1); color: #4CAF50;">
+                <span>= Output</span><span>${output.toLocaleString()}</span>
+            </div>
+        `);
+
+        // Only touch the DOM on change
+        const text = rows.join('');
+        if (text !== this.layersText) {
+            this.layersText = text;
+            element.innerHTML = text;
+        }
     }
 }
@@ -0,0 +1,152 @@
+/**
+ * Light Faults
+ * Failure modes for individual fixtures, applied on top of whatever the animation mode asks for
+ *
+ * A fault is a plain object:
+ *   { type: 'dead' }                  - Never lights
+ *   { type: 'stuck' }                 - Always on at peak brightness
+ *   { type: 'dim', level: 0.4 }       - Degraded to a fraction of normal brightness
+ *   { type: 'flicker', rate: 0.5 }    - Intermittent: drops out for this fraction of the time
+ */
+
+import { createRandom, hashRandom, shuffle } from './random.js';
+
+export const FAULT_TYPES = {
+    dead: { name: 'Dead', color: '#f44336' },
+    stuck: { name: 'Stuck On', color: '#FFC107' },
+    dim: { name: 'Dim', color: '#9E9E9E' },
+    flicker: { name: 'Flicker', color: '#2196F3' }
+};
+
+export const DEFAULT_DIM_LEVEL = 0.3;
+export const DEFAULT_FLICKER_RATE = 0.5;
+const FLICKER_SLOT = 0.08; // seconds a flickering light stays in one on/off state
+
+/**
+ * Fill in defaults and clamp a fault, or return null for no fault
+ * @param {object|null} fault - Partial fault
+ * @returns {object|null}
+ */
+export function normalizeFault(fault) {
+    if (!fault || !FAULT_TYPES[fault.type]) return null;
+
+    const clamp01 = (value, fallback) => Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+    switch (fault.type) {
+        case 'dim':
+            return { type: 'dim', level: clamp01(fault.level, DEFAULT_DIM_LEVEL) };
+        case 'flicker':
+            return { type: 'flicker', rate: clamp01(fault.rate, DEFAULT_FLICKER_RATE) };
+        default:
+            return { type: fault.type };
+    }
+}
+
+/**
+ * Parse faulty lights of one type written as "3,7", or "12:40,20:30" with a percent
+ * (dim level or flicker dropout; the default when left out)
+ * @param {string} type - Key of FAULT_TYPES
+ * @param {string} text - Light list (0-based indices)
+ * @param {number} lightCount - Number of lights
+ * @returns {Array<Array>|null} [index, fault] pairs, or null if invalid
+ */
+export function parseFaultList(type, text, lightCount) {
+    const entries = text.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => entry.split(':').map(value => Number(value)));
+
+    const valid = entries.length > 0 && entries.every(([index, percent, ...rest]) =>
+        rest.length === 0 &&
+        Number.isInteger(index) && index >= 0 && index < lightCount &&
+        (percent === undefined || (percent >= 0 && percent <= 100))
+    );
+    if (!valid) return null;
+
+    return entries.map(([index, percent]) => [index, normalizeFault({ type, level: percent / 100, rate: percent / 100 })]);
+}
+
+/**
+ * Format the lights with one type of fault, as parseFaultList reads them
+ * @param {string} type - Key of FAULT_TYPES
+ * @param {Array<object|null>} faults - Fault per light index
+ * @returns {string} e.g. "12:40,20:30", or '' if no light has this fault
+ */
+export function formatFaultList(type, faults) {
+    return faults
+        .map((fault, index) => {
+            if (!fault || fault.type !== type) return null;
+            if (type === 'dim') return `${index}:${Math.round(fault.level * 100)}`;
+            if (type === 'flicker') return `${index}:${Math.round(fault.rate * 100)}`;
+            return String(index);
+        })
+        .filter(entry => entry !== null)
+        .join(',');
+}
+
+/**
+ * Whether a flickering light is dropped out at a time
+ * @param {number} index - Light index
+ * @param {number} time - Seconds of playback
+ * @param {number} rate - Fraction of time the light is out (0-1)
+ * @param {number} seed - Fault seed
+ */
+export function isFlickerOff(index, time, rate, seed = 0) {
+    return hashRandom(seed, index, Math.floor(time / FLICKER_SLOT)) < rate;
+}
+
+/**
+ * Apply a light's fault to the output the animation asked for
+ * @param {object} fault - Normalized fault
+ * @param {object} output - { intensity, glowOpacity, bulbOpacity }
+ * @param {LightAnimation} animation - For peak values, playback time and seed
+ * @param {number} index - Light index
+ * @returns {object} { intensity, glowOpacity, bulbOpacity }
+ */
+export function applyLightFault(fault, output, animation, index) {
+    switch (fault.type) {
+        case 'dead':
+            return { intensity: 0, glowOpacity: 0, bulbOpacity: 0 };
+        case 'stuck':
+            return {
+                intensity: animation.PEAK_INTENSITY,
+                glowOpacity: animation.PEAK_OPACITY,
+                bulbOpacity: animation.PEAK_BULB_OPACITY
+            };
+        case 'dim':
+            return {
+                intensity: output.intensity * fault.level,
+                glowOpacity: output.glowOpacity * fault.level,
+                bulbOpacity: output.bulbOpacity * fault.level
+            };
+        case 'flicker':
+            return isFlickerOff(index, animation.elapsedTime, fault.rate, animation.faultSeed) ?
+                { intensity: 0, glowOpacity: 0, bulbOpacity: 0 } : output;
+        default:
+            return output;
+    }
+}
+
+/**
+ * Pick random faulty lights: each rate is the fraction of lights with that fault
+ * Lights are drawn without replacement, so every fault type lands on different lights
+ * @param {number} lightCount - Number of lights
+ * @param {object} rates - { dead, stuck, dim, flicker } fractions (0-1)
+ * @param {number} seed - Seed so the same rates always fail the same lights
+ * @param {object} details - Dim level and flicker rate for the chosen lights, e.g. { level: 0.3, rate: 0.5 }
+ * @returns {Array<object|null>} Fault per light
+ */
+export function generateRandomFaults(lightCount, rates, seed, details = {}) {
+    const random = createRandom(seed);
+    const order = shuffle(Array.from({ length: lightCount }, (_, i) => i), random);
+    const faults = new Array(lightCount).fill(null);
+
+    let next = 0;
+    Object.keys(FAULT_TYPES).forEach(type => {
+        const count = Math.round(Math.max(0, Math.min(1, rates[type] || 0)) * lightCount);
+        for (let i = 0; i < count && next < lightCount; i++) {
+            faults[order[next++]] = normalizeFault({ ...details, type });
+        }
+    });
+
+    return faults;
+}
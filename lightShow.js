@@ -0,0 +1,346 @@
+/**
+ * Light Show Files
+ * Declarative JSON timelines of per-light flash events, played back as an animation mode
+ *
+ * Format (version 1):
+ * {
+ *   "version": 1,
+ *   "name": "Opening Sweep",
+ *   "duration": 12,             // seconds (optional, defaults to the end of the last flash)
+ *   "loop": true,               // repeat from the start after `duration` (default true)
+ *   "envelopes": {              // named envelopes (optional)
+ *     "swell": { "attack": 0.4, "hold": 0.2, "release": 0.8, "curve": "sine" }
+ *   },
+ *   "events": [
+ *     { "time": 0, "light": 0 },                                          // single flash
+ *     { "time": 1, "lights": [3, 7, 11], "intensity": 0.5 },              // several lights at once
+ *     { "time": 2, "lights": { "from": 0, "to": 29 }, "stagger": 0.152 },  // sweep, one light every 152 ms
+ *     { "time": 8, "lights": "all", "envelope": "swell" },                // every light
+ *     { "time": 10, "repeat": 3, "every": 0.5, "events": [ ... ] }        // loop of nested events
+ *   ]
+ * }
+ *
+ * Times are in seconds and relative to the enclosing loop. Intensity is a fraction
+ * of the current peak brightness (0-1). Envelopes are attack/hold/release in seconds with
+ * a 'linear' or 'sine' curve; the default "flash" envelope follows the simulator's flash
+ * envelope (Lighting tab), a 50 ms strobe unless changed.
+ */
+
+import { registerAnimationMode } from './animationModes.js';
+
+export const SHOW_MODE_ID = 'show';
+
+// Built-in envelopes available to every show
+const DEFAULT_ENVELOPES = {
+    flash: { attack: 0.025, hold: 0, release: 0.025, curve: 'sine', simulator: true }, // Played with the animation's flash envelope
+    strobe: { attack: 0, hold: 0.05, release: 0, curve: 'linear' }
+};
+
+const CURVES = ['linear', 'sine'];
+const MAX_EXPANDED_EVENTS = 100000; // Guard against runaway nested loops
+
+/**
+ * Validate and normalize a parsed show file
+ * @param {object} data - Parsed JSON
+ * @returns {object} Normalized show with a flat, time-sorted event list
+ */
+export function parseLightShow(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Show file must be a JSON object');
+    }
+    if (data.version !== undefined && data.version !== 1) {
+        throw new Error(`Unsupported show version ${data.version} (expected 1)`);
+    }
+    if (!Array.isArray(data.events) || data.events.length === 0) {
+        throw new Error('Show file needs a non-empty "events" array');
+    }
+
+    const envelopes = { ...DEFAULT_ENVELOPES };
+    Object.entries(data.envelopes || {}).forEach(([name, envelope]) => {
+        envelopes[name] = parseEnvelope(envelope, `envelopes.${name}`);
+    });
+
+    const events = [];
+    expandEvents(data.events, 0, envelopes, events, 'events');
+    events.sort((a, b) => a.start - b.start);
+
+    const lastEnd = events.reduce((end, event) => Math.max(end, event.start + event.length), 0);
+    const duration = data.duration !== undefined ? requireNumber(data.duration, 'duration', 0.001) : lastEnd;
+
+    return {
+        name: typeof data.name === 'string' && data.name ? data.name : 'Untitled Show',
+        duration,
+        loop: data.loop !== false,
+        events
+    };
+}
+
+function parseEnvelope(envelope, path) {
+    if (!envelope || typeof envelope !== 'object') {
+        throw new Error(`${path}: envelope must be an object`);
+    }
+    const curve = envelope.curve || 'linear';
+    if (!CURVES.includes(curve)) {
+        throw new Error(`${path}.curve: expected one of ${CURVES.join(', ')}`);
+    }
+
+    const parsed = {
+        attack: envelope.attack === undefined ? 0 : requireNumber(envelope.attack, `${path}.attack`, 0),
+        hold: envelope.hold === undefined ? 0 : requireNumber(envelope.hold, `${path}.hold`, 0),
+        release: envelope.release === undefined ? 0 : requireNumber(envelope.release, `${path}.release`, 0),
+        curve
+    };
+    if (parsed.attack + parsed.hold + parsed.release <= 0) {
+        throw new Error(`${path}: envelope must last longer than 0 seconds`);
+    }
+    return parsed;
+}
+
+function requireNumber(value, path, min = -Infinity) {
+    if (typeof value !== 'number' || !isFinite(value) || value < min) {
+        throw new Error(`${path}: expected a number${min > -Infinity ? ` >= ${min}` : ''}`);
+    }
+    return value;
+}
+
+/**
+ * Flatten events and nested loops into absolute-time flashes
+ */
+function expandEvents(list, offset, envelopes, out, path) {
+    list.forEach((event, index) => {
+        const eventPath = `${path}[${index}]`;
+        if (!event || typeof event !== 'object') {
+            throw new Error(`${eventPath}: event must be an object`);
+        }
+        const time = offset + requireNumber(event.time ?? 0, `${eventPath}.time`, 0);
+
+        // Loop of nested events
+        if (event.events !== undefined) {
+            if (!Array.isArray(event.events)) {
+                throw new Error(`${eventPath}.events: expected an array`);
+            }
+            const repeat = event.repeat === undefined ? 1 : requireNumber(event.repeat, `${eventPath}.repeat`, 1);
+            const every = event.every === undefined ? 0 : requireNumber(event.every, `${eventPath}.every`, 0);
+            for (let r = 0; r < Math.floor(repeat); r++) {
+                expandEvents(event.events, time + r * every, envelopes, out, `${eventPath}.events`);
+            }
+            return;
+        }
+
+        const envelope = resolveEnvelope(event.envelope, envelopes, eventPath);
+        const intensity = event.intensity === undefined ? 1 : requireNumber(event.intensity, `${eventPath}.intensity`, 0);
+        const stagger = event.stagger === undefined ? 0 : requireNumber(event.stagger, `${eventPath}.stagger`, 0);
+        const lights = parseLightSelection(event, eventPath);
+        const length = envelope.attack + envelope.hold + envelope.release;
+
+        lights.forEach((light, order) => {
+            out.push({ start: time + order * stagger, light, intensity, envelope, length });
+        });
+
+        if (out.length > MAX_EXPANDED_EVENTS) {
+            throw new Error(`Show expands to more than ${MAX_EXPANDED_EVENTS} flashes`);
+        }
+    });
+}
+
+function resolveEnvelope(envelope, envelopes, path) {
+    if (envelope === undefined) return envelopes.flash;
+    if (typeof envelope === 'string') {
+        if (!envelopes[envelope]) {
+            throw new Error(`${path}.envelope: unknown envelope "${envelope}"`);
+        }
+        return envelopes[envelope];
+    }
+    return parseEnvelope(envelope, `${path}.envelope`);
+}
+
+/**
+ * Light selections stay symbolic ('all') until the show is compiled for a light count
+ */
+function parseLightSelection(event, path) {
+    if (event.light !== undefined) {
+        return [requireLightIndex(event.light, `${path}.light`)];
+    }
+
+    const lights = event.lights;
+    if (lights === 'all') return ['all'];
+    if (Array.isArray(lights)) {
+        return lights.map((light, i) => requireLightIndex(light, `${path}.lights[${i}]`));
+    }
+    if (lights && typeof lights === 'object') {
+        const from = requireLightIndex(lights.from, `${path}.lights.from`);
+        const to = requireLightIndex(lights.to, `${path}.lights.to`);
+        const step = from <= to ? 1 : -1;
+        const range = [];
+        for (let i = from; i !== to + step; i += step) {
+            range.push(i);
+        }
+        return range;
+    }
+
+    throw new Error(`${path}: needs "light" or "lights" ("all", an array, or {"from", "to"})`);
+}
+
+function requireLightIndex(value, path) {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${path}: expected a light index (integer >= 0)`);
+    }
+    return value;
+}
+
+/**
+ * Group a show's flashes by light for the given installation size
+ * Flashes for lights that don't exist are dropped
+ */
+export function compileLightShow(show, lightCount) {
+    const perLight = Array.from({ length: lightCount }, () => []);
+
+    show.events.forEach(event => {
+        if (event.light === 'all') {
+            perLight.forEach(events => events.push(event));
+        } else if (event.light < lightCount) {
+            perLight[event.light].push(event);
+        }
+    });
+
+    return perLight;
+}
+
+/**
+ * Envelope level (0-1) at a time since the flash started
+ */
+export function evaluateEnvelope(envelope, t) {
+    let level;
+    if (t < 0 || t >= envelope.attack + envelope.hold + envelope.release) {
+        return 0;
+    } else if (t < envelope.attack) {
+        level = t / envelope.attack;
+    } else if (t < envelope.attack + envelope.hold) {
+        return 1;
+    } else {
+        level = 1 - (t - envelope.attack - envelope.hold) / envelope.release;
+    }
+    return envelope.curve === 'sine' ? Math.sin(level * Math.PI / 2) : level;
+}
+
+/**
+ * Index of the first event starting at or after a time (events are in time order)
+ */
+function firstEventFrom(events, time) {
+    let low = 0;
+    let high = events.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (events[mid].start < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Highest envelope level among a light's flashes at show time t
+ * Only flashes that started within `lookback` seconds (the longest flash) can still be lit,
+ * so the cost doesn't grow with how far the show has played
+ */
+function levelAt(animation, events, t, lookback) {
+    let level = 0;
+    for (let i = firstEventFrom(events, t - lookback); i < events.length; i++) {
+        const event = events[i];
+        if (event.start > t) break;
+        const envelopeLevel = event.envelope.simulator ?
+            animation.getFlashLevel(t - event.start) :
+            evaluateEnvelope(event.envelope, t - event.start);
+        level = Math.max(level, event.intensity * envelopeLevel);
+    }
+    return level;
+}
+
+/**
+ * Register a show as the 'show' animation mode (replacing any previously loaded show)
+ * @param {object} show - Normalized show from parseLightShow
+ */
+export function registerLightShow(show) {
+    return registerAnimationMode({
+        id: SHOW_MODE_ID,
+        name: `Show: ${show.name}`,
+        description: `${show.events.length} flashes over ${show.duration.toFixed(1)}s${show.loop ? ', looping' : ''}`,
+        show,
+        // The whole show is one pattern: phase lock, cycle events and the scrubber span all of it
+        period: () => show.duration,
+        init(animation, state) {
+            state.perLight = compileLightShow(show, animation.lights.length);
+            // Longest flash with a fixed envelope (the simulator's envelope can change while playing)
+            state.longestFlash = show.events.reduce((longest, event) =>
+                event.envelope.simulator ? longest : Math.max(longest, event.length), 0);
+        },
+        update(animation, state) {
+            const finished = !show.loop && animation.currentTime >= show.duration;
+            const t = show.loop ? animation.currentTime % show.duration : animation.currentTime;
+            const lookback = Math.max(state.longestFlash, animation.FLASH_DURATION);
+
+            for (let i = 0; i < state.perLight.length; i++) {
+                // Each light plays the show by its own controller clock
+                const lightTime = t + animation.getClockError(i);
+                let level = finished ? 0 : levelAt(animation, state.perLight[i], lightTime, lookback);
+                // Flashes that run past the loop point continue into the next pass
+                if (show.loop && animation.currentTime >= show.duration) {
+                    level = Math.max(level, levelAt(animation, state.perLight[i], lightTime + show.duration, lookback));
+                }
+                animation.setLightIntensity(
+                    i,
+                    level * animation.PEAK_INTENSITY,
+                    level * animation.PEAK_OPACITY,
+                    level * animation.PEAK_BULB_OPACITY
+                );
+            }
+
+            // Show playback position in the mode description
+            const status = finished ?
+                `Finished (${show.duration.toFixed(1)}s)` :
+                `${t.toFixed(1)}s / ${show.duration.toFixed(1)}s`;
+            animation.setModeStatus(`${show.name}: ${status}`);
+        }
+    });
+}
+
+/**
+ * Parse a show from JSON text and register it
+ * @param {string} text - JSON file contents
+ * @returns {object} Normalized show
+ */
+export function loadLightShowFromText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    const show = parseLightShow(data);
+    registerLightShow(show);
+    return show;
+}
+
+/**
+ * Fetch a show file from a path relative to the page and register it
+ * Only same-origin relative paths are accepted (e.g. ?show=shows/example.json)
+ * @param {string} path - Relative path or URL
+ * @returns {Promise<object>} Normalized show
+ */
+export async function loadLightShowFromURL(path) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('//')) {
+        throw new Error(`Show path must be relative to this page: "${path}"`);
+    }
+    const url = new URL(path, window.location.href);
+    if (url.origin !== window.location.origin) {
+        throw new Error(`Show path must be relative to this page: "${path}"`);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load show "${path}" (HTTP ${response.status})`);
+    }
+    return loadLightShowFromText(await response.text());
+}
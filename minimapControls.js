@@ -172,6 +172,22 @@ export class MinimapControls {
         }
     }
 
+    /**
+     * Replace the light markers after the installation layout changes
+     */
+    rebuildLightMarkers() {
+        const visible = this.minimapContainer.style.display === 'block';
+
+        this.lightMarkers.forEach(marker => {
+            this.mainScene.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        });
+
+        this.createLightMarkers();
+        this.lightMarkers.forEach(marker => marker.visible = visible);
+    }
+
     /**
      * Setup mouse event listeners for click-to-teleport and drag-to-teleport
      */
@@ -0,0 +1,417 @@
+/**
+ * Night Schedule
+ * Runs a program over the whole night: which mode plays when, at what brightness,
+ * with bright bursts on the quarter hour and a fade toward dawn
+ *
+ * Format (version 1):
+ * {
+ *   "version": 1,
+ *   "name": "Playa Night",
+ *   "entries": [                                   // in order through the night
+ *     { "start": "19:30", "end": "21:00", "mode": "sequential", "brightness": 60000 },
+ *     { "start": "21:00", "end": "23:00", "mode": "ping-pong", "brightness": 20000 },
+ *     { "start": "23:00", "end": "04:30", "mode": "converge-point", "params": { "point": 20 } },
+ *     { "start": "04:30", "end": "06:30", "mode": "sequential", "brightness": 20000, "fadeTo": 2000 }
+ *   ],
+ *   "bursts": { "start": "19:30", "end": "06:30", "every": 15, "duration": 30, "brightness": 200000 }
+ * }
+ *
+ * Times are local clock times ("HH:MM" or "HH:MM:SS"); a range whose end is before its
+ * start runs past midnight. Brightness uses the Lighting tab scale (200000 = full) and drives
+ * its own brightness layer, scaled by the master slider (see brightnessLayers.js).
+ * `fadeTo` ramps the brightness linearly across the entry. `params` sets the mode's own
+ * parameters by id (numbers, true/false for toggles, text for text parameters such as
+ * "minuteMarks": "0,30"). Bursts raise the brightness for `duration` seconds every `every`
+ * minutes (counted from midnight, so 15 means on the quarter hour). Outside every entry
+ * the lights are off. Leave `brightness` out for the brightness-burst modes, which set their own.
+ */
+
+import { animationModes } from './animationModes.js';
+import { FULL_BRIGHTNESS } from './brightnessLayers.js';
+
+export const MAX_SCHEDULE_BRIGHTNESS = 500000;
+const DAY_SECONDS = 24 * 3600;
+
+// The built-in program, used until a schedule file is loaded
+export const DEFAULT_NIGHT_SCHEDULE = {
+    version: 1,
+    name: 'Playa Night',
+    entries: [
+        { start: '19:30', end: '21:00', mode: 'sequential', brightness: 60000 },
+        { start: '21:00', end: '23:00', mode: 'ping-pong', brightness: 20000 },
+        { start: '23:00', end: '02:00', mode: 'converge-center', brightness: 20000 },
+        { start: '02:00', end: '04:30', mode: 'diverge-center', brightness: 20000 },
+        { start: '04:30', end: '06:30', mode: 'sequential', brightness: 20000, fadeTo: 2000 }
+    ],
+    bursts: { start: '19:30', end: '06:30', every: 15, duration: 30, brightness: 200000 }
+};
+
+/**
+ * Parse a clock time into seconds since midnight
+ * @param {string} text - "HH:MM" or "HH:MM:SS" (24-hour)
+ * @param {string} path - Location in the file for error messages
+ * @returns {number}
+ */
+export function parseClockTime(text, path = 'time') {
+    const match = typeof text === 'string' && text.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) {
+        throw new Error(`${path}: expected a clock time like "21:30"`);
+    }
+    const [hours, minutes, seconds] = [match[1], match[2], match[3] || '0'].map(Number);
+    if (hours > 24 || minutes > 59 || seconds > 59 || (hours === 24 && (minutes > 0 || seconds > 0))) {
+        throw new Error(`${path}: "${text}" is not a valid clock time`);
+    }
+    return (hours * 3600 + minutes * 60 + seconds) % DAY_SECONDS;
+}
+
+/**
+ * Format seconds since midnight as HH:MM (or HH:MM:SS)
+ */
+export function formatClockTime(seconds, withSeconds = false) {
+    const wrapped = ((Math.floor(seconds) % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS;
+    const pad = value => String(value).padStart(2, '0');
+    const text = `${pad(Math.floor(wrapped / 3600))}:${pad(Math.floor(wrapped / 60) % 60)}`;
+    return withSeconds ? `${text}:${pad(wrapped % 60)}` : text;
+}
+
+/**
+ * Seconds from one clock time forward to another (wrapping past midnight)
+ */
+function secondsBetween(from, to) {
+    return ((to - from) % DAY_SECONDS + DAY_SECONDS) % DAY_SECONDS;
+}
+
+/**
+ * Whether a clock time falls in a range (end exclusive; a zero-length range is the whole day)
+ */
+function inRange(time, start, end) {
+    const length = secondsBetween(start, end) || DAY_SECONDS;
+    return secondsBetween(start, time) < length;
+}
+
+function requireBrightness(value, path) {
+    if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > MAX_SCHEDULE_BRIGHTNESS) {
+        throw new Error(`${path}: expected a brightness from 0 to ${MAX_SCHEDULE_BRIGHTNESS}`);
+    }
+    return value;
+}
+
+function parseEntry(entry, path) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${path}: entry must be an object`);
+    }
+    const mode = animationModes.get(entry.mode);
+    if (!mode) {
+        throw new Error(`${path}.mode: unknown animation mode "${entry.mode}"`);
+    }
+
+    const params = {};
+    Object.entries(entry.params || {}).forEach(([id, value]) => {
+        const param = mode.params.find(candidate => candidate.id === id);
+        if (!param) {
+            throw new Error(`${path}.params.${id}: mode "${entry.mode}" has no parameter "${id}"`);
+        }
+        if (param.type === 'toggle') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${path}.params.${id}: expected true or false`);
+            }
+            params[id] = value;
+        } else if (param.type === 'text') {
+            const parsed = typeof value === 'string' ? param.parse(value) : null;
+            if (parsed === null) {
+                throw new Error(`${path}.params.${id}: expected text like "${param.placeholder}"`);
+            }
+            params[id] = parsed;
+        } else {
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`${path}.params.${id}: expected a number`);
+            }
+            params[id] = value;
+        }
+    });
+
+    const brightness = entry.brightness === undefined ? null : requireBrightness(entry.brightness, `${path}.brightness`);
+    if (entry.fadeTo !== undefined && brightness === null) {
+        throw new Error(`${path}.fadeTo: needs a starting brightness`);
+    }
+
+    return {
+        start: parseClockTime(entry.start, `${path}.start`),
+        end: parseClockTime(entry.end, `${path}.end`),
+        mode: entry.mode,
+        params,
+        brightness,
+        fadeTo: entry.fadeTo === undefined ? brightness : requireBrightness(entry.fadeTo, `${path}.fadeTo`)
+    };
+}
+
+function parseBursts(bursts, path) {
+    if (!bursts || typeof bursts !== 'object') {
+        throw new Error(`${path}: bursts must be an object`);
+    }
+    const every = bursts.every === undefined ? 15 : bursts.every;
+    const duration = bursts.duration === undefined ? 30 : bursts.duration;
+    if (typeof every !== 'number' || !(every > 0) || every > 1440) {
+        throw new Error(`${path}.every: expected minutes between 0 and 1440`);
+    }
+    if (typeof duration !== 'number' || !(duration > 0) || duration > every * 60) {
+        throw new Error(`${path}.duration: expected seconds, no longer than the time between bursts`);
+    }
+    return {
+        start: bursts.start === undefined ? 0 : parseClockTime(bursts.start, `${path}.start`),
+        end: bursts.end === undefined ? 0 : parseClockTime(bursts.end, `${path}.end`),
+        every,
+        duration,
+        brightness: requireBrightness(bursts.brightness === undefined ? 200000 : bursts.brightness, `${path}.brightness`)
+    };
+}
+
+/**
+ * Validate and normalize a parsed schedule
+ * @param {object} data - Parsed JSON
+ * @returns {object} Normalized schedule with times in seconds since midnight
+ */
+export function parseNightSchedule(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Schedule file must be a JSON object');
+    }
+    if (data.version !== undefined && data.version !== 1) {
+        throw new Error(`Unsupported schedule version ${data.version} (expected 1)`);
+    }
+    if (!Array.isArray(data.entries) || data.entries.length === 0) {
+        throw new Error('Schedule file needs a non-empty "entries" array');
+    }
+
+    const entries = data.entries.map((entry, index) => parseEntry(entry, `entries[${index}]`));
+    const start = entries[0].start;
+    const end = entries[entries.length - 1].end;
+
+    return {
+        name: typeof data.name === 'string' && data.name ? data.name : 'Untitled Schedule',
+        entries,
+        bursts: data.bursts === undefined ? null : parseBursts(data.bursts, 'bursts'),
+        start, // The night runs from the first entry's start...
+        length: secondsBetween(start, end) || DAY_SECONDS // ...to the last entry's end
+    };
+}
+
+/**
+ * An entry's own brightness at a clock time, following its fade
+ * @param {object} entry - Normalized entry
+ * @param {number} time - Seconds since local midnight
+ * @returns {number|null} Brightness, or null if the entry leaves it alone
+ */
+export function entryBrightness(entry, time) {
+    if (entry.brightness === null || entry.fadeTo === entry.brightness) return entry.brightness;
+    const length = secondsBetween(entry.start, entry.end) || DAY_SECONDS;
+    return entry.brightness + (entry.fadeTo - entry.brightness) * secondsBetween(entry.start, time) / length;
+}
+
+/**
+ * What the schedule asks for at a clock time
+ * Later entries win where ranges overlap
+ * @param {object} schedule - Normalized schedule
+ * @param {number} time - Seconds since local midnight
+ * @returns {object} { entry (or null when dark), brightness (or null to leave alone), bursting }
+ */
+export function evaluateNightSchedule(schedule, time) {
+    let entry = null;
+    schedule.entries.forEach(candidate => {
+        if (inRange(time, candidate.start, candidate.end)) entry = candidate;
+    });
+    if (!entry) {
+        return { entry: null, brightness: null, bursting: false };
+    }
+
+    let brightness = entryBrightness(entry, time);
+
+    const bursts = schedule.bursts;
+    const bursting = Boolean(bursts) && inRange(time, bursts.start, bursts.end) &&
+        time % (bursts.every * 60) < bursts.duration;
+    if (bursting) {
+        brightness = bursts.brightness;
+    }
+
+    return { entry, brightness, bursting };
+}
+
+/**
+ * The next clock time at which the schedule changes entry
+ * @param {object} schedule - Normalized schedule
+ * @param {number} time - Seconds since local midnight
+ * @returns {number|null} Seconds since midnight, or null if nothing changes
+ */
+export function nextScheduleChange(schedule, time) {
+    const boundaries = schedule.entries.flatMap(entry => [entry.start, entry.end]);
+    const current = evaluateNightSchedule(schedule, time).entry;
+
+    let best = null;
+    boundaries.forEach(boundary => {
+        const wait = secondsBetween(time, boundary);
+        if (wait === 0 || evaluateNightSchedule(schedule, boundary).entry === current) return;
+        if (best === null || wait < secondsBetween(time, best)) best = boundary;
+    });
+    return best;
+}
+
+/**
+ * Parse a schedule from JSON text
+ * @param {string} text - JSON file contents
+ * @returns {object} Normalized schedule
+ */
+export function loadNightScheduleFromText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return parseNightSchedule(data);
+}
+
+/**
+ * Fetch a schedule file from a path relative to the page
+ * Only same-origin relative paths are accepted (e.g. ?schedule=schedules/example.json)
+ * @param {string} path - Relative path or URL
+ * @returns {Promise<object>} Normalized schedule
+ */
+export async function loadNightScheduleFromURL(path) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('//')) {
+        throw new Error(`Schedule path must be relative to this page: "${path}"`);
+    }
+    const url = new URL(path, window.location.href);
+    if (url.origin !== window.location.origin) {
+        throw new Error(`Schedule path must be relative to this page: "${path}"`);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load schedule "${path}" (HTTP ${response.status})`);
+    }
+    return loadNightScheduleFromText(await response.text());
+}
+
+/**
+ * Drives a LightAnimation from a schedule, by the real clock or a fast-forwarded preview night
+ */
+export class NightScheduler {
+    constructor(lightAnimation) {
+        this.lightAnimation = lightAnimation;
+        this.schedule = parseNightSchedule(DEFAULT_NIGHT_SCHEDULE);
+        this.running = false;
+
+        // Preview: a simulated clock that runs through the whole night in a few minutes
+        this.previewTime = null; // Seconds since midnight, or null when following the real clock
+        this.previewElapsed = 0; // Seconds of the night already previewed
+        this.previewRate = 1;    // Schedule seconds per real second
+
+        this.state = null;          // Last evaluated { entry, brightness, bursting }
+        this.appliedBrightness = null;
+    }
+
+    setSchedule(schedule) {
+        this.schedule = schedule;
+        this.state = null;
+        this.appliedBrightness = null;
+    }
+
+    /**
+     * Follow the schedule by the local clock
+     */
+    start() {
+        this.running = true;
+        this.previewTime = null;
+        this.state = null;
+        this.appliedBrightness = null;
+        this.update(0);
+    }
+
+    /**
+     * Play the whole night, from the first entry's start to the last entry's end
+     * @param {number} minutes - Real minutes the night should take
+     */
+    startPreview(minutes) {
+        this.start();
+        this.previewTime = this.schedule.start;
+        this.previewElapsed = 0;
+        this.previewRate = this.schedule.length / (Math.max(0.1, minutes) * 60);
+        this.update(0);
+    }
+
+    /**
+     * Stop following the schedule; the animation keeps its last mode, and the brightness
+     * goes back to the master setting
+     */
+    stop() {
+        this.running = false;
+        this.previewTime = null;
+        this.appliedBrightness = null;
+        this.lightAnimation.setEnabled(true);
+        this.lightAnimation.setScheduleBrightness(1);
+    }
+
+    isPreviewing() {
+        return this.running && this.previewTime !== null;
+    }
+
+    /**
+     * Clock time the schedule is following
+     * @returns {number} Seconds since local midnight
+     */
+    getClockTime() {
+        if (this.previewTime !== null) return this.previewTime;
+        const now = new Date(this.lightAnimation.now());
+        return now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000;
+    }
+
+    /**
+     * Advance the preview clock and apply the schedule
+     * @param {number} deltaTime - Real seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.running) return;
+
+        if (this.previewTime !== null) {
+            this.previewElapsed += deltaTime * this.previewRate;
+            if (this.previewElapsed >= this.schedule.length) {
+                console.log(`🌅 Schedule preview of "${this.schedule.name}" finished`);
+                this.stop();
+                return;
+            }
+            this.previewTime = (this.schedule.start + this.previewElapsed) % DAY_SECONDS;
+        }
+
+        this.apply(evaluateNightSchedule(this.schedule, this.getClockTime()));
+    }
+
+    /**
+     * Switch mode on entry changes; set the schedule's brightness layer whenever its value moves
+     * (an entry without a brightness leaves the lights at the master setting)
+     */
+    apply(state) {
+        const animation = this.lightAnimation;
+        const previous = this.state;
+        this.state = state;
+
+        if (!previous || previous.entry !== state.entry) {
+            if (state.entry) {
+                animation.setEnabled(true);
+                if (animation.animationMode !== state.entry.mode) {
+                    animation.setAnimationMode(state.entry.mode);
+                }
+                animation.setModeParams(state.entry.params);
+                console.log(`🗓️ Schedule: ${formatClockTime(state.entry.start)}–${formatClockTime(state.entry.end)} ${animation.modes.get(state.entry.mode).name}`);
+            } else {
+                animation.setEnabled(false);
+                console.log('🗓️ Schedule: lights off');
+            }
+        }
+
+        // Fades move continuously, so only push whole-step changes to the lights and UI
+        const brightness = state.brightness === null ? FULL_BRIGHTNESS : Math.round(state.brightness / 100) * 100;
+        if (brightness !== this.appliedBrightness) {
+            animation.setScheduleBrightness(brightness / FULL_BRIGHTNESS); // Relative to a full master slider
+        }
+        this.appliedBrightness = brightness;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Phase Lock Controls
+ * Lock any mode to the wall clock so side-by-side screens (or a screen and the real installation) agree
+ */
+
+const READOUT_INTERVAL = 0.1; // seconds between readout refreshes
+const MAX_SYNC_OFFSET = 2000; // milliseconds
+
+/**
+ * Parse an epoch written as Unix seconds or a date ("2025-08-24T21:00:00Z")
+ * @param {string} text - Epoch
+ * @returns {number|null} Unix seconds, or null if invalid
+ */
+export function parseSyncEpoch(text) {
+    const trimmed = text.trim();
+    if (trimmed === '') return null;
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+
+    const parsed = Date.parse(trimmed);
+    return isNaN(parsed) ? null : parsed / 1000;
+}
+
+/**
+ * Format a wall-clock time as local hh:mm:ss.sss
+ */
+function formatClockTime(unixSeconds) {
+    const date = new Date(unixSeconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+export class PhaseLockControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Wall-Clock Sync</div>
+
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="phase-lock-toggle" class="display-checkbox">
+                    <span>Lock phase to the wall clock</span>
+                </label>
+            </div>
+
+            <div class="mode-param">
+                <label for="phase-lock-epoch">Epoch (Unix s or date): </label>
+                <input type="text" id="phase-lock-epoch" class="layout-points-input" spellcheck="false">
+            </div>
+
+            <div class="mode-param">
+                <label for="phase-lock-offset-slider">Clock Offset (ms): </label>
+                <input type="range" id="phase-lock-offset-slider" class="mode-param-slider"
+                    min="${-MAX_SYNC_OFFSET}" max="${MAX_SYNC_OFFSET}" step="1">
+                <span id="phase-lock-offset-value" class="mode-param-value"></span>
+            </div>
+
+            <div id="phase-lock-readout" class="speed-readout"></div>
+
+            <div class="controls-info">
+                <small>Pattern N starts at epoch + N × the mode's period, in real time. Machines with synced clocks show the same light at the same moment; use the offset to line up with one that isn't.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        section.querySelector('#phase-lock-toggle').addEventListener('change', (e) => {
+            this.lightAnimation.setWallClockSync(e.target.checked);
+            console.log(`🕰️ Wall-clock sync ${e.target.checked ? 'ON' : 'OFF'}`);
+            this.updateUI();
+        });
+
+        const epochInput = section.querySelector('#phase-lock-epoch');
+        epochInput.addEventListener('change', () => {
+            const epoch = parseSyncEpoch(epochInput.value);
+            epochInput.classList.toggle('error', epoch === null);
+            if (epoch === null) return;
+
+            this.lightAnimation.setWallClockSync(this.lightAnimation.wallClockSync, { epoch });
+            this.updateUI();
+        });
+
+        section.querySelector('#phase-lock-offset-slider').addEventListener('input', (e) => {
+            const offset = parseFloat(e.target.value) / 1000;
+            this.lightAnimation.setWallClockSync(this.lightAnimation.wallClockSync, { offset });
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Refresh the phase readout while locked
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateReadout();
+    }
+
+    /**
+     * Sync the controls with the animation's phase lock settings
+     */
+    updateUI() {
+        const animation = this.lightAnimation;
+        this.section.querySelector('#phase-lock-toggle').checked = animation.wallClockSync;
+
+        const epochInput = this.section.querySelector('#phase-lock-epoch');
+        if (document.activeElement !== epochInput) {
+            epochInput.value = animation.syncEpoch;
+            epochInput.classList.remove('error');
+        }
+
+        const offsetMs = Math.round(animation.syncOffset * 1000);
+        this.section.querySelector('#phase-lock-offset-slider').value = offsetMs;
+        this.section.querySelector('#phase-lock-offset-value').textContent = `${offsetMs > 0 ? '+' : ''}${offsetMs}`;
+
+        this.updateReadout();
+    }
+
+    /**
+     * Which pattern we're in since the epoch and when the next one starts
+     */
+    updateReadout() {
+        const animation = this.lightAnimation;
+        const readout = this.section.querySelector('#phase-lock-readout');
+        if (!animation.wallClockSync) {
+            readout.textContent = 'Free-running from page load';
+            return;
+        }
+
+        const period = animation.getModePeriod();
+        const sinceEpoch = animation.getTimeSinceEpoch();
+        const pattern = Math.floor(sinceEpoch / period);
+        const nextStart = animation.syncEpoch + (pattern + 1) * period;
+
+        readout.innerHTML = `
+            <strong>Pattern ${pattern.toLocaleString()}</strong> · ${((sinceEpoch / period - pattern) * 100).toFixed(1)}% through<br>
+            Next starts at ${formatClockTime(nextStart - animation.syncOffset)} (period ${period.toFixed(3)} s)
+            ${animation.paused ? '<br>Paused: resume to snap back to the wall clock' : ''}
+        `;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Seeded Random Numbers
+ * Repeatable randomness so faults, clock errors and shared links behave the same every run
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} Returns a new number in [0, 1) on each call
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Stateless random number from a list of integers (e.g. seed, light index, time slot)
+ * The same inputs always give the same number in [0, 1)
+ * @param {...number} values - Integers to hash
+ * @returns {number}
+ */
+export function hashRandom(...values) {
+    let hash = 0x811C9DC5;
+    for (const value of values) {
+        hash = Math.imul(hash ^ (value | 0), 0x01000193);
+        hash ^= hash >>> 13;
+    }
+    return createRandom(hash)();
+}
+
+/**
+ * Shuffle an array in place with a seeded generator (Fisher-Yates)
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Generator from createRandom
+ * @returns {Array} The same array
+ */
+export function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * Normally distributed number (mean 0, standard deviation 1) from two uniform numbers
+ * @param {number} u1 - Uniform number in [0, 1)
+ * @param {number} u2 - Uniform number in [0, 1)
+ * @returns {number}
+ */
+export function gaussian(u1, u2) {
+    return Math.sqrt(-2 * Math.log(1 - u1)) * Math.cos(2 * Math.PI * u2);
+}
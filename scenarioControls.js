@@ -0,0 +1,207 @@
+/**
+ * Scenario Controls
+ * Save the whole setup as named scenarios, switch between them, and share them as JSON files
+ */
+
+import { readURLState, writeURLState } from './urlState.js';
+import {
+    SCENARIO_FILE_NAME, formatScenarios, loadScenariosFromText, loadStoredScenarios, mergeScenarios, storeScenarios
+} from './scenarios.js';
+
+export class ScenarioControls {
+    /**
+     * @param {Array<object>} schema - From createURLSchema (what a scenario captures)
+     * @param {HTMLElement} container - Scenarios tab
+     */
+    constructor(schema, container) {
+        this.schema = schema;
+        this.container = container;
+        this.scenarios = loadStoredScenarios();
+        this.activeName = null; // Scenario last applied or saved
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Scenarios</div>
+            <div class="mode-select-container">
+                <select id="scenario-selector" class="mode-selector"></select>
+            </div>
+            <button id="scenario-delete-btn" class="reset-params-btn">Delete Scenario</button>
+
+            <div class="controls-header">Save Current Setup</div>
+            <input type="text" id="scenario-name-input" class="curve-points-input" placeholder="Scenario name" maxlength="60">
+            <button id="scenario-save-btn" class="reset-params-btn">Save Scenario</button>
+
+            <div class="controls-header">Share</div>
+            <button id="scenario-export-btn" class="reset-params-btn">Export Scenarios (.json)</button>
+            <label class="file-button">
+                <input type="file" id="scenario-file-input" accept=".json,application/json">
+                <span>Import Scenarios (.json)</span>
+            </label>
+            <div id="scenario-status" class="show-status"></div>
+
+            <div class="controls-info">
+                <small>Scenarios capture the layout, mode, lighting, camera and display settings, and are kept in this browser. Saving under an existing name replaces it.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        const nameInput = section.querySelector('#scenario-name-input');
+
+        section.querySelector('#scenario-selector').addEventListener('change', (e) => {
+            if (e.target.value) this.apply(e.target.value);
+        });
+
+        section.querySelector('#scenario-delete-btn').addEventListener('click', () => {
+            if (this.activeName) this.delete(this.activeName);
+        });
+
+        const save = () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.classList.add('error');
+                return;
+            }
+            nameInput.classList.remove('error');
+            this.save(name);
+            nameInput.value = '';
+        };
+        section.querySelector('#scenario-save-btn').addEventListener('click', save);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save();
+        });
+
+        section.querySelector('#scenario-export-btn').addEventListener('click', () => this.export());
+
+        const fileInput = section.querySelector('#scenario-file-input');
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                this.import(loadScenariosFromText(await file.text()), file.name);
+            } catch (error) {
+                this.setStatus(`⚠️ ${file.name}: ${error.message}`, true);
+                console.warn(`⚠️ Scenario file "${file.name}": ${error.message}`);
+            }
+
+            // Allow re-importing the same file after editing it
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Save the current setup under a name (replacing a scenario with that name)
+     * @param {string} name
+     */
+    save(name) {
+        const settings = Object.fromEntries(writeURLState(this.schema, { includeDefaults: true }));
+        this.scenarios = mergeScenarios(this.scenarios, [{ name, settings }]);
+        this.activeName = name;
+        this.persist(`Saved "${name}"`);
+        console.log(`💾 Scenario saved: "${name}" (${Object.keys(settings).length} settings)`);
+    }
+
+    /**
+     * Restore a saved scenario
+     * @param {string} name
+     */
+    apply(name) {
+        const scenario = this.scenarios.find(entry => entry.name === name);
+        if (!scenario) return;
+
+        const problems = [];
+        readURLState(this.schema, new URLSearchParams(scenario.settings), message => {
+            problems.push(message);
+            console.warn(`⚠️ Scenario "${name}": ${message}`);
+        });
+        this.activeName = name;
+        this.updateUI();
+        if (problems.length > 0) {
+            this.setStatus(`⚠️ "${name}" applied, but ${problems.length} setting${problems.length > 1 ? 's were' : ' was'} ignored: ${problems[0]}`, true);
+        } else {
+            this.setStatus(`Applied "${name}"`);
+        }
+        console.log(`💾 Scenario applied: "${name}"`);
+    }
+
+    /**
+     * @param {string} name
+     */
+    delete(name) {
+        this.scenarios = this.scenarios.filter(entry => entry.name !== name);
+        this.activeName = null;
+        this.persist(`Deleted "${name}"`);
+    }
+
+    /**
+     * Add scenarios from a file, replacing any with the same names
+     * @param {Array<object>} scenarios - Parsed scenarios
+     * @param {string} source - File name for the status line
+     */
+    import(scenarios, source) {
+        this.scenarios = mergeScenarios(this.scenarios, scenarios);
+        this.persist(`Imported ${scenarios.length} scenario${scenarios.length > 1 ? 's' : ''} from ${source}`);
+        console.log(`💾 Imported ${scenarios.length} scenarios from "${source}"`);
+    }
+
+    /**
+     * Download every scenario as a JSON file
+     */
+    export() {
+        if (this.scenarios.length === 0) {
+            this.setStatus('No scenarios to export yet', true);
+            return;
+        }
+        const blob = new Blob([formatScenarios(this.scenarios)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = SCENARIO_FILE_NAME;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.setStatus(`Exported ${this.scenarios.length} scenario${this.scenarios.length > 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Save the list in this browser and show the result
+     * @param {string} message - Status on success
+     */
+    persist(message) {
+        const stored = storeScenarios(this.scenarios);
+        this.updateUI();
+        if (stored) {
+            this.setStatus(message);
+        } else {
+            this.setStatus(`⚠️ ${message}, but this browser wouldn't keep it (export to keep a copy)`, true);
+        }
+    }
+
+    setStatus(text, isError = false) {
+        const status = this.section.querySelector('#scenario-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Rebuild the list of scenarios
+     */
+    updateUI() {
+        const selector = this.section.querySelector('#scenario-selector');
+        const placeholder = this.scenarios.length > 0 ? 'Choose a scenario…' : 'No saved scenarios';
+        selector.innerHTML = `<option value="">${placeholder}</option>`;
+        this.scenarios.forEach(scenario => {
+            const option = document.createElement('option');
+            option.value = scenario.name;
+            option.textContent = scenario.name;
+            selector.appendChild(option);
+        });
+        selector.value = this.activeName || '';
+        this.section.querySelector('#scenario-delete-btn').disabled = !this.activeName;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Scenarios
+ * Named snapshots of the whole simulator setup, kept in the browser and shared as JSON files
+ *
+ * File format (version 1):
+ * {
+ *   "version": 1,
+ *   "scenarios": [
+ *     { "name": "Night demo", "settings": { "mode": "converge-point", "point": "12", "timeOfDay": "night", ... } }
+ *   ]
+ * }
+ *
+ * Settings are URL parameters as text (see urlSchema.js), with the defaults written out too,
+ * so applying a scenario restores every setting over whatever was set before.
+ */
+
+export const SCENARIO_STORAGE_KEY = 'speed-of-earth-scenarios';
+export const SCENARIO_FILE_NAME = 'speed-of-earth-scenarios.json';
+
+/**
+ * Validate parsed scenario JSON
+ * @param {object} data - Parsed JSON
+ * @returns {Array<object>} Scenarios as { name, settings }
+ * @throws {Error} With a message describing the first problem
+ */
+export function parseScenarios(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Scenario file must be a JSON object');
+    }
+    if (data.version !== undefined && data.version !== 1) {
+        throw new Error(`Unsupported scenario version ${data.version} (expected 1)`);
+    }
+    if (!Array.isArray(data.scenarios) || data.scenarios.length === 0) {
+        throw new Error('Scenario file needs a non-empty "scenarios" array');
+    }
+
+    return data.scenarios.map((scenario, i) => {
+        const where = `scenarios[${i}]`;
+        if (!scenario || typeof scenario.name !== 'string' || !scenario.name.trim()) {
+            throw new Error(`${where} needs a "name"`);
+        }
+        const { settings } = scenario;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error(`${where} ("${scenario.name}") needs a "settings" object`);
+        }
+        Object.entries(settings).forEach(([id, value]) => {
+            if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                throw new Error(`${where}.settings.${id} must be text, a number or true/false`);
+            }
+        });
+        return {
+            name: scenario.name.trim(),
+            settings: Object.fromEntries(Object.entries(settings).map(([id, value]) => [id, String(value)]))
+        };
+    });
+}
+
+/**
+ * Parse scenario JSON text
+ * @param {string} text - File contents
+ * @returns {Array<object>} Scenarios
+ * @throws {Error} If the text isn't valid JSON or a valid scenario file
+ */
+export function loadScenariosFromText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return parseScenarios(data);
+}
+
+/**
+ * Write scenarios as a scenario file
+ * @returns {string} JSON text
+ */
+export function formatScenarios(scenarios) {
+    return JSON.stringify({ version: 1, scenarios }, null, 2);
+}
+
+/**
+ * Scenarios saved in this browser
+ * @returns {Array<object>} Scenarios (none if storage is empty, unavailable or damaged)
+ */
+export function loadStoredScenarios() {
+    try {
+        const text = window.localStorage.getItem(SCENARIO_STORAGE_KEY);
+        return text ? loadScenariosFromText(text) : [];
+    } catch (error) {
+        console.warn(`⚠️ Saved scenarios could not be read: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Save scenarios in this browser (replacing what was saved)
+ * @returns {boolean} False if the browser refused (private mode, storage full)
+ */
+export function storeScenarios(scenarios) {
+    try {
+        if (scenarios.length > 0) {
+            window.localStorage.setItem(SCENARIO_STORAGE_KEY, formatScenarios(scenarios));
+        } else {
+            window.localStorage.removeItem(SCENARIO_STORAGE_KEY);
+        }
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Scenarios could not be saved: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Add scenarios, replacing any with the same name
+ * @param {Array<object>} scenarios - Existing scenarios
+ * @param {Array<object>} added - Scenarios to add
+ * @returns {Array<object>} New list (existing order kept, new names at the end)
+ */
+export function mergeScenarios(scenarios, added) {
+    const merged = [...scenarios];
+    added.forEach(scenario => {
+        const index = merged.findIndex(existing => existing.name === scenario.name);
+        if (index >= 0) {
+            merged[index] = scenario;
+        } else {
+            merged.push(scenario);
+        }
+    });
+    return merged;
+}
@@ -0,0 +1,256 @@
+/**
+ * Schedule Controls
+ * Load a night schedule, follow it by the clock, or fast-forward through a whole night
+ */
+
+import {
+    MAX_SCHEDULE_BRIGHTNESS,
+    entryBrightness,
+    evaluateNightSchedule,
+    formatClockTime,
+    loadNightScheduleFromText,
+    nextScheduleChange
+} from './nightSchedule.js';
+
+const READOUT_INTERVAL = 0.25; // seconds between readout refreshes
+const SEGMENT_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#9C27B0', '#00BCD4', '#E91E63', '#8BC34A'];
+
+export class ScheduleControls {
+    /**
+     * @param {NightScheduler} scheduler - Engine that drives the animation
+     * @param {HTMLElement} container - Tab container
+     */
+    constructor(scheduler, container) {
+        this.scheduler = scheduler;
+        this.container = container;
+        this.previewMinutes = 3;
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Night Schedule</div>
+
+            <label class="file-button">
+                <input type="file" id="schedule-file-input" accept=".json,application/json">
+                <span>Load Schedule File (.json)</span>
+            </label>
+            <div id="schedule-status" class="show-status"></div>
+
+            <canvas id="schedule-timeline" class="flash-preview" width="240" height="80"></canvas>
+
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="schedule-live-toggle" class="display-checkbox">
+                    <span>Follow the schedule by clock time</span>
+                </label>
+            </div>
+
+            <div class="mode-param">
+                <label for="schedule-preview-slider">Preview Length (min): </label>
+                <input type="range" id="schedule-preview-slider" class="mode-param-slider" min="1" max="10" step="0.5">
+                <span id="schedule-preview-value" class="mode-param-value"></span>
+            </div>
+            <button id="schedule-preview-btn" class="reset-params-btn">Preview Whole Night</button>
+
+            <div id="schedule-readout" class="speed-readout"></div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+        this.canvas = section.querySelector('#schedule-timeline');
+
+        const fileInput = section.querySelector('#schedule-file-input');
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                this.load(loadNightScheduleFromText(await file.text()), file.name);
+            } catch (error) {
+                this.setStatus(`⚠️ ${file.name}: ${error.message}`, true);
+                console.warn(`⚠️ Schedule file "${file.name}": ${error.message}`);
+            }
+
+            // Allow re-loading the same file after editing it
+            fileInput.value = '';
+        });
+
+        section.querySelector('#schedule-live-toggle').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.scheduler.start();
+            } else {
+                this.scheduler.stop();
+            }
+            console.log(`🗓️ Night schedule ${e.target.checked ? 'ON' : 'OFF'}`);
+            this.updateUI();
+        });
+
+        section.querySelector('#schedule-preview-slider').addEventListener('input', (e) => {
+            this.previewMinutes = parseFloat(e.target.value);
+            this.updateUI();
+        });
+
+        section.querySelector('#schedule-preview-btn').addEventListener('click', () => {
+            if (this.scheduler.isPreviewing()) {
+                this.scheduler.stop();
+            } else {
+                this.scheduler.startPreview(this.previewMinutes);
+                console.log(`🗓️ Previewing "${this.scheduler.schedule.name}" in ${this.previewMinutes} min`);
+            }
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Use a newly loaded schedule, restarting it if it was running
+     * @param {object} schedule - Normalized schedule
+     * @param {string} source - File name or path for the status line
+     */
+    load(schedule, source) {
+        const wasRunning = this.scheduler.running && !this.scheduler.isPreviewing();
+        this.scheduler.setSchedule(schedule);
+        if (wasRunning) {
+            this.scheduler.start();
+        }
+        this.setStatus(`Loaded "${schedule.name}" from ${source}`);
+        console.log(`🗓️ Schedule loaded: "${schedule.name}" (${schedule.entries.length} entries)`);
+        this.updateUI();
+    }
+
+    setStatus(text, isError = false) {
+        const status = this.section.querySelector('#schedule-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Follow the scheduler's clock
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateUI();
+    }
+
+    /**
+     * Sync the controls, timeline and readout with the scheduler
+     */
+    updateUI() {
+        const scheduler = this.scheduler;
+        const status = this.section.querySelector('#schedule-status');
+        if (!status.textContent) {
+            this.setStatus(`Built-in schedule "${scheduler.schedule.name}"`);
+        }
+
+        this.section.querySelector('#schedule-live-toggle').checked = scheduler.running && !scheduler.isPreviewing();
+        this.section.querySelector('#schedule-preview-slider').value = this.previewMinutes;
+        this.section.querySelector('#schedule-preview-value').textContent = this.previewMinutes;
+        this.section.querySelector('#schedule-preview-btn').textContent = scheduler.isPreviewing() ?
+            'Stop Preview' : 'Preview Whole Night';
+
+        this.drawTimeline();
+        this.updateReadout();
+    }
+
+    /**
+     * Clock time, active entry and the next change
+     */
+    updateReadout() {
+        const scheduler = this.scheduler;
+        const schedule = scheduler.schedule;
+        const time = scheduler.getClockTime();
+        const { entry, brightness, bursting } = evaluateNightSchedule(schedule, time);
+        const modeName = id => (scheduler.lightAnimation.modes.get(id) || { name: id }).name;
+
+        const activeText = entry ?
+            `${formatClockTime(entry.start)}–${formatClockTime(entry.end)} <strong>${modeName(entry.mode)}</strong>` +
+            (brightness !== null ? ` at ${Math.round(brightness).toLocaleString()}` : '') +
+            (bursting ? ' ☀️ burst' : '') :
+            'Lights off';
+
+        const next = nextScheduleChange(schedule, time);
+        const nextEntry = next === null ? null : evaluateNightSchedule(schedule, next).entry;
+        const nextText = next === null ? 'none' :
+            `${formatClockTime(next)} ${nextEntry ? modeName(nextEntry.mode) : 'lights off'}`;
+
+        const clockLabel = scheduler.isPreviewing() ? 'Preview clock' : scheduler.running ? 'Clock' : 'Clock (not following)';
+        this.section.querySelector('#schedule-readout').innerHTML = `
+            ${clockLabel}: <strong>${formatClockTime(time, true)}</strong><br>
+            Now: ${activeText}<br>
+            Next: ${nextText}
+        `;
+    }
+
+    /**
+     * The night from first start to last end: a colored bar per entry (height = brightness),
+     * burst marks along the bottom and the current clock time
+     */
+    drawTimeline() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const schedule = this.scheduler.schedule;
+        const barTop = 12;
+        const barHeight = height - barTop - 10;
+        const xAt = time => (((time - schedule.start) % 86400 + 86400) % 86400) / schedule.length * width;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Sample the night so fades and overlaps draw correctly
+        const modeColors = {};
+        schedule.entries.forEach(entry => {
+            if (!modeColors[entry.mode]) {
+                modeColors[entry.mode] = SEGMENT_COLORS[Object.keys(modeColors).length % SEGMENT_COLORS.length];
+            }
+        });
+        for (let x = 0; x < width; x++) {
+            const time = (schedule.start + (x / width) * schedule.length) % 86400;
+            const { entry } = evaluateNightSchedule(schedule, time);
+            if (!entry) continue;
+
+            // Brightness on a log scale so dim levels stay visible; modes without one fill the bar
+            const brightness = entryBrightness(entry, time);
+            const level = brightness === null ? 1 :
+                Math.max(0.05, Math.log10(1 + brightness) / Math.log10(1 + MAX_SCHEDULE_BRIGHTNESS));
+            ctx.fillStyle = modeColors[entry.mode];
+            ctx.fillRect(x, barTop + barHeight * (1 - level), 1, barHeight * level);
+        }
+
+        // Burst marks
+        const bursts = schedule.bursts;
+        if (bursts) {
+            ctx.fillStyle = '#FFC107';
+            const interval = bursts.every * 60;
+            const first = Math.ceil(schedule.start / interval) * interval;
+            for (let time = first; time < schedule.start + schedule.length; time += interval) {
+                if (evaluateNightSchedule(schedule, time % 86400).bursting) {
+                    ctx.fillRect(xAt(time % 86400), height - 8, 1, 6);
+                }
+            }
+        }
+
+        // Start, end and current time
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatClockTime(schedule.start), 2, 10);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatClockTime(schedule.start + schedule.length), width - 2, 10);
+
+        const now = this.scheduler.getClockTime();
+        if (evaluateNightSchedule(schedule, now).entry || this.scheduler.isPreviewing()) {
+            const x = xAt(now);
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x + 0.5, barTop);
+            ctx.lineTo(x + 0.5, height);
+            ctx.stroke();
+        }
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Share Link Controls
+ * Copy a link to the current setup, keep the address bar following it, and show what
+ * the page's own link got wrong
+ */
+
+import { readURLState, writeURLState } from './urlState.js';
+
+const SYNC_INTERVAL = 1; // seconds between address bar updates
+const COPIED_FEEDBACK = 2000; // ms the button says it copied
+
+export class ShareLinkControls {
+    /**
+     * @param {Array<object>} schema - From createURLSchema
+     * @param {HTMLElement} container - Tab to add the panel to (at the top)
+     */
+    constructor(schema, container) {
+        this.schema = schema;
+        this.container = container;
+        this.keptParams = []; // [name, value] pairs no param reads (e.g. embedOrigin), carried into the link
+        this.following = false; // Whether the address bar follows the settings (after the URL has been read)
+        this.sinceSync = 0;
+        this.warnings = null;
+        this.createUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Share Link</div>
+            <button id="copy-link-btn" class="reset-params-btn">🔗 Copy Link</button>
+            <div class="controls-info">
+                <small>The link captures the layout, mode, camera, lighting and every other setting</small>
+            </div>
+        `;
+        this.container.prepend(section);
+        this.section = section;
+
+        section.querySelector('#copy-link-btn').addEventListener('click', () => this.copyLink());
+    }
+
+    /**
+     * Apply the page URL's settings, then keep the address bar up to date
+     */
+    readPageURL() {
+        const params = new URLSearchParams(window.location.search);
+        const unread = readURLState(this.schema, params, message => this.warn(message));
+        this.keptParams = unread.flatMap(name => params.getAll(name).map(value => [name, value]));
+        this.following = true;
+    }
+
+    /**
+     * Link to the page with the current settings
+     * @returns {string}
+     */
+    getLink() {
+        const params = writeURLState(this.schema);
+        this.keptParams.forEach(([name, value]) => params.append(name, value));
+        const query = params.toString();
+        return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+
+    copyLink() {
+        const link = this.getLink();
+        const button = this.section.querySelector('#copy-link-btn');
+        navigator.clipboard.writeText(link)
+            .then(() => {
+                button.textContent = '✓ Copied';
+                setTimeout(() => button.textContent = '🔗 Copy Link', COPIED_FEEDBACK);
+                console.log(`🔗 Copied link: ${link}`);
+            })
+            .catch(() => {
+                // Clipboard blocked (e.g. not a secure context): let the user copy it by hand
+                window.prompt('Copy this link:', link);
+            });
+    }
+
+    /**
+     * Keep the address bar following the settings
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.following) return;
+        this.sinceSync += deltaTime;
+        if (this.sinceSync < SYNC_INTERVAL) return;
+        this.sinceSync = 0;
+
+        const link = this.getLink();
+        if (link !== window.location.href) {
+            window.history.replaceState(window.history.state, '', link);
+        }
+    }
+
+    /**
+     * Show a problem with the page URL in a banner until dismissed
+     * @param {string} message
+     */
+    warn(message) {
+        console.warn(`⚠️ URL: ${message}`);
+        if (!this.warnings) {
+            const banner = document.createElement('div');
+            banner.className = 'url-warnings';
+            banner.innerHTML = `
+                <div class="url-warnings-header">
+                    <span>⚠️ Some settings in the link were ignored</span>
+                    <button class="url-warnings-close" title="Dismiss">×</button>
+                </div>
+                <ul></ul>
+            `;
+            banner.querySelector('.url-warnings-close').addEventListener('click', () => {
+                banner.remove();
+                this.warnings = null;
+            });
+            document.body.appendChild(banner);
+            this.warnings = banner;
+        }
+        const item = document.createElement('li');
+        item.textContent = message;
+        this.warnings.querySelector('ul').appendChild(item);
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Light Show Controls
+ * Load JSON show files from disk and play them as the 'show' animation mode
+ */
+
+import { loadLightShowFromText, SHOW_MODE_ID } from './lightShow.js';
+
+export class ShowControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.createUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Light Show</div>
+            <label class="file-button">
+                <input type="file" id="show-file-input" accept=".json,application/json">
+                <span>Load Show File (.json)</span>
+            </label>
+            <div id="show-status" class="show-status">No show loaded</div>
+        `;
+        this.container.appendChild(section);
+
+        const fileInput = section.querySelector('#show-file-input');
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const show = loadLightShowFromText(await file.text());
+                this.play(show, file.name);
+            } catch (error) {
+                this.setStatus(`⚠️ ${file.name}: ${error.message}`, true);
+                console.warn(`⚠️ Show file "${file.name}": ${error.message}`);
+            }
+
+            // Allow re-loading the same file after editing it
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Switch the animation to a freshly registered show
+     * @param {object} show - Normalized show
+     * @param {string} source - File name or path for the status line
+     */
+    play(show, source) {
+        this.lightAnimation.setAnimationMode(SHOW_MODE_ID);
+        this.setStatus(`Loaded "${show.name}" from ${source}`);
+        console.log(`🎬 Show loaded: "${show.name}" (${show.events.length} flashes, ${show.duration.toFixed(1)}s)`);
+    }
+
+    setStatus(text, isError = false) {
+        const status = this.container.querySelector('#show-status');
+        if (status) {
+            status.textContent = text;
+            status.classList.toggle('error', isError);
+        }
+    }
+}
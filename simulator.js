@@ -0,0 +1,648 @@
+/**
+ * Simulator
+ * Builds the whole simulator (scene, installation, animation and panels) in a container
+ * and returns a handle for scripting it (see createSimulator)
+ *
+ * The panels use fixed element ids, so a page holds one simulator; embed it in an
+ * iframe (see embedMessages.js) to put several on a page or keep its keyboard
+ * shortcuts away from the host page.
+ */
+
+import * as THREE from 'three';
+import { CameraController, CameraPresets } from './cameraControls.js';
+import { CameraPathControls } from './cameraPathControls.js';
+import { LightAnimation, MAX_SPEED_MULTIPLIER, MIN_SPEED_MULTIPLIER } from './lightAnimation.js';
+import { AnimationControls } from './controls.js';
+import { TransportControls } from './transportControls.js';
+import { AnimationModeControls } from './animationModeControls.js';
+import { BurstControls } from './burstControls.js';
+import { describeParamValues, parseParamValue } from './animationModes.js';
+import { DisplayControls } from './displayControls.js';
+import { TimeOfDayController } from './timeOfDay.js';
+import { SunControls } from './sunControls.js';
+import { UnifiedControls } from './unifiedControls.js';
+import { LightControls } from './lightControls.js';
+import { MAX_BRIGHTNESS } from './brightnessLayers.js';
+import { FlashEnvelopeControls } from './flashEnvelopeControls.js';
+import { ColorControls } from './colorControls.js';
+import { WaveControls } from './waveControls.js';
+import { FaultControls } from './faultControls.js';
+import { ClockControls } from './clockControls.js';
+import { PhaseLockControls } from './phaseLockControls.js';
+import { NightScheduler } from './nightSchedule.js';
+import { ScheduleControls } from './scheduleControls.js';
+import { FlashAudio } from './flashAudio.js';
+import { SoundControls } from './soundControls.js';
+import { MinimapControls } from './minimapControls.js';
+import { InstallationLayout } from './installationLayout.js';
+import { LayoutControls } from './layoutControls.js';
+import { SurveyControls } from './surveyControls.js';
+import { ComparisonRows } from './comparisonRows.js';
+import { ComparisonControls } from './comparisonControls.js';
+import { ShowControls } from './showControls.js';
+import { EarthSpeedControls } from './earthSpeedControls.js';
+import { SpeedPresetControls } from './speedPresetControls.js';
+import { SPEED_PRESETS } from './speedPresets.js';
+import { SpeedProfileControls } from './speedProfileControls.js';
+import { createURLSchema } from './urlSchema.js';
+import { ShareLinkControls } from './shareLinkControls.js';
+import { ScenarioControls } from './scenarioControls.js';
+import { VideoExportControls } from './videoExportControls.js';
+
+let simulatorCreated = false;
+
+/**
+ * Create the simulator in a container
+ * @param {HTMLElement} container - Element the canvas fills (sized by the page)
+ * @param {object} options - { urlParameters: apply ?mode=… etc. from the page URL (default true),
+ *                             controls: show the control panels (default true) }
+ * @returns {object} Handle with the scripting methods below and the simulator's parts
+ */
+export function createSimulator(container, { urlParameters = true, controls = true } = {}) {
+    if (simulatorCreated) {
+        throw new Error('Only one simulator per page (its panels use fixed element ids); embed more in iframes');
+    }
+    simulatorCreated = true;
+
+    // Scene setup
+    const scene = new THREE.Scene();
+    // Background will be set by TimeOfDayController
+
+    // Add very subtle atmospheric fog (optional - can be disabled)
+    scene.fog = new THREE.FogExp2(0x1a1a2e, 0.00015); // Very subtle fog
+
+    // Add ambient light - much dimmer to allow sun to dominate
+    const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
+    scene.add(ambientLight);
+
+    // Add directional light (sun) - stronger and with shadows
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 2.0);
+    directionalLight.position.set(1000, 1000, 500);
+    directionalLight.castShadow = true;
+
+    // Configure shadow properties for large scene
+    directionalLight.shadow.mapSize.width = 2048;
+    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.camera.left = -3000;
+    directionalLight.shadow.camera.right = 3000;
+    directionalLight.shadow.camera.top = 3000;
+    directionalLight.shadow.camera.bottom = -3000;
+    directionalLight.shadow.camera.near = 0.5;
+    directionalLight.shadow.camera.far = 5000;
+    directionalLight.shadow.bias = -0.001;
+
+    scene.add(directionalLight);
+
+    // Optional: Add helper to visualize sun direction (can be removed)
+    // const helper = new THREE.DirectionalLightHelper(directionalLight, 100);
+    // scene.add(helper);
+
+    // Camera setup
+    const camera = new THREE.PerspectiveCamera(
+        75,
+        container.clientWidth / container.clientHeight,
+        0.1,
+        10000 // Increase far plane to see large distances
+    );
+    // Position camera to view the scene from above and at an angle
+    camera.position.set(0, 200, 500);
+    camera.lookAt(0, 0, 0);
+
+    // Renderer setup
+    const renderer = new THREE.WebGLRenderer({
+        antialias: true,
+        alpha: false
+    });
+    renderer.setSize(container.clientWidth, container.clientHeight);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+
+    // Enable shadows for realistic sun lighting
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Soft shadows
+
+    // Add renderer to DOM
+    container.appendChild(renderer.domElement);
+
+    // Create desert ground texture
+    function createDesertTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 512;
+        const ctx = canvas.getContext('2d');
+
+        // Base desert color
+        const baseColor = '#d4b896';
+        ctx.fillStyle = baseColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Add noise pattern for texture
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const noise = (Math.random() - 0.5) * 30;
+            data[i] += noise;     // R
+            data[i + 1] += noise; // G
+            data[i + 2] += noise; // B
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+
+        // Add subtle darker patches for variation
+        ctx.fillStyle = 'rgba(180, 150, 120, 0.1)';
+        for (let i = 0; i < 20; i++) {
+            const x = Math.random() * canvas.width;
+            const y = Math.random() * canvas.height;
+            const radius = Math.random() * 50 + 20;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.repeat.set(20, 20); // Repeat to cover large area
+
+        return texture;
+    }
+
+    // Create ground plane
+    // Size: 6000 x 6000 feet (larger than the mile-long installation)
+    // Scale: 1 THREE.js unit = 1 foot
+    const groundGeometry = new THREE.PlaneGeometry(6000, 6000);
+    const groundTexture = createDesertTexture();
+    const groundMaterial = new THREE.MeshStandardMaterial({
+        map: groundTexture,
+        roughness: 0.9,  // Desert sand is quite rough
+        metalness: 0.0,  // No metallic properties
+        side: THREE.DoubleSide
+    });
+    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+
+    // Rotate to be horizontal (plane starts vertical by default)
+    ground.rotation.x = -Math.PI / 2;
+    ground.position.y = 0;
+    ground.receiveShadow = true; // Ground receives shadows from lights
+
+    scene.add(ground);
+
+    // Create the light installation (30 lights, 176 feet apart in a straight line by default)
+    // Layout can be rebuilt at runtime; lights and glowSpheres are updated in place
+    const layout = new InstallationLayout(scene);
+    const lights = layout.lights;
+    const glowSpheres = layout.glowSpheres;
+
+    // Initialize light animation system
+    const lightAnimation = new LightAnimation(lights, glowSpheres);
+    lightAnimation.setLayout(layout);
+
+    // Initialize animation controls for demonstration
+    const animationControls = new AnimationControls(lightAnimation);
+
+    // Initialize transport bar (pause, scrub, step, slow motion)
+    const transportControls = new TransportControls(lightAnimation);
+
+    // Create unified controls panel
+    const unifiedControls = new UnifiedControls();
+
+    // Initialize camera controller with its tab container
+    const cameraController = new CameraController(camera, renderer);
+    cameraController.createUI(unifiedControls.getTabContainer('camera'));
+
+    // Initialize camera path recorder and player in camera tab
+    const cameraPathControls = new CameraPathControls(cameraController, unifiedControls.getTabContainer('camera'));
+
+    // Initialize minimap
+    const minimapControls = new MinimapControls(camera, scene, cameraController, lights);
+    cameraController.minimapControls = minimapControls;
+    // Show/hide based on current mode
+    if (cameraController.isWalkingMode) {
+        minimapControls.show();
+    } else {
+        minimapControls.hide();
+    }
+
+    // Initialize animation mode controls in its tab
+    const animationModeControls = new AnimationModeControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize the upcoming realtime bursts list in the animation tab
+    const burstControls = new BurstControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize latitude-driven wave speed controls in the animation tab
+    const earthSpeedControls = new EarthSpeedControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize "speed of X" presets and their on-screen caption in the animation tab
+    const speedPresetControls = new SpeedPresetControls(
+        lightAnimation,
+        earthSpeedControls,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize speed profiles along the line in the animation tab
+    const speedProfileControls = new SpeedProfileControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize controller clock drift model in the animation tab
+    const clockControls = new ClockControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize wall-clock phase lock in the animation tab
+    const phaseLockControls = new PhaseLockControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize the nightly schedule engine and its controls in the animation tab
+    const nightScheduler = new NightScheduler(lightAnimation);
+    const scheduleControls = new ScheduleControls(
+        nightScheduler,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize show file loader in the animation tab
+    const showControls = new ShowControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize concurrent wave fronts in the animation tab
+    const waveControls = new WaveControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('animation')
+    );
+
+    // Initialize display controls in display tab
+    const displayControls = new DisplayControls(
+        lights,
+        unifiedControls.getTabContainer('display')
+    );
+
+    // Initialize installation layout controls in display tab
+    const layoutControls = new LayoutControls(
+        layout,
+        unifiedControls.getTabContainer('display'),
+        config => rebuildInstallation(config)
+    );
+
+    // Initialize GPS survey import in display tab
+    const surveyControls = new SurveyControls(
+        layout,
+        unifiedControls.getTabContainer('display'),
+        config => rebuildInstallation(config)
+    );
+
+    // Initialize side-by-side speed comparison rows (none until switched on) with controls in display tab
+    const comparisonRows = new ComparisonRows(scene, layout, lightAnimation);
+    const comparisonControls = new ComparisonControls(
+        comparisonRows,
+        unifiedControls.getTabContainer('display')
+    );
+
+    // Initialize spatialized flash sounds (silent until switched on) with controls in display tab
+    const flashAudio = new FlashAudio(camera, scene, lightAnimation);
+    const soundControls = new SoundControls(
+        flashAudio,
+        unifiedControls.getTabContainer('display')
+    );
+
+    // Initialize time of day controller with skybox and lighting presets
+    const timeOfDayController = new TimeOfDayController(scene, ambientLight, directionalLight);
+
+    // Link time of day controller to light animation for brightness-burst mode
+    lightAnimation.timeOfDayController = timeOfDayController;
+
+    // Initialize sun position controls in lighting tab
+    const sunControls = new SunControls(
+        directionalLight,
+        unifiedControls.getTabContainer('lighting')
+    );
+
+    // Link sun controls to time of day controller
+    timeOfDayController.sunControls = sunControls;
+
+    // Initialize light brightness controls in lighting tab
+    const lightControls = new LightControls(
+        lights,
+        lightAnimation,
+        unifiedControls.getTabContainer('lighting')
+    );
+
+    // Initialize flash envelope editor in lighting tab
+    const flashEnvelopeControls = new FlashEnvelopeControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('lighting')
+    );
+
+    // Initialize light colour controls in lighting tab
+    const colorControls = new ColorControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('lighting')
+    );
+
+    // Initialize fixture fault controls in lighting tab
+    const faultControls = new FaultControls(
+        lightAnimation,
+        unifiedControls.getTabContainer('lighting')
+    );
+
+    /**
+     * Rebuild the light installation and bring every dependent system up to date
+     * @param {object} config - Partial layout configuration (count, spacing, height, shape, arcAngle, points)
+     */
+    function rebuildInstallation(config) {
+        layout.rebuild(config);
+
+        lightAnimation.setLayout(layout);
+        lightControls.applyDistance();
+        lightControls.updateUIFromAnimation();
+        displayControls.applyScaleCircles();
+        minimapControls.rebuildLightMarkers();
+        cameraController.fitPresetsToLayout(layout);
+        animationModeControls.refresh();
+        earthSpeedControls.updateUI();
+        layoutControls.updateUI();
+        surveyControls.updateUI();
+        faultControls.updateUI();
+        clockControls.updateUI();
+        flashAudio.rebuildSources();
+        soundControls.updateUI();
+        colorControls.updateUI();
+        waveControls.updateUI();
+        comparisonRows.rebuild();
+        comparisonControls.updateUI();
+        speedProfileControls.updateUI();
+    }
+
+    // Follow the container's size (the window's, in the full-page app)
+    function onResize() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden container
+        cameraController.onWindowResize(width, height);
+        renderer.setSize(width, height);
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    }
+
+    new ResizeObserver(onResize).observe(container);
+
+    // Every setting the URL can carry (see urlSchema.js), with the share link in the display tab
+    const urlSchema = createURLSchema({
+        lightAnimation, layout, camera, cameraController, timeOfDayController, sunControls, unifiedControls,
+        waveControls, showControls, nightScheduler, scheduleControls, surveyControls, earthSpeedControls,
+        speedPresetControls, speedProfileControls, flashEnvelopeControls, comparisonRows, comparisonControls,
+        colorControls, lightControls, faultControls, clockControls, phaseLockControls, flashAudio, soundControls,
+        displayControls, rebuildInstallation, setControlsVisible
+    });
+    const shareLinkControls = new ShareLinkControls(urlSchema, unifiedControls.getTabContainer('display'));
+
+    // Initialize saved scenarios (the same settings as the link) in scenarios tab
+    const scenarioControls = new ScenarioControls(urlSchema, unifiedControls.getTabContainer('scenarios'));
+
+    // Apply URL parameters after a short delay to ensure UI is initialized; the address bar follows from then on
+    if (urlParameters) {
+        setTimeout(() => {
+            shareLinkControls.readPageURL();
+        }, 100);
+    }
+
+    /**
+     * Advance the whole simulation by one frame (rendering is left to the caller)
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    function step(deltaTime) {
+        // Let the night schedule pick the mode and brightness, then update light animation
+        nightScheduler.update(deltaTime);
+        lightAnimation.update(deltaTime);
+        comparisonRows.update();
+        clockControls.update(deltaTime);
+        transportControls.update();
+        phaseLockControls.update(deltaTime);
+        scheduleControls.update(deltaTime);
+        colorControls.update(deltaTime);
+        comparisonControls.update(deltaTime);
+        speedPresetControls.update(deltaTime);
+        speedProfileControls.update();
+        burstControls.update(deltaTime);
+        shareLinkControls.update(deltaTime);
+        cameraPathControls.update(deltaTime);
+
+        // Update camera controller with current wave position and direction of travel
+        const wavePosition = lightAnimation.getCurrentWavePosition();
+        const waveDirection = lightAnimation.getCurrentWaveDirection();
+        cameraController.update(deltaTime, wavePosition, waveDirection);
+
+        // Update minimap
+        minimapControls.update();
+        soundControls.update(deltaTime);
+    }
+
+    // Initialize video export (steps the simulation at a fixed timestep) in display tab
+    const videoExportControls = new VideoExportControls({
+        renderer, scene, camera, lightAnimation, cameraController, cameraPathControls, flashAudio, step
+    }, unifiedControls.getTabContainer('display'));
+
+    // Track time for delta calculations
+    let lastTime = performance.now();
+
+    // Animation loop
+    function animate() {
+        requestAnimationFrame(animate);
+
+        const currentTime = performance.now();
+        const deltaTime = (currentTime - lastTime) / 1000; // Convert to seconds
+        lastTime = currentTime;
+
+        // A video export steps the simulation itself meanwhile
+        if (videoExportControls.exporting) return;
+
+        step(deltaTime);
+        renderer.render(scene, camera);
+    }
+
+    // Start the animation loop
+    animate();
+
+    /**
+     * Show or hide the control panels, help button and minimap (the speed caption stays)
+     * @param {boolean} visible
+     */
+    function setControlsVisible(visible) {
+        document.body.classList.toggle('simulator-controls-hidden', !visible);
+    }
+    setControlsVisible(controls);
+
+    /**
+     * Set parameters of the active mode
+     * @param {object} params - Parameter id → value (numbers, booleans, or text as in the URL)
+     */
+    function setModeParams(params) {
+        const mode = lightAnimation.modes.get(lightAnimation.animationMode);
+        const values = {};
+        Object.entries(params).forEach(([id, rawValue]) => {
+            const param = mode.params.find(entry => entry.id === id);
+            if (!param) {
+                throw new Error(`${mode.name} has no parameter "${id}"`);
+            }
+            const value = parseParamValue(param, String(rawValue), lightAnimation);
+            if (value === null) {
+                throw new Error(`Invalid ${id} "${rawValue}" (expected ${describeParamValues(param, lightAnimation)})`);
+            }
+            values[id] = value;
+        });
+        if (Object.keys(values).length > 0) {
+            lightAnimation.setModeParams(values);
+        }
+    }
+
+    // Scripting handle: methods throw on invalid arguments (the postMessage bridge replies with the message)
+    return {
+        // The simulator's parts, for scripts that need more than the methods
+        scene,
+        camera,
+        renderer,
+        layout,
+        lights,
+        glowSpheres,
+        cameraController,
+        cameraPathControls,
+        videoExportControls,
+        lightAnimation,
+        lightControls,
+        timeOfDayController,
+
+        /**
+         * Subscribe to an animation event ('flash', 'modeChanged', 'burstStart', ... see ANIMATION_EVENTS)
+         * @returns {Function} Call to unsubscribe
+         */
+        on: (event, callback) => lightAnimation.on(event, callback),
+        off: (event, callback) => lightAnimation.off(event, callback),
+
+        /**
+         * Switch animation mode, optionally setting its parameters
+         * @param {string} modeId - Registered mode id, e.g. 'converge-point'
+         * @param {object} params - Parameter id → value, as in the URL (e.g. { point: 12 })
+         */
+        setMode(modeId, params = {}) {
+            if (!lightAnimation.modes.has(modeId)) {
+                throw new Error(`Unknown animation mode "${modeId}". Valid: ${lightAnimation.getAvailableModes().map(mode => mode.id).join(', ')}`);
+            }
+            lightAnimation.setAnimationMode(modeId);
+            setModeParams(params);
+        },
+
+        setModeParams,
+
+        /**
+         * @param {number} multiplier - Playback speed (1 = real time)
+         */
+        setSpeed(multiplier) {
+            if (!(multiplier >= MIN_SPEED_MULTIPLIER && multiplier <= MAX_SPEED_MULTIPLIER)) {
+                throw new Error(`Invalid speed ${multiplier} (expected ${MIN_SPEED_MULTIPLIER}-${MAX_SPEED_MULTIPLIER})`);
+            }
+            lightAnimation.setSpeedMultiplier(multiplier);
+        },
+
+        /**
+         * Run the wave at a "speed of" preset
+         * @param {string} presetId - Key of SPEED_PRESETS, e.g. 'sound'
+         */
+        setSpeedPreset(presetId) {
+            if (!SPEED_PRESETS[presetId]) {
+                throw new Error(`Unknown speed preset "${presetId}". Valid: ${Object.keys(SPEED_PRESETS).join(', ')}`);
+            }
+            speedPresetControls.setPreset(presetId);
+        },
+
+        /**
+         * Move the camera to a preset view, or to a position looking at a target
+         * @param {string|object} view - Preset ('aerial', 'walking', ...) or { position: [x, y, z], target: [x, y, z] } in feet
+         */
+        setCamera(view) {
+            if (typeof view === 'string') {
+                const preset = view.toUpperCase();
+                if (!CameraPresets[preset]) {
+                    throw new Error(`Unknown camera preset "${view}". Valid: ${Object.keys(CameraPresets).map(key => key.toLowerCase()).join(', ')}`);
+                }
+                cameraController.setPreset(preset);
+                return;
+            }
+
+            const isPoint = point => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite);
+            if (!view || (view.position && !isPoint(view.position)) || (view.target && !isPoint(view.target))) {
+                throw new Error('Invalid camera view (expected a preset name or { position: [x, y, z], target: [x, y, z] })');
+            }
+            if (view.position) {
+                camera.position.set(...view.position);
+            }
+            if (view.target) {
+                cameraController.controls.target.set(...view.target);
+                camera.lookAt(...view.target);
+            }
+        },
+
+        /**
+         * @param {string} presetId - 'day', 'golden-hour', 'dusk', 'night' or 'dawn'
+         */
+        setTimeOfDay(presetId) {
+            if (!timeOfDayController.presets[presetId]) {
+                throw new Error(`Unknown time of day "${presetId}". Valid: ${Object.keys(timeOfDayController.presets).join(', ')}`);
+            }
+            timeOfDayController.applyPreset(presetId);
+        },
+
+        /**
+         * @param {number} brightness - Master brightness on the slider scale (0-500000, 200000 = full)
+         */
+        setBrightness(brightness) {
+            if (!(brightness >= 0 && brightness <= MAX_BRIGHTNESS)) {
+                throw new Error(`Invalid brightness ${brightness} (expected 0-${MAX_BRIGHTNESS})`);
+            }
+            lightControls.brightness = brightness;
+            lightControls.updateLightProperties();
+        },
+
+        setPaused(paused) {
+            lightAnimation.setPaused(Boolean(paused));
+        },
+
+        /**
+         * @param {number} time - Animation time in seconds
+         */
+        seek(time) {
+            if (!Number.isFinite(time)) {
+                throw new Error(`Invalid time ${time} (expected seconds)`);
+            }
+            lightAnimation.seek(time);
+        },
+
+        setControlsVisible,
+
+        /**
+         * Animation status plus the camera, time of day and brightness
+         * @returns {object} Plain data (safe to post to another window)
+         */
+        getStatus() {
+            return {
+                ...lightAnimation.getStatus(),
+                camera: cameraController.currentPreset.toLowerCase(),
+                timeOfDay: timeOfDayController.currentPreset,
+                brightness: lightAnimation.masterBrightness,
+                lightCount: lights.length
+            };
+        }
+    };
+}
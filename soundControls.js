@@ -0,0 +1,118 @@
+/**
+ * Sound Controls
+ * Switch the flash sounds on, pick their timbre and volume, and show how late they arrive
+ */
+
+import { FLASH_TIMBRES, SPEED_OF_SOUND } from './flashAudio.js';
+
+const READOUT_INTERVAL = 0.25; // seconds between readout refreshes
+
+export class SoundControls {
+    constructor(flashAudio, container) {
+        this.flashAudio = flashAudio;
+        this.container = container;
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Flash Sound</div>
+
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="sound-enabled-toggle" class="display-checkbox">
+                    <span>Play a sound at each light per flash</span>
+                </label>
+            </div>
+
+            <div class="mode-select-container">
+                <select id="sound-timbre-selector" class="mode-selector">
+                    ${Object.entries(FLASH_TIMBRES).map(([key, timbre]) => `
+                        <option value="${key}">${timbre.name}</option>
+                    `).join('')}
+                </select>
+                <div id="sound-timbre-description" class="mode-description"></div>
+            </div>
+
+            <div class="mode-param">
+                <label for="sound-volume-slider">Volume: </label>
+                <input type="range" id="sound-volume-slider" class="mode-param-slider" min="0" max="1" step="0.05">
+                <span id="sound-volume-value" class="mode-param-value"></span>
+            </div>
+
+            <div id="sound-readout" class="speed-readout"></div>
+
+            <div class="controls-info">
+                <small>Sound travels at ${SPEED_OF_SOUND} ft/s, so distant flashes are heard late. Walk the line to hear them drift out of step.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        section.querySelector('#sound-enabled-toggle').addEventListener('change', (e) => {
+            this.flashAudio.setMuted(!e.target.checked);
+            console.log(`🔊 Flash sounds ${e.target.checked ? 'ON' : 'OFF'}`);
+            this.updateUI();
+        });
+
+        section.querySelector('#sound-timbre-selector').addEventListener('change', (e) => {
+            this.flashAudio.setTimbre(e.target.value);
+            this.updateUI();
+        });
+
+        section.querySelector('#sound-volume-slider').addEventListener('input', (e) => {
+            this.flashAudio.setVolume(parseFloat(e.target.value));
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Refresh the delay readout as the camera moves
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateReadout();
+    }
+
+    /**
+     * Sync the controls with the flash audio settings
+     */
+    updateUI() {
+        const audio = this.flashAudio;
+        this.section.querySelector('#sound-enabled-toggle').checked = !audio.muted;
+        this.section.querySelector('#sound-timbre-selector').value = audio.timbre;
+        this.section.querySelector('#sound-timbre-description').textContent = FLASH_TIMBRES[audio.timbre].description;
+        this.section.querySelector('#sound-volume-slider').value = audio.volume;
+        this.section.querySelector('#sound-volume-value').textContent = `${Math.round(audio.volume * 100)}%`;
+        this.updateReadout();
+    }
+
+    /**
+     * Nearest and furthest light from the camera and how late each one's sound arrives
+     */
+    updateReadout() {
+        const audio = this.flashAudio;
+        const distances = audio.lightAnimation.lights.map((_, i) => audio.getDistance(i));
+        if (distances.length === 0) return;
+
+        const nearest = distances.indexOf(Math.min(...distances));
+        const furthest = distances.indexOf(Math.max(...distances));
+        const describe = index => {
+            const delay = distances[index] / SPEED_OF_SOUND;
+            const delayText = delay < 1 ? `${Math.round(delay * 1000)} ms` : `${delay.toFixed(2)} s`;
+            return `light ${index} (${Math.round(distances[index]).toLocaleString()} ft) heard ${delayText} late`;
+        };
+
+        this.section.querySelector('#sound-readout').innerHTML = `
+            Nearest: ${describe(nearest)}<br>
+            Furthest: ${describe(furthest)}
+        `;
+    }
+}
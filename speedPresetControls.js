@@ -0,0 +1,135 @@
+/**
+ * Speed Preset Controls
+ * Pick a "speed of X" preset for the wave and caption the screen with what it shows
+ */
+
+import { SPEED_PRESETS, formatScale, formatSpeed } from './speedPresets.js';
+
+const READOUT_INTERVAL = 0.5; // seconds between caption refreshes
+
+export class SpeedPresetControls {
+    /**
+     * @param {LightAnimation} lightAnimation - Animation whose wave speed the presets set
+     * @param {EarthSpeedControls} earthSpeedControls - Sets the speed for the Earth's rotation preset
+     * @param {HTMLElement} container - Tab container
+     */
+    constructor(lightAnimation, earthSpeedControls, container) {
+        this.lightAnimation = lightAnimation;
+        this.earthSpeedControls = earthSpeedControls;
+        this.container = container;
+        this.captionVisible = true;
+        this.captionText = '';
+        this.sinceReadout = 0;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const categories = [...new Set(Object.values(SPEED_PRESETS).map(preset => preset.category))];
+
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Speed Of...</div>
+
+            <div class="mode-select-container">
+                <select id="speed-preset-selector" class="mode-selector">
+                    ${categories.map(category => `
+                        <optgroup label="${category}">
+                            ${Object.entries(SPEED_PRESETS).filter(([, preset]) => preset.category === category).map(([key, preset]) => `
+                                <option value="${key}">${preset.name}</option>
+                            `).join('')}
+                        </optgroup>
+                    `).join('')}
+                </select>
+                <div id="speed-preset-description" class="mode-description"></div>
+            </div>
+
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="speed-caption-toggle" class="display-checkbox">
+                    <span>Show caption on screen</span>
+                </label>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        // Caption along the top of the screen
+        this.caption = document.createElement('div');
+        this.caption.id = 'speed-caption';
+        this.caption.className = 'speed-caption';
+        document.body.appendChild(this.caption);
+
+        section.querySelector('#speed-preset-selector').addEventListener('change', (e) => {
+            this.setPreset(e.target.value);
+        });
+
+        section.querySelector('#speed-caption-toggle').addEventListener('change', (e) => {
+            this.captionVisible = e.target.checked;
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Run the wave at a preset's speed
+     * @param {string} presetId - Key of SPEED_PRESETS
+     */
+    setPreset(presetId) {
+        if (presetId === 'earth') {
+            this.earthSpeedControls.applySpeed();
+        } else {
+            this.lightAnimation.setSpeedPreset(presetId);
+            this.earthSpeedControls.updateUI();
+        }
+        console.log(`🚀 Speed of: ${SPEED_PRESETS[presetId].name} (${formatSpeed(this.lightAnimation.EARTH_ROTATION_SPEED)})`);
+        this.updateUI();
+    }
+
+    /**
+     * Follow speed changes made elsewhere (the Earth Rotation panel, the URL)
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        this.sinceReadout += deltaTime;
+        if (this.sinceReadout < READOUT_INTERVAL) return;
+        this.sinceReadout = 0;
+        this.updateUI();
+    }
+
+    /**
+     * Sync the selector and caption with the animation's speed preset
+     */
+    updateUI() {
+        const presetId = this.lightAnimation.speedPreset;
+        const text = this.describe(presetId);
+
+        this.section.querySelector('#speed-caption-toggle').checked = this.captionVisible;
+
+        // Only touch the DOM on change, so an open dropdown isn't disturbed
+        if (this.captionText !== text) {
+            this.captionText = text;
+            this.caption.innerHTML = text;
+            this.section.querySelector('#speed-preset-selector').value = presetId;
+            this.section.querySelector('#speed-preset-description').innerHTML = text;
+        }
+        this.caption.style.display = this.captionVisible ? '' : 'none';
+    }
+
+    /**
+     * Title line (what, how fast, at what scale) and the preset's caption
+     */
+    describe(presetId) {
+        const preset = SPEED_PRESETS[presetId];
+        const waveSpeed = formatSpeed(this.lightAnimation.EARTH_ROTATION_SPEED);
+
+        if (preset.speed === null) {
+            const { latitude } = this.earthSpeedControls;
+            const where = `${Math.abs(latitude).toFixed(1)}° ${latitude >= 0 ? 'N' : 'S'}`;
+            return `<strong>${preset.name} at ${where}</strong> · ${waveSpeed}<br>${preset.caption}`;
+        }
+
+        const scaled = preset.scale === 1 ? waveSpeed : `${formatSpeed(preset.speed)}, ${formatScale(preset.scale)} to ${waveSpeed}`;
+        return `<strong>${preset.name}</strong> · ${scaled}<br>${preset.caption}`;
+    }
+}
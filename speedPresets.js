@@ -0,0 +1,131 @@
+/**
+ * "Speed of X" Presets
+ * Real-world speeds the wave can run at, with a caption explaining what is shown
+ *
+ * A preset is a plain object:
+ *   { name, category, speed, scale, caption }
+ *   speed   - True speed in feet per second
+ *   scale   - Factor applied to make it watchable (1 = true speed, 0.01 = slowed 100×)
+ *   caption - One or two sentences shown on screen while the preset runs
+ *
+ * The 'earth' preset has no fixed speed: it follows the Earth Rotation panel (latitude,
+ * day length and Earth model), which is what the installation was built to show.
+ */
+
+import { FEET_PER_METER } from './earthRotation.js';
+import { SPEED_OF_SOUND } from './flashAudio.js';
+
+const SECONDS_PER_YEAR = 365.25 * 86400;
+const metersPerSecond = value => value * FEET_PER_METER;
+
+export const SPEED_PRESETS = {
+    earth: {
+        name: 'Earth\'s rotation',
+        category: 'Earth',
+        speed: null,
+        scale: 1,
+        caption: 'The ground beneath you, carried around Earth\'s axis once a day.'
+    },
+    cheetah: {
+        name: 'Cheetah',
+        category: 'On the ground',
+        speed: metersPerSecond(30),
+        scale: 1,
+        caption: 'The fastest land animal at full sprint, about 108 km/h.'
+    },
+    jet: {
+        name: 'Commercial jet',
+        category: 'In the air',
+        speed: metersPerSecond(250),
+        scale: 1,
+        caption: 'An airliner at cruise, about 900 km/h. Earth\'s rotation here is faster.'
+    },
+    sound: {
+        name: 'Speed of sound',
+        category: 'In the air',
+        speed: SPEED_OF_SOUND,
+        scale: 1,
+        caption: 'Sound in air at 20 °C. A flash across the line is heard a second or so after it is seen.'
+    },
+    concorde: {
+        name: 'Concorde',
+        category: 'In the air',
+        speed: metersPerSecond(605),
+        scale: 1,
+        caption: 'Concorde at Mach 2, fast enough to outrun the sunset flying west.'
+    },
+    rifle: {
+        name: 'Rifle bullet',
+        category: 'In the air',
+        speed: 3000,
+        scale: 1,
+        caption: 'A typical rifle bullet leaving the muzzle at about 3,000 ft/s.'
+    },
+    iss: {
+        name: 'ISS ground track',
+        category: 'Space',
+        speed: metersPerSecond(7170),
+        scale: 1,
+        caption: 'The point below the International Space Station, sweeping the line in a fifth of a second. Slow playback to follow it.'
+    },
+    'earth-orbit': {
+        name: 'Earth\'s orbit around the Sun',
+        category: 'Space',
+        speed: metersPerSecond(29780),
+        scale: 0.01,
+        caption: 'Earth\'s orbital speed of 30 km/s, slowed 100 times to fit the line.'
+    },
+    'sun-galaxy': {
+        name: 'The Sun around the galaxy',
+        category: 'Space',
+        speed: metersPerSecond(230000),
+        scale: 0.001,
+        caption: 'The Solar System circling the Milky Way at 230 km/s, slowed 1,000 times.'
+    },
+    light: {
+        name: 'Speed of light',
+        category: 'Space',
+        speed: metersPerSecond(299792458),
+        scale: 1e-6,
+        caption: 'Light, slowed a million times. At true speed it would cross the line in 5 microseconds.'
+    },
+    'continental-drift': {
+        name: 'Continental drift',
+        category: 'Earth',
+        speed: metersPerSecond(0.025 / SECONDS_PER_YEAR),
+        scale: 1e11,
+        caption: 'Tectonic plates creep about 2.5 cm a year, about as fast as fingernails grow. Sped up 100 billion times.'
+    }
+};
+
+/**
+ * Wave speed a preset runs at (true speed times its scale)
+ * @param {object} preset - Entry of SPEED_PRESETS with a fixed speed
+ * @returns {number} Feet per second
+ */
+export function getPresetWaveSpeed(preset) {
+    return preset.speed * preset.scale;
+}
+
+/**
+ * Describe a preset's scale, e.g. "true speed", "slowed 100×", "sped up 100 billion×"
+ */
+export function formatScale(scale) {
+    if (scale === 1) return 'true speed';
+    const factor = scale < 1 ? 1 / scale : scale;
+    const text = factor >= 1e9 ? `${(factor / 1e9).toLocaleString()} billion` :
+        factor >= 1e6 ? `${(factor / 1e6).toLocaleString()} million` : Math.round(factor).toLocaleString();
+    return `${scale < 1 ? 'slowed' : 'sped up'} ${text}×`;
+}
+
+/**
+ * Speed in ft/s with mph, switching to smaller units for very slow speeds
+ */
+export function formatSpeed(feetPerSecond) {
+    if (feetPerSecond < 0.01) {
+        const cmPerYear = feetPerSecond / FEET_PER_METER * 100 * SECONDS_PER_YEAR;
+        return `${cmPerYear.toFixed(1)} cm/year`;
+    }
+    const mph = feetPerSecond * 3600 / 5280;
+    return `${Math.round(feetPerSecond).toLocaleString()} ft/s (${Math.round(mph).toLocaleString()} mph)`;
+}
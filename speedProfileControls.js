@@ -0,0 +1,237 @@
+/**
+ * Speed Profile Controls
+ * Make the wave speed up, slow down or change speed in steps along the line
+ */
+
+import { MAX_SEGMENTS, SPEED_PROFILES, formatSegments, getSpeedFactor, parseSegments } from './speedProfiles.js';
+
+const STANDARD_GRAVITY = 32.174; // ft/s², to put accelerations in g
+const GRAPH_MAX_FACTOR = 3; // top of the graph, as a multiple of the wave speed
+
+export class SpeedProfileControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Speed Profile</div>
+
+            <div class="mode-select-container">
+                <select id="speed-profile-selector" class="mode-selector">
+                    ${Object.entries(SPEED_PROFILES).map(([key, profile]) => `
+                        <option value="${key}">${profile.name}</option>
+                    `).join('')}
+                </select>
+                <div id="speed-profile-description" class="mode-description"></div>
+            </div>
+
+            <canvas id="speed-profile-graph" class="flash-preview" width="240" height="80"></canvas>
+
+            <div id="speed-profile-params"></div>
+
+            <div class="mode-param" id="speed-segments-row">
+                <label for="speed-segments">Segment Speeds (× wave speed): </label>
+                <input type="text" id="speed-segments" class="curve-points-input" spellcheck="false">
+            </div>
+
+            <div id="speed-profile-readout" class="speed-readout"></div>
+
+            <div class="controls-info">
+                <small>Speeds are multiples of the wave speed set above, from the first light (left) to the last. Dots mark the lights; the line is where the wave is now.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+        this.canvas = section.querySelector('#speed-profile-graph');
+
+        section.querySelector('#speed-profile-selector').addEventListener('change', (e) => {
+            this.lightAnimation.setSpeedProfile({ profile: e.target.value });
+            console.log(`Speed profile: ${SPEED_PROFILES[e.target.value].name}`);
+            this.updateUI();
+        });
+
+        const segmentsInput = section.querySelector('#speed-segments');
+        segmentsInput.addEventListener('change', () => {
+            const segments = parseSegments(segmentsInput.value);
+            if (segments) {
+                segmentsInput.classList.remove('error');
+                this.lightAnimation.setSpeedProfile({ segments });
+                this.updateUI();
+            } else {
+                segmentsInput.classList.add('error');
+                console.warn(`⚠️ Invalid segment speeds "${segmentsInput.value}" (expected up to ${MAX_SEGMENTS} multiples of the wave speed, e.g. 1,2,0.5)`);
+            }
+        });
+    }
+
+    /**
+     * Sliders for the selected profile's parameters
+     */
+    renderProfileParams() {
+        const profile = this.lightAnimation.speedProfile;
+        const container = this.section.querySelector('#speed-profile-params');
+        container.innerHTML = '';
+
+        SPEED_PROFILES[profile.profile].params.forEach(param => {
+            const row = document.createElement('div');
+            row.className = 'mode-param';
+            row.innerHTML = `
+                <label for="speed-profile-${param.id}">${param.label}: </label>
+                <input type="range" id="speed-profile-${param.id}" class="mode-param-slider"
+                    min="${param.min}" max="${param.max}" step="${param.step}" value="${profile[param.id]}">
+                <span class="mode-param-value">${this.formatParam(param, profile[param.id])}</span>
+            `;
+            const input = row.querySelector('input');
+            const value = row.querySelector('.mode-param-value');
+            input.addEventListener('input', () => {
+                this.lightAnimation.setSpeedProfile({ [param.id]: parseFloat(input.value) });
+                value.textContent = this.formatParam(param, this.lightAnimation.speedProfile[param.id]);
+                this.updateReadout();
+                this.drawGraph();
+            });
+            container.appendChild(row);
+        });
+    }
+
+    formatParam(param, value) {
+        // Cycle counts are plain numbers; speeds and swings are multiples or percentages of the wave speed
+        if (param.id === 'speedCycles') return value.toString();
+        if (param.id === 'speedSwing') return `±${Math.round(value * 100)}%`;
+        return `${value.toFixed(2)}×`;
+    }
+
+    /**
+     * Keep the wave marker moving on the graph
+     */
+    update() {
+        this.drawGraph();
+    }
+
+    /**
+     * Sync the inputs, graph and readout with the animation's profile
+     */
+    updateUI() {
+        const profile = this.lightAnimation.speedProfile;
+
+        this.section.querySelector('#speed-profile-selector').value = profile.profile;
+        this.section.querySelector('#speed-profile-description').textContent = SPEED_PROFILES[profile.profile].description;
+
+        const segmentsInput = this.section.querySelector('#speed-segments');
+        segmentsInput.value = formatSegments(profile.segments);
+        segmentsInput.classList.remove('error');
+        this.section.querySelector('#speed-segments-row').style.display = profile.profile === 'segments' ? '' : 'none';
+
+        this.renderProfileParams();
+        this.updateReadout();
+        this.drawGraph();
+    }
+
+    /**
+     * Crossing time against a constant speed, speed range and (for steady acceleration) the acceleration
+     */
+    updateReadout() {
+        const animation = this.lightAnimation;
+        const profile = animation.speedProfile;
+        const readout = this.section.querySelector('#speed-profile-readout');
+        const last = animation.lightTimes.length - 1;
+        const pathLength = animation.layout ? animation.layout.distances[last] : last * animation.LIGHT_SPACING;
+        const speed = animation.EARTH_ROTATION_SPEED;
+        const crossing = animation.lightTimes[last];
+        const steadyCrossing = pathLength / speed;
+
+        const lines = [`First to last light in <strong>${crossing.toFixed(2)} s</strong> (${steadyCrossing.toFixed(2)} s at a steady ${Math.round(speed).toLocaleString()} ft/s)`];
+
+        if (profile.profile !== 'constant') {
+            const factors = Array.from({ length: 101 }, (_, i) => getSpeedFactor(profile, i / 100));
+            const slowest = speed * Math.min(...factors);
+            const fastest = speed * Math.max(...factors);
+            lines.push(`Speed from ${Math.round(slowest).toLocaleString()} to ${Math.round(fastest).toLocaleString()} ft/s`);
+        }
+
+        if (profile.profile === 'acceleration' && pathLength > 0) {
+            // v² = v0² + 2as
+            const acceleration = ((speed * profile.endSpeed) ** 2 - (speed * profile.startSpeed) ** 2) / (2 * pathLength);
+            lines.push(`${acceleration >= 0 ? 'Acceleration' : 'Deceleration'}: ${Math.abs(acceleration).toFixed(0)} ft/s² ` +
+                `(${(Math.abs(acceleration) / STANDARD_GRAVITY).toFixed(1)} g)`);
+        }
+
+        readout.innerHTML = lines.join('<br>');
+    }
+
+    /**
+     * Draw speed along the line, the lights, and the wave's current position
+     */
+    drawGraph() {
+        const animation = this.lightAnimation;
+        const profile = animation.speedProfile;
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const padding = 6;
+        const plotWidth = width - padding * 2;
+        const plotHeight = height - padding * 2 - 10; // Room for the axis labels
+        const yFor = factor => padding + plotHeight * (1 - factor / GRAPH_MAX_FACTOR);
+        const last = animation.lightTimes.length - 1;
+        const pathLength = animation.layout ? animation.layout.distances[last] : last * animation.LIGHT_SPACING;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Guide at the wave speed (1×)
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, Math.round(yFor(1)) + 0.5);
+        ctx.lineTo(width - padding, Math.round(yFor(1)) + 0.5);
+        ctx.stroke();
+
+        // Speed curve
+        ctx.strokeStyle = '#4CAF50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x <= plotWidth; x++) {
+            const y = yFor(getSpeedFactor(profile, x / plotWidth));
+            if (x === 0) {
+                ctx.moveTo(padding + x, y);
+            } else {
+                ctx.lineTo(padding + x, y);
+            }
+        }
+        ctx.stroke();
+
+        // Lights along the bottom
+        if (pathLength > 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            animation.lightTimes.forEach((_, i) => {
+                const distance = animation.layout ? animation.layout.distances[i] : i * animation.LIGHT_SPACING;
+                ctx.fillRect(padding + plotWidth * distance / pathLength - 1, padding + plotHeight - 1, 2, 2);
+            });
+
+            // Wave front
+            const waveDistance = animation.getCurrentWaveDistance();
+            if (waveDistance <= pathLength) {
+                const x = Math.round(padding + plotWidth * waveDistance / pathLength) + 0.5;
+                ctx.strokeStyle = 'rgba(255, 200, 80, 0.8)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(x, padding);
+                ctx.lineTo(x, padding + plotHeight);
+                ctx.stroke();
+            }
+        }
+
+        // Axis labels
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText('First light', padding, height - 2);
+        ctx.textAlign = 'right';
+        ctx.fillText('Last light', width - padding, height - 2);
+        ctx.textAlign = 'left';
+        ctx.fillText('1×', padding + 2, yFor(1) - 3);
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Speed Profiles
+ * How the wave's speed changes along the installation, as a multiple of the wave speed
+ *
+ * A profile is a plain object:
+ *   { profile, segments, ...profile parameters }
+ * The speed at a point is the wave speed (latitude or "speed of" preset) times the
+ * profile's factor there, so profiles keep working when the wave speed changes.
+ * Flash times come from integrating time = ∫ ds / v(s) along the path.
+ */
+
+export const MIN_SPEED_FACTOR = 0.1; // slowest point, as a multiple of the wave speed
+export const MAX_SPEED_FACTOR = 3.0;
+export const MAX_SEGMENTS = 12;
+
+const INTEGRATION_STEPS = 1024; // steps along the path when integrating a profile
+
+// Parameter schema entries: { id, label, min, max, step, default }
+export const SPEED_PROFILES = {
+    constant: {
+        name: 'Constant',
+        description: 'The same speed from the first light to the last (the real installation)',
+        params: [],
+        factor: () => 1
+    },
+    acceleration: {
+        name: 'Accelerate / Decelerate',
+        description: 'Constant acceleration from the start speed to the end speed (end below start to slow down)',
+        params: [
+            { id: 'startSpeed', label: 'Start Speed', min: MIN_SPEED_FACTOR, max: MAX_SPEED_FACTOR, step: 0.05, default: 0.5 },
+            { id: 'endSpeed', label: 'End Speed', min: MIN_SPEED_FACTOR, max: MAX_SPEED_FACTOR, step: 0.05, default: 1.5 }
+        ],
+        // Steady acceleration a gives v² = v0² + 2as, so v² is linear in distance
+        factor: (x, profile) => Math.sqrt(profile.startSpeed ** 2 + (profile.endSpeed ** 2 - profile.startSpeed ** 2) * x)
+    },
+    sine: {
+        name: 'Sinusoidal',
+        description: 'Speeds up and slows down in waves along the line',
+        params: [
+            { id: 'speedSwing', label: 'Swing', min: 0, max: 0.9, step: 0.05, default: 0.5 },
+            { id: 'speedCycles', label: 'Cycles Along Line', min: 0.5, max: 10, step: 0.5, default: 2 }
+        ],
+        factor: (x, profile) => 1 + profile.speedSwing * Math.sin(2 * Math.PI * profile.speedCycles * x)
+    },
+    segments: {
+        name: 'Segments',
+        description: 'A fixed speed in each equal stretch of the line, changing suddenly between them',
+        params: [],
+        factor: (x, profile) => profile.segments[Math.min(profile.segments.length - 1, Math.floor(x * profile.segments.length))]
+    }
+};
+
+export const DEFAULT_SEGMENTS = [1, 2, 0.5];
+
+export const DEFAULT_SPEED_PROFILE = {
+    profile: 'constant',
+    segments: DEFAULT_SEGMENTS
+};
+
+function isValidSegments(segments) {
+    return Array.isArray(segments) && segments.length >= 1 && segments.length <= MAX_SEGMENTS &&
+        segments.every(value => Number.isFinite(value) && value >= MIN_SPEED_FACTOR && value <= MAX_SPEED_FACTOR);
+}
+
+/**
+ * Parse segment speeds written as "1,2,0.5" (multiples of the wave speed)
+ * @param {string} text - Segment list
+ * @returns {Array<number>|null} Speeds, or null if invalid
+ */
+export function parseSegments(text) {
+    const segments = text.split(',')
+        .map(value => value.trim())
+        .filter(value => value.length > 0)
+        .map(value => parseFloat(value));
+    return isValidSegments(segments) ? segments : null;
+}
+
+/**
+ * Format segment speeds for the text input and URL
+ */
+export function formatSegments(segments) {
+    return segments.join(',');
+}
+
+/**
+ * Fill in defaults and clamp parameters
+ * @param {object} profile - Partial profile
+ * @returns {object} Complete profile
+ */
+export function normalizeSpeedProfile(profile) {
+    const normalized = {
+        profile: SPEED_PROFILES[profile.profile] ? profile.profile : DEFAULT_SPEED_PROFILE.profile,
+        segments: isValidSegments(profile.segments) ? [...profile.segments] : DEFAULT_SEGMENTS
+    };
+
+    // Keep every profile's parameters so switching profiles doesn't lose settings
+    Object.values(SPEED_PROFILES).forEach(definition => {
+        definition.params.forEach(param => {
+            const value = profile[param.id];
+            normalized[param.id] = Number.isFinite(value) ?
+                Math.max(param.min, Math.min(param.max, value)) : param.default;
+        });
+    });
+
+    return normalized;
+}
+
+/**
+ * Speed at a point along the line, as a multiple of the wave speed
+ * @param {object} profile - Normalized profile
+ * @param {number} fraction - 0 at the first light, 1 at the last
+ * @returns {number} Speed factor
+ */
+export function getSpeedFactor(profile, fraction) {
+    const x = Math.max(0, Math.min(1, fraction));
+    return Math.max(MIN_SPEED_FACTOR, SPEED_PROFILES[profile.profile].factor(x, profile));
+}
+
+/**
+ * Integrate a profile into arrival times along the path
+ * @param {object} profile - Normalized profile
+ * @param {number} speed - Wave speed in feet per second
+ * @param {number} pathLength - Feet from the first light to the last
+ * @returns {object} { distances, times, endSpeed }: arrival time at evenly spaced distances
+ */
+export function integrateSpeedProfile(profile, speed, pathLength) {
+    const distances = new Float64Array(INTEGRATION_STEPS + 1);
+    const times = new Float64Array(INTEGRATION_STEPS + 1);
+    const step = pathLength / INTEGRATION_STEPS;
+
+    // Midpoint rule: each step takes its length over the speed at its centre
+    for (let i = 1; i <= INTEGRATION_STEPS; i++) {
+        const fraction = (i - 0.5) / INTEGRATION_STEPS;
+        distances[i] = i * step;
+        times[i] = times[i - 1] + step / (speed * getSpeedFactor(profile, fraction));
+    }
+
+    return { distances, times, endSpeed: speed * getSpeedFactor(profile, 1) };
+}
+
+/**
+ * Time for the wave to reach a distance along the path
+ * Past the last light the wave carries on at the end speed
+ * @param {object} table - Result of integrateSpeedProfile
+ * @param {number} distance - Feet from the first light
+ * @returns {number} Seconds
+ */
+export function getArrivalTime(table, distance) {
+    const { distances, times } = table;
+    const last = distances.length - 1;
+    if (distance >= distances[last]) return times[last] + (distance - distances[last]) / table.endSpeed;
+    if (distance <= 0) return 0;
+
+    const step = distances[1];
+    const i = Math.min(last - 1, Math.floor(distance / step));
+    return times[i] + (times[i + 1] - times[i]) * (distance - distances[i]) / step;
+}
+
+/**
+ * Where the wave is a given time after leaving the first light (inverse of getArrivalTime)
+ * @param {object} table - Result of integrateSpeedProfile
+ * @param {number} time - Seconds since the wave left the first light
+ * @returns {number} Feet from the first light
+ */
+export function getDistanceAtTime(table, time) {
+    const { distances, times } = table;
+    const last = times.length - 1;
+    if (time >= times[last]) return distances[last] + (time - times[last]) * table.endSpeed;
+    if (time <= 0) return 0;
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (times[middle] <= time) low = middle;
+        else high = middle;
+    }
+    return distances[low] + (distances[high] - distances[low]) * (time - times[low]) / (times[high] - times[low]);
+}
@@ -0,0 +1,99 @@
+/**
+ * Survey Controls
+ * Import surveyed GPS light positions and compare their spacing with the ideal layout
+ */
+
+import { analyzeSurveySpacing, loadSurveyFromText } from './gpsSurvey.js';
+import { DEFAULT_LAYOUT } from './installationLayout.js';
+
+export class SurveyControls {
+    /**
+     * @param {InstallationLayout} layout - Installation to control
+     * @param {HTMLElement} container - Tab container
+     * @param {Function} onChange - Called with a partial layout config to rebuild the installation
+     */
+    constructor(layout, container, onChange) {
+        this.layout = layout;
+        this.container = container;
+        this.onChange = onChange;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">GPS Survey</div>
+            <label class="file-button">
+                <input type="file" id="survey-file-input" accept=".geojson,.json,.csv,.txt,application/geo+json,text/csv">
+                <span>Import Survey (.geojson, .csv)</span>
+            </label>
+            <div id="survey-status" class="show-status">No survey loaded</div>
+            <div id="survey-readout" class="speed-readout"></div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        const fileInput = section.querySelector('#survey-file-input');
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                this.apply(loadSurveyFromText(await file.text(), file.name));
+            } catch (error) {
+                this.setStatus(`⚠️ ${file.name}: ${error.message}`, true);
+                console.warn(`⚠️ Survey file "${file.name}": ${error.message}`);
+            }
+
+            // Allow re-loading the same file after editing it
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Build the installation from a loaded survey
+     * @param {object} survey - As returned by loadSurveyFromText
+     */
+    apply(survey) {
+        this.onChange({ shape: 'surveyed', survey: survey.positions });
+        this.setStatus(`Loaded "${survey.name}" (${survey.positions.length} lights)`);
+        console.log(`📡 Survey loaded: "${survey.name}" (${survey.positions.length} lights)`);
+    }
+
+    setStatus(text, isError = false) {
+        const status = this.section.querySelector('#survey-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Show how the surveyed spacing differs from the ideal spacing
+     */
+    updateUI() {
+        const readout = this.section.querySelector('#survey-readout');
+
+        if (this.layout.config.shape !== 'surveyed') {
+            readout.innerHTML = this.layout.config.survey ?
+                'Select "Surveyed (GPS)" as the layout shape to use the survey' : '';
+            return;
+        }
+
+        const ideal = DEFAULT_LAYOUT.spacing;
+        const spacing = analyzeSurveySpacing(this.layout.distances, ideal);
+        const worstGap = spacing.gaps[spacing.worstIndex];
+        const percent = ratio => {
+            const offset = (ratio - 1) * 100;
+            return `${offset >= 0 ? '+' : ''}${offset.toFixed(1)}%`;
+        };
+
+        readout.innerHTML = `
+            <strong>${spacing.mean.toFixed(1)} ft</strong> mean spacing (ideal ${ideal} ft)<br>
+            Range ${spacing.min.toFixed(1)}–${spacing.max.toFixed(1)} ft ·
+            worst: lights ${spacing.worstIndex + 1}→${spacing.worstIndex + 2} at ${worstGap.toFixed(1)} ft<br>
+            Assuming ${ideal} ft spacing, the flash intervals make the wave look
+            ${percent(spacing.minRatio)} to ${percent(spacing.maxRatio)} off its true speed
+        `;
+    }
+}
@@ -142,31 +142,29 @@ export class TimeOfDayController {
             };
 
             // Click handler
-            button.onclick = () => {
-                this.applyPreset(presetKey);
-                // Update active state
-                buttonsContainer.querySelectorAll('button').forEach(btn => {
-                    if (btn.dataset.preset === presetKey) {
-                        btn.style.background = 'rgba(76, 175, 80, 0.6)';
-                        btn.style.borderColor = 'rgba(76, 175, 80, 1)';
-                    } else {
-                        btn.style.background = 'rgba(255, 255, 255, 0.1)';
-                        btn.style.borderColor = 'rgba(255, 255, 255, 0.3)';
-                    }
-                });
-            };
-
-            // Set initial active state
-            if (presetKey === this.currentPreset) {
-                button.style.background = 'rgba(76, 175, 80, 0.6)';
-                button.style.borderColor = 'rgba(76, 175, 80, 1)';
-            }
+            button.onclick = () => this.applyPreset(presetKey);
 
             buttonsContainer.appendChild(button);
         });
 
         container.appendChild(buttonsContainer);
         document.body.appendChild(container);
+        this.buttonsContainer = buttonsContainer;
+    }
+
+    /**
+     * Highlight the active preset's button (also when set from a mode or script)
+     */
+    updateButtons() {
+        this.buttonsContainer.querySelectorAll('button').forEach(btn => {
+            if (btn.dataset.preset === this.currentPreset) {
+                btn.style.background = 'rgba(76, 175, 80, 0.6)';
+                btn.style.borderColor = 'rgba(76, 175, 80, 1)';
+            } else {
+                btn.style.background = 'rgba(255, 255, 255, 0.1)';
+                btn.style.borderColor = 'rgba(255, 255, 255, 0.3)';
+            }
+        });
     }
 
     applyPreset(presetKey) {
@@ -174,6 +172,7 @@ export class TimeOfDayController {
         if (!preset) return;
 
         this.currentPreset = presetKey;
+        this.updateButtons();
 
         // Create gradient skybox background
         this.createGradientSky(preset.skyColor, preset.horizonColor);
@@ -0,0 +1,143 @@
+/**
+ * Transport Controls
+ * Playback bar along the bottom of the screen: pause, scrub, single-step and slow motion
+ */
+
+import { MAX_SPEED_MULTIPLIER, MIN_SPEED_MULTIPLIER } from './lightAnimation.js';
+
+/**
+ * Format a speed multiplier without trailing zeros (0.001x, 0.25x, 10x)
+ */
+function formatSpeed(multiplier) {
+    const digits = multiplier < 0.01 ? 3 : multiplier < 1 ? 2 : 1;
+    return `${parseFloat(multiplier.toFixed(digits))}x`;
+}
+
+export class TransportControls {
+    constructor(lightAnimation) {
+        this.lightAnimation = lightAnimation;
+        this.scrubbing = false; // While dragging, the scrubber isn't moved by playback
+        this.createUI();
+        this.update();
+    }
+
+    createUI() {
+        const container = document.createElement('div');
+        container.id = 'transport-bar';
+        container.className = 'transport-bar';
+        container.innerHTML = `
+            <div class="transport-buttons">
+                <button class="transport-btn" data-action="restart" title="Back to start (R)">⏮</button>
+                <button class="transport-btn" data-action="light-back" title="Back one light interval (&lt;)">«</button>
+                <button class="transport-btn" data-action="frame-back" title="Back one frame (,)">‹</button>
+                <button class="transport-btn transport-play" data-action="play" title="Pause / play (P)">⏸</button>
+                <button class="transport-btn" data-action="frame-forward" title="Forward one frame (.)">›</button>
+                <button class="transport-btn" data-action="light-forward" title="Forward one light interval (&gt;)">»</button>
+            </div>
+
+            <input type="range" class="transport-scrubber" min="0" step="any" title="Position in the current pattern">
+
+            <input type="number" class="transport-time" min="0" step="0.001" title="Animation time in seconds (type to seek)">
+            <span class="transport-period"></span>
+
+            <input type="range" class="transport-speed" step="0.01" title="Playback speed"
+                min="${Math.log10(MIN_SPEED_MULTIPLIER)}" max="${Math.log10(MAX_SPEED_MULTIPLIER)}">
+            <span class="transport-speed-value"></span>
+        `;
+        document.body.appendChild(container);
+        this.container = container;
+
+        this.playButton = container.querySelector('.transport-play');
+        this.scrubber = container.querySelector('.transport-scrubber');
+        this.timeInput = container.querySelector('.transport-time');
+        this.speedSlider = container.querySelector('.transport-speed');
+
+        container.querySelectorAll('.transport-btn').forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.action));
+        });
+
+        // Scrubbing seeks within the current repeat of the mode's pattern
+        this.scrubber.addEventListener('pointerdown', () => this.scrubbing = true);
+        this.scrubber.addEventListener('pointerup', () => this.scrubbing = false);
+        this.scrubber.addEventListener('change', () => this.scrubbing = false);
+        this.scrubber.addEventListener('input', () => {
+            const animation = this.lightAnimation;
+            const period = animation.getModePeriod();
+            const patternStart = Math.floor(animation.currentTime / period) * period;
+            animation.seek(patternStart + parseFloat(this.scrubber.value));
+            this.update();
+        });
+
+        this.timeInput.addEventListener('change', () => {
+            const time = parseFloat(this.timeInput.value);
+            if (!isNaN(time)) {
+                this.lightAnimation.seek(time);
+            }
+            this.update();
+        });
+
+        // Logarithmic so 0.001x to 10x all fit on one slider
+        this.speedSlider.addEventListener('input', () => {
+            this.lightAnimation.setSpeedMultiplier(Math.pow(10, parseFloat(this.speedSlider.value)));
+            this.update();
+        });
+    }
+
+    /**
+     * Run a transport button or shortcut
+     * @param {string} action - restart, play, frame-back, frame-forward, light-back or light-forward
+     */
+    handleAction(action) {
+        const animation = this.lightAnimation;
+        switch (action) {
+            case 'restart':
+                animation.reset();
+                break;
+            case 'play':
+                animation.setPaused(!animation.paused);
+                console.log(`Playback ${animation.paused ? 'paused' : 'resumed'}`);
+                break;
+            case 'frame-back':
+                animation.setPaused(true);
+                animation.stepFrames(-1);
+                break;
+            case 'frame-forward':
+                animation.setPaused(true);
+                animation.stepFrames(1);
+                break;
+            case 'light-back':
+                animation.setPaused(true);
+                animation.stepLights(-1);
+                break;
+            case 'light-forward':
+                animation.setPaused(true);
+                animation.stepLights(1);
+                break;
+        }
+        this.update();
+    }
+
+    /**
+     * Follow playback: scrubber position, time and speed
+     * Called every frame; fields being edited are left alone
+     */
+    update() {
+        const animation = this.lightAnimation;
+        const period = animation.getModePeriod();
+
+        this.playButton.textContent = animation.paused ? '▶' : '⏸';
+        this.playButton.classList.toggle('active', animation.paused);
+
+        if (!this.scrubbing) {
+            this.scrubber.max = period;
+            this.scrubber.value = animation.currentTime % period;
+        }
+        if (document.activeElement !== this.timeInput) {
+            this.timeInput.value = animation.currentTime.toFixed(3);
+        }
+        this.container.querySelector('.transport-period').textContent = `s · pattern ${period.toFixed(3)} s`;
+
+        this.speedSlider.value = Math.log10(animation.speedMultiplier);
+        this.container.querySelector('.transport-speed-value').textContent = formatSpeed(animation.speedMultiplier);
+    }
+}
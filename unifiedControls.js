@@ -29,6 +29,7 @@ export class UnifiedControls {
                     <button class="tab-btn" data-tab="camera">Camera</button>
                     <button class="tab-btn" data-tab="lighting">Lighting</button>
                     <button class="tab-btn" data-tab="display">Display</button>
+                    <button class="tab-btn" data-tab="scenarios">Scenarios</button>
                 </div>
                 <div class="controls-content">
                     <div id="tab-animation" class="tab-content active">
@@ -43,6 +44,9 @@ export class UnifiedControls {
                     <div id="tab-display" class="tab-content">
                         <!-- Display options will be inserted here -->
                     </div>
+                    <div id="tab-scenarios" class="tab-content">
+                        <!-- Saved scenarios will be inserted here -->
+                    </div>
                 </div>
             </div>
         `;
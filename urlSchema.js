@@ -0,0 +1,703 @@
+/**
+ * URL Schema
+ * Every setting the page URL can carry, how to read it and how to apply it (see urlState.js)
+ *
+ * Groups run in the order below: the layout first so light counts are known, the mode before its
+ * parameters, the latitude before a "speed of" preset. Files named in the URL (survey, show,
+ * schedule) load in the background and stay in the link while they're in use.
+ */
+
+import { CameraPresets, getLookAngles } from './cameraControls.js';
+import { MAX_SPEED_MULTIPLIER, MIN_SPEED_MULTIPLIER } from './lightAnimation.js';
+import { resolveParamValue } from './animationModes.js';
+import { FULL_BRIGHTNESS, MAX_BRIGHTNESS, MAX_LIGHT_TRIM, formatLightTrims, parseLightTrims } from './brightnessLayers.js';
+import { DEFAULT_CUSTOM_POINTS, DEFAULT_FLASH_ENVELOPE, FLASH_SHAPES, MAX_FLASH_DURATION, MIN_FLASH_DURATION } from './flashEnvelope.js';
+import { formatCurvePoints, parseCurvePoints } from './flashEnvelopeControls.js';
+import { COLOR_SCHEMES, DEFAULT_COLOR_SCHEME } from './lightColor.js';
+import { formatWaveList, parseWaveList } from './waveControls.js';
+import { DEFAULT_WAVE_PRESET, MAX_WAVES, WAVE_BLENDS, WAVE_MODE_ID, WAVE_PRESETS } from './waveFronts.js';
+import { FAULT_TYPES, formatFaultList, parseFaultList } from './lightFaults.js';
+import { parseSyncEpoch } from './phaseLockControls.js';
+import { loadNightScheduleFromURL } from './nightSchedule.js';
+import { CLOCK_PRESETS } from './clockDrift.js';
+import { DEFAULT_VOLUME, FLASH_TIMBRES } from './flashAudio.js';
+import { DEFAULT_LAYOUT, LAYOUT_LIMITS, LAYOUT_SHAPES } from './installationLayout.js';
+import { formatLayoutPoints, parseLayoutPoints } from './layoutControls.js';
+import { DEFAULT_COMPARISON_ROWS, MAX_COMPARISON_ROWS, formatComparisonRows, parseComparisonRows } from './comparisonRows.js';
+import { loadSurveyFromURL } from './gpsSurvey.js';
+import { SHOW_MODE_ID, loadLightShowFromURL } from './lightShow.js';
+import { MAX_LATITUDE } from './earthSpeedControls.js';
+import { SPEED_PRESETS } from './speedPresets.js';
+import { DEFAULT_SEGMENTS, MAX_SEGMENTS, SPEED_PROFILES, formatSegments, parseSegments } from './speedProfiles.js';
+import { BLACK_ROCK_CITY_LATITUDE, DAY_LENGTHS, EARTH_RADIUS_MODELS } from './earthRotation.js';
+
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+const MAX_SYNC_OFFSET = 2000; // milliseconds
+
+/**
+ * A file path value ('' is not a path)
+ */
+const filePath = expected => ({ type: 'text', parse: text => text.trim() || null, format: path => path, expected });
+
+/**
+ * Keep only the first param with each id (schemes and shapes share some settings)
+ */
+function uniqueParams(params) {
+    return params.filter((param, i) => params.findIndex(other => other.id === param.id) === i);
+}
+
+/**
+ * URL param for an animation mode parameter (see the schema in animationModes.js)
+ */
+function modeURLParam(param, animation) {
+    const common = {
+        id: param.id,
+        get: () => param.get(animation),
+        default: () => resolveParamValue(param.default, animation)
+    };
+    if (param.type === 'toggle') return { ...common, type: 'toggle' };
+    if (param.type === 'text') {
+        return {
+            ...common,
+            type: 'text',
+            parse: param.parse,
+            format: param.format,
+            expected: param.placeholder ? `e.g. ${param.placeholder}` : 'text'
+        };
+    }
+    return {
+        ...common,
+        type: 'number',
+        min: () => resolveParamValue(param.min, animation),
+        max: () => resolveParamValue(param.max, animation)
+    };
+}
+
+/**
+ * Build the schema for one simulator
+ * @param {object} parts - The simulator's parts (as named in createSimulator) plus
+ *                         rebuildInstallation and setControlsVisible
+ * @returns {Array<object>} Groups for readURLState and writeURLState
+ */
+export function createURLSchema(parts) {
+    const {
+        lightAnimation, layout, camera, cameraController, timeOfDayController, sunControls, unifiedControls,
+        waveControls, showControls, nightScheduler, scheduleControls, surveyControls, earthSpeedControls,
+        speedPresetControls, speedProfileControls, flashEnvelopeControls, comparisonRows, comparisonControls,
+        colorControls, lightControls, faultControls, clockControls, phaseLockControls, flashAudio, soundControls,
+        displayControls, rebuildInstallation, setControlsVisible
+    } = parts;
+
+    // Files loaded from the URL: { path, value }, value null while loading
+    const loaded = { survey: null, show: null, schedule: null };
+    const loadedPath = (key, inUse) => {
+        const file = loaded[key];
+        return file && (file.value === null || inUse(file.value)) ? file.path : undefined;
+    };
+    const builtInSchedule = nightScheduler.schedule;
+
+    const surveyed = () => layout.config.shape === 'surveyed';
+    const cameraPreset = () => CameraPresets[cameraController.currentPreset];
+    const orbiting = () => !cameraController.isWalkingMode && !cameraController.isFollowingWave;
+    const presetLook = () => getLookAngles(cameraPreset().position, cameraPreset().target);
+    const sky = () => timeOfDayController.presets[timeOfDayController.currentPreset];
+
+    const shapeParams = uniqueParams(Object.entries(FLASH_SHAPES).flatMap(([shape, definition]) =>
+        definition.params.map(param => ({ ...param, shape }))));
+    const colorParams = uniqueParams(Object.values(COLOR_SCHEMES).flatMap(definition => definition.params));
+    const profileParams = Object.entries(SPEED_PROFILES).flatMap(([profile, definition]) =>
+        definition.params.map(param => ({ ...param, profile })));
+
+    return [
+        // Installation layout
+        {
+            params: [
+                { id: 'lights', type: 'number', integer: true, ...LAYOUT_LIMITS.count, get: () => surveyed() ? undefined : layout.config.count, default: DEFAULT_LAYOUT.count },
+                { id: 'spacing', type: 'number', ...LAYOUT_LIMITS.spacing, digits: 1, get: () => surveyed() ? undefined : layout.config.spacing, default: DEFAULT_LAYOUT.spacing },
+                { id: 'height', type: 'number', ...LAYOUT_LIMITS.height, digits: 1, get: () => layout.config.height, default: DEFAULT_LAYOUT.height },
+                { id: 'shape', type: 'choice', choices: Object.keys(LAYOUT_SHAPES).filter(shape => shape !== 'surveyed'), get: () => surveyed() ? undefined : layout.config.shape, default: DEFAULT_LAYOUT.shape },
+                { id: 'arc', type: 'number', ...LAYOUT_LIMITS.arcAngle, digits: 0, get: () => layout.config.shape === 'arc' ? layout.config.arcAngle : undefined, default: DEFAULT_LAYOUT.arcAngle },
+                {
+                    id: 'points', type: 'text', parse: parseLayoutPoints, format: formatLayoutPoints, expected: 'x,z;x,z;...',
+                    get: () => layout.config.shape === 'polyline' ? layout.config.points : undefined, default: DEFAULT_LAYOUT.points
+                }
+            ],
+            apply(values) {
+                const config = {
+                    count: values.lights,
+                    spacing: values.spacing,
+                    height: values.height,
+                    shape: values.shape,
+                    arcAngle: values.arc,
+                    points: values.points
+                };
+                Object.keys(config).forEach(key => config[key] === undefined && delete config[key]);
+                rebuildInstallation(config);
+                console.log(`📍 URL: Set layout ${JSON.stringify(config)}`);
+            }
+        },
+
+        // Surveyed light positions (relative path, e.g. ?survey=surveys/2024.geojson) - replaces the layout
+        {
+            params: [{
+                id: 'survey', ...filePath('a survey file path, e.g. surveys/2024.geojson'),
+                get: () => loadedPath('survey', positions => surveyed() && layout.config.survey === positions)
+            }],
+            apply({ survey: path }, warn) {
+                const file = { path, value: null };
+                loaded.survey = file;
+                loadSurveyFromURL(path)
+                    .then(survey => {
+                        surveyControls.apply(survey);
+                        file.value = layout.config.survey;
+                        console.log(`📍 URL: Loaded survey "${path}"`);
+                    })
+                    .catch(error => {
+                        loaded.survey = null;
+                        surveyControls.setStatus(`⚠️ ${error.message}`, true);
+                        warn(error.message);
+                    });
+            }
+        },
+
+        // Time of day, then the sun's position within it (defaults follow the time of day)
+        {
+            params: [
+                { id: 'timeOfDay', type: 'choice', choices: () => timeOfDayController.presets, get: () => timeOfDayController.currentPreset, default: 'day' },
+                { id: 'sunAzimuth', type: 'number', min: 0, max: 360, digits: 0, get: () => sunControls.azimuth, default: () => sky().sunAzimuth },
+                { id: 'sunElevation', type: 'number', min: 5, max: 90, digits: 0, get: () => sunControls.elevation, default: () => sky().sunElevation },
+                { id: 'sunIntensity', type: 'number', min: 0.1, max: 5, digits: 1, get: () => sunControls.light.intensity, default: () => sky().sunIntensity }
+            ],
+            apply(values) {
+                if (values.timeOfDay) {
+                    timeOfDayController.applyPreset(values.timeOfDay);
+                    console.log(`📍 URL: Set time of day to "${values.timeOfDay}"`);
+                }
+                if (['sunAzimuth', 'sunElevation', 'sunIntensity'].some(id => id in values)) {
+                    sunControls.applyPreset(
+                        values.sunAzimuth ?? sunControls.azimuth,
+                        values.sunElevation ?? sunControls.elevation,
+                        values.sunIntensity ?? sunControls.light.intensity
+                    );
+                    console.log(`📍 URL: Set sun to ${sunControls.azimuth}° azimuth, ${sunControls.elevation}° elevation`);
+                }
+            }
+        },
+
+        // Animation mode, plus concurrent waves: a preset or an explicit list and how overlaps blend
+        // Waves on their own start the multi-wave mode
+        {
+            params: [
+                {
+                    id: 'mode', aliases: ['animation'], type: 'choice',
+                    choices: () => lightAnimation.getAvailableModes().map(mode => mode.id),
+                    get: () => lightAnimation.animationMode === SHOW_MODE_ID ? undefined : lightAnimation.animationMode,
+                    default: 'sequential'
+                },
+                {
+                    id: 'wavePreset', type: 'choice', choices: WAVE_PRESETS,
+                    get: () => lightAnimation.wavePreset === 'custom' ? undefined : lightAnimation.wavePreset,
+                    default: DEFAULT_WAVE_PRESET
+                },
+                {
+                    id: 'waves', type: 'text', parse: parseWaveList, format: formatWaveList,
+                    expected: `speed,direction,offset,brightness;... with up to ${MAX_WAVES} waves`,
+                    get: () => lightAnimation.wavePreset === 'custom' ? lightAnimation.waves : undefined
+                },
+                { id: 'waveBlend', type: 'choice', choices: WAVE_BLENDS, get: () => lightAnimation.waveBlend, default: 'max' }
+            ],
+            apply(values) {
+                if (values.mode) {
+                    lightAnimation.setAnimationMode(values.mode);
+                    console.log(`📍 URL: Set animation mode to "${values.mode}"`);
+                }
+                if (values.wavePreset) {
+                    lightAnimation.setWavePreset(values.wavePreset);
+                }
+                if (values.waves) {
+                    lightAnimation.setWaves(values.waves);
+                }
+                if (values.waveBlend) {
+                    lightAnimation.setWaveBlend(values.waveBlend);
+                }
+                if ((values.wavePreset || values.waves) && !values.mode) {
+                    lightAnimation.setAnimationMode(WAVE_MODE_ID);
+                }
+                if (values.wavePreset || values.waves || values.waveBlend) {
+                    waveControls.updateUI();
+                    console.log(`📍 URL: Set ${lightAnimation.waves.length} waves (${lightAnimation.waveBlend} blend)`);
+                }
+            }
+        },
+
+        // Parameters declared in the active mode's schema (e.g. point, lowBrightness)
+        {
+            params: () => lightAnimation.modes.get(lightAnimation.animationMode).params.map(param => modeURLParam(param, lightAnimation)),
+            apply(values) {
+                lightAnimation.setModeParams(values);
+                console.log(`📍 URL: Set ${Object.keys(values).join(', ')}`);
+            }
+        },
+
+        // Show file (relative path, e.g. ?show=shows/example.json) - overrides the mode
+        {
+            params: [{
+                id: 'show', ...filePath('a show file path, e.g. shows/example.json'),
+                get: () => loadedPath('show', show =>
+                    lightAnimation.animationMode === SHOW_MODE_ID && lightAnimation.modes.get(SHOW_MODE_ID).show === show)
+            }],
+            apply({ show: path }, warn) {
+                const file = { path, value: null };
+                loaded.show = file;
+                loadLightShowFromURL(path)
+                    .then(show => {
+                        showControls.play(show, path);
+                        file.value = show;
+                        unifiedControls.switchTab('animation');
+                        console.log(`📍 URL: Loaded show "${path}"`);
+                    })
+                    .catch(error => {
+                        loaded.show = null;
+                        showControls.setStatus(`⚠️ ${error.message}`, true);
+                        warn(error.message);
+                    });
+            }
+        },
+
+        // Night schedule: follow it by the clock (?schedule for the built-in one, or ?schedule=schedules/night.json),
+        // or fast-forward the whole night in a number of minutes (?schedulePreview=3)
+        {
+            params: [
+                {
+                    id: 'schedule', type: 'text', parse: text => text.trim(), format: path => path,
+                    expected: 'a schedule file path, or nothing for the built-in schedule',
+                    get() {
+                        const path = loadedPath('schedule', schedule => nightScheduler.running && nightScheduler.schedule === schedule);
+                        if (path !== undefined) return path;
+                        const following = nightScheduler.running && !nightScheduler.isPreviewing();
+                        return following && nightScheduler.schedule === builtInSchedule ? '' : undefined;
+                    }
+                },
+                {
+                    id: 'schedulePreview', type: 'number', min: 0.1, max: 60, digits: 1,
+                    get: () => nightScheduler.running && nightScheduler.isPreviewing() ? scheduleControls.previewMinutes : undefined
+                }
+            ],
+            apply({ schedule: path, schedulePreview: previewMinutes }, warn) {
+                const run = () => {
+                    if (previewMinutes !== undefined) {
+                        scheduleControls.previewMinutes = previewMinutes;
+                        nightScheduler.startPreview(previewMinutes);
+                        console.log(`📍 URL: Previewing night schedule in ${previewMinutes} min`);
+                    } else {
+                        nightScheduler.start();
+                        console.log('📍 URL: Following night schedule');
+                    }
+                    scheduleControls.updateUI();
+                };
+
+                if (!path) {
+                    run();
+                    return;
+                }
+                const file = { path, value: null };
+                loaded.schedule = file;
+                loadNightScheduleFromURL(path)
+                    .then(schedule => {
+                        scheduleControls.load(schedule, path);
+                        file.value = schedule;
+                        run();
+                    })
+                    .catch(error => {
+                        loaded.schedule = null;
+                        scheduleControls.setStatus(`⚠️ ${error.message}`, true);
+                        warn(error.message);
+                    });
+            }
+        },
+
+        // Earth rotation speed: latitude, day length and Earth model
+        {
+            params: [
+                { id: 'lat', aliases: ['latitude'], type: 'number', min: -MAX_LATITUDE, max: MAX_LATITUDE, digits: 4, get: () => earthSpeedControls.latitude, default: BLACK_ROCK_CITY_LATITUDE },
+                { id: 'day', type: 'choice', choices: DAY_LENGTHS, get: () => earthSpeedControls.day, default: 'sidereal' },
+                { id: 'radius', type: 'choice', choices: EARTH_RADIUS_MODELS, get: () => earthSpeedControls.radiusModel, default: 'wgs84' }
+            ],
+            apply(values) {
+                earthSpeedControls.setLocation({ latitude: values.lat, day: values.day, radiusModel: values.radius });
+                console.log(`📍 URL: Set latitude ${earthSpeedControls.latitude}° (${earthSpeedControls.day}, ${earthSpeedControls.radiusModel}) → ${earthSpeedControls.speed.toFixed(0)} ft/s`);
+            }
+        },
+
+        // "Speed of X" preset (after the latitude, which sets Earth's rotation) and its caption
+        {
+            params: [
+                { id: 'speedOf', type: 'choice', choices: SPEED_PRESETS, get: () => lightAnimation.speedPreset, default: 'earth' },
+                { id: 'caption', type: 'toggle', get: () => speedPresetControls.captionVisible, default: true }
+            ],
+            apply(values) {
+                if (values.speedOf) {
+                    speedPresetControls.setPreset(values.speedOf);
+                    console.log(`📍 URL: Set speed preset "${values.speedOf}" → ${lightAnimation.EARTH_ROTATION_SPEED.toFixed(0)} ft/s`);
+                }
+                if (values.caption !== undefined) {
+                    speedPresetControls.captionVisible = values.caption;
+                    speedPresetControls.updateUI();
+                }
+            }
+        },
+
+        // Speed profile along the line, e.g. ?speedProfile=acceleration&startSpeed=0.5&endSpeed=2 or ?segments=1,2,0.5
+        // A profile's settings on their own pick that profile
+        {
+            params: [
+                { id: 'speedProfile', type: 'choice', choices: SPEED_PROFILES, get: () => lightAnimation.speedProfile.profile, default: 'constant' },
+                ...profileParams.map(param => ({
+                    id: param.id, type: 'number', min: param.min, max: param.max,
+                    get: () => lightAnimation.speedProfile.profile === param.profile ? lightAnimation.speedProfile[param.id] : undefined,
+                    default: param.default
+                })),
+                {
+                    id: 'segments', type: 'text', parse: parseSegments, format: formatSegments,
+                    expected: `up to ${MAX_SEGMENTS} multiples of the wave speed, e.g. 1,2,0.5`,
+                    get: () => lightAnimation.speedProfile.profile === 'segments' ? lightAnimation.speedProfile.segments : undefined,
+                    default: DEFAULT_SEGMENTS
+                }
+            ],
+            apply(values) {
+                const implied = values.segments ? 'segments' : profileParams.find(param => param.id in values)?.profile;
+                lightAnimation.setSpeedProfile({ ...values, profile: values.speedProfile || implied });
+                speedProfileControls.updateUI();
+                console.log(`📍 URL: Set speed profile ${SPEED_PROFILES[lightAnimation.speedProfile.profile].name}`);
+            }
+        },
+
+        // Flash envelope: shape, duration in milliseconds and the shape's settings
+        // A shape's settings (or ?flashCurve=t,level;...) on their own pick that shape
+        {
+            params: [
+                { id: 'envelope', type: 'choice', choices: FLASH_SHAPES, get: () => lightAnimation.flashEnvelope.shape, default: DEFAULT_FLASH_ENVELOPE.shape },
+                {
+                    id: 'flashDuration', type: 'number', min: MIN_FLASH_DURATION * 1000, max: MAX_FLASH_DURATION * 1000, scale: 1000, digits: 0,
+                    get: () => lightAnimation.flashEnvelope.duration, default: DEFAULT_FLASH_ENVELOPE.duration
+                },
+                ...shapeParams.map(param => ({
+                    id: param.id, type: 'number', min: param.min, max: param.max,
+                    get: () => lightAnimation.flashEnvelope.shape === param.shape ? lightAnimation.flashEnvelope[param.id] : undefined,
+                    default: param.default
+                })),
+                {
+                    id: 'flashCurve', type: 'text', parse: parseCurvePoints, format: formatCurvePoints, expected: 'time,level;... with values 0-1',
+                    get: () => lightAnimation.flashEnvelope.shape === 'custom' ? lightAnimation.flashEnvelope.points : undefined,
+                    default: DEFAULT_CUSTOM_POINTS
+                }
+            ],
+            apply(values) {
+                const implied = values.flashCurve ? 'custom' : shapeParams.find(param => param.id in values)?.shape;
+                const envelope = { ...values, shape: values.envelope || implied, duration: values.flashDuration, points: values.flashCurve };
+                ['envelope', 'flashDuration', 'flashCurve'].forEach(id => delete envelope[id]);
+                Object.keys(envelope).forEach(key => envelope[key] === undefined && delete envelope[key]);
+
+                lightAnimation.setFlashEnvelope(envelope);
+                flashEnvelopeControls.updateUI();
+                console.log(`📍 URL: Set flash envelope ${lightAnimation.flashEnvelope.shape}, ${Math.round(lightAnimation.FLASH_DURATION * 1000)} ms`);
+            }
+        },
+
+        // Speed comparison rows beside the installation, e.g. ?compare=equator;sound;lat:64.1;1500 (empty for the defaults, off for none)
+        {
+            params: [{
+                id: 'compare', type: 'text',
+                parse(text) {
+                    if (text.trim() === '') return DEFAULT_COMPARISON_ROWS;
+                    if (text.trim().toLowerCase() === 'off') return [];
+                    return parseComparisonRows(text);
+                },
+                format: rows => rows.length > 0 ? formatComparisonRows(rows) : 'off',
+                expected: `up to ${MAX_COMPARISON_ROWS} of equator, sound, lat:<degrees> or a speed in ft/s, separated by ;`,
+                get: () => comparisonRows.getRows(),
+                default: []
+            }],
+            apply({ compare: rows }) {
+                comparisonRows.setRows(rows);
+                comparisonControls.updateUI();
+                console.log(`📍 URL: Comparing with ${rows.length} rows`);
+            }
+        },
+
+        // Light colour: scheme plus its settings (colours as hex without '#', temperatures in kelvin)
+        // A lone color or kelvin picks the static or temperature scheme
+        {
+            params: [
+                { id: 'colorScheme', type: 'choice', choices: COLOR_SCHEMES, get: () => lightAnimation.colorScheme.scheme, default: DEFAULT_COLOR_SCHEME.scheme },
+                ...colorParams.map(param => {
+                    const inScheme = () => COLOR_SCHEMES[lightAnimation.colorScheme.scheme].params.some(other => other.id === param.id);
+                    const common = {
+                        id: param.id,
+                        get: () => inScheme() ? lightAnimation.colorScheme[param.id] : undefined,
+                        default: DEFAULT_COLOR_SCHEME[param.id]
+                    };
+                    if (param.type === 'color') {
+                        return {
+                            ...common,
+                            type: 'text',
+                            parse: text => /^#?[0-9a-f]{6}$/i.test(text.trim()) ? `#${text.trim().replace(/^#/, '').toLowerCase()}` : null,
+                            format: color => color.replace(/^#/, ''),
+                            expected: 'a hex colour like ff8800'
+                        };
+                    }
+                    return { ...common, type: 'number', min: param.min, max: param.max, digits: 0 };
+                })
+            ],
+            apply(values) {
+                const scheme = { ...values };
+                delete scheme.colorScheme;
+                scheme.scheme = values.colorScheme || ('kelvin' in values ? 'temperature' : 'color' in values ? 'static' : undefined);
+                if (scheme.scheme === undefined) delete scheme.scheme;
+
+                lightAnimation.setColorScheme(scheme);
+                colorControls.updateUI();
+                console.log(`📍 URL: Set colour scheme ${COLOR_SCHEMES[lightAnimation.colorScheme.scheme].name}`);
+            }
+        },
+
+        // Brightness layers: master (slider scale), time-of-day auto dimmer and per-light trims (1-based light numbers;
+        // they replace any trims already set, so an empty list clears them), plus how far the light reaches
+        {
+            params: [
+                { id: 'brightness', type: 'number', min: 0, max: MAX_BRIGHTNESS, digits: 0, get: () => lightAnimation.masterBrightness, default: FULL_BRIGHTNESS },
+                { id: 'autoDim', type: 'toggle', get: () => lightAnimation.autoDimmer, default: false },
+                {
+                    id: 'trims', type: 'text',
+                    parse: text => text.trim() === '' ? [] : parseLightTrims(text, lightAnimation.lights.length),
+                    format: formatLightTrims,
+                    expected: `light:trim,... with lights 1-${lightAnimation.lights.length} and trims 0-${MAX_LIGHT_TRIM}`,
+                    get: () => lightAnimation.lightTrims,
+                    default: []
+                },
+                { id: 'lightDistance', type: 'number', min: 50, max: 500, digits: 0, get: () => lightControls.distance, default: 200 }
+            ],
+            apply(values) {
+                if (values.brightness !== undefined) {
+                    lightAnimation.setMasterBrightness(values.brightness);
+                }
+                if (values.autoDim !== undefined) {
+                    lightAnimation.setAutoDimmer(values.autoDim);
+                }
+                if (values.trims) {
+                    lightAnimation.clearLightTrims();
+                    values.trims.forEach(([index, trim]) => lightAnimation.setLightTrim(index, trim));
+                }
+                if (values.lightDistance !== undefined) {
+                    lightControls.setDistance(values.lightDistance);
+                }
+                lightControls.updateUIFromAnimation();
+                console.log(`📍 URL: Set brightness ${lightAnimation.masterBrightness}${lightAnimation.autoDimmer ? ' (auto dimmed)' : ''}, ${lightControls.distance} ft reach`);
+            }
+        },
+
+        // Fixture faults: random rates first (percent of lights), then individual lights on top
+        // (0-based light indices with an optional percent for dim level or flicker dropout, e.g. ?dead=3,7&dim=12:40)
+        // A list replaces that type's faults, so an empty one repairs them. The link lists every faulty light,
+        // so it doesn't depend on the random draw
+        {
+            params: [
+                { id: 'faultSeed', type: 'number', integer: true, get: () => lightAnimation.faultSeed, default: 1 },
+                ...Object.keys(FAULT_TYPES).map(type => ({ id: `${type}Rate`, type: 'number', min: 0, max: 100, scale: 100 })),
+                ...Object.keys(FAULT_TYPES).map(type => ({
+                    id: type, type: 'text',
+                    parse: text => text.trim() === '' ? [] : parseFaultList(type, text, lightAnimation.lights.length),
+                    format: faults => formatFaultList(type, faults),
+                    expected: `light indices 0-${lightAnimation.lights.length - 1}, each with an optional :percent`,
+                    get: () => lightAnimation.faults,
+                    default: []
+                }))
+            ],
+            apply(values) {
+                if (values.faultSeed !== undefined) {
+                    lightAnimation.faultSeed = values.faultSeed;
+                }
+                const rates = {};
+                Object.keys(FAULT_TYPES).forEach(type => {
+                    if (values[`${type}Rate`] !== undefined) rates[type] = values[`${type}Rate`];
+                });
+                if (Object.keys(rates).length > 0) {
+                    lightAnimation.setRandomFaults(rates);
+                    Object.assign(faultControls.rates, rates);
+                }
+                Object.keys(FAULT_TYPES).filter(type => values[type]).forEach(type => {
+                    lightAnimation.faults.forEach((fault, index) => fault?.type === type && lightAnimation.setLightFault(index, null));
+                    values[type].forEach(([index, fault]) => lightAnimation.setLightFault(index, fault));
+                });
+                faultControls.updateUI();
+                console.log(`📍 URL: Faults (seed ${lightAnimation.faultSeed}): ${faultControls.describeCounts()}`);
+            }
+        },
+
+        // Controller clocks: preset and seed (e.g. ?clocks=crystal&clockSeed=7); edited clocks can't be shared
+        {
+            params: [
+                {
+                    id: 'clocks', type: 'choice', choices: CLOCK_PRESETS,
+                    get: () => lightAnimation.clockPreset === 'custom' ? undefined : lightAnimation.clockPreset,
+                    default: 'ideal'
+                },
+                { id: 'clockSeed', type: 'number', integer: true, get: () => lightAnimation.clockSeed, default: 1 }
+            ],
+            apply(values, warn) {
+                const preset = values.clocks || lightAnimation.clockPreset;
+                if (!CLOCK_PRESETS[preset]) {
+                    warn(`clockSeed needs a clocks preset (${Object.keys(CLOCK_PRESETS).join(', ')})`);
+                    return;
+                }
+                lightAnimation.setClockPreset(preset, values.clockSeed ?? lightAnimation.clockSeed);
+                clockControls.updateUI();
+                console.log(`📍 URL: Set clocks to ${CLOCK_PRESETS[preset].name} (seed ${lightAnimation.clockSeed})`);
+            }
+        },
+
+        // Playback: speed multiplier, time in seconds (kept in the link while paused) and paused
+        {
+            params: [
+                { id: 'speed', type: 'number', min: MIN_SPEED_MULTIPLIER, max: MAX_SPEED_MULTIPLIER, get: () => lightAnimation.speedMultiplier, default: 1 },
+                { id: 'time', type: 'number', min: 0, get: () => lightAnimation.paused ? lightAnimation.currentTime : undefined },
+                { id: 'paused', type: 'toggle', get: () => lightAnimation.paused, default: false }
+            ],
+            apply(values) {
+                if (values.speed !== undefined) {
+                    lightAnimation.setSpeedMultiplier(values.speed);
+                }
+                if (values.time !== undefined) {
+                    lightAnimation.seek(values.time);
+                }
+                if (values.paused !== undefined) {
+                    lightAnimation.setPaused(values.paused);
+                }
+                console.log(`📍 URL: Playback ${lightAnimation.speedMultiplier}x at ${lightAnimation.currentTime.toFixed(3)} s${lightAnimation.paused ? ', paused' : ''}`);
+            }
+        },
+
+        // Wall-clock phase lock: epoch as Unix seconds or a date, offset in ms (e.g. ?sync&syncOffset=-120)
+        // An epoch or offset on its own switches the lock on
+        {
+            params: [
+                { id: 'sync', type: 'toggle', get: () => lightAnimation.wallClockSync, default: false },
+                {
+                    id: 'syncEpoch', type: 'text', parse: parseSyncEpoch, format: String,
+                    expected: 'Unix seconds or a date like 2025-08-24T21:00:00Z',
+                    get: () => lightAnimation.wallClockSync ? lightAnimation.syncEpoch : undefined,
+                    default: 0
+                },
+                {
+                    id: 'syncOffset', type: 'number', min: -MAX_SYNC_OFFSET, max: MAX_SYNC_OFFSET, scale: 1000, digits: 0,
+                    get: () => lightAnimation.wallClockSync ? lightAnimation.syncOffset : undefined,
+                    default: 0
+                }
+            ],
+            apply(values) {
+                const enabled = values.sync ?? true;
+                lightAnimation.setWallClockSync(enabled, { epoch: values.syncEpoch, offset: values.syncOffset });
+                phaseLockControls.updateUI();
+                console.log(`📍 URL: Wall-clock sync ${enabled ? 'ON' : 'OFF'} (epoch ${lightAnimation.syncEpoch}, offset ${lightAnimation.syncOffset * 1000} ms)`);
+            }
+        },
+
+        // Flash sound: timbre (or "off") and volume in percent (e.g. ?sound=tone&volume=30)
+        // Browsers start audio on the first click or key press after the page loads
+        {
+            params: [
+                { id: 'volume', type: 'number', min: 0, max: 100, scale: 100, digits: 0, get: () => flashAudio.volume, default: DEFAULT_VOLUME },
+                {
+                    id: 'sound', type: 'choice', choices: [...Object.keys(FLASH_TIMBRES), 'off'],
+                    get: () => flashAudio.muted ? 'off' : flashAudio.timbre,
+                    default: 'off'
+                }
+            ],
+            apply(values) {
+                if (values.volume !== undefined) {
+                    flashAudio.setVolume(values.volume);
+                }
+                if (values.sound === 'off') {
+                    flashAudio.setMuted(true);
+                } else if (values.sound) {
+                    flashAudio.setTimbre(values.sound);
+                    flashAudio.setMuted(false);
+                }
+                soundControls.updateUI();
+                console.log(`📍 URL: Flash sound ${flashAudio.muted ? 'off' : FLASH_TIMBRES[flashAudio.timbre].name}, ${Math.round(flashAudio.volume * 100)}%`);
+            }
+        },
+
+        // Camera: preset, then position (not while following the wave), then where it looks -
+        // a target for the orbiting presets, yaw and pitch in degrees for walking
+        {
+            params: [
+                {
+                    id: 'camera', aliases: ['cameraMode'], type: 'choice',
+                    choices: Object.keys(CameraPresets).map(key => key.toLowerCase()),
+                    get: () => cameraController.currentPreset.toLowerCase(),
+                    default: 'walking'
+                },
+                ...['x', 'y', 'z'].map(axis => ({
+                    id: `camera${axis.toUpperCase()}`, aliases: [axis], type: 'number', digits: 1,
+                    get: () => cameraController.isFollowingWave ? undefined : camera.position[axis],
+                    default: () => cameraPreset().position[axis]
+                })),
+                ...['x', 'y', 'z'].map(axis => ({
+                    id: `target${axis.toUpperCase()}`, type: 'number', digits: 1,
+                    get: () => orbiting() ? cameraController.controls.target[axis] : undefined,
+                    default: () => cameraPreset().target[axis]
+                })),
+                {
+                    id: 'yaw', type: 'number', scale: RADIANS_TO_DEGREES, digits: 1,
+                    get: () => cameraController.isWalkingMode ? Math.atan2(Math.sin(cameraController.euler.y), Math.cos(cameraController.euler.y)) : undefined,
+                    default: () => presetLook().yaw
+                },
+                {
+                    id: 'pitch', type: 'number', min: -90, max: 90, scale: RADIANS_TO_DEGREES, digits: 1,
+                    get: () => cameraController.isWalkingMode ? cameraController.euler.x : undefined,
+                    default: () => presetLook().pitch
+                }
+            ],
+            apply(values) {
+                if (values.camera) {
+                    cameraController.setPreset(values.camera.toUpperCase(), false);
+                    console.log(`📍 URL: Set camera preset to "${values.camera.toUpperCase()}"`);
+                }
+
+                const position = ['cameraX', 'cameraY', 'cameraZ'].map((id, i) => values[id] ?? camera.position.getComponent(i));
+                camera.position.set(...position);
+
+                const target = ['targetX', 'targetY', 'targetZ'].map((id, i) => values[id] ?? cameraController.controls.target.getComponent(i));
+                if (['targetX', 'targetY', 'targetZ'].some(id => id in values)) {
+                    cameraController.controls.target.set(...target);
+                    camera.lookAt(...target);
+                    cameraController.euler.setFromQuaternion(camera.quaternion);
+                }
+
+                if (cameraController.isWalkingMode && ('yaw' in values || 'pitch' in values)) {
+                    cameraController.euler.set(values.pitch ?? cameraController.euler.x, values.yaw ?? cameraController.euler.y, 0);
+                    camera.quaternion.setFromEuler(cameraController.euler);
+                }
+                console.log(`📍 URL: Camera at (${position.map(value => value.toFixed(0)).join(', ')})`);
+            }
+        },
+
+        // Display: scale circles, and the panels (off for a clean embed, ?controls=off)
+        {
+            params: [
+                { id: 'scaleCircles', type: 'toggle', get: () => displayControls.scaleCirclesVisible, default: false },
+                { id: 'controls', type: 'toggle', get: () => !document.body.classList.contains('simulator-controls-hidden'), default: true }
+            ],
+            apply(values) {
+                if (values.scaleCircles !== undefined) {
+                    displayControls.setScaleCirclesVisible(values.scaleCircles);
+                }
+                if (values.controls !== undefined) {
+                    setControlsVisible(values.controls);
+                    console.log(`📍 URL: Controls ${values.controls ? 'shown' : 'hidden'}`);
+                }
+            }
+        }
+    ];
+}
@@ -0,0 +1,147 @@
+/**
+ * URL State
+ * Read every setting from the page URL, and write the current setup back as a share link
+ *
+ * Settings are described by a schema: a list of groups, applied in order (e.g. the layout
+ * before anything that depends on the light count):
+ *   { params, apply(values, warn) }
+ *   params - Array of params, or a function returning them (e.g. the active mode's)
+ *   apply  - Called with the valid values found in the URL (param id → value) when there is
+ *            at least one; warn(message) reports problems found later (e.g. a file failing to load)
+ *
+ * A param is a plain object:
+ *   { id, aliases, type, get(), default, ...type fields }
+ *   type 'number' - min, max (in URL units; either may be a function), integer,
+ *                   scale (URL value = value × scale, e.g. 100 for percent), digits (decimal places written, default 3)
+ *   type 'choice' - choices: object or array of ids (matched case-insensitively)
+ *   type 'toggle' - on or off (a bare ?paused is on)
+ *   type 'text'   - parse(text) → value or null if invalid, format(value), expected (for warnings)
+ *   get()   - Current value, or undefined to leave the param out of the link; params without get are read-only
+ *   default - Value left out of the link (may be a function); without one, every value is written
+ */
+
+const resolve = value => typeof value === 'function' ? value() : value;
+
+function choiceIds(param) {
+    const choices = resolve(param.choices);
+    return Array.isArray(choices) ? choices : Object.keys(choices);
+}
+
+/**
+ * Read one value written in the URL
+ * @param {object} param - Schema entry
+ * @param {string} text - Raw value
+ * @returns {*} Value, or null if invalid
+ */
+export function parseURLValue(param, text) {
+    switch (param.type) {
+        case 'number': {
+            const value = text.trim() === '' ? NaN : Number(text);
+            const min = resolve(param.min) ?? -Infinity;
+            const max = resolve(param.max) ?? Infinity;
+            const valid = Number.isFinite(value) && value >= min && value <= max && (!param.integer || Number.isInteger(value));
+            return valid ? value / (param.scale || 1) : null;
+        }
+        case 'choice': {
+            const lower = text.trim().toLowerCase();
+            return choiceIds(param).find(id => id.toLowerCase() === lower) ?? null;
+        }
+        case 'toggle': {
+            const lower = text.trim().toLowerCase();
+            if (['', '1', 'on', 'true', 'yes'].includes(lower)) return true;
+            if (['0', 'off', 'false', 'no'].includes(lower)) return false;
+            return null;
+        }
+        case 'text':
+            return param.parse(text);
+        default:
+            throw new Error(`Unknown URL param type "${param.type}" for ${param.id}`);
+    }
+}
+
+/**
+ * Write one value as it appears in the URL
+ * @returns {string}
+ */
+export function formatURLValue(param, value) {
+    switch (param.type) {
+        case 'number':
+            return String(Number((value * (param.scale || 1)).toFixed(param.digits ?? 3)));
+        case 'toggle':
+            return value ? 'on' : 'off';
+        case 'text':
+            return param.format(value);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Describe what a param accepts, for warnings
+ */
+export function describeURLValue(param) {
+    switch (param.type) {
+        case 'number': {
+            const [min, max] = [resolve(param.min), resolve(param.max)];
+            const kind = param.integer ? 'a whole number' : 'a number';
+            return min !== undefined && max !== undefined ? `${kind} from ${min} to ${max}` : kind;
+        }
+        case 'choice':
+            return `one of ${choiceIds(param).join(', ')}`;
+        case 'toggle':
+            return 'on or off';
+        default:
+            return param.expected;
+    }
+}
+
+/**
+ * Apply the settings in a URL, group by group
+ * @param {Array<object>} schema - Groups (see above)
+ * @param {URLSearchParams} params - e.g. from window.location.search
+ * @param {Function} warn - Called with a message for each invalid value
+ * @returns {Array<string>} Names in the URL that no param read (e.g. embedOrigin)
+ */
+export function readURLState(schema, params, warn) {
+    const read = new Set();
+    schema.forEach(group => {
+        const values = {};
+        resolve(group.params).forEach(param => {
+            const name = [param.id, ...(param.aliases || [])].find(key => params.has(key));
+            if (name === undefined) return;
+            read.add(name);
+
+            const text = params.get(name);
+            const value = parseURLValue(param, text);
+            if (value === null) {
+                warn(`Invalid ${name} "${text}" (expected ${describeURLValue(param)})`);
+            } else {
+                values[param.id] = value;
+            }
+        });
+        if (Object.keys(values).length > 0) {
+            group.apply(values, warn);
+        }
+    });
+    return [...new Set(params.keys())].filter(name => !read.has(name));
+}
+
+/**
+ * Write the current settings, leaving out the ones at their defaults
+ * @param {Array<object>} schema - Groups (see above)
+ * @param {object} options - { includeDefaults: write those too, so reading them back
+ *                             restores every setting over whatever was set before (e.g. a saved scenario) }
+ * @returns {URLSearchParams}
+ */
+export function writeURLState(schema, { includeDefaults = false } = {}) {
+    const params = new URLSearchParams();
+    schema.forEach(group => resolve(group.params).forEach(param => {
+        const value = param.get ? param.get() : undefined;
+        if (value === undefined) return;
+
+        const text = formatURLValue(param, value);
+        if (!includeDefaults && 'default' in param && text === formatURLValue(param, resolve(param.default))) return;
+        params.set(param.id, text);
+    }));
+    return params;
+}
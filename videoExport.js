@@ -0,0 +1,214 @@
+/**
+ * Video Export
+ * Render the simulation frame by frame at a fixed timestep and encode it as WebM
+ *
+ * Every frame shows the simulation exactly 1 / frame rate seconds after the one before, however
+ * long it takes to render, so short flashes land on the frames they would be seen in. Frames are
+ * encoded with WebCodecs and written by webmMuxer.js. Browsers without WebCodecs fall back to
+ * MediaRecorder, which timestamps frames as they arrive: those exports are paced in real time and
+ * are only frame-accurate if the machine keeps up.
+ */
+
+import * as THREE from 'three';
+import { WebMMuxer } from './webmMuxer.js';
+
+export const EXPORT_RESOLUTIONS = {
+    '720p': { name: '1280 × 720 (720p)', width: 1280, height: 720 },
+    '1080p': { name: '1920 × 1080 (1080p)', width: 1920, height: 1080 },
+    '1440p': { name: '2560 × 1440 (1440p)', width: 2560, height: 1440 },
+    '4k': { name: '3840 × 2160 (4K)', width: 3840, height: 2160 }
+};
+export const EXPORT_FRAME_RATES = [24, 25, 30, 50, 60];
+export const MAX_EXPORT_DURATION = 600; // seconds
+
+// WebCodecs codec strings, best first, with their Matroska codec ids
+const CODECS = [
+    { codec: 'vp09.00.51.08', matroska: 'V_VP9' }, // Profile 0, level 5.1 (up to 4K), 8-bit
+    { codec: 'vp09.00.41.08', matroska: 'V_VP9' },
+    { codec: 'vp8', matroska: 'V_VP8' }
+];
+const BITS_PER_PIXEL = 0.15; // bitrate per pixel per frame (~9 Mbps at 1080p30)
+const KEY_FRAME_INTERVAL = 2; // seconds between key frames (seek points)
+const MAX_ENCODE_QUEUE = 8; // frames waiting for the encoder before rendering waits
+const YIELD_EVERY = 4; // frames rendered between letting the page update (progress, cancel)
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * How this browser can encode video
+ * @returns {string|null} 'webcodecs', 'mediarecorder', or null if it can't
+ */
+export function getVideoEncoderKind() {
+    if (typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined') return 'webcodecs';
+    if (typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function') return 'mediarecorder';
+    return null;
+}
+
+/**
+ * Render and encode a video of the simulation from its current state
+ * @param {object} parts - { renderer, scene, camera, lightAnimation, step(deltaTime) advancing everything one frame }
+ * @param {object} options - { width, height, frameRate, duration (seconds), signal (AbortSignal to cancel),
+ *                             onProgress(fraction) }
+ * @returns {Promise<object|null>} { blob, frames, lateFrames (MediaRecorder only) }, or null if cancelled
+ * @throws {Error} If the browser can't encode the video
+ */
+export async function exportVideo(parts, { width, height, frameRate, duration, signal, onProgress = () => {} }) {
+    const { renderer, scene, camera, lightAnimation, step } = parts;
+    const kind = getVideoEncoderKind();
+    if (!kind) {
+        throw new Error('This browser can\'t encode video (needs WebCodecs or MediaRecorder)');
+    }
+    const frames = Math.max(1, Math.round(duration * frameRate));
+
+    // A renderer of its own, so the page's canvas keeps its size
+    const canvas = document.createElement('canvas');
+    const exportRenderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: false, preserveDrawingBuffer: true });
+    exportRenderer.setPixelRatio(1);
+    exportRenderer.setSize(width, height, false);
+    exportRenderer.shadowMap.enabled = renderer.shadowMap.enabled;
+    exportRenderer.shadowMap.type = renderer.shadowMap.type;
+    exportRenderer.outputColorSpace = renderer.outputColorSpace;
+    exportRenderer.toneMapping = renderer.toneMapping;
+    exportRenderer.toneMappingExposure = renderer.toneMappingExposure;
+
+    const aspect = camera.aspect;
+    const clockStart = lightAnimation.now();
+    let writer = null;
+
+    try {
+        writer = kind === 'webcodecs' ?
+            await createWebCodecsWriter(canvas, { width, height, frameRate }) :
+            createMediaRecorderWriter(canvas, { width, height, frameRate });
+
+        for (let index = 0; index < frames; index++) {
+            if (signal?.aborted) return null;
+
+            // The first frame is the current moment; each after it one timestep later
+            lightAnimation.clockOverride = clockStart + index * 1000 / frameRate;
+            step(index === 0 ? 0 : 1 / frameRate);
+
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+            exportRenderer.render(scene, camera);
+            await writer.addFrame(index);
+
+            onProgress((index + 1) / frames);
+            if (index % YIELD_EVERY === 0) await nextTask();
+        }
+        return { ...await writer.finish(), frames };
+    } finally {
+        writer?.close();
+        lightAnimation.clockOverride = null;
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+        exportRenderer.dispose();
+        exportRenderer.forceContextLoss();
+    }
+}
+
+/**
+ * Encode frames with WebCodecs and mux them into WebM
+ */
+async function createWebCodecsWriter(canvas, { width, height, frameRate }) {
+    const bitrate = Math.round(width * height * frameRate * BITS_PER_PIXEL);
+    let chosen = null;
+    for (const candidate of CODECS) {
+        const config = { codec: candidate.codec, width, height, bitrate, framerate: frameRate, latencyMode: 'quality' };
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (supported) {
+            chosen = { ...candidate, config };
+            break;
+        }
+    }
+    if (!chosen) {
+        throw new Error(`This browser can't encode ${width} × ${height} WebM video`);
+    }
+
+    const muxer = new WebMMuxer({ codec: chosen.matroska, width, height, frameRate });
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: chunk => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            muxer.addFrame(data, chunk.timestamp, chunk.type === 'key');
+        },
+        error: error => failure = error
+    });
+    encoder.configure(chosen.config);
+    console.log(`🎞️ Encoding ${width} × ${height} at ${frameRate} fps with ${chosen.codec} (${(bitrate / 1e6).toFixed(1)} Mbps)`);
+
+    const frameDuration = 1e6 / frameRate; // µs
+    const checkFailure = () => {
+        if (failure) throw new Error(`Video encoder failed: ${failure.message}`);
+    };
+
+    return {
+        async addFrame(index) {
+            checkFailure();
+            const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) });
+            encoder.encode(frame, { keyFrame: index % Math.round(KEY_FRAME_INTERVAL * frameRate) === 0 });
+            frame.close();
+
+            // Don't render far ahead of the encoder (each queued frame holds a full image)
+            while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && encoder.state === 'configured') {
+                await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+                checkFailure();
+            }
+        },
+        async finish() {
+            await encoder.flush();
+            checkFailure();
+            return { blob: muxer.finish(), lateFrames: 0 };
+        },
+        close() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
+
+/**
+ * Record frames with MediaRecorder, one frame every 1 / frame rate seconds of real time
+ */
+function createMediaRecorderWriter(canvas, { width, height, frameRate }) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('This browser can\'t record WebM video');
+    }
+
+    const stream = canvas.captureStream(0); // Frames only when requested
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(width * height * frameRate * BITS_PER_PIXEL) });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', e => chunks.push(e.data));
+    recorder.start();
+    console.log(`🎞️ Recording ${width} × ${height} at ${frameRate} fps with MediaRecorder (${mimeType}), paced in real time`);
+
+    const start = performance.now();
+    let lateFrames = 0;
+
+    return {
+        async addFrame(index) {
+            // The recorder stamps frames as they arrive, so each one must arrive on time
+            const due = start + index * 1000 / frameRate;
+            const wait = due - performance.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            } else if (wait < -1000 / frameRate) {
+                lateFrames++;
+            }
+            track.requestFrame();
+        },
+        async finish() {
+            // Hold the last frame for its full duration
+            await new Promise(resolve => setTimeout(resolve, 1000 / frameRate));
+            const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+            recorder.stop();
+            await stopped;
+            return { blob: new Blob(chunks, { type: 'video/webm' }), lateFrames };
+        },
+        close() {
+            if (recorder.state !== 'inactive') recorder.stop();
+            track.stop();
+        }
+    };
+}
@@ -0,0 +1,200 @@
+/**
+ * Video Export Controls
+ * Export a frame-accurate WebM video of the simulation at a chosen size and frame rate
+ */
+
+import { getCameraPathDuration } from './cameraPath.js';
+import { EXPORT_FRAME_RATES, EXPORT_RESOLUTIONS, MAX_EXPORT_DURATION, exportVideo, getVideoEncoderKind } from './videoExport.js';
+
+const DEFAULT_DURATION = 10; // seconds
+
+export class VideoExportControls {
+    /**
+     * @param {object} parts - { renderer, scene, camera, lightAnimation, cameraController, cameraPathControls,
+     *                           flashAudio, step(deltaTime) advancing the whole simulation one frame }
+     * @param {HTMLElement} container - Display tab
+     */
+    constructor(parts, container) {
+        this.parts = parts;
+        this.container = container;
+        this.exporting = false; // The export drives the simulation meanwhile (the page's loop stands still)
+        this.abortController = null;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const kind = getVideoEncoderKind();
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Video Export</div>
+            <div class="mode-select-container">
+                <select id="export-resolution" class="mode-selector">
+                    ${Object.entries(EXPORT_RESOLUTIONS).map(([key, resolution]) => `
+                        <option value="${key}">${resolution.name}</option>
+                    `).join('')}
+                    <option value="window">Window size</option>
+                </select>
+            </div>
+            <div class="mode-select-container">
+                <select id="export-frame-rate" class="mode-selector">
+                    ${EXPORT_FRAME_RATES.map(rate => `
+                        <option value="${rate}">${rate} fps</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="mode-param">
+                <label>Duration (s): </label>
+                <input type="number" id="export-duration" class="export-input" min="0.1" max="${MAX_EXPORT_DURATION}" step="0.1" value="${DEFAULT_DURATION}">
+            </div>
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="export-camera-path" class="display-checkbox">
+                    <span>Fly the camera path (its length)</span>
+                </label>
+            </div>
+            <div class="display-option">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="export-restart" class="display-checkbox">
+                    <span>Restart the animation first</span>
+                </label>
+            </div>
+            <button id="export-video-btn" class="reset-params-btn">🎞️ Export Video (.webm)</button>
+            <div id="export-status" class="show-status"></div>
+            <div class="controls-info">
+                <small>${kind === 'mediarecorder' ?
+                    'This browser has no WebCodecs, so the export plays in real time and may drop frames on a slow machine.' :
+                    'Frames are rendered one timestep apart however long each takes, so every flash lands on its frame.'}
+                    Overlays such as the caption and labels aren't included.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        section.querySelector('#export-camera-path').addEventListener('change', () => this.updateUI());
+        section.querySelector('#export-video-btn').addEventListener('click', () => {
+            if (this.exporting) {
+                this.abortController.abort();
+            } else {
+                this.export();
+            }
+        });
+
+        if (!kind) {
+            section.querySelector('#export-video-btn').disabled = true;
+            this.setStatus('⚠️ This browser can\'t encode video', true);
+        }
+    }
+
+    /**
+     * Video size in pixels (even, as the encoders need)
+     */
+    getResolution() {
+        const key = this.section.querySelector('#export-resolution').value;
+        if (EXPORT_RESOLUTIONS[key]) return EXPORT_RESOLUTIONS[key];
+        const canvas = this.parts.renderer.domElement;
+        return { width: Math.floor(canvas.clientWidth / 2) * 2, height: Math.floor(canvas.clientHeight / 2) * 2 };
+    }
+
+    usesCameraPath() {
+        return this.section.querySelector('#export-camera-path').checked;
+    }
+
+    async export() {
+        const { lightAnimation, cameraController, cameraPathControls, flashAudio } = this.parts;
+        const { width, height } = this.getResolution();
+        const frameRate = parseInt(this.section.querySelector('#export-frame-rate').value, 10);
+        const durationInput = this.section.querySelector('#export-duration');
+        if (this.usesCameraPath() && cameraPathControls.path.keyframes.length < 2) {
+            this.setStatus('⚠️ The camera path needs at least two keyframes (Camera tab)', true);
+            return;
+        }
+        const duration = this.usesCameraPath() ? getCameraPathDuration(cameraPathControls.path) : parseFloat(durationInput.value);
+        if (!(duration > 0 && duration <= MAX_EXPORT_DURATION)) {
+            durationInput.classList.add('error');
+            this.setStatus(`⚠️ Duration must be from 0.1 to ${MAX_EXPORT_DURATION} seconds`, true);
+            return;
+        }
+        durationInput.classList.remove('error');
+
+        this.exporting = true;
+        this.abortController = new AbortController();
+        this.updateUI();
+
+        // Flash sounds would all fire at once while frames render faster or slower than real time
+        const muted = flashAudio.muted;
+        flashAudio.setMuted(true);
+        if (this.section.querySelector('#export-restart').checked) {
+            lightAnimation.reset();
+        }
+        if (this.usesCameraPath()) {
+            cameraController.playPath(cameraPathControls.path, 0);
+        }
+
+        const frames = Math.max(1, Math.round(duration * frameRate));
+        console.log(`🎞️ Exporting ${duration}s at ${width} × ${height}, ${frameRate} fps (${frames} frames)`);
+        try {
+            const result = await exportVideo(this.parts, {
+                width, height, frameRate, duration,
+                signal: this.abortController.signal,
+                onProgress: fraction => this.setStatus(`Rendering frame ${Math.round(fraction * frames)} of ${frames} (${Math.floor(fraction * 100)}%)`)
+            });
+
+            if (!result) {
+                this.setStatus('Export cancelled');
+                console.log('🎞️ Export cancelled');
+            } else {
+                this.download(result.blob, `speed-of-earth-${width}x${height}-${frameRate}fps.webm`);
+                const size = `${(result.blob.size / 1e6).toFixed(1)} MB`;
+                if (result.lateFrames > 0) {
+                    this.setStatus(`⚠️ Exported ${result.frames} frames (${size}), but ${result.lateFrames} were late: try a smaller size or frame rate`, true);
+                } else {
+                    this.setStatus(`Exported ${result.frames} frames (${size})`);
+                }
+                console.log(`🎞️ Exported ${result.frames} frames, ${size}`);
+            }
+        } catch (error) {
+            this.setStatus(`⚠️ Export failed: ${error.message}`, true);
+            console.warn(`⚠️ Video export failed: ${error.message}`);
+        } finally {
+            flashAudio.setMuted(muted);
+            this.exporting = false;
+            this.abortController = null;
+            this.updateUI();
+        }
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        // Give the download time to start before releasing the file
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    setStatus(text, isError = false) {
+        const status = this.section.querySelector('#export-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Sync the controls with the export and the camera path
+     */
+    updateUI() {
+        const section = this.section;
+        const { path } = this.parts.cameraPathControls;
+        if (this.usesCameraPath() && path.keyframes.length >= 2) {
+            section.querySelector('#export-duration').value = getCameraPathDuration(path).toFixed(1);
+        }
+        section.querySelector('#export-duration').disabled = this.usesCameraPath() || this.exporting;
+        section.querySelectorAll('select, #export-camera-path, #export-restart').forEach(field => field.disabled = this.exporting);
+
+        const button = section.querySelector('#export-video-btn');
+        button.textContent = this.exporting ? 'Cancel Export' : '🎞️ Export Video (.webm)';
+        button.classList.toggle('active', this.exporting);
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Wave Front Controls
+ * Launch several waves at once and compare their speeds on the same line
+ */
+
+import { MAX_WAVES, WAVE_BLENDS, WAVE_LIMITS, WAVE_MODE_ID, WAVE_PRESETS, getWavePeriod } from './waveFronts.js';
+
+/**
+ * Format a duration in the most readable unit
+ */
+function formatSeconds(seconds) {
+    return seconds >= 60 ? `${(seconds / 60).toFixed(1)} min` : `${seconds.toFixed(2)} s`;
+}
+
+/**
+ * Parse waves written as "speed,direction,offset,brightness;..." (ft/s, 1 or -1, seconds, percent)
+ * Everything after the speed is optional
+ * @param {string} text - Wave list
+ * @returns {Array<object>|null} Partial waves, or null if invalid
+ */
+export function parseWaveList(text) {
+    const waves = text.split(';')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => entry.split(',').map(value => parseFloat(value)));
+
+    const valid = waves.length >= 1 && waves.length <= MAX_WAVES && waves.every(([speed, direction = 1, offset = 0, brightness = 100], i) =>
+        waves[i].length <= 4 &&
+        speed >= WAVE_LIMITS.speed.min && speed <= WAVE_LIMITS.speed.max &&
+        (direction === 1 || direction === -1) &&
+        offset >= WAVE_LIMITS.offset.min && offset <= WAVE_LIMITS.offset.max &&
+        brightness >= 0 && brightness <= 100
+    );
+    if (!valid) return null;
+
+    return waves.map(([speed, direction = 1, offset = 0, brightness = 100]) => ({
+        speed, direction, offset, brightness: brightness / 100
+    }));
+}
+
+/**
+ * Format waves for the URL, as parseWaveList reads them
+ */
+export function formatWaveList(waves) {
+    return waves.map(wave => [wave.speed, wave.direction, wave.offset, Math.round(wave.brightness * 100)].join(',')).join(';');
+}
+
+export class WaveControls {
+    constructor(lightAnimation, container) {
+        this.lightAnimation = lightAnimation;
+        this.container = container;
+        this.createUI();
+        this.updateUI();
+    }
+
+    createUI() {
+        const section = document.createElement('div');
+        section.className = 'controls-section';
+        section.innerHTML = `
+            <div class="controls-header">Wave Fronts</div>
+
+            <div class="mode-select-container">
+                <select id="wave-preset-selector" class="mode-selector">
+                    ${Object.entries(WAVE_PRESETS).map(([key, preset]) => `
+                        <option value="${key}">${preset.name}</option>
+                    `).join('')}
+                    <option value="custom" disabled>Custom</option>
+                </select>
+                <div id="wave-preset-description" class="mode-description"></div>
+            </div>
+
+            <div class="mode-select-container">
+                <select id="wave-blend-selector" class="mode-selector">
+                    ${Object.entries(WAVE_BLENDS).map(([key, blend]) => `
+                        <option value="${key}">${blend.name}</option>
+                    `).join('')}
+                </select>
+                <div id="wave-blend-description" class="mode-description"></div>
+            </div>
+
+            <div id="wave-list"></div>
+
+            <div class="wave-buttons">
+                <button id="wave-add-btn" class="reset-params-btn">Add Wave</button>
+                <button id="wave-run-btn" class="reset-params-btn">Run Multiple Waves</button>
+            </div>
+
+            <div id="wave-readout" class="speed-readout"></div>
+
+            <div class="controls-info">
+                <small>Each wave repeats on its own cycle, so waves at different speeds drift in and out of step. Editing a wave switches to the Multiple Waves mode.</small>
+            </div>
+        `;
+        this.container.appendChild(section);
+        this.section = section;
+
+        section.querySelector('#wave-preset-selector').addEventListener('change', (e) => {
+            this.lightAnimation.setWavePreset(e.target.value);
+            this.activate();
+            this.updateUI();
+        });
+
+        section.querySelector('#wave-blend-selector').addEventListener('change', (e) => {
+            this.lightAnimation.setWaveBlend(e.target.value);
+            this.updateUI();
+        });
+
+        section.querySelector('#wave-add-btn').addEventListener('click', () => {
+            const last = this.lightAnimation.waves[this.lightAnimation.waves.length - 1];
+            this.lightAnimation.addWave(last ? { speed: last.speed, offset: Math.min(WAVE_LIMITS.offset.max, last.offset + 1) } : {});
+            this.activate();
+            this.updateUI();
+        });
+
+        section.querySelector('#wave-run-btn').addEventListener('click', () => {
+            this.activate();
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Switch to the multi-wave mode so edits can be seen
+     */
+    activate() {
+        if (this.lightAnimation.animationMode === WAVE_MODE_ID) return;
+        this.lightAnimation.setAnimationMode(WAVE_MODE_ID);
+        console.log(`🌊 Multiple waves: ${this.lightAnimation.waves.length} waves`);
+    }
+
+    /**
+     * One block of sliders per wave
+     */
+    renderWaves() {
+        const animation = this.lightAnimation;
+        const list = this.section.querySelector('#wave-list');
+        list.innerHTML = '';
+
+        animation.waves.forEach((wave, index) => {
+            const item = document.createElement('div');
+            item.className = 'wave-item';
+            item.innerHTML = `
+                <div class="wave-header">
+                    <span>Wave ${index + 1}${wave.label ? ` · ${wave.label}` : ''}</span>
+                    <button class="wave-remove-btn" title="Remove wave">✕</button>
+                </div>
+                <div class="mode-param">
+                    <label>Speed (ft/s): </label>
+                    <input type="range" class="mode-param-slider" data-field="speed"
+                        min="${WAVE_LIMITS.speed.min}" max="${WAVE_LIMITS.speed.max}" step="1" value="${wave.speed}">
+                    <span class="mode-param-value">${wave.speed.toFixed(0)}</span>
+                </div>
+                <div class="mode-param">
+                    <label>Start Offset (s): </label>
+                    <input type="range" class="mode-param-slider" data-field="offset"
+                        min="${WAVE_LIMITS.offset.min}" max="${WAVE_LIMITS.offset.max}" step="0.05" value="${wave.offset}">
+                    <span class="mode-param-value">${wave.offset.toFixed(2)}</span>
+                </div>
+                <div class="mode-param">
+                    <label>Brightness (%): </label>
+                    <input type="range" class="mode-param-slider" data-field="brightness" data-scale="100"
+                        min="0" max="100" step="1" value="${Math.round(wave.brightness * 100)}">
+                    <span class="mode-param-value">${Math.round(wave.brightness * 100)}</span>
+                </div>
+                <select class="mode-selector wave-direction">
+                    <option value="1">First light → last</option>
+                    <option value="-1">Last light → first</option>
+                </select>
+            `;
+
+            item.querySelectorAll('input[data-field]').forEach(slider => {
+                slider.addEventListener('input', () => {
+                    const value = parseFloat(slider.value) / parseFloat(slider.dataset.scale || 1);
+                    animation.setWave(index, { [slider.dataset.field]: value });
+                    this.activate();
+                    // Only the readout changes while dragging, so the slider keeps focus
+                    slider.nextElementSibling.textContent = slider.dataset.field === 'speed' ?
+                        animation.waves[index].speed.toFixed(0) :
+                        slider.dataset.field === 'offset' ? animation.waves[index].offset.toFixed(2) : slider.value;
+                    this.updatePresetSelector();
+                    this.updateReadout();
+                });
+            });
+
+            const direction = item.querySelector('.wave-direction');
+            direction.value = wave.direction;
+            direction.addEventListener('change', () => {
+                animation.setWave(index, { direction: parseInt(direction.value, 10) });
+                this.activate();
+                this.updateUI();
+            });
+
+            item.querySelector('.wave-remove-btn').addEventListener('click', () => {
+                animation.removeWave(index);
+                this.updateUI();
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    updatePresetSelector() {
+        const animation = this.lightAnimation;
+        this.section.querySelector('#wave-preset-selector').value = animation.wavePreset;
+        this.section.querySelector('#wave-preset-description').textContent = WAVE_PRESETS[animation.wavePreset] ?
+            WAVE_PRESETS[animation.wavePreset].description : 'Edited waves';
+    }
+
+    /**
+     * Sync the controls with the animation's waves
+     */
+    updateUI() {
+        const animation = this.lightAnimation;
+        this.updatePresetSelector();
+        this.section.querySelector('#wave-blend-selector').value = animation.waveBlend;
+        this.section.querySelector('#wave-blend-description').textContent = WAVE_BLENDS[animation.waveBlend].description;
+        this.section.querySelector('#wave-add-btn').disabled = animation.waves.length >= MAX_WAVES;
+        this.renderWaves();
+        this.updateReadout();
+    }
+
+    /**
+     * Each wave's speed relative to the first, and how often it laps or meets it
+     */
+    updateReadout() {
+        const animation = this.lightAnimation;
+        const readout = this.section.querySelector('#wave-readout');
+        const [first, ...others] = animation.waves;
+        if (!first) {
+            readout.textContent = 'No waves: add one to start';
+            return;
+        }
+
+        const name = (wave, index) => wave.label || `Wave ${index + 1}`;
+        const firstPeriod = getWavePeriod(animation, first);
+        const lines = [`${name(first, 0)}: ${first.speed.toFixed(0)} ft/s, cycle ${formatSeconds(firstPeriod)}`];
+
+        others.forEach((wave, i) => {
+            const period = getWavePeriod(animation, wave);
+            const difference = wave.speed - first.speed;
+            const sign = difference >= 0 ? '+' : '−';
+            // Two repeating waves line up again after this long (never if the cycles are equal)
+            const realign = period === firstPeriod ? 'in step' :
+                `realign every ${formatSeconds(period * firstPeriod / Math.abs(period - firstPeriod))}`;
+            lines.push(`${name(wave, i + 1)}: <strong>${(wave.speed / first.speed).toFixed(3)}×</strong> ` +
+                `(${sign}${Math.abs(difference).toFixed(0)} ft/s), ${realign}`);
+        });
+        readout.innerHTML = lines.join('<br>');
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Multiple Wave Fronts
+ * Several waves travelling the line at once, each with its own speed, direction,
+ * start offset and brightness, blended per light by the 'multi-wave' animation mode
+ *
+ * A wave is a plain object:
+ *   { label, speed, direction, offset, brightness }
+ *   label      - Name shown in the controls (e.g. "Equator")
+ *   speed      - Feet per second along the path
+ *   direction  - 1 runs first light → last, -1 runs last → first
+ *   offset     - Seconds after the pattern starts that the wave leaves its first light
+ *   brightness - Peak as a fraction of full brightness (0-1)
+ *
+ * Each wave repeats on its own cycle (the path plus one light interval at its speed),
+ * so waves at different speeds drift in and out of step like trains on parallel tracks.
+ */
+
+import { registerAnimationMode } from './animationModes.js';
+import { BLACK_ROCK_CITY_LATITUDE, calculateRotationSpeed } from './earthRotation.js';
+
+export const WAVE_MODE_ID = 'multi-wave';
+export const MAX_WAVES = 6;
+
+export const WAVE_LIMITS = {
+    speed: { min: 10, max: 5000 },    // ft/s
+    offset: { min: 0, max: 60 },      // seconds
+    brightness: { min: 0, max: 1 }
+};
+
+export const WAVE_BLENDS = {
+    max: { name: 'Brightest wave', description: 'Where waves overlap, the light shows the brightest one' },
+    add: { name: 'Add (capped at full)', description: 'Overlapping waves add up, so crossings flash brighter' }
+};
+
+// Presets are functions of the animation so they follow the current wave speed
+export const WAVE_PRESETS = {
+    'two-latitudes': {
+        name: 'Two Latitudes',
+        description: 'Earth\'s rotation at the equator and at Black Rock City, side by side',
+        waves: () => [
+            { label: 'Equator', speed: calculateRotationSpeed(0) },
+            { label: 'Black Rock City', speed: calculateRotationSpeed(BLACK_ROCK_CITY_LATITUDE) }
+        ]
+    },
+    chase: {
+        name: 'Chase',
+        description: 'A faster wave leaves a second later and catches the first',
+        waves: animation => [
+            { label: 'Leader', speed: animation.EARTH_ROTATION_SPEED },
+            { label: 'Chaser', speed: animation.EARTH_ROTATION_SPEED * 1.5, offset: 1 }
+        ]
+    },
+    'head-on': {
+        name: 'Head-On',
+        description: 'Two waves start at opposite ends and pass through each other',
+        waves: animation => [
+            { label: 'Eastbound', speed: animation.EARTH_ROTATION_SPEED },
+            { label: 'Westbound', speed: animation.EARTH_ROTATION_SPEED, direction: -1 }
+        ]
+    },
+    train: {
+        name: 'Train',
+        description: 'Three waves at the same speed, evenly spaced along the line',
+        waves: animation => [0, 1, 2].map(car => ({
+            label: `Car ${car + 1}`,
+            speed: animation.EARTH_ROTATION_SPEED,
+            offset: car * animation.cycleDuration / 3
+        }))
+    }
+};
+
+export const DEFAULT_WAVE_PRESET = 'two-latitudes';
+
+/**
+ * Clamp a wave to supported values, filling in defaults
+ * @param {object} wave - Partial wave
+ * @param {number} defaultSpeed - Speed when none is given (ft/s)
+ * @returns {object} Complete wave
+ */
+export function normalizeWave(wave, defaultSpeed = 1156) {
+    const clamp = (value, { min, max }, fallback) =>
+        Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+    return {
+        label: typeof wave.label === 'string' ? wave.label : '',
+        speed: clamp(wave.speed, WAVE_LIMITS.speed, defaultSpeed),
+        direction: wave.direction === -1 ? -1 : 1,
+        offset: clamp(wave.offset, WAVE_LIMITS.offset, 0),
+        brightness: clamp(wave.brightness, WAVE_LIMITS.brightness, 1)
+    };
+}
+
+/**
+ * Length of one wave's cycle: the path plus one light interval at the wave's speed
+ * @param {LightAnimation} animation
+ * @param {object} wave - Normalized wave
+ * @returns {number} Seconds
+ */
+export function getWavePeriod(animation, wave) {
+    return animation.cycleDuration * animation.EARTH_ROTATION_SPEED / wave.speed;
+}
+
+/**
+ * Seconds after a wave leaves its first light that it reaches a light
+ * @param {LightAnimation} animation
+ * @param {object} wave - Normalized wave
+ * @param {number} index - Light index
+ * @returns {number} Seconds
+ */
+export function getWaveArrival(animation, wave, index) {
+    const last = animation.lightTimes.length - 1;
+    const travelTime = wave.direction === 1 ? animation.lightTimes[index] : animation.lightTimes[last] - animation.lightTimes[index];
+    return travelTime * animation.EARTH_ROTATION_SPEED / wave.speed;
+}
+
+/**
+ * Combine the levels several waves give one light
+ * @param {Array<number>} levels - Fraction of full brightness per wave
+ * @param {string} blend - Key of WAVE_BLENDS
+ * @returns {number} Fraction of full brightness (0-1)
+ */
+export function blendWaveLevels(levels, blend) {
+    if (blend === 'add') {
+        return Math.min(1, levels.reduce((sum, level) => sum + level, 0));
+    }
+    return Math.max(0, ...levels);
+}
+
+registerAnimationMode({
+    id: WAVE_MODE_ID,
+    name: 'Multiple Waves',
+    description: 'Several waves at once with their own speeds, directions and offsets (set in Wave Fronts)',
+    // The whole pattern only repeats when every wave lines up again; the scrubber spans the slowest wave
+    period: animation => animation.waves.length > 0 ?
+        Math.max(...animation.waves.map(wave => getWavePeriod(animation, wave))) : animation.cycleDuration,
+    update(animation, state) {
+        // Phase lock wraps currentTime at the slowest wave's period, which the faster waves don't
+        // divide; count their cycles from the sync epoch instead so they never jump at the wrap
+        // (the pattern start only moves while playing, so paused stepping stays continuous)
+        if (!animation.wallClockSync) {
+            state.patternStart = 0;
+        } else if (!animation.paused || state.patternStart === undefined) {
+            state.patternStart = animation.getTimeSinceEpoch() - animation.currentTime;
+        }
+        const now = state.patternStart + animation.currentTime;
+
+        const cycles = animation.waves.map(wave => {
+            const period = getWavePeriod(animation, wave);
+            const time = (now - wave.offset) % period;
+            return { wave, period, time: time < 0 ? time + period : time };
+        });
+
+        for (let i = 0; i < animation.lights.length; i++) {
+            const levels = cycles.map(({ wave, period, time }) => {
+                // The light's own clock decides when each wave's flash fires
+                const timeDiff = animation.getLocalTimeDiff(i, time - getWaveArrival(animation, wave, i), period);
+                return timeDiff > animation.FLASH_DURATION ? 0 : wave.brightness * animation.getFlashLevel(timeDiff);
+            });
+            const level = blendWaveLevels(levels, animation.waveBlend);
+
+            animation.setLightIntensity(
+                i,
+                level * animation.PEAK_INTENSITY,
+                level * animation.PEAK_OPACITY,
+                level * animation.PEAK_BULB_OPACITY
+            );
+        }
+    }
+});
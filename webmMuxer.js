@@ -0,0 +1,222 @@
+/**
+ * WebM Muxer
+ * Minimal WebM (Matroska) writer for a single video track of encoded frames, e.g. from WebCodecs
+ *
+ * The file is assembled when finished, so every size and position is known up front:
+ *   EBML header
+ *   Segment
+ *     SeekHead  - where Info, Tracks and Cues are
+ *     Info      - timecode scale (1 ms) and duration
+ *     Tracks    - one video track
+ *     Cluster…  - one per key frame (and at least every 30 s), holding SimpleBlocks
+ *     Cues      - the clusters' key frames, for seeking
+ * Frame data is kept as given and passed straight to the Blob, never copied into one buffer.
+ */
+
+// Element IDs (the leading bits mark their length, so they're written as-is)
+const IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+const TIMECODE_SCALE = 1000000; // ns per timecode unit: timecodes are in ms
+const MAX_CLUSTER_SPAN = 30000; // ms; block timecodes are 16-bit offsets from their cluster's
+const TRACK_NUMBER = 1;
+const APP_NAME = 'Speed of the Earth Simulator';
+
+/**
+ * Big-endian unsigned integer in the fewest bytes (or exactly `length` bytes)
+ */
+function uintBytes(value, length = 0) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0 || bytes.length < length);
+    return bytes;
+}
+
+/**
+ * Element data size as a variable-length integer
+ */
+function sizeBytes(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++; // All ones is reserved for "unknown"
+    const bytes = uintBytes(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+const byteLength = parts => parts.reduce((total, part) => total + part.length, 0);
+
+/**
+ * An element: its ID, size and contents
+ * @param {number} id - From IDS
+ * @param {Array<Uint8Array>} children - Encoded contents
+ * @returns {Array<Uint8Array>} Parts, in order
+ */
+function element(id, children) {
+    return [new Uint8Array([...uintBytes(id), ...sizeBytes(byteLength(children))]), ...children];
+}
+
+const uintElement = (id, value, length) => element(id, [new Uint8Array(uintBytes(value, length))]);
+const stringElement = (id, text) => element(id, [new TextEncoder().encode(text)]);
+
+function floatElement(id, value) {
+    const data = new Uint8Array(8);
+    new DataView(data.buffer).setFloat64(0, value);
+    return element(id, [data]);
+}
+
+export class WebMMuxer {
+    /**
+     * @param {object} track - { codec: Matroska codec id (e.g. 'V_VP9'), width, height, frameRate }
+     */
+    constructor({ codec, width, height, frameRate }) {
+        this.codec = codec;
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+        this.clusters = []; // { timecode, keyFrame, blocks: [parts] }
+        this.endTime = 0; // ms, end of the last frame
+    }
+
+    /**
+     * Add the next encoded frame (in decode order)
+     * @param {Uint8Array} data - Encoded frame
+     * @param {number} timestamp - Microseconds from the start of the video
+     * @param {boolean} keyFrame - Decodable on its own (starts a new cluster)
+     */
+    addFrame(data, timestamp, keyFrame) {
+        const time = Math.round(timestamp / 1000);
+        let cluster = this.clusters[this.clusters.length - 1];
+        if (!cluster && !keyFrame) {
+            throw new Error('The first frame of a video must be a key frame');
+        }
+        if (keyFrame || time - cluster.timecode > MAX_CLUSTER_SPAN) {
+            cluster = { timecode: time, keyFrame, blocks: [] };
+            this.clusters.push(cluster);
+        }
+
+        // Track number, 16-bit timecode relative to the cluster, flags (0x80 = key frame)
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | TRACK_NUMBER;
+        new DataView(header.buffer).setInt16(1, time - cluster.timecode);
+        header[3] = keyFrame ? 0x80 : 0;
+        cluster.blocks.push(...element(IDS.SimpleBlock, [header, data]));
+
+        this.endTime = Math.max(this.endTime, time + 1000 / this.frameRate);
+    }
+
+    /**
+     * Assemble the file
+     * @returns {Blob} video/webm
+     */
+    finish() {
+        const header = element(IDS.EBML, [
+            ...uintElement(IDS.EBMLVersion, 1),
+            ...uintElement(IDS.EBMLReadVersion, 1),
+            ...uintElement(IDS.EBMLMaxIDLength, 4),
+            ...uintElement(IDS.EBMLMaxSizeLength, 8),
+            ...stringElement(IDS.DocType, 'webm'),
+            ...uintElement(IDS.DocTypeVersion, 4),
+            ...uintElement(IDS.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(IDS.Info, [
+            ...uintElement(IDS.TimecodeScale, TIMECODE_SCALE),
+            ...floatElement(IDS.Duration, this.endTime),
+            ...stringElement(IDS.MuxingApp, APP_NAME),
+            ...stringElement(IDS.WritingApp, APP_NAME)
+        ]);
+
+        const tracks = element(IDS.Tracks, element(IDS.TrackEntry, [
+            ...uintElement(IDS.TrackNumber, TRACK_NUMBER),
+            ...uintElement(IDS.TrackUID, TRACK_NUMBER),
+            ...uintElement(IDS.TrackType, 1), // Video
+            ...uintElement(IDS.FlagLacing, 0),
+            ...stringElement(IDS.CodecID, this.codec),
+            ...uintElement(IDS.DefaultDuration, Math.round(1e9 / this.frameRate)), // ns per frame
+            ...element(IDS.Video, [
+                ...uintElement(IDS.PixelWidth, this.width),
+                ...uintElement(IDS.PixelHeight, this.height)
+            ])
+        ]));
+
+        const clusters = this.clusters.map(cluster => element(IDS.Cluster, [
+            ...uintElement(IDS.Timecode, cluster.timecode),
+            ...cluster.blocks
+        ]));
+
+        // Positions are from the start of the Segment's contents; the SeekHead's are fixed
+        // width, so its size doesn't depend on the positions it holds
+        const seekEntry = (id, position) => element(IDS.Seek, [
+            ...element(IDS.SeekID, [new Uint8Array(uintBytes(id))]),
+            ...uintElement(IDS.SeekPosition, position, 8)
+        ]);
+        const seekHeadLength = byteLength(element(IDS.SeekHead, [...seekEntry(IDS.Info, 0), ...seekEntry(IDS.Tracks, 0), ...seekEntry(IDS.Cues, 0)]));
+        const infoPosition = seekHeadLength;
+        const tracksPosition = infoPosition + byteLength(info);
+        let position = tracksPosition + byteLength(tracks);
+
+        const cuePoints = [];
+        clusters.forEach((cluster, index) => {
+            if (this.clusters[index].keyFrame) {
+                cuePoints.push(...element(IDS.CuePoint, [
+                    ...uintElement(IDS.CueTime, this.clusters[index].timecode),
+                    ...element(IDS.CueTrackPositions, [
+                        ...uintElement(IDS.CueTrack, TRACK_NUMBER),
+                        ...uintElement(IDS.CueClusterPosition, position)
+                    ])
+                ]));
+            }
+            position += byteLength(cluster);
+        });
+        const cues = element(IDS.Cues, cuePoints);
+
+        const seekHead = element(IDS.SeekHead, [
+            ...seekEntry(IDS.Info, infoPosition),
+            ...seekEntry(IDS.Tracks, tracksPosition),
+            ...seekEntry(IDS.Cues, position)
+        ]);
+
+        const segment = element(IDS.Segment, [...seekHead, ...info, ...tracks, ...clusters.flat(), ...cues]);
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+}